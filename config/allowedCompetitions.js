@@ -6,18 +6,109 @@
  * This allows the worker to only cache matches from competitions we actually display
  */
 
+// ============================================
+// CẤU HÌNH: Tiebreakers (utils/standingsEngine.js)
+// ============================================
+// Applied in order after points. `h2h*` criteria are computed on the
+// mini-table of the teams still level; with `reapplyHeadToHead` the h2h
+// block is run again on any subset it leaves tied (UEFA / FIFA rule).
+// `fairPlay` = fewer disciplinary points, `lots` = drawing of lots.
+// Competitions without a `tiebreakers` entry use goalDifferenceFirst.
+const TIEBREAKER_PRESETS = {
+  // Premier League, Bundesliga, Ligue 1 and most domestic leagues
+  goalDifferenceFirst: {
+    criteria: ['goalDifference', 'goalsFor', 'h2hPoints', 'h2hAwayGoalsFor', 'lots']
+  },
+  // La Liga, Serie A, V.League
+  headToHeadFirst: {
+    criteria: ['h2hPoints', 'h2hGoalDifference', 'h2hGoalsFor', 'goalDifference', 'goalsFor', 'fairPlay', 'lots']
+  },
+  // UEFA group stages (EURO, qualifiers, Nations League)
+  uefaGroupStage: {
+    criteria: ['h2hPoints', 'h2hGoalDifference', 'h2hGoalsFor', 'goalDifference', 'goalsFor', 'awayGoalsFor', 'wins', 'awayWins', 'fairPlay', 'lots'],
+    reapplyHeadToHead: true
+  },
+  // UEFA club competitions since 2024/25: single league phase, no h2h
+  uefaLeaguePhase: {
+    criteria: ['goalDifference', 'goalsFor', 'awayGoalsFor', 'wins', 'awayWins', 'fairPlay', 'lots']
+  },
+  // FIFA World Cup 2026 groups
+  fifaWorldCup: {
+    criteria: ['h2hPoints', 'h2hGoalDifference', 'h2hGoalsFor', 'goalDifference', 'goalsFor', 'fairPlay', 'lots'],
+    reapplyHeadToHead: true
+  },
+  // World Cup 2026: ranking the third-placed teams across groups
+  fifaWorldCupThirds: {
+    criteria: ['goalDifference', 'goalsFor', 'fairPlay', 'lots']
+  }
+};
+
+// ============================================
+// CẤU HÌNH: Card accumulation (services/discipline.js)
+// ============================================
+// `thresholds` are cumulative yellow counts in the competition; `games` is
+// the resulting ban. `beforeGame` limits a threshold to cards reached by the
+// club's Nth match of the competition (Premier League 19/32 rule). After the
+// last threshold, `repeat` bans every `every` further yellows.
+// `resetAfterRound` wipes the count once a club has played its last match of
+// that round (UEFA: after the quarter-finals).
+// Yellows that become a second-yellow dismissal do not count towards the
+// total. API-Sports does not publish ban lengths for red cards, so
+// `redCardGames` is the minimum and marked as such.
+// Competitions not listed here are not tracked (Ligue 1 uses a points
+// scale over rolling periods, which card events alone can't reproduce).
+const DISCIPLINE_PRESETS = {
+  premierLeague: {
+    thresholds: [{ yellows: 5, games: 1, beforeGame: 19 }, { yellows: 10, games: 2, beforeGame: 32 }, { yellows: 15, games: 3 }],
+    repeat: null,
+    redCardGames: 1
+  },
+  everyFifth: {
+    thresholds: [{ yellows: 5, games: 1 }],
+    repeat: { every: 5, games: 1 },
+    redCardGames: 1
+  },
+  serieA: {
+    thresholds: [{ yellows: 5, games: 1 }, { yellows: 10, games: 1 }, { yellows: 14, games: 1 }, { yellows: 17, games: 1 }],
+    repeat: { every: 1, games: 1 },
+    redCardGames: 1
+  },
+  everyFourth: {
+    thresholds: [{ yellows: 4, games: 1 }],
+    repeat: { every: 4, games: 1 },
+    redCardGames: 1
+  },
+  uefaClub: {
+    thresholds: [{ yellows: 3, games: 1 }],
+    repeat: { every: 2, games: 1 },
+    resetAfterRound: 'quarter-finals',
+    redCardGames: 1
+  }
+};
+
+const DISCIPLINE_RULES = {
+  39: DISCIPLINE_PRESETS.premierLeague,  // Premier League
+  140: DISCIPLINE_PRESETS.everyFifth,    // La Liga
+  78: DISCIPLINE_PRESETS.everyFifth,     // Bundesliga
+  135: DISCIPLINE_PRESETS.serieA,        // Serie A
+  340: DISCIPLINE_PRESETS.everyFourth,   // V.League 1
+  2: DISCIPLINE_PRESETS.uefaClub,        // UEFA Champions League
+  3: DISCIPLINE_PRESETS.uefaClub,        // UEFA Europa League
+  848: DISCIPLINE_PRESETS.uefaClub       // UEFA Conference League
+};
+
 const ALLOWED_COMPETITIONS = [
   // ============================================
   // VIETNAM
   // ============================================
-  { name: 'V.League 1', country: 'Vietnam', leagueId: 340, slug: 'v-league-1' },
-  { name: 'V.League 2', country: 'Vietnam', leagueId: 341, slug: 'v-league-2' },
+  { name: 'V.League 1', country: 'Vietnam', leagueId: 340, slug: 'v-league-1', tiebreakers: TIEBREAKER_PRESETS.headToHeadFirst },
+  { name: 'V.League 2', country: 'Vietnam', leagueId: 341, slug: 'v-league-2', tiebreakers: TIEBREAKER_PRESETS.headToHeadFirst },
   { name: 'Cúp Quốc Gia', country: 'Vietnam', leagueId: 342, slug: 'cup-quoc-gia' },
 
   // ============================================
   // ENGLAND
   // ============================================
-  { name: 'Premier League', country: 'England', leagueId: 39, slug: 'premier-league' },
+  { name: 'Premier League', country: 'England', leagueId: 39, slug: 'premier-league', tiebreakers: TIEBREAKER_PRESETS.goalDifferenceFirst },
   { name: 'Championship', country: 'England', leagueId: 40, slug: 'championship' },
   { name: 'League One', country: 'England', leagueId: 41, slug: 'league-one' },
   { name: 'League Two', country: 'England', leagueId: 42, slug: 'league-two' },
@@ -31,7 +122,7 @@ const ALLOWED_COMPETITIONS = [
   // ============================================
   // SPAIN
   // ============================================
-  { name: 'La Liga', country: 'Spain', leagueId: 140, slug: 'la-liga' },
+  { name: 'La Liga', country: 'Spain', leagueId: 140, slug: 'la-liga', tiebreakers: TIEBREAKER_PRESETS.headToHeadFirst },
   { name: 'Segunda División', country: 'Spain', leagueId: 141, slug: 'segunda-division' },
   { name: 'Copa del Rey', country: 'Spain', leagueId: 143, slug: 'copa-del-rey' },
   { name: 'Segunda B - Group 1', country: 'Spain', leagueId: 520, slug: 'segunda-b-group-1' },
@@ -60,7 +151,7 @@ const ALLOWED_COMPETITIONS = [
   // ============================================
   // ITALY
   // ============================================
-  { name: 'Serie A', country: 'Italy', leagueId: 135, slug: 'serie-a' },
+  { name: 'Serie A', country: 'Italy', leagueId: 135, slug: 'serie-a', tiebreakers: TIEBREAKER_PRESETS.headToHeadFirst },
   { name: 'Serie B', country: 'Italy', leagueId: 136, slug: 'serie-b' },
   { name: 'Serie C - Group A', country: 'Italy', leagueId: 137, slug: 'serie-c-group-a' },
   { name: 'Coppa Italia', country: 'Italy', leagueId: 137, slug: 'coppa-italia' },
@@ -300,13 +391,13 @@ const ALLOWED_COMPETITIONS = [
   // ============================================
   // EUROPE (UEFA COMPETITIONS)
   // ============================================
-  { name: 'UEFA Champions League', country: 'Europe', leagueId: 2, slug: 'uefa-champions-league' },
-  { name: 'UEFA Europa League', country: 'Europe', leagueId: 3, slug: 'uefa-europa-league' },
-  { name: 'UEFA Conference League', country: 'Europe', leagueId: 848, slug: 'uefa-conference-league' },
+  { name: 'UEFA Champions League', country: 'Europe', leagueId: 2, slug: 'uefa-champions-league', tiebreakers: TIEBREAKER_PRESETS.uefaLeaguePhase },
+  { name: 'UEFA Europa League', country: 'Europe', leagueId: 3, slug: 'uefa-europa-league', tiebreakers: TIEBREAKER_PRESETS.uefaLeaguePhase },
+  { name: 'UEFA Conference League', country: 'Europe', leagueId: 848, slug: 'uefa-conference-league', tiebreakers: TIEBREAKER_PRESETS.uefaLeaguePhase },
   { name: 'UEFA Super Cup', country: 'Europe', leagueId: 531, slug: 'uefa-super-cup' },
-  { name: 'UEFA Nations League', country: 'Europe', leagueId: 5, slug: 'uefa-nations-league' },
-  { name: 'European Championship', country: 'Europe', leagueId: 4, slug: 'european-championship' },
-  { name: 'European Championship - Qualification', country: 'Europe', leagueId: 960, slug: 'euro-qualification' },
+  { name: 'UEFA Nations League', country: 'Europe', leagueId: 5, slug: 'uefa-nations-league', tiebreakers: TIEBREAKER_PRESETS.uefaGroupStage },
+  { name: 'European Championship', country: 'Europe', leagueId: 4, slug: 'european-championship', tiebreakers: TIEBREAKER_PRESETS.uefaGroupStage },
+  { name: 'European Championship - Qualification', country: 'Europe', leagueId: 960, slug: 'euro-qualification', tiebreakers: TIEBREAKER_PRESETS.uefaGroupStage },
   { name: 'UEFA Youth League', country: 'Europe', leagueId: 6, slug: 'uefa-youth-league' },
 
   // ============================================
@@ -632,10 +723,10 @@ const ALLOWED_COMPETITIONS = [
   // ============================================
   // WORLD (FIFA COMPETITIONS)
   // ============================================
-  { name: 'FIFA World Cup', country: 'World', leagueId: 1, slug: 'world-cup' },
-  { name: 'FIFA World Cup', country: 'World', leagueId: 1, slug: 'fifa-world-cup' },
+  { name: 'FIFA World Cup', country: 'World', leagueId: 1, slug: 'world-cup', tiebreakers: TIEBREAKER_PRESETS.fifaWorldCup },
+  { name: 'FIFA World Cup', country: 'World', leagueId: 1, slug: 'fifa-world-cup', tiebreakers: TIEBREAKER_PRESETS.fifaWorldCup },
   { name: 'World Cup - Qualification CONMEBOL', country: 'World', leagueId: 34, slug: 'wc-qualification-conmebol' },
-  { name: 'World Cup - Qualification UEFA', country: 'World', leagueId: 32, slug: 'wc-qualification-uefa' },
+  { name: 'World Cup - Qualification UEFA', country: 'World', leagueId: 32, slug: 'wc-qualification-uefa', tiebreakers: TIEBREAKER_PRESETS.uefaGroupStage },
   { name: 'World Cup - Qualification CONCACAF', country: 'World', leagueId: 33, slug: 'wc-qualification-concacaf' },
   { name: 'World Cup - Qualification AFC', country: 'World', leagueId: 35, slug: 'wc-qualification-afc' },
   { name: 'World Cup - Qualification CAF', country: 'World', leagueId: 36, slug: 'wc-qualification-caf' },
@@ -706,6 +797,27 @@ function getCompetitionBySlug(slug) {
   return ALLOWED_COMPETITIONS.find(comp => comp.slug === slug) || null;
 }
 
+/**
+ * Tiebreaker rules for a competition (see TIEBREAKER_PRESETS)
+ * League IDs can appear on several entries; the first one with rules wins.
+ */
+function getTiebreakers(leagueId) {
+  const competition = ALLOWED_COMPETITIONS.find(comp => comp.leagueId === leagueId && comp.tiebreakers);
+  return competition ? competition.tiebreakers : TIEBREAKER_PRESETS.goalDifferenceFirst;
+}
+
+/**
+ * Card accumulation rules for a competition (see DISCIPLINE_RULES)
+ * @returns {Object|null} - null when the competition isn't tracked
+ */
+function getDisciplineRules(leagueId) {
+  return DISCIPLINE_RULES[leagueId] || null;
+}
+
+function getDisciplineLeagueIds() {
+  return Object.keys(DISCIPLINE_RULES).map(Number);
+}
+
 /**
  * Get grouped league IDs by priority for HOT matches
  * Returns top-tier leagues first
@@ -743,6 +855,8 @@ function getStats() {
 module.exports = {
   ALLOWED_COMPETITIONS,
   EXCLUDED_COMPETITIONS,
+  TIEBREAKER_PRESETS,
+  DISCIPLINE_PRESETS,
   getAllowedLeagueIds,
   getAllowedLeagueIdsString,
   isLeagueAllowed,
@@ -750,6 +864,9 @@ module.exports = {
   getExcludedLeagueIds,
   getCompetitionByLeagueId,
   getCompetitionBySlug,
+  getTiebreakers,
+  getDisciplineRules,
+  getDisciplineLeagueIds,
   getHotLeagueIds,
   getStats
 };
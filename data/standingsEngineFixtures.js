@@ -0,0 +1,108 @@
+/**
+ * Worked tiebreaker cases for utils/standingsEngine.js
+ *
+ * Each case: results (team ids 1-4), the preset from
+ * config/allowedCompetitions.js (TIEBREAKER_PRESETS) and the expected order.
+ * Usable as unit-test fixtures:
+ *
+ *   const { buildTable } = require('../utils/standingsEngine');
+ *   const { TIEBREAKER_PRESETS } = require('../config/allowedCompetitions');
+ *   for (const c of STANDINGS_ENGINE_CASES) {
+ *     const table = buildTable(c.results, { rules: TIEBREAKER_PRESETS[c.preset], teams: c.teams, seed: c.seed });
+ *     // table.map(r => r.teamId) deep-equals c.expectedOrder
+ *   }
+ */
+
+const TEAMS = [
+  { teamId: 1, name: 'A' },
+  { teamId: 2, name: 'B' },
+  { teamId: 3, name: 'C' },
+  { teamId: 4, name: 'D' }
+];
+
+const r = (homeId, homeGoals, awayGoals, awayId, extra = {}) => ({ homeId, awayId, homeGoals, awayGoals, ...extra });
+
+// Three-way tie on 6 points. Mini-table of A, B, C: every team on 3 points
+// and 0 goal difference; C scored 3, A and B scored 2 each. A beat B, but B
+// has the better overall goal difference (beat D 3-0).
+const THREE_WAY_TIE = [
+  r(1, 1, 0, 2),   // A 1-0 B
+  r(3, 2, 1, 1),   // C 2-1 A
+  r(2, 2, 1, 3),   // B 2-1 C
+  r(1, 1, 0, 4),   // A 1-0 D
+  r(2, 3, 0, 4),   // B 3-0 D
+  r(3, 1, 0, 4)    // C 1-0 D
+];
+
+// A and B level on points, goal difference and goals scored; drew 1-1
+const LEVEL_PAIR = [
+  r(1, 1, 1, 2),
+  r(1, 2, 0, 3),
+  r(2, 2, 0, 3)
+];
+
+const STANDINGS_ENGINE_CASES = [
+  {
+    name: 'Goal difference first: overall GD beats the direct result',
+    preset: 'goalDifferenceFirst',
+    teams: TEAMS,
+    results: [r(1, 1, 0, 2), r(3, 1, 0, 1), r(2, 4, 0, 3)],
+    // A, B, C all on 3 points; B +3, A 0, C -3
+    expectedOrder: [2, 1, 3, 4]
+  },
+  {
+    name: 'Head-to-head first: the direct result beats overall GD',
+    preset: 'headToHeadFirst',
+    teams: TEAMS,
+    results: [r(1, 1, 0, 2), r(1, 0, 0, 3), r(2, 4, 0, 4), r(2, 1, 1, 3)],
+    // A and B on 4 points; A won the meeting although B has the better GD
+    expectedOrder: [1, 2, 3, 4]
+  },
+  {
+    name: 'Three-way mini-table without re-application (La Liga)',
+    preset: 'headToHeadFirst',
+    teams: TEAMS,
+    results: THREE_WAY_TIE,
+    // C top on mini-table goals; A/B still level on the 3-team mini-table → overall GD
+    expectedOrder: [3, 2, 1, 4]
+  },
+  {
+    name: 'Three-way mini-table re-applied to the remaining pair (UEFA)',
+    preset: 'uefaGroupStage',
+    teams: TEAMS,
+    results: THREE_WAY_TIE,
+    // C top on mini-table goals; A/B get their own mini-table → A won 1-0
+    expectedOrder: [3, 1, 2, 4]
+  },
+  {
+    name: 'Three-way tie, goal difference first',
+    preset: 'goalDifferenceFirst',
+    teams: TEAMS,
+    results: THREE_WAY_TIE,
+    // B +3; A and C +1, C scored 4 to A's 3
+    expectedOrder: [2, 3, 1, 4]
+  },
+  {
+    name: 'Fair play splits a pair level on everything else',
+    preset: 'headToHeadFirst',
+    teams: TEAMS.slice(0, 3),
+    results: LEVEL_PAIR.map((m, i) => (i === 0
+      ? { ...m, cards: { home: { yellow: 3 }, away: { yellow: 1 } } }
+      : m)),
+    expectedOrder: [2, 1, 3]
+  },
+  {
+    name: 'Drawing of lots as the last resort (seeded, stable)',
+    preset: 'headToHeadFirst',
+    teams: TEAMS.slice(0, 3),
+    results: LEVEL_PAIR,
+    seed: 'fixture',
+    // Order between A and B depends only on the seed; both rows carry lots: true
+    expectedLots: [1, 2]
+  }
+];
+
+module.exports = {
+  TEAMS,
+  STANDINGS_ENGINE_CASES
+};
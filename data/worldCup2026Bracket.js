@@ -0,0 +1,90 @@
+/**
+ * World Cup 2026 knockout structure (FIFA match numbers 73-104)
+ * Used by services/worldCup2026.js
+ *
+ * Slot codes: '1A' winner of group A, '2B' runner-up of group B,
+ * '3:CEFHI' one of the eight best third-placed teams from those groups,
+ * 'W74' / 'L101' winner / loser of match 74 / 101.
+ */
+
+const GROUPS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L'];
+
+const ROUNDS = [
+  { key: 'round-of-32', name: 'Vòng 1/16', apiRound: 'Round of 32' },
+  { key: 'round-of-16', name: 'Vòng 1/8', apiRound: 'Round of 16' },
+  { key: 'quarter-finals', name: 'Tứ kết', apiRound: 'Quarter-finals' },
+  { key: 'semi-finals', name: 'Bán kết', apiRound: 'Semi-finals' },
+  { key: 'third-place', name: 'Tranh hạng ba', apiRound: '3rd Place Final' },
+  { key: 'final', name: 'Chung kết', apiRound: 'Final' }
+];
+
+const MATCHES = [
+  // Round of 32
+  { match: 73, round: 'round-of-32', home: '2A', away: '2B' },
+  { match: 74, round: 'round-of-32', home: '1E', away: '3:ABCDF' },
+  { match: 75, round: 'round-of-32', home: '1F', away: '2C' },
+  { match: 76, round: 'round-of-32', home: '1C', away: '2F' },
+  { match: 77, round: 'round-of-32', home: '1I', away: '3:CDFGH' },
+  { match: 78, round: 'round-of-32', home: '2E', away: '2I' },
+  { match: 79, round: 'round-of-32', home: '1A', away: '3:CEFHI' },
+  { match: 80, round: 'round-of-32', home: '1L', away: '3:EHIJK' },
+  { match: 81, round: 'round-of-32', home: '1D', away: '3:BEFIJ' },
+  { match: 82, round: 'round-of-32', home: '1G', away: '3:AEHIJ' },
+  { match: 83, round: 'round-of-32', home: '2K', away: '2L' },
+  { match: 84, round: 'round-of-32', home: '1H', away: '2J' },
+  { match: 85, round: 'round-of-32', home: '1B', away: '3:EFGIJ' },
+  { match: 86, round: 'round-of-32', home: '1J', away: '2H' },
+  { match: 87, round: 'round-of-32', home: '1K', away: '3:DEIJL' },
+  { match: 88, round: 'round-of-32', home: '2D', away: '2G' },
+
+  // Round of 16
+  { match: 89, round: 'round-of-16', home: 'W74', away: 'W77' },
+  { match: 90, round: 'round-of-16', home: 'W73', away: 'W75' },
+  { match: 91, round: 'round-of-16', home: 'W76', away: 'W78' },
+  { match: 92, round: 'round-of-16', home: 'W79', away: 'W80' },
+  { match: 93, round: 'round-of-16', home: 'W83', away: 'W84' },
+  { match: 94, round: 'round-of-16', home: 'W81', away: 'W82' },
+  { match: 95, round: 'round-of-16', home: 'W86', away: 'W88' },
+  { match: 96, round: 'round-of-16', home: 'W85', away: 'W87' },
+
+  // Quarter-finals
+  { match: 97, round: 'quarter-finals', home: 'W89', away: 'W90' },
+  { match: 98, round: 'quarter-finals', home: 'W93', away: 'W94' },
+  { match: 99, round: 'quarter-finals', home: 'W91', away: 'W92' },
+  { match: 100, round: 'quarter-finals', home: 'W95', away: 'W96' },
+
+  // Semi-finals, third place, final
+  { match: 101, round: 'semi-finals', home: 'W97', away: 'W98' },
+  { match: 102, round: 'semi-finals', home: 'W99', away: 'W100' },
+  { match: 103, round: 'third-place', home: 'L101', away: 'L102' },
+  { match: 104, round: 'final', home: 'W101', away: 'W102' }
+];
+
+/**
+ * FIFA third-place allocation matrix (regulations, Annex C): the eight
+ * groups whose third-placed teams qualify, sorted ('ABCDEFGH'), → which
+ * group winner each of them meets.
+ *
+ *   'ABCDEFGH': { '1A': 'E', '1B': 'G', ... }
+ *
+ * Combinations listed here are used as-is, provided the row gives every
+ * slot an eligible group of the combination, each group once (rows that do
+ * not are logged and ignored). Any other combination is resolved from the
+ * eligible groups of each slot (MATCHES above), which always has a solution
+ * but may differ from FIFA's pick, so the engine flags it provisional
+ * (thirds.allocationProvisional, provisional slots in the bracket). Once the
+ * real round-of-32 fixtures are published the pairings are read from them
+ * instead.
+ *
+ * Still empty: the 495 rows (every 8-of-12 combination) have to be copied
+ * from the published Annex C table — test/worldCup2026.test.js validates
+ * each row and tracks coverage as a todo until all 495 are in.
+ */
+const THIRD_PLACE_MATRIX = {};
+
+module.exports = {
+  GROUPS,
+  ROUNDS,
+  MATCHES,
+  THIRD_PLACE_MATRIX
+};
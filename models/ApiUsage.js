@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+/**
+ * ApiUsage Model - Daily API-Sports quota ledger, one row per (day, caller)
+ * Written by services/apiSportsGateway.js so we can see which subsystem
+ * (worker, route, generator...) burns the plan quota.
+ */
+
+const apiUsageSchema = new mongoose.Schema({
+  // UTC day (YYYY-MM-DD) — API-Sports resets the daily quota at 00:00 UTC
+  day: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Caller tag, e.g. "worker:live", "route:/api/matches/:id/detail", "news:lineup"
+  caller: {
+    type: String,
+    required: true
+  },
+
+  priority: {
+    type: String,
+    enum: ['critical', 'normal', 'low'],
+    default: 'normal'
+  },
+
+  // Requests actually sent upstream
+  calls: {
+    type: Number,
+    default: 0
+  },
+
+  // Requests refused by the gateway because the budget threshold was hit
+  refused: {
+    type: Number,
+    default: 0
+  },
+
+  // Upstream failures (HTTP errors or a non-empty `errors` body)
+  failures: {
+    type: Number,
+    default: 0
+  },
+
+  lastCallAt: Date
+
+}, {
+  timestamps: true,
+  collection: 'api_usage'
+});
+
+apiUsageSchema.index({ day: 1, caller: 1 }, { unique: true });
+
+// Static methods
+apiUsageSchema.statics = {
+
+  /**
+   * Total upstream calls recorded for a day (all callers, all processes)
+   */
+  async totalForDay(day) {
+    const [row] = await this.aggregate([
+      { $match: { day } },
+      { $group: { _id: null, calls: { $sum: '$calls' } } }
+    ]);
+    return row ? row.calls : 0;
+  },
+
+  /**
+   * Per-day breakdown for the last `days` days, heaviest callers first
+   */
+  async summary(days = 7) {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000)
+      .toISOString().split('T')[0];
+
+    const rows = await this.find({ day: { $gte: since } })
+      .sort({ day: -1, calls: -1 })
+      .lean();
+
+    const byDay = new Map();
+    for (const row of rows) {
+      if (!byDay.has(row.day)) {
+        byDay.set(row.day, { day: row.day, calls: 0, refused: 0, failures: 0, callers: [] });
+      }
+      const entry = byDay.get(row.day);
+      entry.calls += row.calls || 0;
+      entry.refused += row.refused || 0;
+      entry.failures += row.failures || 0;
+      entry.callers.push({
+        caller: row.caller,
+        priority: row.priority,
+        calls: row.calls || 0,
+        refused: row.refused || 0,
+        failures: row.failures || 0,
+        lastCallAt: row.lastCallAt
+      });
+    }
+
+    return Array.from(byDay.values());
+  }
+};
+
+const ApiUsage = mongoose.model('ApiUsage', apiUsageSchema);
+
+module.exports = ApiUsage;
@@ -100,7 +100,7 @@ const ArticleSchema = new mongoose.Schema({
     unique: true,
   },
 
-  // Generic dedup for data-derived news (suspension/injury/lineup/streak/milestone/topscorer-race).
+  // Generic dedup for data-derived news (suspension/injury/lineup/streak/milestone/topscorer-race/upset).
   // Format example: "suspension-{playerId}-{leagueId}-{season}-{round}".
   // Sparse + unique so each event triggers at most one article.
   metadata: {
@@ -112,7 +112,7 @@ const ArticleSchema = new mongoose.Schema({
     },
     type: {
       type: String,
-      enum: ['suspension', 'injury', 'lineup', 'form-streak', 'milestone', 'topscorer-race'],
+      enum: ['suspension', 'injury', 'lineup', 'form-streak', 'milestone', 'topscorer-race', 'upset'],
       index: true,
     },
   },
@@ -52,6 +52,13 @@ const AutoArticleSchema = new mongoose.Schema({
   imageReviewed:   { type: Boolean, default: false, index: true },
   reviewedAt:      { type: Date,    default: null },
 
+  // Set by services/fixtureChanges.js when the match was rescheduled,
+  // postponed, cancelled or moved after generation; cleared once an editor
+  // re-reviews the content (routes/adminArticles.js).
+  needsAttention:  { type: Boolean, default: false, index: true },
+  attentionReason: { type: String,  default: null },
+  attentionAt:     { type: Date,    default: null },
+
   views: {
     type: Number,
     default: 0,
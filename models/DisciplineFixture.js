@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * DisciplineFixture Model - Card log of one finished fixture in a
+ * competition tracked by services/discipline.js
+ * Written once per fixture; player tallies are rebuilt from these rows so
+ * a rule change never needs the API again.
+ */
+
+const cardSchema = new mongoose.Schema({
+  playerId: Number,
+  playerName: String,
+  teamId: Number,
+  minute: Number,
+  // yellow | second_yellow | red
+  type: String
+}, { _id: false });
+
+const disciplineFixtureSchema = new mongoose.Schema({
+  fixtureId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+
+  leagueId: { type: Number, required: true },
+  season: { type: Number, required: true },
+  round: String,
+  date: Date,
+
+  homeTeam: { id: Number, name: String, logo: String },
+  awayTeam: { id: Number, name: String, logo: String },
+
+  cards: [cardSchema]
+
+}, {
+  timestamps: true,
+  collection: 'discipline_fixtures'
+});
+
+disciplineFixtureSchema.index({ leagueId: 1, season: 1, date: 1 });
+
+const DisciplineFixture = mongoose.model('DisciplineFixture', disciplineFixtureSchema);
+
+module.exports = DisciplineFixture;
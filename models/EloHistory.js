@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * EloHistory Model - One row per team per rated fixture
+ * The unique (teamId, fixtureId) index is what stops a fixture being
+ * applied twice when several PM2 instances run the incremental update.
+ */
+
+const eloHistorySchema = new mongoose.Schema({
+  teamId: {
+    type: Number,
+    required: true
+  },
+
+  fixtureId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+
+  date: {
+    type: Date,
+    required: true
+  },
+
+  leagueId: Number,
+  leagueName: String,
+
+  opponentId: Number,
+  opponentName: String,
+  home: Boolean,
+  goalsFor: Number,
+  goalsAgainst: Number,
+
+  ratingBefore: Number,
+  ratingAfter: Number,
+  change: Number,
+  expected: Number,     // win expectancy before the match (0-1)
+
+  // Won with win expectancy below ELO_UPSET_THRESHOLD
+  upset: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+
+  // Full recompute that last wrote the row; rows of older runs are pruned
+  recomputeRun: {
+    type: String,
+    index: true
+  }
+
+}, {
+  timestamps: true,
+  collection: 'elo_history'
+});
+
+eloHistorySchema.index({ teamId: 1, fixtureId: 1 }, { unique: true });
+eloHistorySchema.index({ teamId: 1, date: -1 });
+
+// Static methods
+eloHistorySchema.statics = {
+
+  /**
+   * Rating timeline for a team, oldest first
+   */
+  async forTeam(teamId, limit = 100) {
+    const rows = await this.find({ teamId })
+      .sort({ date: -1 })
+      .limit(limit)
+      .lean();
+    return rows.reverse();
+  },
+
+  /**
+   * Recent upsets (for news), newest first
+   */
+  async recentUpsets(since, limit = 20) {
+    return this.find({ upset: true, date: { $gte: since } })
+      .sort({ date: -1 })
+      .limit(limit)
+      .lean();
+  }
+};
+
+const EloHistory = mongoose.model('EloHistory', eloHistorySchema);
+
+module.exports = EloHistory;
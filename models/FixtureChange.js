@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * FixtureChange Model - A fixture rescheduled, postponed, cancelled or moved
+ * to another venue, as detected by services/fixtureChanges.js. Listed for
+ * editors at /api/admin/fixture-changes; `affected` counts the caches
+ * refreshed and the articles flagged for attention.
+ */
+
+const teamSchema = new mongoose.Schema({
+  id: Number,
+  name: String
+}, { _id: false });
+
+const fixtureChangeSchema = new mongoose.Schema({
+  // <fixtureId>:<type>:<new value> — one event per change even when several
+  // PM2 instances detect it
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  fixtureId: { type: Number, required: true },
+  type: {
+    type: String,
+    enum: ['rescheduled', 'postponed', 'cancelled', 'venue_changed'],
+    required: true
+  },
+
+  leagueId: Number,
+  leagueName: String,
+  round: String,
+  homeTeam: teamSchema,
+  awayTeam: teamSchema,
+
+  // kickoff (ISO) / status / venue name before and after
+  from: String,
+  to: String,
+  kickoff: Date,             // kickoff after the change
+
+  source: String,            // worker | odds-sync
+  detectedAt: { type: Date, default: Date.now },
+
+  affected: {
+    odds: { type: Number, default: 0 },
+    soiKeoArticles: { type: Number, default: 0 },
+    autoArticles: { type: Number, default: 0 }
+  },
+
+  acknowledged: { type: Boolean, default: false },
+  acknowledgedAt: Date
+
+}, {
+  timestamps: true,
+  collection: 'fixture_changes'
+});
+
+fixtureChangeSchema.index({ detectedAt: -1 });
+fixtureChangeSchema.index({ fixtureId: 1, detectedAt: -1 });
+fixtureChangeSchema.index({ acknowledged: 1, detectedAt: -1 });
+
+const FixtureChange = mongoose.model('FixtureChange', fixtureChangeSchema);
+
+module.exports = FixtureChange;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * FixtureState Model - Last known schedule of a fixture
+ * services/fixtureChanges.js compares every fixture the worker and the odds
+ * sync pull against its row here; a moved kickoff, a PST/CANC status or a
+ * new venue becomes a FixtureChange.
+ */
+
+const fixtureStateSchema = new mongoose.Schema({
+  fixtureId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+
+  leagueId: Number,
+  round: String,
+  kickoff: Date,
+  status: String,            // API-Sports short status (NS, TBD, PST, CANC, ...)
+  venue: {
+    id: Number,
+    name: String
+  },
+  seenAt: Date
+
+}, {
+  timestamps: true,
+  collection: 'fixture_states'
+});
+
+// Finished fixtures are never compared again
+fixtureStateSchema.index({ kickoff: 1 }, { expireAfterSeconds: 60 * 24 * 60 * 60 });
+
+const FixtureState = mongoose.model('FixtureState', fixtureStateSchema);
+
+module.exports = FixtureState;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * GoalTimeline Model - Scores and goal minutes of one finished fixture
+ * Logged once by services/teamPatterns.js; team profiles (goal timing,
+ * first goal, comebacks, scorelines) are computed from these rows on read.
+ */
+
+const goalSchema = new mongoose.Schema({
+  minute: Number,            // elapsed, 45 / 90 for stoppage time
+  extra: Number,             // stoppage minutes (45+2 → minute 45, extra 2)
+  teamId: Number,            // team credited with the goal (own goals included)
+  // normal | penalty | own
+  type: String
+}, { _id: false });
+
+const scoreSchema = new mongoose.Schema({
+  home: Number,
+  away: Number
+}, { _id: false });
+
+const goalTimelineSchema = new mongoose.Schema({
+  fixtureId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+
+  leagueId: { type: Number, required: true },
+  season: { type: Number, required: true },
+  date: Date,
+
+  homeTeam: { id: Number, name: String },
+  awayTeam: { id: Number, name: String },
+
+  halftime: scoreSchema,
+  fulltime: scoreSchema,     // after 90 minutes, extra time excluded
+
+  goals: [goalSchema],       // regulation and extra time, no shoot-out
+  // false when the events don't add up to the score (timing stats skip it)
+  goalsComplete: Boolean
+
+}, {
+  timestamps: true,
+  collection: 'goal_timelines'
+});
+
+goalTimelineSchema.index({ 'homeTeam.id': 1, date: -1 });
+goalTimelineSchema.index({ 'awayTeam.id': 1, date: -1 });
+goalTimelineSchema.index({ leagueId: 1, season: 1 });
+
+const GoalTimeline = mongoose.model('GoalTimeline', goalTimelineSchema);
+
+module.exports = GoalTimeline;
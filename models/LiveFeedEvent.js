@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * LiveFeedEvent Model - Per-fixture live score deltas for the SSE stream
+ * Written by services/liveFeed.js (from MatchCacheWorker.refreshLiveMatches),
+ * tailed by every server instance so a client connected to any PM2 process
+ * receives the same stream. The ObjectId doubles as the SSE event id.
+ */
+
+const liveFeedEventSchema = new mongoose.Schema({
+  fixtureId: {
+    type: Number,
+    required: true
+  },
+
+  leagueId: {
+    type: Number,
+    index: true
+  },
+
+  // added   - fixture entered the live feed (kick-off)
+  // update  - score / status / minute / new events changed
+  // removed - fixture left the live feed (full time, abandoned...)
+  type: {
+    type: String,
+    enum: ['added', 'update', 'removed'],
+    required: true
+  },
+
+  // Only the fields that changed (update) or the full fixture state (added/removed)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 2 * 60 * 60 // Resume window: Last-Event-ID older than 2h gets a fresh snapshot
+  }
+}, {
+  collection: 'live_feed_events'
+});
+
+const LiveFeedEvent = mongoose.model('LiveFeedEvent', liveFeedEventSchema);
+
+module.exports = LiveFeedEvent;
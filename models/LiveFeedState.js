@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * LiveFeedState Model - Single control document for the live SSE feed
+ *
+ * Every PM2 instance runs MatchCacheWorker, but only the lease holder diffs
+ * and publishes LiveFeedEvents. The document also holds the fixture state the
+ * last diff was computed against, which is what new clients receive as their
+ * initial snapshot (tagged with lastEventId so they can resume from it).
+ */
+
+const liveFeedStateSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: 'live'
+  },
+
+  // "<hostname>:<pid>" of the instance allowed to publish
+  holder: String,
+
+  leaseUntil: {
+    type: Date,
+    default: () => new Date(0)
+  },
+
+  // fixtureId -> compact fixture state (see services/liveFeed.js#toFeedState)
+  fixtures: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Id of the last LiveFeedEvent already reflected in `fixtures`
+  lastEventId: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  collection: 'live_feed_state'
+});
+
+const LiveFeedState = mongoose.model('LiveFeedState', liveFeedStateSchema);
+
+module.exports = LiveFeedState;
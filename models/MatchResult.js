@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * MatchResult Model - Permanent archive of one finished fixture
+ * Unlike MatchCache (TTL on expiresAt) and CachedMatch (live/hot snapshots)
+ * rows never expire. Written by services/resultsArchive.js when the worker
+ * sees a match reach FT/AET/PEN, by the daily sweep and by the admin
+ * backfill; H2H, form, Elo, referee and season-archive readers query it
+ * before API-Sports.
+ *
+ * events / statistics / lineups are kept exactly as API-Sports sends them
+ * (/fixtures?ids=). Rows stored from list endpoints (H2H, team form, league
+ * season) carry the score only until the details are fetched.
+ */
+
+const scoreSchema = new mongoose.Schema({
+  home: Number,
+  away: Number
+}, { _id: false });
+
+const teamSchema = new mongoose.Schema({
+  id: Number,
+  name: String,
+  logo: String,
+  winner: Boolean
+}, { _id: false });
+
+const matchResultSchema = new mongoose.Schema({
+  fixtureId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+
+  leagueId: { type: Number, required: true },
+  leagueName: String,
+  leagueLogo: String,
+  country: String,
+  season: Number,
+  round: String,
+
+  date: { type: Date, required: true },
+  // FT | AET | PEN
+  status: String,
+  referee: String,
+  venue: {
+    id: Number,
+    name: String,
+    city: String
+  },
+
+  homeTeam: teamSchema,
+  awayTeam: teamSchema,
+
+  goals: scoreSchema,
+  score: {
+    halftime: scoreSchema,
+    fulltime: scoreSchema,
+    extratime: scoreSchema,
+    penalty: scoreSchema
+  },
+
+  // Raw API-Sports arrays, empty until the details are fetched
+  events: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  statistics: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  lineups: { type: [mongoose.Schema.Types.Mixed], default: [] },
+
+  detailsFetchedAt: Date,
+  // both teams' statistics and lineups present
+  detailsComplete: { type: Boolean, default: false },
+
+  // worker | sweep | backfill | h2h | form | season | date
+  source: String,
+  archivedAt: Date
+
+}, {
+  timestamps: true,
+  collection: 'match_results'
+});
+
+matchResultSchema.index({ 'homeTeam.id': 1, date: -1 });
+matchResultSchema.index({ 'awayTeam.id': 1, date: -1 });
+matchResultSchema.index({ leagueId: 1, season: 1, date: 1 });
+matchResultSchema.index({ date: 1, detailsComplete: 1 });
+matchResultSchema.index({ archivedAt: 1 });
+
+const MatchResult = mongoose.model('MatchResult', matchResultSchema);
+
+module.exports = MatchResult;
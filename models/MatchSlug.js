@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * MatchSlug Model - Readable match URL → API-Sports fixture ID
+ * Written by services/matchSlugs.js whenever the worker or the odds sync
+ * sees a fixture: one row per slug form (utils/matchSlug.js). When a
+ * kickoff is rescheduled or a team renamed, the new slugs become canonical
+ * and the old rows stay behind as aliases, so old URLs keep resolving.
+ */
+
+const matchSlugSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  fixtureId: { type: Number, required: true },
+
+  // readable (-HHhMM-ngay-DD-MM-YYYY) | timestamp (-<ms>) | alias (a
+  // requested slug resolved through the API fallback)
+  kind: String,
+  // false once the fixture has newer slugs (rescheduled / renamed)
+  canonical: { type: Boolean, default: true },
+
+  kickoff: Date,             // kickoff the slug was built from
+  homeSlug: String,          // utils/matchSlug.js normaliseTeamName()
+  awaySlug: String,
+  leagueId: Number
+
+}, {
+  timestamps: true,
+  collection: 'match_slugs'
+});
+
+matchSlugSchema.index({ fixtureId: 1, canonical: 1 });
+matchSlugSchema.index({ kickoff: 1 });
+
+const MatchSlug = mongoose.model('MatchSlug', matchSlugSchema);
+
+module.exports = MatchSlug;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * OddsSnapshot Model - Append-only odds line history
+ *
+ * The Odds collection is a cache: bookmakers are overwritten on every sync
+ * and the document expires. A row here is written only when a market's
+ * values change (see services/oddsHistory.js), so the collection is the
+ * line-movement record editors cite ("AH moved from -0.5 to -0.75").
+ */
+
+const snapshotValueSchema = new mongoose.Schema({
+  value: { type: String, required: true }, // "Home -0.5", "Over 2.5"
+  odd: { type: String, required: true }    // "1.92"
+}, { _id: false });
+
+const oddsSnapshotSchema = new mongoose.Schema({
+  fixtureId: {
+    type: Number,
+    required: true
+  },
+
+  leagueId: Number,
+
+  // Kick-off, so retention can tell pre-match ticks from the closing line
+  matchDate: Date,
+
+  bookmakerId: {
+    type: Number,
+    required: true
+  },
+
+  bookmakerName: String,
+
+  // Frontend bet type from utils/transformers.js#mapBetType ("asian_handicap")
+  market: {
+    type: String,
+    required: true
+  },
+
+  // API-Sports bet name ("Asian Handicap")
+  betName: String,
+
+  values: [snapshotValueSchema],
+
+  // Fingerprint of `values`, compared against the previous row
+  hash: {
+    type: String,
+    required: true
+  },
+
+  // Who observed the change: "odds-sync", "worker:hot-odds", "on-demand"
+  source: String,
+
+  // tick until retention thins the fixture; the survivors become the
+  // market's opening and closing (last pre-kick-off) lines
+  kind: {
+    type: String,
+    enum: ['tick', 'opening', 'closing'],
+    default: 'tick'
+  },
+
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'odds_snapshots'
+});
+
+oddsSnapshotSchema.index({ fixtureId: 1, bookmakerId: 1, market: 1, capturedAt: 1 });
+oddsSnapshotSchema.index({ kind: 1, matchDate: 1 });
+
+const OddsSnapshot = mongoose.model('OddsSnapshot', oddsSnapshotSchema);
+
+module.exports = OddsSnapshot;
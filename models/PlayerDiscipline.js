@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * PlayerDiscipline Model - Card tally and suspensions of one player in one
+ * competition season. Rebuilt by services/discipline.js from
+ * DisciplineFixture rows on every sync.
+ */
+
+const suspensionSchema = new mongoose.Schema({
+  // yellow_accumulation | second_yellow | red_card
+  reason: String,
+  fixtureId: Number,         // fixture the ban was earned in
+  date: Date,
+  games: Number,
+  minimum: Boolean,          // red cards: actual length set by the disciplinary panel
+  served: Number,
+  pending: Number,
+  servedIn: [Number],        // fixtureIds missed
+  coversFixtures: [Number]   // scheduled fixtureIds the pending games fall on
+}, { _id: false });
+
+const playerDisciplineSchema = new mongoose.Schema({
+  leagueId: { type: Number, required: true },
+  season: { type: Number, required: true },
+  playerId: { type: Number, required: true },
+  playerName: String,
+
+  // Latest club in this competition
+  teamId: Number,
+  teamName: String,
+
+  yellows: { type: Number, default: 0 },       // counting towards the next threshold
+  totalYellows: { type: Number, default: 0 },  // whole season, resets ignored
+  secondYellows: { type: Number, default: 0 },
+  reds: { type: Number, default: 0 },
+
+  suspensions: [suspensionSchema],
+  pendingGames: { type: Number, default: 0 },
+
+  // Next yellow-card ban: { yellows, games } (null when none can be reached)
+  nextThreshold: {
+    yellows: Number,
+    games: Number
+  },
+  atRisk: { type: Boolean, default: false },
+
+  lastCardAt: Date
+
+}, {
+  timestamps: true,
+  collection: 'player_discipline'
+});
+
+playerDisciplineSchema.index({ leagueId: 1, season: 1, playerId: 1 }, { unique: true });
+playerDisciplineSchema.index({ teamId: 1, season: 1 });
+
+const PlayerDiscipline = mongoose.model('PlayerDiscipline', playerDisciplineSchema);
+
+module.exports = PlayerDiscipline;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * PlayerMatchRating Model - One player's API-Sports rating and key stats
+ * in one finished fixture of an allowed league
+ * Source: /fixtures/players (or the `players` block of /fixtures?ids=).
+ * Feeds services/teamOfTheWeek.js.
+ */
+
+const playerMatchRatingSchema = new mongoose.Schema({
+  fixtureId: { type: Number, required: true },
+  playerId: { type: Number, required: true },
+  playerName: String,
+  photo: String,
+
+  leagueId: Number,
+  season: Number,
+  round: String,             // API-Sports league.round, e.g. "Regular Season - 12"
+  date: Date,
+
+  teamId: Number,
+  teamName: String,
+
+  position: String,          // G | D | M | F
+  minutes: Number,
+  rating: Number,
+  captain: Boolean,
+  substitute: Boolean,
+
+  goals: Number,
+  assists: Number,
+  conceded: Number,
+  saves: Number,
+  shotsOnTarget: Number,
+  keyPasses: Number,
+  passAccuracy: Number,      // %
+  tackles: Number,
+  interceptions: Number,
+  duelsWon: Number,
+  dribblesSuccess: Number,
+  yellowCards: Number,
+  redCards: Number
+
+}, {
+  timestamps: true,
+  collection: 'player_match_ratings'
+});
+
+playerMatchRatingSchema.index({ fixtureId: 1, playerId: 1 }, { unique: true });
+playerMatchRatingSchema.index({ leagueId: 1, season: 1, round: 1 });
+playerMatchRatingSchema.index({ playerId: 1, date: -1 });
+
+const PlayerMatchRating = mongoose.model('PlayerMatchRating', playerMatchRatingSchema);
+
+module.exports = PlayerMatchRating;
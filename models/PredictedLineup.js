@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * PredictedLineup Model - Probable XIs of one fixture and, once published,
+ * the official ones with how many starters the prediction got right.
+ * The prediction is frozen when the official lineups arrive.
+ */
+
+const slotSchema = new mongoose.Schema({
+  grid: String,              // API-Sports "row:col", null without grid data
+  pos: String,               // G | D | M | F
+  playerId: Number,
+  name: String,
+  number: Number,
+  confidence: Number,        // 0..1
+  alternatives: [{ _id: false, playerId: Number, name: String, confidence: Number }]
+}, { _id: false });
+
+const sideSchema = new mongoose.Schema({
+  teamId: Number,
+  teamName: String,
+  formation: String,
+  formationConfidence: Number,
+  slots: [slotSchema],
+  excluded: [{ _id: false, playerId: Number, name: String, status: String }],
+  basedOn: [{ _id: false, fixtureId: Number, date: Date, leagueId: Number, formation: String, weight: Number }]
+}, { _id: false });
+
+const officialSchema = new mongoose.Schema({
+  formation: String,
+  starters: [Number]
+}, { _id: false });
+
+const accuracySchema = new mongoose.Schema({
+  correct: Number,           // predicted starters who started
+  formation: Boolean         // formation matched
+}, { _id: false });
+
+const predictedLineupSchema = new mongoose.Schema({
+  fixtureId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  leagueId: Number,
+  season: Number,
+  kickoff: Date,
+
+  home: sideSchema,
+  away: sideSchema,
+  predictedAt: Date,
+
+  official: {
+    home: officialSchema,
+    away: officialSchema
+  },
+  accuracy: {
+    home: accuracySchema,
+    away: accuracySchema,
+    overall: Number          // correct starters / 22
+  },
+  evaluatedAt: Date
+
+}, {
+  timestamps: true,
+  collection: 'predicted_lineups'
+});
+
+predictedLineupSchema.index({ kickoff: 1, evaluatedAt: 1 });
+predictedLineupSchema.index({ leagueId: 1, evaluatedAt: -1 });
+
+const PredictedLineup = mongoose.model('PredictedLineup', predictedLineupSchema);
+
+module.exports = PredictedLineup;
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+/**
+ * PredictionModel Model - Fitted Dixon-Coles parameters, one row per (league, version)
+ * Written nightly by services/matchPrediction.js. Old versions are kept so
+ * predictions and hold-out metrics can be compared across refits.
+ */
+
+const teamRatingSchema = new mongoose.Schema({
+  teamId: Number,
+  name: String,
+  attack: Number,     // > 1 scores more than the league average
+  defence: Number,    // > 1 concedes more than the league average
+  matches: Number     // results the rating was fitted on
+}, { _id: false });
+
+const predictionModelSchema = new mongoose.Schema({
+  leagueId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+
+  leagueName: String,
+
+  // 1, 2, 3... per league
+  version: {
+    type: Number,
+    required: true
+  },
+
+  algorithm: {
+    type: String,
+    default: 'dixon-coles'
+  },
+
+  fittedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // λ_home = baseRate · homeAdvantage · attack_home · defence_away
+  // λ_away = baseRate · attack_away · defence_home
+  params: {
+    baseRate: Number,
+    homeAdvantage: Number,
+    rho: Number,           // Dixon-Coles low-score correction
+    decayPerDay: Number,   // ξ, time-decay weight exp(-ξ·days)
+    prior: Number          // pseudo-matches shrinking ratings towards 1
+  },
+
+  teams: [teamRatingSchema],
+
+  // Training data
+  sampleSize: Number,
+  dataFrom: Date,
+  dataTo: Date,
+  sources: {
+    matchCache: Number,
+    recentMatches: Number
+  },
+
+  // 1X2 scores on the most recent results, held out of a preliminary fit
+  metrics: {
+    holdout: Number,
+    logLoss: Number,
+    brier: Number,
+    accuracy: Number
+  }
+
+}, {
+  timestamps: true,
+  collection: 'prediction_models'
+});
+
+// Concurrent refits (one per PM2 instance) collide here; the loser skips.
+predictionModelSchema.index({ leagueId: 1, version: -1 }, { unique: true });
+
+// Static methods
+predictionModelSchema.statics = {
+
+  /**
+   * Latest version for a league, or a specific version when given
+   */
+  async findForLeague(leagueId, version = null) {
+    const query = { leagueId };
+    if (version) query.version = version;
+    return this.findOne(query).sort({ version: -1 }).lean();
+  },
+
+  /**
+   * Version history for a league (no team ratings), newest first
+   */
+  async listVersions(leagueId, limit = 20) {
+    return this.find({ leagueId })
+      .select('-teams')
+      .sort({ version: -1 })
+      .limit(limit)
+      .lean();
+  },
+
+  /**
+   * Latest version of every league, without team ratings
+   */
+  async latestPerLeague() {
+    return this.aggregate([
+      { $sort: { leagueId: 1, version: -1 } },
+      { $group: { _id: '$leagueId', model: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$model' } },
+      { $project: { teams: 0 } },
+      { $sort: { leagueId: 1 } }
+    ]);
+  }
+};
+
+const PredictionModel = mongoose.model('PredictionModel', predictionModelSchema);
+
+module.exports = PredictionModel;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * RefereeMatch Model - One row per finished fixture with a known referee
+ * Copied out of the results archive (MatchResult) or MatchCache (which
+ * expires after 30 days) so referee statistics keep their history. Keyed
+ * by fixtureId; re-syncing a fixture overwrites its row.
+ */
+
+const sideCardsSchema = new mongoose.Schema({
+  yellow: { type: Number, default: 0 },
+  secondYellow: { type: Number, default: 0 },
+  red: { type: Number, default: 0 }
+}, { _id: false });
+
+const refereeMatchSchema = new mongoose.Schema({
+  fixtureId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+
+  // utils/refereeName.js → parseRefereeName().key
+  refereeKey: {
+    type: String,
+    required: true
+  },
+  refereeName: String,       // as sent, country stripped
+  refereeCountry: String,
+
+  leagueId: Number,
+  leagueName: String,
+  season: Number,
+  date: Date,
+
+  homeTeam: { id: Number, name: String },
+  awayTeam: { id: Number, name: String },
+  score: String,
+
+  cards: {
+    home: sideCardsSchema,
+    away: sideCardsSchema
+  },
+
+  // In-game penalties awarded (shoot-outs excluded); null without events
+  penalties: {
+    home: Number,
+    away: Number
+  },
+
+  // From match statistics; null when the fixture had none
+  fouls: {
+    home: Number,
+    away: Number
+  },
+
+  hasEvents: Boolean,
+  sourceUpdatedAt: Date      // MatchResult.detailsFetchedAt / MatchCache.lastUpdated at sync time
+
+}, {
+  timestamps: true,
+  collection: 'referee_matches'
+});
+
+refereeMatchSchema.index({ refereeKey: 1, date: -1 });
+refereeMatchSchema.index({ leagueId: 1, season: 1 });
+refereeMatchSchema.index({ sourceUpdatedAt: -1 });
+
+const RefereeMatch = mongoose.model('RefereeMatch', refereeMatchSchema);
+
+module.exports = RefereeMatch;
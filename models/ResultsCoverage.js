@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * ResultsCoverage Model - What the results archive is known to hold
+ * One row per API-Sports query services/resultsArchive.js has mirrored into
+ * MatchResult, so readers can answer from the archive without asking the
+ * API whether anything is missing:
+ *
+ *   h2h:<lowId>-<highId>     head-to-head of a pair, `depth` most recent
+ *   team:<teamId>            a team's `depth` most recent results
+ *   season:<league>:<year>   every fixture of a league season (complete once all are played)
+ *   date:<YYYY-MM-DD>        every allowed-league fixture of a UTC day (complete once all are played)
+ */
+
+const resultsCoverageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  syncedAt: Date,
+  depth: Number,
+  // no fixture of the query is left to be played
+  complete: { type: Boolean, default: false },
+  fixtures: Number           // finished fixtures stored by the last sync
+
+}, {
+  timestamps: true,
+  collection: 'results_coverage'
+});
+
+const ResultsCoverage = mongoose.model('ResultsCoverage', resultsCoverageSchema);
+
+module.exports = ResultsCoverage;
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+/**
+ * SeasonProjection Model - Monte Carlo end-of-season table (services/seasonProjections.js)
+ * One document per league, season and matchday. `signature` identifies the
+ * finished fixtures the run was based on; the unique index lets only one
+ * PM2 instance store a given matchday.
+ */
+
+const projectedTeamSchema = new mongoose.Schema({
+  teamId: Number,
+  name: String,
+  logo: String,
+
+  // Table at simulation time
+  rank: Number,
+  points: Number,
+  played: Number,
+  goalsDiff: Number,
+
+  expectedPoints: Number,
+  expectedRank: Number,
+  pointsRange: {
+    p10: Number,
+    p50: Number,
+    p90: Number
+  },
+  // [{ points, probability }], ascending points
+  pointsDistribution: [{
+    _id: false,
+    points: Number,
+    probability: Number
+  }],
+  // positions[i] = probability of finishing (i + 1)th
+  positions: [Number],
+
+  title: Number,
+  top4: Number,
+  europe: Number,       // null when the league has no continental places
+  relegation: Number    // null when the league has no relegation
+}, { _id: false });
+
+const seasonProjectionSchema = new mongoose.Schema({
+  leagueId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  leagueName: String,
+  season: {
+    type: Number,
+    required: true
+  },
+
+  // `${finished fixtures}:${latest finished fixture id}`
+  signature: {
+    type: String,
+    required: true
+  },
+  round: String,        // round of the latest finished fixture
+
+  computedAt: {
+    type: Date,
+    default: Date.now
+  },
+  simulations: Number,
+  finishedFixtures: Number,
+  remainingFixtures: Number,
+
+  // Where the per-match probabilities came from
+  probabilitySource: {
+    model: Number,      // Dixon-Coles fixtures
+    elo: Number,        // Elo fallback fixtures
+    modelVersion: Number
+  },
+
+  // Table positions (1-based) of each zone, from the API standings descriptions
+  zones: {
+    europe: [Number],
+    relegation: [Number]
+  },
+
+  teams: [projectedTeamSchema]
+
+}, {
+  timestamps: true,
+  collection: 'season_projections'
+});
+
+seasonProjectionSchema.index({ leagueId: 1, season: 1, signature: 1 }, { unique: true });
+seasonProjectionSchema.index({ leagueId: 1, computedAt: -1 });
+
+// Static methods
+seasonProjectionSchema.statics = {
+
+  /**
+   * Latest projection of a league (optionally for one season)
+   */
+  async latestFor(leagueId, season = null) {
+    const query = season ? { leagueId, season } : { leagueId };
+    return this.findOne(query).sort({ computedAt: -1 }).lean();
+  },
+
+  /**
+   * Leagues that have been projected at least once
+   */
+  async trackedLeagueIds() {
+    return this.distinct('leagueId');
+  }
+};
+
+const SeasonProjection = mongoose.model('SeasonProjection', seasonProjectionSchema);
+
+module.exports = SeasonProjection;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * TeamAvailability Model - Squad availability inputs of one club
+ * Updated incrementally by services/teamAvailability.js from the injury
+ * cron (injury lists, recent lineups, squad). The player status itself is
+ * decided at read time, together with suspensions from services/discipline.js.
+ */
+
+const injurySchema = new mongoose.Schema({
+  type: String,              // API-Sports: 'Missing Fixture' | 'Questionable'
+  reason: String,
+  fixtureId: Number,         // next fixture the player is listed for
+  fixtureDate: Date,
+  firstListedAt: Date,
+  lastListedAt: Date
+}, { _id: false });
+
+const playerSchema = new mongoose.Schema({
+  playerId: { type: Number, required: true },
+  name: String,
+  photo: String,
+  position: String,
+  number: Number,
+  inSquad: Boolean,          // in the last /players/squads response
+
+  injury: injurySchema,      // null when not on the latest injury list
+  // First published fixture the player is no longer listed for
+  expectedReturn: Date,
+
+  lastStart: { fixtureId: Number, date: Date }
+}, { _id: false });
+
+const lineupFixtureSchema = new mongoose.Schema({
+  fixtureId: Number,
+  date: Date,
+  starters: [Number]
+}, { _id: false });
+
+const teamAvailabilitySchema = new mongoose.Schema({
+  teamId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  teamName: String,
+
+  players: [playerSchema],
+  // Most recent processed lineups, newest first
+  lineupFixtures: [lineupFixtureSchema],
+
+  injuriesUpdatedAt: Date,
+  lineupsUpdatedAt: Date,
+  squadUpdatedAt: Date
+
+}, {
+  timestamps: true,
+  collection: 'team_availability'
+});
+
+const TeamAvailability = mongoose.model('TeamAvailability', teamAvailabilitySchema);
+
+module.exports = TeamAvailability;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * TeamElo Model - Current Elo rating per team (services/eloRatings.js)
+ * One shared pool across every allowed competition, so a Premier League
+ * side and a V.League side are on the same scale. Linked to Team by teamId.
+ */
+
+const teamEloSchema = new mongoose.Schema({
+  teamId: {
+    type: Number,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  name: String,
+  slug: String,     // Team.slug when the team is synced
+  logo: String,
+
+  // Domestic league of the team's latest league match (cups don't change it)
+  leagueId: {
+    type: Number,
+    index: true
+  },
+  leagueName: String,
+
+  rating: {
+    type: Number,
+    required: true,
+    index: true
+  },
+
+  peak: Number,
+  peakAt: Date,
+  matches: {
+    type: Number,
+    default: 0
+  },
+
+  lastFixtureId: Number,
+  lastMatchAt: Date,
+
+  // Full recompute that last wrote the row; rows of older runs are pruned
+  recomputeRun: String
+
+}, {
+  timestamps: true,
+  collection: 'team_elo'
+});
+
+teamEloSchema.index({ leagueId: 1, rating: -1 });
+
+// Static methods
+teamEloSchema.statics = {
+
+  /**
+   * Ratings by teamId for a list of teams
+   * @returns {Promise<Map<number, number>>}
+   */
+  async ratingsFor(teamIds) {
+    const rows = await this.find({ teamId: { $in: teamIds } }).select('teamId rating').lean();
+    return new Map(rows.map(r => [r.teamId, r.rating]));
+  },
+
+  /**
+   * Ranking, optionally limited to one domestic league
+   */
+  async ranking({ leagueId = null, limit = 50, offset = 0 } = {}) {
+    const query = leagueId ? { leagueId } : {};
+    const [items, total] = await Promise.all([
+      this.find(query).sort({ rating: -1 }).skip(offset).limit(limit).lean(),
+      this.countDocuments(query)
+    ]);
+    return { items, total };
+  }
+};
+
+const TeamElo = mongoose.model('TeamElo', teamEloSchema);
+
+module.exports = TeamElo;
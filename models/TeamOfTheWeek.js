@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * TeamOfTheWeek Model - Best-rated XI of one league round
+ * Built by services/teamOfTheWeek.js from PlayerMatchRating rows; rebuilt
+ * until every fixture of the round has been played.
+ */
+
+const pickSchema = new mongoose.Schema({
+  line: String,              // G | D | M | F
+  playerId: Number,
+  playerName: String,
+  photo: String,
+  teamId: Number,
+  teamName: String,
+  fixtureId: Number,
+  rating: Number,
+  minutes: Number,
+  goals: Number,
+  assists: Number,
+  saves: Number,
+  conceded: Number
+}, { _id: false });
+
+const teamOfTheWeekSchema = new mongoose.Schema({
+  leagueId: { type: Number, required: true },
+  season: { type: Number, required: true },
+  round: { type: String, required: true },
+  roundNumber: Number,       // trailing number of `round`, for sorting
+
+  formation: String,         // e.g. "4-3-3"
+  players: [pickSchema],
+  playerOfTheRound: pickSchema,
+  averageRating: Number,
+
+  fixtures: Number,          // rated fixtures the XI was picked from
+  lastMatchDate: Date,
+  complete: Boolean,         // every fixture of the round played
+  generatedAt: Date
+
+}, {
+  timestamps: true,
+  collection: 'team_of_the_week'
+});
+
+teamOfTheWeekSchema.index({ leagueId: 1, season: 1, round: 1 }, { unique: true });
+teamOfTheWeekSchema.index({ leagueId: 1, season: 1, lastMatchDate: -1 });
+
+const TeamOfTheWeek = mongoose.model('TeamOfTheWeek', teamOfTheWeekSchema);
+
+module.exports = TeamOfTheWeek;
@@ -0,0 +1,41 @@
+/**
+ * Admin API-Sports quota ledger.
+ *
+ *   GET /api/admin/api-usage?days=7
+ *
+ * Returns the live quota snapshot from the gateway (last seen
+ * x-ratelimit headers + budget thresholds) and the per-day, per-caller
+ * ledger from the ApiUsage collection, heaviest callers first.
+ * Replaces running check-api-plan.js by hand.
+ */
+
+const express = require('express');
+const ApiUsage = require('../models/ApiUsage');
+const apiSports = require('../services/apiSportsGateway');
+const { requireAdmin } = require('./adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get('/', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+
+    // Push this process's buffered counters first so today's row is current.
+    await apiSports.flush();
+    const ledger = await ApiUsage.summary(days);
+
+    res.json({
+      success: true,
+      data: {
+        ...apiSports.getStatus(),
+        days: ledger
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
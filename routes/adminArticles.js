@@ -53,7 +53,7 @@ const COLLECTIONS = {
     imageField: 'thumbnail',
     urlPrefix: '/nhan-dinh/',
     patchable: ['title', 'excerpt', 'content', 'thumbnail', 'tags', 'status',
-                'contentReviewed', 'imageReviewed'],
+                'contentReviewed', 'imageReviewed', 'needsAttention'],
   },
   auto: {
     model: AutoArticle,
@@ -62,7 +62,7 @@ const COLLECTIONS = {
     // URL prefix depends on .type; resolved per-row in shapeListRow().
     urlPrefix: null,
     patchable: ['title', 'excerpt', 'content', 'thumbnail', 'tags', 'status',
-                'contentReviewed', 'imageReviewed'],
+                'contentReviewed', 'imageReviewed', 'needsAttention'],
     // h2h-analysis articles were de-listed in apr-2026 — keep them in the DB
     // so existing /doi-dau URLs still serve, but hide from admin lists so
     // editors don't accidentally publish or edit dead content.
@@ -109,6 +109,8 @@ function shapeListRow(doc, collectionKey) {
     contentReviewed: !!obj.contentReviewed,
     imageReviewed: !!obj.imageReviewed,
     reviewedAt: obj.reviewedAt || null,
+    needsAttention: !!obj.needsAttention,
+    attentionReason: obj.attentionReason || null,
     league: obj.matchInfo?.league?.name || obj.leagueInfo?.name || null,
     homeName: obj.matchInfo?.homeTeam?.name || null,
     awayName: obj.matchInfo?.awayTeam?.name || null,
@@ -121,6 +123,7 @@ function shapeListRow(doc, collectionKey) {
  * Query params:
  *   collection  one of: article|soi-keo|auto|all    (default all)
  *   reviewed    pending|content|image|done|all      (default all)
+ *   attention   1 → only articles whose fixture changed (services/fixtureChanges.js)
  *   q           search by title substring (case-insensitive)
  *   limit       default 50, max 200
  *   page        default 1
@@ -151,10 +154,11 @@ router.get('/', async (req, res) => {
     else if (reviewed === 'done') { reviewFilter.contentReviewed = true; reviewFilter.imageReviewed = true; }
 
     const textFilter = q ? { title: { $regex: q, $options: 'i' } } : {};
+    const attentionFilter = req.query.attention === '1' ? { needsAttention: true } : {};
 
     const results = await Promise.all(keys.map(async (key) => {
       const { model, listFilter } = COLLECTIONS[key];
-      const filter = { ...(listFilter || {}), ...reviewFilter, ...textFilter };
+      const filter = { ...(listFilter || {}), ...reviewFilter, ...textFilter, ...attentionFilter };
       const [rows, total] = await Promise.all([
         model.find(filter).sort({ createdAt: -1 }).limit(limit + skip).lean(),
         model.countDocuments(filter),
@@ -226,6 +230,13 @@ router.patch('/:collection/:id', async (req, res) => {
       update.reviewedAt = new Date();
     }
 
+    // Re-reviewing the content settles a fixture-change flag (article collection
+    // has no such flag, hence the patchable check).
+    if (update.contentReviewed && cfg.patchable.includes('needsAttention')
+        && !Object.prototype.hasOwnProperty.call(update, 'needsAttention')) {
+      update.needsAttention = false;
+    }
+
     // Auto-publish workflow: a fresh auto-generated article sits as 'draft'
     // until a human signs off on BOTH content and image. Once both flags are
     // true we promote it to 'published' (unless the admin explicitly set a
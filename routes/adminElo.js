@@ -0,0 +1,39 @@
+/**
+ * Admin Elo ratings (services/eloRatings.js).
+ *
+ *   POST /api/admin/elo/recompute   rebuild every rating from fixture history (background)
+ *   POST /api/admin/elo/update      apply recent finished fixtures now
+ *   GET  /api/admin/elo/status      progress of the last recompute in this process
+ */
+
+const express = require('express');
+const eloRatings = require('../services/eloRatings');
+const { requireAdmin } = require('./adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.post('/recompute', (req, res) => {
+  const started = eloRatings.startRecompute();
+  res.status(started ? 202 : 409).json({
+    success: started,
+    message: started ? 'Elo recompute started' : 'Elo recompute already running',
+    data: eloRatings.getRecomputeStatus()
+  });
+});
+
+router.get('/status', (req, res) => {
+  res.json({ success: true, data: eloRatings.getRecomputeStatus() });
+});
+
+router.post('/update', async (req, res) => {
+  try {
+    const data = await eloRatings.updateRecent();
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
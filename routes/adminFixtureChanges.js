@@ -0,0 +1,53 @@
+/**
+ * Admin fixture changes (services/fixtureChanges.js).
+ *
+ *   GET  /api/admin/fixture-changes                  ?type=&fixture=&days=&unacknowledged=1&limit=
+ *   POST /api/admin/fixture-changes/:id/acknowledge  { clearArticles } — also clear the article flags
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const fixtureChanges = require('../services/fixtureChanges');
+const { requireAdmin } = require('./adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const TYPES = ['rescheduled', 'postponed', 'cancelled', 'venue_changed'];
+
+router.get('/', async (req, res) => {
+  const type = req.query.type || null;
+  if (type && !TYPES.includes(type)) {
+    return res.status(400).json({ success: false, error: `type must be one of ${TYPES.join(', ')}` });
+  }
+
+  try {
+    const data = await fixtureChanges.list({
+      type,
+      fixtureId: parseInt(req.query.fixture, 10) || null,
+      days: parseInt(req.query.days, 10) || null,
+      unacknowledged: req.query.unacknowledged === '1',
+      limit: parseInt(req.query.limit, 10) || 50
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/:id/acknowledge', async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'invalid id' });
+  }
+
+  try {
+    const data = await fixtureChanges.acknowledge(req.params.id, { clearArticles: req.body?.clearArticles === true });
+    if (!data) return res.status(404).json({ success: false, error: 'not found' });
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
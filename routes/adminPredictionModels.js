@@ -0,0 +1,62 @@
+/**
+ * Admin prediction model versions (services/matchPrediction.js).
+ *
+ *   GET  /api/admin/prediction-models              latest version per league
+ *   GET  /api/admin/prediction-models/:leagueId    version history + hold-out metrics
+ *   POST /api/admin/prediction-models/refit        { leagueId? } refit now
+ *
+ * Compare versions by their metrics here, or per fixture with
+ * /api/matches/:id/prediction?version=N.
+ */
+
+const express = require('express');
+const PredictionModel = require('../models/PredictionModel');
+const matchPrediction = require('../services/matchPrediction');
+const { requireAdmin } = require('./adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get('/', async (req, res) => {
+  try {
+    const models = await PredictionModel.latestPerLeague();
+    res.json({ success: true, data: models });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/refit', async (req, res) => {
+  try {
+    const leagueId = req.body?.leagueId ? parseInt(req.body.leagueId, 10) : null;
+    if (req.body?.leagueId && isNaN(leagueId)) {
+      return res.status(400).json({ success: false, error: 'Invalid leagueId' });
+    }
+
+    const data = leagueId
+      ? { fitted: [await matchPrediction.refitLeague(leagueId, { force: true })].filter(Boolean) }
+      : await matchPrediction.refitAll({ force: true });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/:leagueId', async (req, res) => {
+  try {
+    const leagueId = parseInt(req.params.leagueId, 10);
+    if (isNaN(leagueId)) {
+      return res.status(400).json({ success: false, error: 'Invalid leagueId' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const versions = await PredictionModel.listVersions(leagueId, limit);
+    res.json({ success: true, data: versions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
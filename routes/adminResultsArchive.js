@@ -0,0 +1,49 @@
+/**
+ * Admin results archive (services/resultsArchive.js).
+ *
+ *   POST /api/admin/results-archive/backfill   archive one league season { league, season, details } (background)
+ *   POST /api/admin/results-archive/sweep      archive recent results now
+ *   GET  /api/admin/results-archive/status     last backfill in this process + archive totals
+ */
+
+const express = require('express');
+const resultsArchive = require('../services/resultsArchive');
+const { requireAdmin } = require('./adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.post('/backfill', async (req, res) => {
+  const leagueId = parseInt(req.body?.league, 10);
+  const season = parseInt(req.body?.season, 10);
+  if (!leagueId || !season) {
+    return res.status(400).json({ success: false, error: 'league and season are required' });
+  }
+
+  const started = resultsArchive.startBackfill(leagueId, season, { details: req.body?.details !== false });
+  res.status(started ? 202 : 409).json({
+    success: started,
+    message: started ? `Backfill of ${leagueId}/${season} started` : 'A backfill is already running',
+    data: { ...resultsArchive.job }
+  });
+});
+
+router.post('/sweep', async (req, res) => {
+  try {
+    const data = await resultsArchive.sweep();
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/status', async (req, res) => {
+  try {
+    res.json({ success: true, data: await resultsArchive.getStatus() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
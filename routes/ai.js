@@ -1,32 +1,123 @@
 const express = require('express');
 const router = express.Router();
+const matchPrediction = require('../services/matchPrediction');
 
 /**
- * POST /api/ai-predict
- * AI Match Prediction using Claude API
+ * Largest-remainder rounding so the three percentages add up to 100
  */
-router.post('/ai-predict', async (req, res) => {
+function toPercentages(probabilities) {
+  const keys = Object.keys(probabilities);
+  const raw = keys.map(k => probabilities[k] * 100);
+  const floors = raw.map(Math.floor);
+  let missing = 100 - floors.reduce((s, v) => s + v, 0);
+  raw
+    .map((v, i) => ({ i, rest: v - floors[i] }))
+    .sort((a, b) => b.rest - a.rest)
+    .forEach(({ i }) => { if (missing > 0) { floors[i]++; missing--; } });
+
+  const out = {};
+  keys.forEach((k, i) => { out[k] = floors[i]; });
+  return out;
+}
+
+/**
+ * Rating (1 = league average) → 0-100 scale, 50 = average
+ */
+function ratingScore(rating, invert = false) {
+  if (!rating) return 50;
+  const value = invert ? 1 / rating : rating;
+  return Math.max(0, Math.min(100, Math.round(50 * value)));
+}
+
+/**
+ * Points share of a W/D/L form string → 0-100
+ */
+function formScore(form) {
+  const results = String(form || '').toUpperCase().replace(/[^WDL]/g, '').split('');
+  if (results.length === 0) return 50;
+  const points = results.reduce((s, r) => s + (r === 'W' ? 3 : r === 'D' ? 1 : 0), 0);
+  return Math.round((points / (results.length * 3)) * 100);
+}
+
+/**
+ * Optional narrative: the LLM explains the model numbers, it does not
+ * produce them. Returns null on any failure.
+ */
+async function generateNarrative(apiKey, matchData, result, percentages) {
+  const { prediction, teams } = result;
+  const homeName = matchData.homeTeam?.name || teams.home.name;
+  const awayName = matchData.awayTeam?.name || teams.away.name;
+
+  const prompt = `
+Bạn là chuyên gia phân tích bóng đá. Các con số dưới đây đến từ mô hình thống kê (Dixon-Coles) và là CỐ ĐỊNH — KHÔNG được thay đổi, KHÔNG đưa ra xác suất hay tỷ số khác.
+
+**TRẬN ĐẤU:** ${homeName} vs ${awayName} — ${matchData.competition || result.league.name}
+
+**KẾT QUẢ MÔ HÌNH:**
+- Xác suất: ${homeName} thắng ${percentages.home}%, hòa ${percentages.draw}%, ${awayName} thắng ${percentages.away}%
+- Bàn thắng kỳ vọng: ${homeName} ${prediction.expectedGoals.home}, ${awayName} ${prediction.expectedGoals.away}
+- Tỷ số khả năng cao nhất: ${prediction.mostLikelyScore.home}-${prediction.mostLikelyScore.away}
+- Trên 2.5 bàn: ${Math.round(prediction.overUnder['2.5'].over * 100)}%, cả hai đội ghi bàn: ${Math.round(prediction.btts.yes * 100)}%
+
+**PHONG ĐỘ:**
+- ${homeName}: ${matchData.homeTeam?.form || 'Không có dữ liệu'}
+- ${awayName}: ${matchData.awayTeam?.form || 'Không có dữ liệu'}
+
+Trả về JSON thuần (KHÔNG markdown):
+{
+  "keyAnalysis": ["<4 điểm giải thích các con số trên>"],
+  "summary": "<1-2 câu tóm tắt>"
+}
+`;
+
   try {
-    const { matchData } = req.body;
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify({
+        model: 'claude-haiku-4-5-20251001',
+        max_tokens: 1200,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      }),
+    });
 
-    if (!matchData) {
-      return res.status(400).json({
-        success: false,
-        error: 'matchData is required'
-      });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      console.error('Anthropic API Error:', errorData);
+      return null;
     }
 
-    const apiKey = process.env.ANTHROPIC_API_KEY;
+    const data = await response.json();
+    const responseText = data.content[0]?.text || '';
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
 
-    if (!apiKey) {
-      return res.status(500).json({
-        success: false,
-        error: 'API key not configured',
-        message: 'ANTHROPIC_API_KEY not found in environment'
-      });
-    }
+    const narrative = JSON.parse(jsonMatch[0]);
+    return {
+      keyAnalysis: Array.isArray(narrative.keyAnalysis) ? narrative.keyAnalysis : [],
+      summary: narrative.summary || ''
+    };
+  } catch (error) {
+    console.error('[AI Prediction] Narrative failed:', error.message);
+    return null;
+  }
+}
 
-    const prompt = `
+/**
+ * The original LLM-only prediction (same prompt and response shape as before
+ * the model existed). Used when the request carries no fixture id, when the
+ * league has no fitted model yet, or when AI_PREDICT_SOURCE=llm.
+ * Throws with err.status / err.details on an upstream failure.
+ */
+async function generateLegacyPrediction(apiKey, matchData) {
+  const prompt = `
 Bạn là chuyên gia phân tích bóng đá chuyên nghiệp. Hãy phân tích trận đấu sau và trả về JSON:
 
 **THÔNG TIN TRẬN ĐẤU:**
@@ -81,62 +172,168 @@ Trả về JSON với format chính xác sau (KHÔNG thêm markdown, chỉ trả
 - summary: 1-2 câu ngắn gọn, súc tích
 `;
 
-    console.log(`[AI Prediction] ${matchData.homeTeam?.name} vs ${matchData.awayTeam?.name}`);
+  const response = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+    },
+    body: JSON.stringify({
+      model: 'claude-haiku-4-5-20251001',
+      max_tokens: 2000,
+      messages: [{
+        role: 'user',
+        content: prompt
+      }]
+    }),
+  });
 
-    // Call Anthropic API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: 'claude-haiku-4-5-20251001',
-        max_tokens: 2000,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      }),
-    });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    console.error('Anthropic API Error:', errorData);
+    const err = new Error('Failed to get prediction from Claude');
+    err.status = response.status;
+    err.details = errorData;
+    throw err;
+  }
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('Anthropic API Error:', errorData);
-      return res.status(response.status).json({
+  const data = await response.json();
+  const responseText = data.content[0]?.text || '';
+
+  // Clean markdown if present
+  let cleanedText = responseText.trim();
+  if (cleanedText.startsWith('```json')) {
+    cleanedText = cleanedText.replace(/```json\n?/g, '').replace(/```\n?$/g, '');
+  }
+  if (cleanedText.startsWith('```')) {
+    cleanedText = cleanedText.replace(/```\n?/g, '').replace(/```\n?$/g, '');
+  }
+
+  return JSON.parse(cleanedText);
+}
+
+/**
+ * Model prediction for the request, or null when there is none (no fixture
+ * id, unknown fixture, league not fitted yet, API-Sports call failed)
+ */
+async function modelPrediction(req, matchData) {
+  if ((process.env.AI_PREDICT_SOURCE || 'model') === 'llm') return null;
+
+  const fixtureId = parseInt(req.body.fixtureId || matchData.fixtureId || matchData.id, 10);
+  if (isNaN(fixtureId)) return null;
+
+  let result;
+  try {
+    result = await matchPrediction.predictFixture(fixtureId, req.app.locals.footballApi);
+  } catch (error) {
+    // Budget refusal, replay miss, network — the LLM still answers
+    console.error(`[AI Prediction] Model prediction failed for fixture ${fixtureId} — using LLM:`, error.message);
+    return null;
+  }
+  if (!result?.prediction) {
+    console.log(`[AI Prediction] No model prediction for fixture ${fixtureId}${result ? ` (league ${result.league.id} not fitted yet)` : ''} — using LLM`);
+    return null;
+  }
+  return result;
+}
+
+/**
+ * POST /api/ai-predict
+ * Body: { matchData: { homeTeam, awayTeam, competition, dateTime, fixtureId | id } }
+ *
+ * With a fixture id of a league that has a fitted model, the numbers come
+ * from the local Dixon-Coles model (services/matchPrediction.js) and the LLM
+ * only writes the narrative (source: 'model'). Otherwise — and always with
+ * AI_PREDICT_SOURCE=llm — the LLM predicts from the posted form as it did
+ * before the model existed (source: 'llm').
+ */
+router.post('/ai-predict', async (req, res) => {
+  try {
+    const { matchData } = req.body;
+
+    if (!matchData) {
+      return res.status(400).json({
         success: false,
-        error: 'Failed to get prediction from Claude',
-        details: errorData,
+        error: 'matchData is required'
       });
     }
 
-    const data = await response.json();
-    const responseText = data.content[0]?.text || '';
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    const result = await modelPrediction(req, matchData);
 
-    // Clean markdown if present
-    let cleanedText = responseText.trim();
-    if (cleanedText.startsWith('```json')) {
-      cleanedText = cleanedText.replace(/```json\n?/g, '').replace(/```\n?$/g, '');
-    }
-    if (cleanedText.startsWith('```')) {
-      cleanedText = cleanedText.replace(/```\n?/g, '').replace(/```\n?$/g, '');
+    if (!result) {
+      if (!apiKey) {
+        return res.status(500).json({
+          success: false,
+          error: 'API key not configured',
+          message: 'ANTHROPIC_API_KEY not found in environment'
+        });
+      }
+
+      console.log(`[AI Prediction] ${matchData.homeTeam?.name} vs ${matchData.awayTeam?.name} (LLM)`);
+      const prediction = await generateLegacyPrediction(apiKey, matchData);
+      console.log(`[AI Prediction Success] ${matchData.homeTeam?.name} vs ${matchData.awayTeam?.name}`);
+
+      return res.json({
+        success: true,
+        data: { ...prediction, source: 'llm' }
+      });
     }
 
-    const prediction = JSON.parse(cleanedText);
+    console.log(`[AI Prediction] ${matchData.homeTeam?.name} vs ${matchData.awayTeam?.name} (fixture ${result.fixtureId})`);
+
+    const { prediction } = result;
+    const percentages = toPercentages(prediction.probabilities);
+
+    const narrative = apiKey ? await generateNarrative(apiKey, matchData, result, percentages) : null;
 
-    console.log(`[AI Prediction Success] ${matchData.homeTeam?.name} vs ${matchData.awayTeam?.name}`);
+    console.log(`[AI Prediction Success] ${matchData.homeTeam?.name} vs ${matchData.awayTeam?.name} (model v${prediction.model.version})`);
 
     res.json({
       success: true,
-      data: prediction
+      data: {
+        source: 'model',
+        winProbability: percentages,
+        predictedScore: {
+          home: prediction.mostLikelyScore.home,
+          away: prediction.mostLikelyScore.away
+        },
+        expectedGoals: prediction.expectedGoals,
+        overUnder: prediction.overUnder,
+        btts: prediction.btts,
+        teamComparison: {
+          attack: {
+            home: ratingScore(prediction.ratings.home?.attack),
+            away: ratingScore(prediction.ratings.away?.attack)
+          },
+          defense: {
+            home: ratingScore(prediction.ratings.home?.defence, true),
+            away: ratingScore(prediction.ratings.away?.defence, true)
+          },
+          form: {
+            home: formScore(matchData.homeTeam?.form),
+            away: formScore(matchData.awayTeam?.form)
+          },
+          // Deprecated: the model has no motivation input — neutral until removed
+          motivation: { home: 50, away: 50 }
+        },
+        keyAnalysis: narrative ? narrative.keyAnalysis : [],
+        summary: narrative ? narrative.summary : '',
+        narrative: narrative ? 'llm' : null,
+        model: prediction.model,
+        deprecated: {
+          'teamComparison.motivation': 'Not produced by the model (always 50/50); will be removed'
+        }
+      }
     });
 
   } catch (error) {
     console.error('AI Prediction Error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to generate prediction'
+      error: error.message || 'Failed to generate prediction',
+      ...(error.details ? { details: error.details } : {})
     });
   }
 });
@@ -0,0 +1,211 @@
+/**
+ * iCalendar (.ics) fixture feeds — "thêm lịch thi đấu vào điện thoại".
+ *
+ *   GET /lich-thi-dau/doi-bong/:teamSlug.ics      one team, every competition of its season
+ *   GET /lich-thi-dau/doi-bong.ics?teams=a,b,c    several teams in one feed (Team slugs, max 10)
+ *   GET /lich-thi-dau/:leagueSlug.ics             one league or cup (utils/leagueSlugs.js)
+ *
+ * One event per fixture with UID fixture-<id>@scoreline.io, so a subscribed
+ * calendar moves a rescheduled match instead of adding a second one; SEQUENCE
+ * counts the changes services/fixtureChanges.js recorded for it. Finished
+ * matches carry the final score in the summary and description.
+ *
+ * Must be mounted before fixturesSsr — its /lich-thi-dau/:slug would
+ * otherwise answer "premier-league.ics" with the HTML 404 page.
+ */
+
+const express = require('express');
+const router = express.Router();
+const apiSports = require('../services/apiSportsGateway');
+const Team = require('../models/Team');
+const FixtureChange = require('../models/FixtureChange');
+const { getLeagueBySlug, getCupBySlug, currentSeasonForLeague, currentSeasonForLeagueId } = require('../utils/leagueSlugs');
+const { buildMatchSlug } = require('../utils/matchSlug');
+const { buildCalendar } = require('../utils/icalendar');
+const { SITE_URL } = require('../utils/seoCommon');
+
+const footballApi = apiSports.client('ssr:calendar');
+
+// ============================================
+// CẤU HÌNH: Calendar feeds
+// ============================================
+const TTL_MS = 60 * 60 * 1000;               // season fixtures cached per process
+const MATCH_DURATION_MS = 2 * 60 * 60 * 1000;
+const MAX_TEAMS = 10;
+const REFRESH_HOURS = 6;                      // polling hint for calendar apps
+
+const FINISHED_CODES = ['FT', 'AET', 'PEN', 'AWD', 'WO'];
+
+const cache = new Map();
+
+/**
+ * API-Sports /fixtures for one season, cached; a stale copy is served when
+ * the refresh fails
+ */
+async function fetchFixtures(params) {
+  const key = JSON.stringify(params);
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < TTL_MS) return hit.data;
+
+  try {
+    const { data } = await footballApi.get('/fixtures', { params });
+    const fixtures = data?.response || [];
+    cache.set(key, { at: Date.now(), data: fixtures });
+    return fixtures;
+  } catch (error) {
+    if (hit) return hit.data;
+    throw error;
+  }
+}
+
+function teamSeason(team) {
+  if (team.national || !team.league?.id) return new Date().getUTCFullYear();
+  return currentSeasonForLeagueId(team.league.id);
+}
+
+/**
+ * fixtureId → changes recorded by services/fixtureChanges.js (event SEQUENCE)
+ */
+async function changeCounts(fixtureIds) {
+  try {
+    const rows = await FixtureChange.aggregate([
+      { $match: { fixtureId: { $in: fixtureIds } } },
+      { $group: { _id: '$fixtureId', count: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(r => [r._id, r.count]));
+  } catch (error) {
+    console.error('[Calendar] Failed to count fixture changes:', error.message);
+    return new Map();
+  }
+}
+
+function toEvent(f, sequence) {
+  const status = f.fixture?.status?.short;
+  const home = f.teams?.home?.name || '';
+  const away = f.teams?.away?.name || '';
+  const start = new Date(f.fixture.date);
+  const slug = buildMatchSlug(home, away, f.fixture.date);
+  const url = `${SITE_URL}/tran-dau/${slug || f.fixture.id}`;
+
+  const finished = FINISHED_CODES.includes(status) && f.goals?.home != null && f.goals?.away != null;
+  let summary = `${home} vs ${away}`;
+  if (finished) {
+    summary = `${home} ${f.goals.home}-${f.goals.away} ${away}`;
+    if (status === 'PEN' && f.score?.penalty?.home != null) summary += ` (pen ${f.score.penalty.home}-${f.score.penalty.away})`;
+  } else if (status === 'PST') {
+    summary = `[Hoãn] ${summary}`;
+  } else if (status === 'CANC') {
+    summary = `[Hủy] ${summary}`;
+  }
+
+  const description = [[f.league?.name, f.league?.round].filter(Boolean).join(' · ')];
+  if (finished) {
+    const ht = f.score?.halftime;
+    description.push(`Kết quả: ${f.goals.home}-${f.goals.away}${ht?.home != null ? ` (H1 ${ht.home}-${ht.away})` : ''}`);
+  } else if (status === 'PST') {
+    description.push('Trận đấu bị hoãn, giờ thi đấu mới sẽ được cập nhật.');
+  } else if (status === 'TBD') {
+    description.push('Giờ thi đấu chưa được xác nhận.');
+  }
+  description.push(`Chi tiết trận đấu: ${url}`);
+
+  return {
+    uid: `fixture-${f.fixture.id}@scoreline.io`,
+    start,
+    end: new Date(start.getTime() + MATCH_DURATION_MS),
+    summary,
+    description: description.join('\n'),
+    location: [f.fixture?.venue?.name, f.fixture?.venue?.city].filter(Boolean).join(', '),
+    url,
+    status: status === 'CANC' ? 'CANCELLED' : (['PST', 'TBD'].includes(status) ? 'TENTATIVE' : 'CONFIRMED'),
+    sequence
+  };
+}
+
+async function sendCalendar(res, { filename, name, description, fixtures }) {
+  const byId = new Map();
+  for (const f of fixtures) {
+    if (f?.fixture?.id && f.fixture.date) byId.set(f.fixture.id, f);
+  }
+  const sorted = Array.from(byId.values()).sort((a, b) => new Date(a.fixture.date) - new Date(b.fixture.date));
+  const sequences = await changeCounts(Array.from(byId.keys()));
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.set('Cache-Control', 'public, max-age=900, s-maxage=1800');
+  res.send(buildCalendar({
+    name,
+    description,
+    refreshHours: REFRESH_HOURS,
+    events: sorted.map(f => toEvent(f, sequences.get(f.fixture.id) || 0))
+  }));
+}
+
+function sendError(res, status, message) {
+  res.status(status).type('text/plain; charset=utf-8').send(message);
+}
+
+// Combined feed — registered before /:leagueSlug.ics, which would take "doi-bong"
+router.get('/lich-thi-dau/doi-bong.ics', async (req, res) => {
+  const slugs = [...new Set(String(req.query.teams || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean))];
+  if (slugs.length === 0) return sendError(res, 400, 'teams is required, e.g. ?teams=arsenal,chelsea');
+  if (slugs.length > MAX_TEAMS) return sendError(res, 400, `At most ${MAX_TEAMS} teams per feed`);
+
+  try {
+    const teams = await Team.find({ slug: { $in: slugs } }).select('teamId slug name national league').lean();
+    if (teams.length === 0) return sendError(res, 404, 'Không tìm thấy đội bóng');
+    teams.sort((a, b) => slugs.indexOf(a.slug) - slugs.indexOf(b.slug));
+
+    const fixtures = [];
+    for (const team of teams) {
+      fixtures.push(...await fetchFixtures({ team: team.teamId, season: teamSeason(team) }));
+    }
+    await sendCalendar(res, {
+      filename: 'lich-thi-dau.ics',
+      name: `Lịch thi đấu: ${teams.map(t => t.name).join(', ')}`,
+      description: 'Lịch thi đấu và kết quả từ ScoreLine.io',
+      fixtures
+    });
+  } catch (error) {
+    console.error('[Calendar] Error building combined feed:', error.message);
+    sendError(res, 503, 'Lịch thi đấu tạm thời không khả dụng');
+  }
+});
+
+router.get('/lich-thi-dau/doi-bong/:teamSlug.ics', async (req, res) => {
+  try {
+    const team = await Team.findOne({ slug: req.params.teamSlug }).select('teamId slug name national league').lean();
+    if (!team) return sendError(res, 404, 'Không tìm thấy đội bóng');
+
+    const fixtures = await fetchFixtures({ team: team.teamId, season: teamSeason(team) });
+    await sendCalendar(res, {
+      filename: `${team.slug}.ics`,
+      name: `Lịch thi đấu ${team.name}`,
+      description: `Lịch thi đấu và kết quả ${team.name} từ ScoreLine.io`,
+      fixtures
+    });
+  } catch (error) {
+    console.error('[Calendar] Error building team feed:', error.message);
+    sendError(res, 503, 'Lịch thi đấu tạm thời không khả dụng');
+  }
+});
+
+router.get('/lich-thi-dau/:leagueSlug.ics', async (req, res) => {
+  const league = getLeagueBySlug(req.params.leagueSlug) || getCupBySlug(req.params.leagueSlug);
+  if (!league) return sendError(res, 404, 'Giải đấu không được hỗ trợ');
+
+  try {
+    const fixtures = await fetchFixtures({ league: league.id, season: currentSeasonForLeague(league) });
+    await sendCalendar(res, {
+      filename: `${league.slug}.ics`,
+      name: `Lịch thi đấu ${league.viName}`,
+      description: `Lịch thi đấu và kết quả ${league.viName} từ ScoreLine.io`,
+      fixtures
+    });
+  } catch (error) {
+    console.error('[Calendar] Error building league feed:', error.message);
+    sendError(res, 503, 'Lịch thi đấu tạm thời không khả dụng');
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,9 @@ const router = express.Router();
 const { POPULAR_LEAGUES, competitionsCache, isCompetitionsCacheValid, getFlagCode } = require('../data/leagues');
 const { getWinner } = require('../data/winners');
 const { isLeagueExcluded } = require('../config/allowedCompetitions');
+const cupBracket = require('../services/cupBracket');
+const resultsArchive = require('../services/resultsArchive');
+const { DEFAULT_TIMEZONE, timeZoneFromQuery, dayKeyFromInput } = require('../utils/dateTime');
 
 /**
  * Get current round for a league dynamically
@@ -17,7 +20,7 @@ async function getCurrentRound(footballApi, leagueId, season) {
         league: leagueId,
         season: season,
         status: 'NS-LIVE-1H-HT-2H-ET-BT-P', // Not Started, Live, and in-progress statuses
-        timezone: 'Asia/Bangkok'
+        timezone: DEFAULT_TIMEZONE
       }
     });
 
@@ -40,7 +43,7 @@ async function getCurrentRound(footballApi, leagueId, season) {
         league: leagueId,
         season: season,
         status: 'FT', // Finished
-        timezone: 'Asia/Bangkok',
+        timezone: DEFAULT_TIMEZONE,
         last: 10
       }
     });
@@ -419,6 +422,9 @@ router.get('/:id/archives', async (req, res) => {
     const currentYear = new Date().getFullYear();
     const seasons = [];
 
+    // Finished fixtures held by the results archive, per season
+    const archived = await resultsArchive.seasonCounts(leagueId).catch(() => new Map());
+
     if (apiSeasons.length > 0) {
       // Use API seasons
       apiSeasons.forEach(season => {
@@ -428,7 +434,8 @@ router.get('/:id/archives', async (req, res) => {
           yearText: `${season.year}/${season.year + 1}`,
           current: season.current,
           finished: !season.current,
-          winner: winner
+          winner: winner,
+          archivedResults: archived.get(season.year) || 0
         });
       });
     } else {
@@ -440,7 +447,8 @@ router.get('/:id/archives', async (req, res) => {
           yearText: `${year}/${year + 1}`,
           current: year === currentYear,
           finished: year < currentYear,
-          winner: winner
+          winner: winner,
+          archivedResults: archived.get(year) || 0
         });
       }
     }
@@ -472,6 +480,117 @@ router.get('/:id/archives', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/competitions/:id/archives/:season/results
+ * Every finished fixture of a past (or the current) season, oldest first.
+ * Served from the results archive once the season is fully played and
+ * stored; API-Sports otherwise (and the response is archived).
+ */
+router.get('/:id/archives/:season/results', async (req, res) => {
+  try {
+    const leagueId = parseInt(String(req.params.id).replace('league-', ''));
+    const season = parseInt(req.params.season);
+
+    if (!leagueId || !season) {
+      return res.status(400).json({
+        timestamp: new Date().toISOString(),
+        success: false,
+        errorCode: 400,
+        message: 'Invalid competition id or season',
+        data: null
+      });
+    }
+
+    console.log(`📁 GET /api/competitions/${leagueId}/archives/${season}/results`);
+
+    const fixtures = await resultsArchive.leagueSeason(leagueId, season, { api: req.app.locals.footballApi });
+    const results = fixtures.map(f => ({
+      fixtureId: f.fixture.id,
+      date: f.fixture.date,
+      round: f.league?.round || null,
+      status: f.fixture.status?.short,
+      homeTeam: { id: f.teams.home?.id, name: f.teams.home?.name, logo: f.teams.home?.logo },
+      awayTeam: { id: f.teams.away?.id, name: f.teams.away?.name, logo: f.teams.away?.logo },
+      goals: f.goals,
+      halftime: f.score?.halftime || null,
+      penalty: f.score?.penalty?.home != null ? f.score.penalty : null
+    }));
+
+    res.set('Cache-Control', 'public, max-age=600');
+    res.json({
+      timestamp: new Date().toISOString(),
+      success: true,
+      errorCode: 0,
+      message: 'Success',
+      data: { leagueId, season, count: results.length, results }
+    });
+
+  } catch (error) {
+    console.error('Error fetching archived results:', error.message);
+    res.status(500).json({
+      timestamp: new Date().toISOString(),
+      success: false,
+      errorCode: 500,
+      message: 'Failed to fetch archived results',
+      data: null
+    });
+  }
+});
+
+/**
+ * GET /api/competitions/:id/bracket?season=
+ * Knockout tree of a cup competition (rounds → ties → legs), each tie
+ * linked to the tie its winner plays next
+ */
+router.get('/:id/bracket', async (req, res) => {
+  try {
+    const leagueId = parseInt(String(req.params.id).replace('league-', ''));
+    const season = req.query.season ? parseInt(req.query.season) : null;
+
+    if (!leagueId || (req.query.season && !season)) {
+      return res.status(400).json({
+        timestamp: new Date().toISOString(),
+        success: false,
+        errorCode: 400,
+        message: 'Invalid competition id or season',
+        data: null
+      });
+    }
+
+    console.log(`🏆 GET /api/competitions/${leagueId}/bracket (season ${season || 'current'})`);
+
+    const bracket = await cupBracket.getBracket(leagueId, { season });
+    if (!bracket) {
+      return res.status(404).json({
+        timestamp: new Date().toISOString(),
+        success: false,
+        errorCode: 404,
+        message: 'No knockout rounds for this competition season',
+        data: null
+      });
+    }
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({
+      timestamp: new Date().toISOString(),
+      success: true,
+      errorCode: 0,
+      message: 'Success',
+      data: bracket
+    });
+
+  } catch (error) {
+    console.error('Error building bracket:', error.message);
+    res.status(500).json({
+      timestamp: new Date().toISOString(),
+      success: false,
+      errorCode: 500,
+      message: 'Failed to build bracket',
+      data: null
+    });
+  }
+});
+
 /**
  * GET /api/competitions/:countrySlug/:leagueSlug
  * Get competition detail by country slug and league slug - NO LIMITS
@@ -700,10 +819,32 @@ router.get('/:countrySlug/:leagueSlug', async (req, res) => {
 /**
  * GET /api/competitions/get-in-day
  * Get all competitions that have matches on a specific date
+ * tz (IANA zone, default Asia/Ho_Chi_Minh): the day `dateTime` falls on
  */
 router.get('/get-in-day', async (req, res) => {
   try {
     const { dateTime } = req.query;
+    const tz = timeZoneFromQuery(req.query);
+    if (!tz) {
+      return res.status(400).json({
+        timestamp: new Date().toISOString(),
+        success: false,
+        errorCode: 400,
+        message: `Invalid tz: ${req.query.tz}`,
+        data: null
+      });
+    }
+
+    const date = dayKeyFromInput(dateTime, tz);
+    if (dateTime && !date) {
+      return res.status(400).json({
+        timestamp: new Date().toISOString(),
+        success: false,
+        errorCode: 400,
+        message: `Invalid dateTime: ${dateTime}`,
+        data: null
+      });
+    }
 
     if (!dateTime) {
       return res.status(400).json({
@@ -715,20 +856,20 @@ router.get('/get-in-day', async (req, res) => {
       });
     }
 
-    console.log(`📅 GET /api/competitions/get-in-day?dateTime=${dateTime}`);
+    console.log(`📅 GET /api/competitions/get-in-day?dateTime=${dateTime} → ${date} (${tz})`);
 
     const footballApi = req.app.locals.footballApi;
 
     // Fetch fixtures for the specific date
     const response = await footballApi.get('/fixtures', {
       params: {
-        date: dateTime,
-        timezone: 'Asia/Bangkok'
+        date,
+        timezone: tz
       }
     });
 
     const fixtures = response.data.response || [];
-    console.log(`   Found ${fixtures.length} fixtures for ${dateTime}`);
+    console.log(`   Found ${fixtures.length} fixtures for ${date}`);
 
     // Group fixtures by league
     const leagueMap = new Map();
@@ -299,6 +299,7 @@ router.get('/', async (req, res) => {
           <a class="sidebar-link" href="/chuyen-nhuong">💼 Chuyển nhượng</a>
           <a class="sidebar-link" href="/phan-tich">🔍 Phân tích chuyên sâu</a>
           <a class="sidebar-link" href="/top-kien-tao">🎯 Top kiến tạo</a>
+          <a class="sidebar-link" href="/top-cau-thu">📊 Thống kê cầu thủ</a>
           <a class="sidebar-link" href="/giai-dau">🏆 Tất cả giải đấu</a>
           <a class="sidebar-link" href="/lich-su-vo-dich">📅 Lịch sử vô địch</a>
         </div>
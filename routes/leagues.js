@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const teamOfTheWeek = require('../services/teamOfTheWeek');
+const { getCompetitionBySlug } = require('../config/allowedCompetitions');
+const { getLeagueBySlug } = require('../utils/leagueSlugs');
+
+// SSR slug ("premier-league"), any allowed competition slug ("v-league-1") or league ID
+function resolveLeagueId(slug) {
+  if (/^\d+$/.test(slug)) return parseInt(slug, 10);
+  return getLeagueBySlug(slug)?.id || getCompetitionBySlug(slug)?.leagueId || null;
+}
+
+// GET /api/leagues/:slug/team-of-the-week?round=12&season=2025
+// Best-rated XI of a round (services/teamOfTheWeek.js). Latest round when
+// `round` is omitted; accepts the round number or the full API-Sports name.
+router.get('/:slug/team-of-the-week', async (req, res) => {
+  try {
+    const leagueId = resolveLeagueId(req.params.slug);
+    if (!leagueId) {
+      return res.status(404).json({ success: false, error: 'League not found' });
+    }
+
+    const team = await teamOfTheWeek.get(leagueId, {
+      season: parseInt(req.query.season, 10) || null,
+      round: req.query.round || null
+    });
+    if (!team) {
+      return res.status(404).json({ success: false, error: 'No team of the week for this round yet' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=600');
+    res.json({ success: true, data: team });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
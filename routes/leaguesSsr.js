@@ -5,14 +5,18 @@
  * standings preview + cross-links to /lich-thi-dau, /ket-qua-bong-da,
  * /top-ghi-ban, /bang-xep-hang. Acts as the canonical "league entry point"
  * Google can rank for queries like "ngoại hạng anh", "champions league".
+ * Cups and the continental knockouts also get their bracket
+ * (services/cupBracket.js).
  */
 
 const express = require('express');
 const router = express.Router();
 const Team = require('../models/Team');
 const siteHeader = require('../utils/siteHeader');
-const { getLeagueBySlug, LEAGUES } = require('../utils/leagueSlugs');
+const cupBracket = require('../services/cupBracket');
+const { getLeagueBySlug, getCupBySlug, LEAGUES, CUPS } = require('../utils/leagueSlugs');
 const { getEntityDates, pickOgImage, ogImageMeta, authorByline, SITE_URL } = require('../utils/seoCommon');
+const { DEFAULT_TIMEZONE } = require('../utils/dateTime');
 
 function escapeHtml(str) {
   if (!str) return '';
@@ -47,6 +51,14 @@ function baseStyles() {
     .league-card:hover{box-shadow:0 4px 12px rgba(30,58,138,0.15);text-decoration:none}
     .league-card h3{font-size:16px;font-weight:800;color:#0f172a;margin-bottom:4px}
     .league-card .desc{font-size:12px;color:#64748b}
+    .bracket{display:flex;gap:14px;overflow-x:auto;padding-bottom:6px}
+    .bracket-round{flex:0 0 220px;display:flex;flex-direction:column;justify-content:space-around;gap:10px}
+    .bracket-round h3{font-size:13px;font-weight:800;color:#1e3a8a;text-transform:uppercase;letter-spacing:.5px}
+    .tie{border:1px solid #e2e8f0;border-radius:6px;padding:6px 8px;font-size:13px;background:#f8fafc}
+    .tie-team{display:flex;justify-content:space-between;gap:6px;padding:2px 0}
+    .tie-team img{width:16px;height:16px;vertical-align:middle;margin-right:4px;object-fit:contain}
+    .tie-team.won{font-weight:800;color:#0f172a}.tie-team.lost{color:#94a3b8}
+    .tie-note{font-size:11px;color:#64748b;border-top:1px dashed #e2e8f0;margin-top:4px;padding-top:3px}
     .sidebar{display:flex;flex-direction:column;gap:12px}
     .sidebar-card{background:#fff;border-radius:8px;padding:16px;box-shadow:0 1px 3px rgba(0,0,0,0.06)}
     .sidebar-title{font-size:13px;font-weight:700;color:#64748b;text-transform:uppercase;letter-spacing:.5px;margin-bottom:12px}
@@ -61,28 +73,97 @@ function baseStyles() {
   `;
 }
 
+// Leagues whose season ends in a knockout phase
+const KNOCKOUT_LEAGUE_IDS = new Set([1, 2, 3, 848, 4]);
+
+const DECIDED_BY_LABELS = {
+  penalties: 'luân lưu',
+  away_goals: 'bàn thắng sân khách',
+  extra_time: 'hiệp phụ',
+  walkover: 'xử thắng'
+};
+
+function formatDate(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleDateString('vi-VN', { day: '2-digit', month: '2-digit', timeZone: DEFAULT_TIMEZONE });
+}
+
+function renderTie(tie) {
+  const side = key => {
+    const team = tie[key];
+    const goals = tie.aggregate ? tie.aggregate[key] : '';
+    const cls = tie.winner ? (tie.winner === key ? 'won' : 'lost') : '';
+    return `<div class="tie-team ${cls}"><span>${team.logo ? `<img src="${escapeHtml(team.logo)}" alt="" loading="lazy">` : ''}${escapeHtml(team.name)}</span><strong>${goals}</strong></div>`;
+  };
+
+  const notes = [];
+  if (tie.twoLegged) {
+    notes.push(tie.legs.map(leg => (leg.score
+      ? `${leg.hostTeamId === tie.home.id ? leg.score.home : leg.score.away}-${leg.hostTeamId === tie.home.id ? leg.score.away : leg.score.home}`
+      : formatDate(leg.date))).join(', '));
+  } else if (tie.status === 'scheduled') {
+    notes.push(formatDate(tie.legs[0].date));
+  }
+  if (tie.penalties) notes.push(`pen ${tie.penalties.home}-${tie.penalties.away}`);
+  if (DECIDED_BY_LABELS[tie.decidedBy] && tie.decidedBy !== 'penalties') notes.push(DECIDED_BY_LABELS[tie.decidedBy]);
+
+  return `<div class="tie">
+    ${side('home')}
+    ${side('away')}
+    ${notes.length ? `<div class="tie-note">${escapeHtml(notes.join(' · '))}</div>` : ''}
+  </div>`;
+}
+
+function renderBracket(bracket) {
+  if (!bracket) return '';
+  const roundsHtml = bracket.rounds.map(round => `<div class="bracket-round">
+      <h3>${escapeHtml(round.name)}</h3>
+      ${round.ties.map(renderTie).join('')}
+    </div>`).join('');
+
+  return `<div class="card">
+    <h2>Nhánh đấu ${bracket.season}/${bracket.season + 1}</h2>
+    ${bracket.champion ? `<p>🏆 <strong>Vô địch:</strong> ${escapeHtml(bracket.champion.name)}</p>` : ''}
+    <div class="bracket">${roundsHtml}</div>
+    ${bracket.thirdPlace ? `<h3 style="font-size:14px;margin:12px 0 6px">Tranh hạng ba</h3><div style="max-width:220px">${renderTie(bracket.thirdPlace)}</div>` : ''}
+    <p style="margin-top:10px;font-size:13px;color:#64748b">Tỷ số là tổng hai lượt với các cặp đấu hai lượt. Các vòng sau hiện ra khi bốc thăm xong.</p>
+  </div>`;
+}
+
 router.get('/giai-dau/:slug', async (req, res) => {
   const slug = req.params.slug;
-  const league = getLeagueBySlug(slug);
+  const cup = getCupBySlug(slug);
+  const league = getLeagueBySlug(slug) || cup;
   if (!league) {
     res.set('Content-Type', 'text/html; charset=utf-8');
     return res.status(404).send(`<!DOCTYPE html><html lang="vi"><head><meta charset="UTF-8"><title>Không tìm thấy giải đấu | ScoreLine</title><meta name="robots" content="noindex"></head><body><h1>404</h1><p><a href="/giai-dau">Tất cả giải đấu</a></p></body></html>`);
   }
 
+  // Cups have no table
   let topTeams = [];
-  try {
-    topTeams = await Team.find({ 'league.slug': slug })
-      .sort({ 'standings.rank': 1 })
-      .limit(8)
-      .select('slug name logo standings')
-      .lean();
-  } catch (err) { topTeams = []; }
+  if (!cup) {
+    try {
+      topTeams = await Team.find({ 'league.slug': slug })
+        .sort({ 'standings.rank': 1 })
+        .limit(8)
+        .select('slug name logo standings')
+        .lean();
+    } catch (err) { topTeams = []; }
+  }
+
+  const bracket = cup || KNOCKOUT_LEAGUE_IDS.has(league.id)
+    ? await cupBracket.getBracket(league.id).catch(() => null)
+    : null;
 
   const url = `${SITE_URL}/giai-dau/${slug}`;
   const seasonYear = topTeams[0]?.seasonYear;
   const seasonStr = seasonYear ? ` ${seasonYear}/${seasonYear + 1}` : '';
-  const title = `${league.name}${seasonStr} - Lịch, BXH, Top Ghi Bàn, Tin Tức`;
-  const description = `Cổng thông tin ${league.viName}: bảng xếp hạng, lịch thi đấu, kết quả, vua phá lưới và tin tức mới nhất. ${topTeams.length || ''} đội tham dự${seasonStr}.`;
+  const title = cup
+    ? `${league.name}${bracket ? ` ${bracket.season}/${bracket.season + 1}` : ''} - Nhánh Đấu, Kết Quả, Lịch Thi Đấu`
+    : `${league.name}${seasonStr} - Lịch, BXH, Top Ghi Bàn, Tin Tức`;
+  const description = cup
+    ? `${league.viName}: nhánh đấu, kết quả từng vòng, tỷ số hai lượt, luân lưu và đường tới chung kết. Cập nhật sau mỗi trận.`
+    : `Cổng thông tin ${league.viName}: bảng xếp hạng, lịch thi đấu, kết quả, vua phá lưới và tin tức mới nhất. ${topTeams.length || ''} đội tham dự${seasonStr}.`;
 
   const { datePublished, dateModified } = getEntityDates({});
   const og = pickOgImage({}, { alt: league.name });
@@ -152,7 +233,7 @@ router.get('/giai-dau/:slug', async (req, res) => {
 
     <div class="layout">
       <div class="main">
-        <div class="card">
+        ${cup ? '' : `<div class="card">
           <h2>Truy cập nhanh</h2>
           <div class="quick-links">
             <a class="quick-link" href="/bang-xep-hang/${slug}">📊 Bảng xếp hạng</a>
@@ -160,18 +241,20 @@ router.get('/giai-dau/:slug', async (req, res) => {
             <a class="quick-link" href="/ket-qua-bong-da/${slug}">✅ Kết quả</a>
             <a class="quick-link" href="/top-ghi-ban/${slug}">👟 Top ghi bàn</a>
           </div>
-        </div>
+        </div>`}
 
-        <div class="card">
+        ${renderBracket(bracket)}
+
+        ${cup ? '' : `<div class="card">
           <h2>Top đội ${escapeHtml(league.viName)}</h2>
           ${miniTable}
           <p style="margin-top:10px"><a href="/bang-xep-hang/${slug}">Xem bảng xếp hạng đầy đủ →</a></p>
-        </div>
+        </div>`}
 
         <div class="card">
           <h2>Về ${escapeHtml(league.name)}</h2>
-          <p>${escapeHtml(league.name)} là giải đấu cao nhất của ${escapeHtml(league.country)}, được ScoreLine theo dõi chặt chẽ qua dữ liệu chính thức. Trang này là cổng tổng hợp dẫn đến tất cả thông tin về giải: bảng xếp hạng cập nhật theo từng vòng, lịch thi đấu 14 ngày tới, kết quả 30 ngày qua, và bảng vua phá lưới.</p>
-          <p>Nhấn vào <strong>Bảng xếp hạng</strong> để xem chi tiết hiệu số, điểm và phong độ của từng đội. Nhấn <strong>Lịch thi đấu</strong> để xem giờ kick-off các trận sắp tới. Mỗi trận đấu có trang riêng với phân tích đối đầu, lineup, tỷ lệ kèo và dự đoán.</p>
+          ${cup ? `<p>${escapeHtml(league.name)} là giải đấu cúp quốc gia của ${escapeHtml(league.country)}, thi đấu theo thể thức loại trực tiếp. ScoreLine dựng nhánh đấu từ dữ liệu chính thức: mỗi cặp đấu hiển thị tỷ số (tổng hai lượt nếu có), kết quả luân lưu và đội đi tiếp vào vòng sau.</p>` : `<p>${escapeHtml(league.name)} là giải đấu cao nhất của ${escapeHtml(league.country)}, được ScoreLine theo dõi chặt chẽ qua dữ liệu chính thức. Trang này là cổng tổng hợp dẫn đến tất cả thông tin về giải: bảng xếp hạng cập nhật theo từng vòng, lịch thi đấu 14 ngày tới, kết quả 30 ngày qua, và bảng vua phá lưới.</p>
+          <p>Nhấn vào <strong>Bảng xếp hạng</strong> để xem chi tiết hiệu số, điểm và phong độ của từng đội. Nhấn <strong>Lịch thi đấu</strong> để xem giờ kick-off các trận sắp tới. Mỗi trận đấu có trang riêng với phân tích đối đầu, lineup, tỷ lệ kèo và dự đoán.</p>`}
         </div>
 
         ${authorByline({ publishedIso: datePublished, modifiedIso: dateModified, icon: '🏆' })}
@@ -198,7 +281,7 @@ router.get('/giai-dau/:slug', async (req, res) => {
 </html>`;
 
   res.set('Content-Type', 'text/html; charset=utf-8');
-  res.set('Cache-Control', 'public, max-age=3600');
+  res.set('Cache-Control', `public, max-age=${bracket ? 900 : 3600}`);
   res.send(html);
 });
 
@@ -218,8 +301,8 @@ router.get('/giai-dau', async (req, res) => {
   };
   const itemListSchema = {
     '@context': 'https://schema.org', '@type': 'ItemList',
-    name: 'Giải đấu bóng đá', url, numberOfItems: LEAGUES.length,
-    itemListElement: LEAGUES.map((l, i) => ({
+    name: 'Giải đấu bóng đá', url, numberOfItems: LEAGUES.length + CUPS.length,
+    itemListElement: [...LEAGUES, ...CUPS].map((l, i) => ({
       '@type': 'ListItem', position: i + 1,
       url: `${SITE_URL}/giai-dau/${l.slug}`, name: l.name,
     })),
@@ -230,6 +313,11 @@ router.get('/giai-dau', async (req, res) => {
       <h3>🏆 ${escapeHtml(l.name)}</h3>
       <div class="desc">${escapeHtml(l.country)} · BXH · Lịch · Kết quả · Top ghi bàn</div>
     </a>
+  `).join('') + CUPS.map(c => `
+    <a class="league-card" href="/giai-dau/${c.slug}">
+      <h3>🏆 ${escapeHtml(c.name)}</h3>
+      <div class="desc">${escapeHtml(c.country)} · Nhánh đấu · Kết quả từng vòng</div>
+    </a>
   `).join('');
 
   const html = `<!DOCTYPE html>
@@ -258,7 +346,7 @@ router.get('/giai-dau', async (req, res) => {
     <nav class="breadcrumb"><a href="/">Trang chủ</a> &rsaquo; <span>Giải đấu</span></nav>
     <div class="hero">
       <h1>🏆 Giải Đấu Bóng Đá</h1>
-      <div class="meta">Cổng tổng hợp ${LEAGUES.length} giải đấu hàng đầu thế giới và Việt Nam — chọn giải để xem chi tiết.</div>
+      <div class="meta">Cổng tổng hợp ${LEAGUES.length + CUPS.length} giải đấu hàng đầu thế giới và Việt Nam — chọn giải để xem chi tiết.</div>
     </div>
     <div class="league-grid">${cardsHtml}</div>
     ${authorByline({ publishedIso: datePublished, modifiedIso: dateModified, icon: '🏆' })}
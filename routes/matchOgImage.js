@@ -16,6 +16,7 @@ const path = require('path');
 const router = express.Router();
 
 const { generate, OUTPUT_DIR } = require('../services/matchOgImage');
+const { vnLabels } = require('../utils/dateTime');
 
 function titleCase(slug) {
   return String(slug || '').replace(/-/g, ' ').replace(/\b([a-z])/g, (_, c) => c.toUpperCase());
@@ -30,12 +31,10 @@ function parseSlug(slug) {
   const [, h, a, hh, mi, dd, mo, yy] = m;
   const utcMs = Date.UTC(+yy, +mo - 1, +dd, +hh, +mi);
   if (!Number.isFinite(utcMs)) return null;
-  const vn = new Date(utcMs + 7 * 3600 * 1000);
-  const pad = (n) => String(n).padStart(2, '0');
   return {
     homeName: titleCase(h),
     awayName: titleCase(a),
-    vnDateLabel: `${pad(vn.getUTCHours())}h${pad(vn.getUTCMinutes())} ngày ${pad(vn.getUTCDate())}/${pad(vn.getUTCMonth() + 1)}/${vn.getUTCFullYear()}`,
+    vnDateLabel: vnLabels(utcMs).dateLabel,
   };
 }
 
@@ -11,6 +11,21 @@ const { getAllowedLeagueIdsString, getAllowedLeagueIds, getHotLeagueIds, isLeagu
 const oddsCache = require('../services/oddsCache'); // MongoDB cache service
 const matchCache = require('../services/matchCache'); // MongoDB match cache service
 const matchCacheService = require('../services/matchCacheService'); // MongoDB match cache service with cache-first strategy
+const liveFeed = require('../services/liveFeed'); // SSE live score deltas (fed by matchCacheWorker)
+const oddsHistory = require('../services/oddsHistory'); // Append-only odds line movement
+const matchPrediction = require('../services/matchPrediction'); // Dixon-Coles model, refit nightly
+const eloRatings = require('../services/eloRatings'); // Cross-league team Elo
+const referees = require('../services/referees'); // Referee profiles from cached finished fixtures
+const discipline = require('../services/discipline'); // Card accumulation / suspension tracker
+const predictedLineups = require('../services/predictedLineups'); // Probable XIs + accuracy of past predictions
+const teamOfTheWeek = require('../services/teamOfTheWeek'); // Player match ratings → Team of the Week
+const resultsArchive = require('../services/resultsArchive'); // Permanent finished-fixture archive (H2H, form)
+const matchSlugs = require('../services/matchSlugs'); // Slug → fixture ID index behind resolveFixtureId
+const { parseMatchSlug } = require('../utils/matchSlug'); // Readable / legacy timestamp match slugs
+const { buildConsensus, summarizeConsensus } = require('../utils/oddsMarkets'); // Consensus / margin / best price
+const { oddsFormatFromQuery, formatCompetitions, formatBookmakers, formatConsensus, formatOddsHistory } = require('../utils/oddsFormat'); // ?oddsFormat=hk|malay|indo|american
+const { BOOKMAKERS_DATA } = require('../data/bookmakers');
+const { DEFAULT_TIMEZONE, timeZoneFromQuery, dayKey, dayKeyFromInput, dayRange, addDays, zoneCompetitionTimes } = require('../utils/dateTime'); // ?tz= day bucketing
 const Odds = require('../models/Odds'); // MongoDB Odds model for direct queries
 
 // Default fallback image for broken logos
@@ -21,10 +36,11 @@ const DEFAULT_FALLBACK_IMAGE = 'https://media.api-sports.io/football/teams/5297.
  *
  * Accepted shapes:
  *   - Numeric (e.g. 1492231): used directly.
- *   - Readable slug ending in 13-digit UTC timestamp (e.g.
- *     "nice-vs-lens-1777748700000"): query API-Sports across a ±1-day
- *     UTC window (handles Bangkok timezone shifts), then match by
- *     exact timestamp, falling back to bidirectional team-name match.
+ *   - Readable slug, "nice-vs-lens-19h45-ngay-02-05-2026" or the legacy
+ *     "nice-vs-lens-1777748700000": looked up in the MatchSlug index
+ *     (services/matchSlugs.js — fed by the worker and the odds sync, keeps
+ *     aliases of rescheduled kickoffs). API-Sports is only searched when
+ *     the index doesn't know the slug.
  *
  * Returns: numeric fixtureId | null
  *
@@ -33,68 +49,7 @@ const DEFAULT_FALLBACK_IMAGE = 'https://media.api-sports.io/football/teams/5297.
  * endpoint had a slightly different (and sometimes broken) version.
  */
 async function resolveFixtureId(id, footballApi) {
-  if (id == null) return null;
-
-  const numericId = parseInt(id);
-  if (!isNaN(numericId) && /^\d+$/.test(String(id))) return numericId;
-
-  if (typeof id !== 'string') return null;
-  const parts = id.split('-');
-  const timestamp = parseInt(parts[parts.length - 1]);
-  if (isNaN(timestamp) || timestamp < 1_000_000_000_000) return null;
-
-  const dayMs = 86_400_000;
-  const baseDay = new Date(timestamp).toISOString().split('T')[0];
-  const baseMs = new Date(baseDay + 'T00:00:00.000Z').getTime();
-  const dates = [
-    new Date(baseMs - dayMs).toISOString().split('T')[0],
-    baseDay,
-    new Date(baseMs + dayMs).toISOString().split('T')[0],
-  ];
-
-  const responses = await Promise.allSettled(
-    dates.map(d => footballApi.get('/fixtures', { params: { date: d } }))
-  );
-  const fixturesById = new Map();
-  for (const r of responses) {
-    if (r.status !== 'fulfilled') continue;
-    for (const f of (r.value.data?.response || [])) {
-      if (f?.fixture?.id != null) fixturesById.set(f.fixture.id, f);
-    }
-  }
-  const allFixtures = Array.from(fixturesById.values());
-  if (allFixtures.length === 0) return null;
-
-  // Exact timestamp match
-  const exact = allFixtures.find(f => new Date(f.fixture.date).getTime() === timestamp);
-  if (exact) return exact.fixture.id;
-
-  // Bidirectional team-name fallback — handles "porto" vs "fc-porto" and
-  // home/away swap.
-  const slugWithoutTimestamp = parts.slice(0, -1).join('-');
-  const userParts = slugWithoutTimestamp.split('-vs-');
-  const slugify = (name) =>
-    (name || '').toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
-  const teamMatches = (apiSlug, userToken) => {
-    if (!apiSlug || !userToken) return false;
-    if (apiSlug === userToken) return true;
-    if (apiSlug.includes(userToken) || userToken.includes(apiSlug)) return true;
-    const apiTokens = apiSlug.split('-').filter(t => t.length >= 4);
-    const userTokens = userToken.split('-').filter(t => t.length >= 4);
-    return apiTokens.some(at => userTokens.some(ut => at === ut));
-  };
-
-  const found = allFixtures.find(f => {
-    const homeSlug = slugify(f.teams?.home?.name);
-    const awaySlug = slugify(f.teams?.away?.name);
-    if (userParts.length === 2) {
-      return (teamMatches(homeSlug, userParts[0]) && teamMatches(awaySlug, userParts[1]))
-        || (teamMatches(homeSlug, userParts[1]) && teamMatches(awaySlug, userParts[0]));
-    }
-    return slugWithoutTimestamp.includes(homeSlug) && slugWithoutTimestamp.includes(awaySlug);
-  });
-
-  return found ? found.fixture.id : null;
+  return matchSlugs.resolve(id, footballApi);
 }
 
 // ========================================
@@ -157,6 +112,51 @@ function parseQueryParams(query) {
   };
 }
 
+/**
+ * Attach the compact odds consensus (main lines + best prices) to every
+ * match that has bookmakers. Used by includeConsensus=true.
+ */
+function attachConsensus(competitions) {
+  for (const comp of competitions) {
+    for (const match of comp.matches || []) {
+      match.consensus = summarizeConsensus(match.bookmakers);
+    }
+  }
+  return competitions;
+}
+
+/**
+ * Attach current Elo ratings to every match and an `eloStrength` (best
+ * average rating of its matches) to every competition. Used by
+ * includeElo=true and sortBy=elo.
+ */
+async function attachElo(competitions) {
+  const teamIdOf = team => parseInt(String(team?.teamId || '').replace('team-', ''), 10);
+  const teamIds = new Set();
+  for (const comp of competitions) {
+    for (const match of comp.matches || []) {
+      [teamIdOf(match.teams?.home), teamIdOf(match.teams?.away)].forEach(id => { if (!isNaN(id)) teamIds.add(id); });
+    }
+  }
+  if (teamIds.size === 0) return competitions;
+
+  const ratings = await eloRatings.ratingsFor(Array.from(teamIds));
+  for (const comp of competitions) {
+    comp.eloStrength = null;
+    for (const match of comp.matches || []) {
+      const home = ratings.get(teamIdOf(match.teams?.home)) ?? null;
+      const away = ratings.get(teamIdOf(match.teams?.away)) ?? null;
+      match.elo = home !== null && away !== null
+        ? { home, away, homeWinExpectancy: Math.round(eloRatings.expectedScore(home, away) * 1000) / 1000 }
+        : { home, away, homeWinExpectancy: null };
+      if (home !== null && away !== null) {
+        comp.eloStrength = Math.max(comp.eloStrength || 0, (home + away) / 2);
+      }
+    }
+  }
+  return competitions;
+}
+
 /**
  * Paginate results
  */
@@ -308,14 +308,12 @@ async function fetchFixtures(footballApi, params, includeOdds = false, bookmaker
 
     // ✅ FIX: Smart date-based fetching
     if (params.date && !params.status && !params.live) {
-      const queryDate = new Date(params.date);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      queryDate.setHours(0, 0, 0, 0);
+      // Both "YYYY-MM-DD" in the requested zone
+      const today = dayKey(new Date(), params.timezone || DEFAULT_TIMEZONE);
 
-      const isPastDate = queryDate < today;
-      const isToday = queryDate.getTime() === today.getTime();
-      const isFutureDate = queryDate > today;
+      const isPastDate = params.date < today;
+      const isToday = params.date === today;
+      const isFutureDate = params.date > today;
 
       if (isPastDate) {
         // PAST DATE: Fetch FINISHED matches only
@@ -559,10 +557,22 @@ async function fetchFixtures(footballApi, params, includeOdds = false, bookmaker
 
 /**
  * GET /api/matches/all
+ * tz (IANA zone, default Asia/Ho_Chi_Minh): the day `dateTime` falls on and
+ * the offset of the returned kickoff times
  */
 router.get('/all', async (req, res) => {
   try {
     const footballApi = req.app.locals.footballApi;
+    const tz = timeZoneFromQuery(req.query);
+    if (!tz) {
+      return res.status(400).json({
+        timestamp: new Date().toISOString(),
+        success: false,
+        errorCode: 400,
+        message: `Invalid tz: ${req.query.tz}`,
+        data: null
+      });
+    }
     let { dateTime, status, offset = 0, limit = 30, league, competitionId, teamId, teamKeyword, seasonYear, groupByRound, sortByRound, hideFinished = 'false', round, roundRange, sortBy } = req.query;
     const { shouldIncludeOdds, bookmakerIds } = parseQueryParams(req.query);
 
@@ -599,9 +609,9 @@ router.get('/all', async (req, res) => {
     }
 
     console.log('\n⚽ GET /api/matches/all');
-    console.log(`   Params: date=${dateTime}, status=${status}, competitionId=${competitionId}, seasonYear=${seasonYear}, includeOdds=${shouldIncludeOdds}, hideFinished=${shouldHideFinished}, round=${round}, roundRange=${roundRange}, limit=${limit}`);
+    console.log(`   Params: date=${dateTime}, tz=${tz}, status=${status}, competitionId=${competitionId}, seasonYear=${seasonYear}, includeOdds=${shouldIncludeOdds}, hideFinished=${shouldHideFinished}, round=${round}, roundRange=${roundRange}, limit=${limit}`);
 
-    const params = { timezone: 'Asia/Bangkok' };
+    const params = { timezone: tz };
 
     // Season-based fetching (for competition schedules)
     if (seasonYear && competitionId) {
@@ -616,7 +626,16 @@ router.get('/all', async (req, res) => {
         console.log(`   📅 Fetching ALL rounds for season: league=${leagueId}, season=${seasonYear}`);
       }
     } else if (dateTime) {
-      params.date = new Date(dateTime).toISOString().split('T')[0];
+      params.date = dayKeyFromInput(dateTime, tz);
+      if (!params.date) {
+        return res.status(400).json({
+          timestamp: new Date().toISOString(),
+          success: false,
+          errorCode: 400,
+          message: `Invalid dateTime: ${dateTime}`,
+          data: null
+        });
+      }
     }
 
     // ✅ OPTIMIZATION: Apply league filtering to prevent showing uncached matches
@@ -868,6 +887,7 @@ router.get('/all', async (req, res) => {
     }
 
     const { items, pagination } = paginateResults(competitions, offset, limit);
+    formatCompetitions(items, oddsFormatFromQuery(req.query));
 
     // Group by rounds if requested
     if (groupByRound === 'true' && items.length > 0) {
@@ -954,10 +974,15 @@ router.get('/all', async (req, res) => {
 
 /**
  * GET /api/matches/live (MongoDB cached)
+ * tz (IANA zone): kickoff times are returned with that zone's offset
  */
 router.get('/live', async (req, res) => {
   try {
     const footballApi = req.app.locals.footballApi;
+    const tz = timeZoneFromQuery(req.query);
+    if (!tz) {
+      return res.status(400).json({ success: false, error: 'Invalid tz', message: `Unknown time zone: ${req.query.tz}` });
+    }
     const startTime = Date.now();
     let { offset = 0, limit = 30, competitionId, teamKeyword, sortBy } = req.query;
     const { shouldIncludeOdds, bookmakerIds } = parseQueryParams(req.query);
@@ -972,7 +997,7 @@ router.get('/live', async (req, res) => {
     // Define the fetch function that will be called on cache miss
     const fetchFn = async () => {
       const params = {
-        timezone: 'Asia/Bangkok',
+        timezone: DEFAULT_TIMEZONE,   // shared cache — per-request zone applied below
         live: 'all'
         // NOTE: No league filter on cache miss - let users see all live matches
         // Worker pre-caches allowed leagues, but endpoint allows flexibility
@@ -1101,6 +1126,8 @@ router.get('/live', async (req, res) => {
 
     // Apply pagination
     const { items, pagination } = paginateResults(competitions, offset, limit);
+    formatCompetitions(items, oddsFormatFromQuery(req.query));
+    if (req.query.tz) zoneCompetitionTimes(items, tz);
 
     const duration = Date.now() - startTime;
     const cacheStatus = result.fromCache ? '💾 CACHE' : '📡 API';
@@ -1121,19 +1148,40 @@ router.get('/live', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/matches/live/stream - Server-Sent Events live score feed
+ * Query: leagues=39,140 (optional), fixtures=123,456 (optional),
+ *        standings=1 (with leagues: also push the live table of those leagues)
+ * Sends a snapshot of live fixtures, then per-fixture deltas published by
+ * matchCacheWorker. Supports Last-Event-ID resume; see services/liveFeed.js.
+ */
+router.get('/live/stream', async (req, res) => {
+  console.log('\n📡 GET /api/matches/live/stream (SSE)');
+  await liveFeed.stream(req, res);
+});
+
 /**
  * GET /api/matches/hot - FIXED VERSION
  * Get hot/featured matches from top 5 leagues (filter from today's matches)
+ * sortBy=elo puts the competitions with the strongest matchups (team Elo) first
+ * tz (IANA zone, default Asia/Ho_Chi_Minh): which day is "today", and the
+ * offset of the returned kickoff times
  */
 router.get('/hot', async (req, res) => {
   try {
     const footballApi = req.app.locals.footballApi;
-    const { offset = 0, limit = 10, hideWithoutOdds = 'false', sortBy } = req.query;
+    const tz = timeZoneFromQuery(req.query);
+    if (!tz) {
+      return res.status(400).json({ success: false, error: 'Invalid tz', message: `Unknown time zone: ${req.query.tz}` });
+    }
+    const { offset = 0, limit = 10, hideWithoutOdds = 'false', includeConsensus = 'false', includeElo = 'false', sortBy } = req.query;
     const { shouldIncludeOdds, bookmakerIds } = parseQueryParams(req.query);
     const shouldHideWithoutOdds = hideWithoutOdds === 'true';
+    const shouldIncludeConsensus = includeConsensus === 'true';
 
     // Parse sortBy array
     const sortByArray = Array.isArray(sortBy) ? sortBy : (sortBy ? [sortBy] : []);
+    const shouldIncludeElo = includeElo === 'true' || sortByArray.includes('elo');
 
     console.log('\n🔥 GET /api/matches/hot (MongoDB optimized)');
     console.log(`   🎰 Odds config: shouldIncludeOdds=${shouldIncludeOdds}, hideWithoutOdds=${shouldHideWithoutOdds}, sortBy=${sortByArray.join('→')}, bookmakerIds=[${bookmakerIds.join(',')}]`);
@@ -1155,6 +1203,7 @@ router.get('/hot', async (req, res) => {
     const hotLeagueIds = topLeagues;
 
     const now = new Date();
+    const todayKey = dayKey(now, tz);   // "today" is the reader's day, Vietnam by default
     const MIN_COMPETITIONS = 5; // Cố gắng có ít nhất 5 giải đấu
     const MAX_DAYS_AHEAD = 4; // ✅ OPTIMIZED: Tìm trong 4 ngày (matching worker)
 
@@ -1165,14 +1214,10 @@ router.get('/hot', async (req, res) => {
 
     // Lặp qua từng ngày để tìm đủ 3 giải đấu
     while (daysChecked <= MAX_DAYS_AHEAD) {
-      const startDate = new Date(now);
-      startDate.setDate(startDate.getDate() + daysChecked);
-      startDate.setHours(0, 0, 0, 0);
+      const checkedDay = addDays(todayKey, daysChecked);
+      const { start: startDate, end: endDate } = dayRange(checkedDay, tz);
 
-      const endDate = new Date(startDate);
-      endDate.setDate(endDate.getDate() + 1);
-
-      console.log(`   📅 Checking day ${daysChecked}: ${startDate.toISOString().split('T')[0]}`);
+      console.log(`   📅 Checking day ${daysChecked}: ${checkedDay} (${tz})`);
 
       // Query matches cho ngày này
       const dayMatches = await Odds.find({
@@ -1217,15 +1262,9 @@ router.get('/hot', async (req, res) => {
         // ✅ Determine current season (if month >= August, use current year, else previous year)
         const currentSeason = today.getMonth() >= 7 ? currentYear : currentYear - 1;
 
-        // ✅ OPTIMIZED: Calculate 4-day window
-        const fromDate = new Date();
-        fromDate.setHours(0, 0, 0, 0);
-        const toDate = new Date();
-        toDate.setDate(toDate.getDate() + MAX_DAYS_AHEAD);
-        toDate.setHours(23, 59, 59, 999);
-
-        const fromStr = fromDate.toISOString().split('T')[0];
-        const toStr = toDate.toISOString().split('T')[0];
+        // ✅ OPTIMIZED: Calculate 4-day window (days of the requested zone)
+        const fromStr = todayKey;
+        const toStr = addDays(todayKey, MAX_DAYS_AHEAD);
 
         // Fetch upcoming matches from each league within 4-day window
         console.log(`   🌐 Fetching real-time matches for ${hotLeagueIds.length} leagues from API-Sports (${fromStr} to ${toStr})...`);
@@ -1237,7 +1276,7 @@ router.get('/hot', async (req, res) => {
               season: currentSeason,
               from: fromStr, // ✅ OPTIMIZED: Use date range instead of 'next'
               to: toStr,     // ✅ OPTIMIZED: Limit to 4 days
-              timezone: 'UTC'
+              timezone: tz
             }
           }).then(response => ({
             leagueId,
@@ -1483,6 +1522,8 @@ router.get('/hot', async (req, res) => {
           }
         }
 
+        if (shouldIncludeElo) await attachElo(competitions);
+
         // ✅ SORTING for fallback case
         if (sortByArray.length > 0) {
           console.log(`   🔀 Sorting hot (fallback) by: ${sortByArray.join(' → ')}`);
@@ -1506,6 +1547,9 @@ router.get('/hot', async (req, res) => {
                   };
                   comparison = getEarliestTime(a) - getEarliestTime(b);
                   break;
+                case 'elo':
+                  comparison = (b.eloStrength || 0) - (a.eloStrength || 0);
+                  break;
               }
               if (comparison !== 0) return comparison;
             }
@@ -1514,6 +1558,9 @@ router.get('/hot', async (req, res) => {
         }
 
         const { items, pagination } = paginateResults(competitions, offset, limit);
+        if (shouldIncludeConsensus) attachConsensus(items);
+        formatCompetitions(items, oddsFormatFromQuery(req.query));
+        if (req.query.tz) zoneCompetitionTimes(items, tz);
 
         const duration = Date.now() - startTime;
         console.log(`✅ Returning ${items.length} hot competitions (${duration}ms from API-Sports real-time)\n`);
@@ -1725,6 +1772,8 @@ router.get('/hot', async (req, res) => {
       }
     }
 
+    if (shouldIncludeElo) await attachElo(competitions);
+
     // ✅ SORTING for cached case
     if (sortByArray.length > 0) {
       console.log(`   🔀 Sorting hot (cache) by: ${sortByArray.join(' → ')}`);
@@ -1748,6 +1797,9 @@ router.get('/hot', async (req, res) => {
               };
               comparison = getEarliestTime(a) - getEarliestTime(b);
               break;
+            case 'elo':
+              comparison = (b.eloStrength || 0) - (a.eloStrength || 0);
+              break;
           }
           if (comparison !== 0) return comparison;
         }
@@ -1756,6 +1808,9 @@ router.get('/hot', async (req, res) => {
     }
 
     const { items, pagination } = paginateResults(competitions, offset, limit);
+    if (shouldIncludeConsensus) attachConsensus(items);
+    formatCompetitions(items, oddsFormatFromQuery(req.query));
+    if (req.query.tz) zoneCompetitionTimes(items, tz);
 
     const duration = Date.now() - startTime;
     console.log(`✅ Returning ${items.length} hot competitions (${duration}ms from MongoDB cache)\n`);
@@ -1787,294 +1842,122 @@ router.get('/:id/detail', async (req, res) => {
     console.log(`\n🔍 GET /api/matches/:id/detail`);
     console.log(`   Requested ID/Slug: ${id}`);
 
-    let fixtureId = null;
-    let matchDate = null;
-
-    // Try to parse as numeric ID first
-    const numericId = parseInt(id);
-    if (!isNaN(numericId)) {
-      console.log(`   📊 Using numeric fixture ID: ${numericId}`);
-      fixtureId = numericId;
-    } else {
-      // Try to extract timestamp from slug
-      console.log(`   📊 Parsing slug to extract timestamp`);
-
-      // Slug format: {competition}-{team1}-{team2}-{timestamp}
-      // Example: indonesia-liga-2-2025-persiku-kudus-psis-semarang-1762849800000
-      const parts = id.split('-');
-      const lastPart = parts[parts.length - 1];
-      const timestamp = parseInt(lastPart);
-
-      if (!isNaN(timestamp) && timestamp > 1000000000000) {
-        const date = new Date(timestamp);
-        matchDate = date.toISOString().split('T')[0]; // Format: YYYY-MM-DD
-        console.log(`   📅 Extracted date: ${matchDate} from timestamp ${timestamp}`);
-      } else {
-        console.log(`   ❌ Invalid slug format`);
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid slug format',
-          message: `Slug must end with a valid timestamp`
-        });
-      }
+    if (!/^\d+$/.test(id) && !parseMatchSlug(id)) {
+      console.log(`   ❌ Invalid slug format`);
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid slug format',
+        message: `Slug must be a fixture ID or end with a kickoff (timestamp or -HHhMM-ngay-DD-MM-YYYY)`
+      });
     }
 
-    // Fetch from API-Sports
-    if (fixtureId) {
-      // Fetch by fixture ID
-      console.log(`   📥 Fetching fixture ${fixtureId} from API-Sports...`);
-      const response = await footballApi.get('/fixtures', {
-        params: {
-          id: fixtureId,
-          timezone: 'Asia/Bangkok'
-        }
+    // Slug → fixture ID through the MatchSlug index (API-Sports search only as a last resort)
+    const fixtureId = await resolveFixtureId(id, footballApi);
+    if (!fixtureId) {
+      console.log(`   ❌ No fixture found for slug ${id}`);
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found',
+        message: `No match found with slug: ${id}. This match may not be available in API-Sports.`
       });
+    }
+    console.log(`   📊 Using fixture ID: ${fixtureId}`);
 
-      if (!response.data?.response || response.data.response.length === 0) {
-        console.log(`   ❌ Fixture not found`);
-        return res.status(404).json({
-          success: false,
-          error: 'Match not found',
-          message: `No match found with ID: ${fixtureId}`
-        });
-      }
-
-      const fixture = response.data.response[0];
-
-      // Fetch statistics if match is finished or in play
-      let statistics = [];
-      let events = [];
-      let prediction = null;
-      const matchStatus = fixture.fixture?.status?.short;
-
-      if (matchStatus === 'FT' || matchStatus === '1H' || matchStatus === '2H' || matchStatus === 'HT') {
-        console.log(`   📊 Fetching statistics and events for finished/live match...`);
-        try {
-          const [statsResponse, eventsResponse] = await Promise.all([
-            footballApi.get('/fixtures/statistics', {
-              params: { fixture: fixtureId }
-            }),
-            footballApi.get('/fixtures/events', {
-              params: { fixture: fixtureId }
-            })
-          ]);
-
-          statistics = statsResponse.data?.response || [];
-          events = eventsResponse.data?.response || [];
-          console.log(`   ✅ Found ${statistics.length} team statistics and ${events.length} events`);
-        } catch (err) {
-          console.log(`   ⚠️  Failed to fetch statistics/events: ${err.message}`);
-        }
-      } else if (matchStatus === 'NS' || matchStatus === 'TBD') {
-        // Fetch prediction for scheduled matches
-        console.log(`   🔮 Fetching prediction for scheduled match...`);
-        try {
-          const predictionResponse = await footballApi.get('/predictions', {
-            params: { fixture: fixtureId }
-          });
-
-          if (predictionResponse.data?.response && predictionResponse.data.response.length > 0) {
-            const rawPrediction = predictionResponse.data.response[0];
-
-            // Transform prediction to match component's expected structure
-            prediction = {
-              homeStat: rawPrediction.teams?.home || {},
-              awayStat: rawPrediction.teams?.away || {},
-              homePercent: rawPrediction.predictions?.percent?.home || '0',
-              awayPercent: rawPrediction.predictions?.percent?.away || '0',
-              drawPercent: rawPrediction.predictions?.percent?.draw || '0',
-              advice: rawPrediction.predictions?.advice || '',
-              winnerName: rawPrediction.predictions?.winner?.name || ''
-            };
-
-            console.log(`   ✅ Found prediction data (Home: ${prediction.homePercent}%, Away: ${prediction.awayPercent}%)`);
-          }
-        } catch (err) {
-          console.log(`   ⚠️  Failed to fetch prediction: ${err.message}`);
-        }
-      }
-
-      // Transform using the existing transformer with statistics
-      // transformToMatchFormat(fixture, oddsData, statsData, useMockOdds)
-      const match = transformToMatchFormat(fixture, [], statistics, false);
-
-      // Add prediction to match if available
-      if (prediction) {
-        match.prediction = prediction;
+    // Fetch from API-Sports
+    console.log(`   📥 Fetching fixture ${fixtureId} from API-Sports...`);
+    const response = await footballApi.get('/fixtures', {
+      params: {
+        id: fixtureId,
+        timezone: DEFAULT_TIMEZONE
       }
+    });
 
-      console.log(`   ✅ Found match: ${fixture.teams?.home?.name} vs ${fixture.teams?.away?.name}`);
-
-      return res.json({
-        success: true,
-        data: match
+    if (!response.data?.response || response.data.response.length === 0) {
+      console.log(`   ❌ Fixture not found`);
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found',
+        message: `No match found with ID: ${fixtureId}`
       });
+    }
 
-    } else if (matchDate) {
-      // Build a 3-day UTC window around the slug timestamp.
-      //
-      // Why: the slug encodes time in UTC (matches buildMatchSlug), but
-      // API-Sports' /fixtures expects a `date` and (when paired with
-      // timezone=Asia/Bangkok) treats that date in Bangkok local time.
-      // A match at e.g. 2026-05-02 19:30 UTC is 2026-05-03 02:30 Bangkok
-      // — querying date=2026-05-02 in Bangkok TZ misses it entirely.
-      // Solution: fetch UTC date ±1 day with no timezone (API-Sports
-      // defaults to UTC) and merge. Timestamp/team-name matching then
-      // works regardless of which calendar day the fixture lands on.
-      const dayMs = 86_400_000;
-      const baseMs = new Date(matchDate + 'T00:00:00.000Z').getTime();
-      const dates = [
-        new Date(baseMs - dayMs).toISOString().split('T')[0],
-        matchDate,
-        new Date(baseMs + dayMs).toISOString().split('T')[0],
-      ];
-      console.log(`   📥 Fetching fixtures for ${dates.join(', ')} (UTC) from API-Sports...`);
-
-      const responses = await Promise.allSettled(
-        dates.map(d => footballApi.get('/fixtures', { params: { date: d } }))
-      );
-      const fixturesById = new Map();
-      for (const r of responses) {
-        if (r.status !== 'fulfilled') continue;
-        for (const f of (r.value.data?.response || [])) {
-          if (f?.fixture?.id != null) fixturesById.set(f.fixture.id, f);
-        }
-      }
-      const allFixtures = Array.from(fixturesById.values());
-
-      if (allFixtures.length === 0) {
-        console.log(`   ❌ No fixtures found in the ±1-day window`);
-        return res.status(404).json({
-          success: false,
-          error: 'Match not found',
-          message: `No matches found around ${matchDate}`
-        });
-      }
-
-      // Find the fixture matching the timestamp
-      const parts = id.split('-');
-      const timestamp = parseInt(parts[parts.length - 1]);
-
-      let fixture = allFixtures.find(f => {
-        const fixtureTimestamp = new Date(f.fixture.date).getTime();
-        return fixtureTimestamp === timestamp;
-      });
+    const fixture = response.data.response[0];
 
-      // Fallback: Search by team names if timestamp doesn't match.
-      // We compare in BOTH directions so a slug like "porto-vs-alverca"
-      // still matches an API-Sports fixture named "FC Porto" — the
-      // user-typed token must appear in (or contain) the API team name.
-      if (!fixture) {
-        console.log(`   ⚠️  No exact timestamp match, trying team name search...`);
-        const slugWithoutTimestamp = parts.slice(0, -1).join('-');
-        const userParts = slugWithoutTimestamp.split('-vs-');
-
-        const teamMatches = (apiSlug, userToken) => {
-          if (!apiSlug || !userToken) return false;
-          if (apiSlug === userToken) return true;
-          if (apiSlug.includes(userToken) || userToken.includes(apiSlug)) return true;
-          // Token-level overlap for compound names ("real-madrid" vs "madrid").
-          const apiTokens = apiSlug.split('-').filter(t => t.length >= 4);
-          const userTokens = userToken.split('-').filter(t => t.length >= 4);
-          return apiTokens.some(at => userTokens.some(ut => at === ut));
-        };
+    // Fetch statistics if match is finished or in play
+    let statistics = [];
+    let events = [];
+    let prediction = null;
+    const matchStatus = fixture.fixture?.status?.short;
 
-        const slugify = (name) =>
-          (name || '').toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+    if (matchStatus === 'FT' || matchStatus === '1H' || matchStatus === '2H' || matchStatus === 'HT') {
+      console.log(`   📊 Fetching statistics and events for finished/live match...`);
+      try {
+        const [statsResponse, eventsResponse] = await Promise.all([
+          footballApi.get('/fixtures/statistics', {
+            params: { fixture: fixtureId }
+          }),
+          footballApi.get('/fixtures/events', {
+            params: { fixture: fixtureId }
+          })
+        ]);
 
-        fixture = allFixtures.find(f => {
-          const homeSlug = slugify(f.teams?.home?.name);
-          const awaySlug = slugify(f.teams?.away?.name);
-          if (userParts.length === 2) {
-            // Try home/away in either order
-            return (teamMatches(homeSlug, userParts[0]) && teamMatches(awaySlug, userParts[1]))
-              || (teamMatches(homeSlug, userParts[1]) && teamMatches(awaySlug, userParts[0]));
-          }
-          // No '-vs-' divider — fall back to simple containment (legacy slugs).
-          return slugWithoutTimestamp.includes(homeSlug) && slugWithoutTimestamp.includes(awaySlug);
-        });
+        statistics = statsResponse.data?.response || [];
+        events = eventsResponse.data?.response || [];
+        console.log(`   ✅ Found ${statistics.length} team statistics and ${events.length} events`);
+      } catch (err) {
+        console.log(`   ⚠️  Failed to fetch statistics/events: ${err.message}`);
       }
-
-      if (!fixture) {
-        console.log(`   ❌ No fixture found matching timestamp ${timestamp} or team names`);
-        return res.status(404).json({
-          success: false,
-          error: 'Match not found',
-          message: `No match found with slug: ${id}. This match may not be available in API-Sports.`
+    } else if (matchStatus === 'NS' || matchStatus === 'TBD') {
+      // Fetch prediction for scheduled matches
+      console.log(`   🔮 Fetching prediction for scheduled match...`);
+      try {
+        const predictionResponse = await footballApi.get('/predictions', {
+          params: { fixture: fixtureId }
         });
-      }
 
-      const foundFixtureId = fixture.fixture.id;
-
-      // Fetch statistics if match is finished or in play
-      let statistics = [];
-      let events = [];
-      let prediction = null;
-      const matchStatus = fixture.fixture?.status?.short;
-
-      if (matchStatus === 'FT' || matchStatus === '1H' || matchStatus === '2H' || matchStatus === 'HT') {
-        console.log(`   📊 Fetching statistics and events for finished/live match...`);
-        try {
-          const [statsResponse, eventsResponse] = await Promise.all([
-            footballApi.get('/fixtures/statistics', {
-              params: { fixture: foundFixtureId }
-            }),
-            footballApi.get('/fixtures/events', {
-              params: { fixture: foundFixtureId }
-            })
-          ]);
-
-          statistics = statsResponse.data?.response || [];
-          events = eventsResponse.data?.response || [];
-          console.log(`   ✅ Found ${statistics.length} team statistics and ${events.length} events`);
-        } catch (err) {
-          console.log(`   ⚠️  Failed to fetch statistics/events: ${err.message}`);
-        }
-      } else if (matchStatus === 'NS' || matchStatus === 'TBD') {
-        // Fetch prediction for scheduled matches
-        console.log(`   🔮 Fetching prediction for scheduled match...`);
-        try {
-          const predictionResponse = await footballApi.get('/predictions', {
-            params: { fixture: foundFixtureId }
-          });
+        if (predictionResponse.data?.response && predictionResponse.data.response.length > 0) {
+          const rawPrediction = predictionResponse.data.response[0];
+
+          // Transform prediction to match component's expected structure
+          prediction = {
+            homeStat: rawPrediction.teams?.home || {},
+            awayStat: rawPrediction.teams?.away || {},
+            homePercent: rawPrediction.predictions?.percent?.home || '0',
+            awayPercent: rawPrediction.predictions?.percent?.away || '0',
+            drawPercent: rawPrediction.predictions?.percent?.draw || '0',
+            advice: rawPrediction.predictions?.advice || '',
+            winnerName: rawPrediction.predictions?.winner?.name || ''
+          };
 
-          if (predictionResponse.data?.response && predictionResponse.data.response.length > 0) {
-            const rawPrediction = predictionResponse.data.response[0];
-
-            // Transform prediction to match component's expected structure
-            prediction = {
-              homeStat: rawPrediction.teams?.home || {},
-              awayStat: rawPrediction.teams?.away || {},
-              homePercent: rawPrediction.predictions?.percent?.home || '0',
-              awayPercent: rawPrediction.predictions?.percent?.away || '0',
-              drawPercent: rawPrediction.predictions?.percent?.draw || '0',
-              advice: rawPrediction.predictions?.advice || '',
-              winnerName: rawPrediction.predictions?.winner?.name || ''
-            };
-
-            console.log(`   ✅ Found prediction data (Home: ${prediction.homePercent}%, Away: ${prediction.awayPercent}%)`);
-          }
-        } catch (err) {
-          console.log(`   ⚠️  Failed to fetch prediction: ${err.message}`);
+          console.log(`   ✅ Found prediction data (Home: ${prediction.homePercent}%, Away: ${prediction.awayPercent}%)`);
         }
+      } catch (err) {
+        console.log(`   ⚠️  Failed to fetch prediction: ${err.message}`);
       }
+    }
 
-      // Transform using the existing transformer with statistics
-      // transformToMatchFormat(fixture, oddsData, statsData, useMockOdds)
-      const match = transformToMatchFormat(fixture, [], statistics, false);
+    // Transform using the existing transformer with statistics
+    // transformToMatchFormat(fixture, oddsData, statsData, useMockOdds)
+    const match = transformToMatchFormat(fixture, [], statistics, false);
 
-      // Add prediction to match if available
-      if (prediction) {
-        match.prediction = prediction;
-      }
+    // Add prediction to match if available
+    if (prediction) {
+      match.prediction = prediction;
+    }
 
-      console.log(`   ✅ Found match: ${fixture.teams?.home?.name} vs ${fixture.teams?.away?.name}`);
+    // Appointed referee's record (services/referees.js)
+    match.refereeProfile = await referees.profileForName(match.referee, { leagueId: fixture.league?.id })
+      .catch(() => null);
 
-      return res.json({
-        success: true,
-        data: match
-      });
-    }
+    // Suspended / one yellow from a ban, per side (services/discipline.js)
+    match.discipline = await discipline.forFixture(fixture).catch(() => null);
+
+    console.log(`   ✅ Found match: ${fixture.teams?.home?.name} vs ${fixture.teams?.away?.name}`);
+
+    return res.json({
+      success: true,
+      data: match
+    });
 
   } catch (error) {
     console.error('❌ Error fetching match detail:', error.message);
@@ -2123,7 +2006,7 @@ router.get('/:id/odds', async (req, res) => {
         source: 'cache',
         data: {
           fixtureId,
-          bookmakers: transformedBookmakers,
+          bookmakers: formatBookmakers(transformedBookmakers, oddsFormatFromQuery(req.query)),
           updatedAt: cachedOdds.updatedAt
         }
       });
@@ -2189,7 +2072,7 @@ router.get('/:id/odds', async (req, res) => {
       source: 'api',
       data: {
         fixtureId,
-        bookmakers: transformedBookmakers,
+        bookmakers: formatBookmakers(transformedBookmakers, oddsFormatFromQuery(req.query)),
         updatedAt: new Date()
       }
     });
@@ -2204,6 +2087,175 @@ router.get('/:id/odds', async (req, res) => {
   }
 });
 
+// ========================================
+// GET /api/matches/:id/odds/history
+// Odds line movement from the OddsSnapshot collection
+// Query: bookmaker=8 (optional), market=asian_handicap (optional),
+//        oddsFormat=decimal|hk|malay|indo|american (optional)
+// ========================================
+router.get('/:id/odds/history', async (req, res) => {
+  try {
+    const footballApi = req.app.locals.footballApi;
+    const { id } = req.params;
+    const bookmakerId = req.query.bookmaker ? parseInt(req.query.bookmaker) : null;
+    const market = req.query.market || null;
+
+    console.log(`\n📈 GET /api/matches/${id}/odds/history`);
+    console.log(`   Filters: bookmaker=${bookmakerId || 'all'}, market=${market || 'all'}`);
+
+    if (req.query.bookmaker && isNaN(bookmakerId)) {
+      return res.status(400).json({ success: false, error: 'Invalid bookmaker ID' });
+    }
+
+    const fixtureId = await resolveFixtureId(id, footballApi);
+    if (!fixtureId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found',
+        message: `Could not resolve fixture from: ${id}`,
+      });
+    }
+
+    const series = await oddsHistory.getHistory(fixtureId, { bookmakerId, market });
+    console.log(`   ✅ ${series.length} series for fixture ${fixtureId}`);
+
+    res.json({
+      success: true,
+      data: {
+        fixtureId,
+        series: formatOddsHistory(series, oddsFormatFromQuery(req.query))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching odds history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch odds history',
+      message: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/matches/:id/odds/consensus
+// Per-bookmaker overround + margin-free probabilities, consensus across
+// data/bookmakers.js and best price per outcome (1X2, AH, O/U)
+// ========================================
+router.get('/:id/odds/consensus', async (req, res) => {
+  try {
+    const footballApi = req.app.locals.footballApi;
+    const { id } = req.params;
+
+    console.log(`\n⚖️  GET /api/matches/${id}/odds/consensus`);
+
+    const fixtureId = await resolveFixtureId(id, footballApi);
+    if (!fixtureId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found',
+        message: `Could not resolve fixture from: ${id}`,
+      });
+    }
+
+    const bookmakerIds = BOOKMAKERS_DATA.map(b => b.id);
+    const bookmakers = await oddsCache.getOrFetchOdds(fixtureId, footballApi, null, bookmakerIds) || [];
+
+    if (bookmakers.length === 0) {
+      return res.json({
+        success: true,
+        data: {
+          fixtureId,
+          markets: {},
+          message: 'No odds available'
+        }
+      });
+    }
+
+    const markets = buildConsensus(bookmakers);
+    console.log(`   ✅ ${Object.keys(markets).length} market(s) from ${bookmakers.length} bookmakers`);
+
+    res.json({
+      success: true,
+      data: {
+        fixtureId,
+        bookmakerCount: bookmakers.length,
+        markets: formatConsensus(markets, oddsFormatFromQuery(req.query))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error computing odds consensus:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute odds consensus',
+      message: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/matches/:id/prediction
+// Dixon-Coles model prediction: 1X2, expected goals, correct-score matrix,
+// over/under and BTTS. Query: version=3 (optional, default latest model)
+// ========================================
+router.get('/:id/prediction', async (req, res) => {
+  try {
+    const footballApi = req.app.locals.footballApi;
+    const { id } = req.params;
+    const version = req.query.version ? parseInt(req.query.version, 10) : null;
+
+    console.log(`\n🎯 GET /api/matches/${id}/prediction${version ? ` (model v${version})` : ''}`);
+
+    if (req.query.version && (isNaN(version) || version < 1)) {
+      return res.status(400).json({ success: false, error: 'Invalid model version' });
+    }
+
+    const fixtureId = await resolveFixtureId(id, footballApi);
+    if (!fixtureId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found',
+        message: `Could not resolve fixture from: ${id}`,
+      });
+    }
+
+    const result = await matchPrediction.predictFixture(fixtureId, footballApi, { version });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found',
+        message: `No match found with ID: ${fixtureId}`
+      });
+    }
+
+    if (!result.prediction) {
+      return res.status(404).json({
+        success: false,
+        error: 'No prediction model',
+        message: version
+          ? `Model v${version} does not exist for league ${result.league.id}`
+          : `No fitted model for league ${result.league.id} yet`
+      });
+    }
+
+    console.log(`   ✅ v${result.prediction.model.version}: ${JSON.stringify(result.prediction.probabilities)}`);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Error computing prediction:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute prediction',
+      message: error.message
+    });
+  }
+});
+
 // ========================================
 // GET /api/matches/:id/forms
 // Get team forms (recent matches) for a match
@@ -2460,6 +2512,11 @@ router.get('/:id/lineups', async (req, res) => {
     console.log(`   ✅ Found ${lineups.length} team lineups`);
     console.log(`   ✅ Found ${playersStats.length} team player stats`);
 
+    // Keep finished-match ratings for Team of the Week (fire-and-forget)
+    if (playersStats.length > 0) {
+      teamOfTheWeek.recordFromCache(numericMatchId, playersStats).catch(() => {});
+    }
+
     if (lineups.length === 0) {
       return res.json({
         success: true,
@@ -2571,6 +2628,78 @@ router.get('/:id/lineups', async (req, res) => {
   }
 });
 
+// ========================================
+// GET /api/matches/predicted-lineups/accuracy
+// Share of predicted starters who started, per league.
+// Query: league (id), days (default 30)
+// ========================================
+router.get('/predicted-lineups/accuracy', async (req, res) => {
+  try {
+    const leagueId = parseInt(req.query.league, 10) || null;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
+    const data = await predictedLineups.accuracy({ leagueId, days });
+
+    res.set('Cache-Control', 'public, max-age=900');
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('❌ Error computing lineup accuracy:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute lineup accuracy',
+      message: error.message
+    });
+  }
+});
+
+// ========================================
+// GET /api/matches/:id/predicted-lineups
+// Probable formation and XI per team with a confidence per slot, built from
+// recent lineups. Once official lineups are out they are returned with the
+// stored prediction and how many starters it got right.
+// ========================================
+router.get('/:id/predicted-lineups', async (req, res) => {
+  try {
+    const footballApi = req.app.locals.footballApi;
+    const { id } = req.params;
+
+    console.log(`\n🔮 GET /api/matches/${id}/predicted-lineups`);
+
+    const fixtureId = await resolveFixtureId(id, footballApi);
+    if (!fixtureId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found',
+        message: `Could not resolve fixture from: ${id}`,
+      });
+    }
+
+    const result = await predictedLineups.forFixture(fixtureId);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found',
+        message: `No match found with ID: ${fixtureId}`
+      });
+    }
+
+    console.log(`   ✅ ${result.status}`);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Error predicting lineups:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to predict lineups',
+      message: error.message
+    });
+  }
+});
+
 // ========================================
 // GET /api/matches/h2h
 // Get head-to-head matches between two teams
@@ -2613,37 +2742,17 @@ router.get('/h2h', async (req, res) => {
 
     console.log(`   📥 Fetching H2H for teams ${homeId} vs ${awayId}...`);
 
-    // Fetch H2H data from API-Football
-    const h2hResponse = await footballApi.get('/fixtures/headtohead', {
-      params: {
-        h2h: `${homeId}-${awayId}`,
-        last: 10 // Get last 10 H2H matches
-      }
-    });
-
-    const h2hMatches = h2hResponse.data?.response || [];
+    // Last 10 H2H matches — results archive first, API-Football when it's not covered
+    const h2hMatches = await resultsArchive.headToHead(homeId, awayId, { last: 10, api: footballApi });
 
     console.log(`   ✅ Found ${h2hMatches.length} H2H matches`);
 
     // Fetch last matches for each team
-    const [homeLastResponse, awayLastResponse] = await Promise.all([
-      footballApi.get('/fixtures', {
-        params: {
-          team: homeId,
-          last: 5
-        }
-      }),
-      footballApi.get('/fixtures', {
-        params: {
-          team: awayId,
-          last: 5
-        }
-      })
+    const [lastHomeMatches, lastAwayMatches] = await Promise.all([
+      resultsArchive.teamResults(homeId, { last: 5, api: footballApi }),
+      resultsArchive.teamResults(awayId, { last: 5, api: footballApi })
     ]);
 
-    const lastHomeMatches = homeLastResponse.data?.response || [];
-    const lastAwayMatches = awayLastResponse.data?.response || [];
-
     console.log(`   ✅ Found ${lastHomeMatches.length} home team matches, ${lastAwayMatches.length} away team matches`);
 
     // Transform fixture data to match frontend TH2HDetail format
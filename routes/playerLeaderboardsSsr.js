@@ -0,0 +1,307 @@
+/**
+ * Player Leaderboards SSR — bot-only HTML for /top-cau-thu
+ *
+ *   /top-cau-thu                  → league picker
+ *   /top-cau-thu/:slug            → top 5 of every metric
+ *   /top-cau-thu/:slug/:metric    → full table of one metric
+ *
+ * Sibling of /top-ghi-ban and /top-kien-tao, but computed from stored
+ * match ratings (services/playerLeaderboards.js) rather than API-Sports
+ * top lists, so it costs no upstream call per render.
+ */
+
+const express = require('express');
+const router = express.Router();
+const siteHeader = require('../utils/siteHeader');
+const playerLeaderboards = require('../services/playerLeaderboards');
+const { getLeagueBySlug, LEAGUES, currentSeasonForLeague } = require('../utils/leagueSlugs');
+const { getEntityDates, pickOgImage, ogImageMeta, authorByline, SITE_URL } = require('../utils/seoCommon');
+
+const FULL_TABLE_LIMIT = 50;
+
+// Same-origin player photos through the local image proxy (see topAssistsSsr.js)
+function proxyImg(url, w = 64) {
+  if (!url) return '';
+  if (!/^https?:\/\//.test(url)) return url;
+  if (url.includes('media') && url.includes('api-sports.io')) {
+    return `/api/img?url=${encodeURIComponent(url)}&w=${w}`;
+  }
+  return url;
+}
+
+function escapeHtml(str) {
+  if (!str) return '';
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function baseStyles() {
+  return `
+    *{margin:0;padding:0;box-sizing:border-box}
+    body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;line-height:1.7;color:#1e293b;background:#f1f5f9}
+    a{color:#0f172a;text-decoration:none}a:hover{text-decoration:underline}
+    .container{max-width:1280px;margin:0 auto;padding:16px}
+    .breadcrumb{font-size:13px;color:#64748b;margin-bottom:12px}.breadcrumb a{color:#0f172a}
+    .layout{display:grid;grid-template-columns:1fr 300px;gap:16px;align-items:start}.main{min-width:0}
+    .hero{background:linear-gradient(135deg,#0a1628,#1a2744);color:#fff;padding:18px 20px;border-radius:8px;margin-bottom:16px;border:1px solid rgba(251,191,36,0.3)}
+    .hero h1{font-size:24px;font-weight:800;margin-bottom:4px;color:#fbbf24}
+    .hero .meta{font-size:13px;color:#cbd5e1}
+    .card{background:#fff;border-radius:8px;padding:20px;margin-bottom:16px;box-shadow:0 1px 3px rgba(0,0,0,0.06)}
+    .card h2{font-size:18px;font-weight:800;color:#0f172a;margin:0 0 14px;padding-bottom:8px;border-bottom:2px solid #fef3c7}
+    .card p{margin-bottom:10px;color:#334155;font-size:15px}
+    .card .more{font-size:13px;font-weight:600;color:#d97706}
+    .grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(380px,1fr));gap:16px}
+    table.list{width:100%;border-collapse:collapse;font-size:14px}
+    table.list th,table.list td{padding:10px 8px;text-align:center;border-bottom:1px solid #f1f5f9}
+    table.list th{background:#fef3c7;color:#92400e;font-weight:700;text-transform:uppercase;font-size:11px;letter-spacing:.5px}
+    table.list td.player{text-align:left;font-weight:600;color:#0f172a;display:flex;align-items:center;gap:10px}
+    table.list td.player img{width:32px;height:32px;border-radius:50%;object-fit:cover;background:#f8fafc;flex-shrink:0}
+    table.list td.team{text-align:left;color:#475569;font-size:13px}
+    .rank-1{color:#fbbf24;font-weight:800;font-size:16px}
+    .rank-2,.rank-3{color:#d97706;font-weight:700}
+    .key-cell{font-weight:800;color:#fbbf24;font-size:16px;background:#0a1628}
+    .sidebar{display:flex;flex-direction:column;gap:12px}
+    .sidebar-card{background:#fff;border-radius:8px;padding:16px;box-shadow:0 1px 3px rgba(0,0,0,0.06)}
+    .sidebar-title{font-size:13px;font-weight:700;color:#64748b;text-transform:uppercase;letter-spacing:.5px;margin-bottom:12px}
+    .sidebar-link{display:block;padding:8px 0;font-size:14px;color:#475569;border-bottom:1px solid #f1f5f9}
+    .sidebar-link:last-child{border-bottom:none}
+    .empty{text-align:center;padding:24px;color:#94a3b8;font-size:14px}
+    .footer{text-align:center;margin-top:24px;padding:16px;color:#94a3b8;font-size:13px}
+    @media(max-width:768px){
+      .layout{grid-template-columns:1fr}.sidebar{order:2}
+      .grid{grid-template-columns:1fr}
+      .hero h1{font-size:20px}
+      table.list{font-size:12px}
+      table.list td.player img{width:24px;height:24px}
+      table.list th,table.list td{padding:6px 4px}
+    }
+  `;
+}
+
+function renderPage({ title, description, url, breadcrumbSchema, itemListSchema = null, body }) {
+  const { datePublished, dateModified } = getEntityDates({});
+  const og = pickOgImage({}, { alt: title });
+  return `<!DOCTYPE html>
+<html lang="vi">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} | ScoreLine</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <meta name="robots" content="index, follow">
+  <link rel="canonical" href="${url}">
+  <meta property="og:type" content="website">
+  <meta property="og:url" content="${url}">
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  ${ogImageMeta(og)}
+  <meta property="og:locale" content="vi_VN">
+  <meta property="og:site_name" content="ScoreLine">
+  ${itemListSchema ? `<script type="application/ld+json">${JSON.stringify(itemListSchema)}</script>` : ''}
+  <script type="application/ld+json">${JSON.stringify(breadcrumbSchema)}</script>
+  <style>${baseStyles()}</style>
+</head>
+<body>
+  ${siteHeader()}
+  <div class="container">
+    ${body}
+    ${authorByline({ publishedIso: datePublished, modifiedIso: dateModified, icon: '📊' })}
+    <div class="footer"><a href="${SITE_URL}">ScoreLine.io</a></div>
+  </div>
+</body>
+</html>`;
+}
+
+function notFound(res) {
+  res.set('Content-Type', 'text/html; charset=utf-8');
+  return res.status(404).send(`<!DOCTYPE html><html lang="vi"><head><meta charset="UTF-8"><title>Không tìm thấy trang | ScoreLine</title><meta name="robots" content="noindex"></head><body><h1>404</h1><p><a href="/top-cau-thu">Quay lại</a></p></body></html>`);
+}
+
+function breadcrumb(items) {
+  return {
+    '@context': 'https://schema.org', '@type': 'BreadcrumbList',
+    itemListElement: items.map(([name, item], i) => ({ '@type': 'ListItem', position: i + 1, name, item })),
+  };
+}
+
+function renderTable(items, metric, { compact = false } = {}) {
+  if (!items.length) {
+    return `<div class="empty">Chưa đủ dữ liệu cho bảng này. Số liệu được cập nhật hằng ngày sau mỗi vòng đấu.</div>`;
+  }
+  const rows = items.map(p => {
+    const rankClass = p.rank === 1 ? 'rank-1' : p.rank <= 3 ? 'rank-2' : '';
+    return `<tr>
+      <td class="${rankClass}">${p.rank}</td>
+      <td class="player">
+        ${p.photo ? `<img src="${escapeHtml(proxyImg(p.photo, 64))}" alt="${escapeHtml(p.name)}" loading="lazy">` : ''}
+        <span>${escapeHtml(p.name)}</span>
+      </td>
+      <td class="team">${escapeHtml(p.teamName)}</td>
+      ${compact ? '' : `<td>${p.matches}</td><td>${p.minutes}</td>`}
+      <td class="key-cell">${p.value}</td>
+      ${metric.per90 && !compact ? `<td>${p.per90}</td>` : ''}
+    </tr>`;
+  }).join('');
+  return `<table class="list">
+    <thead><tr><th>#</th><th style="text-align:left">Cầu thủ</th><th style="text-align:left">CLB</th>${compact ? '' : '<th>Trận</th><th>Phút</th>'}<th>${escapeHtml(metric.label)}</th>${metric.per90 && !compact ? '<th>/90 phút</th>' : ''}</tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+function metricsSidebar(slug, currentKey = null) {
+  return playerLeaderboards.METRICS
+    .filter(m => m.key !== currentKey)
+    .map(m => `<a class="sidebar-link" href="/top-cau-thu/${slug}/${m.slug}">${escapeHtml(m.label)}</a>`)
+    .join('');
+}
+
+router.get('/top-cau-thu/:slug/:metric', async (req, res) => {
+  const { slug } = req.params;
+  const league = getLeagueBySlug(slug);
+  const metric = playerLeaderboards.METRICS.find(m => m.slug === req.params.metric);
+  if (!league || !metric) return notFound(res);
+
+  const season = currentSeasonForLeague(league);
+  let board = null;
+  try {
+    board = await playerLeaderboards.leaderboard(league.id, season, metric.key, { limit: FULL_TABLE_LIMIT });
+  } catch (err) {
+    console.error('[SSR top-cau-thu] leaderboard failed:', err.message);
+  }
+  const items = board?.items || [];
+
+  const url = `${SITE_URL}/top-cau-thu/${slug}/${metric.slug}`;
+  const seasonStr = `${season}/${season + 1}`;
+  const top1 = items[0];
+  const title = `${metric.label} ${league.name} ${seasonStr} - Top Cầu Thủ`;
+  const description = top1
+    ? `${metric.label} ${league.viName} ${seasonStr}: ${top1.name} (${top1.teamName}) dẫn đầu với ${top1.value}. Top ${items.length} cầu thủ, tối thiểu ${metric.minMinutes} phút thi đấu.`
+    : `Bảng xếp hạng ${metric.label.toLowerCase()} ${league.viName} mùa ${seasonStr}, tính từ số liệu từng trận.`;
+
+  const body = `
+    <nav class="breadcrumb"><a href="/">Trang chủ</a> &rsaquo; <a href="/top-cau-thu">Top cầu thủ</a> &rsaquo; <a href="/top-cau-thu/${slug}">${escapeHtml(league.viName)}</a> &rsaquo; <span>${escapeHtml(metric.label)}</span></nav>
+    <div class="hero">
+      <h1>📊 ${escapeHtml(metric.label)} ${escapeHtml(league.name)} ${seasonStr}</h1>
+      <div class="meta">${escapeHtml(league.country)} · ${board?.fixtures || 0} trận đã thống kê${metric.minMinutes ? ` · tối thiểu ${metric.minMinutes} phút` : ''}</div>
+    </div>
+    <div class="layout">
+      <div class="main">
+        <div class="card">
+          <h2>Bảng xếp hạng ${escapeHtml(metric.label.toLowerCase())}</h2>
+          ${renderTable(items, metric)}
+        </div>
+        <div class="card">
+          <p>Số liệu cộng dồn từ thống kê từng trận của ${escapeHtml(league.viName)} mùa ${seasonStr}. ${metric.position === 'G' ? 'Chỉ tính thủ môn. ' : ''}${metric.per90 ? 'Cột "/90 phút" quy đổi chỉ số theo thời gian thi đấu để so sánh công bằng giữa cầu thủ đá chính và dự bị.' : ''}</p>
+          <p>Xem thêm: <a href="/top-ghi-ban/${slug}">Vua phá lưới</a> · <a href="/top-kien-tao/${slug}">Vua kiến tạo</a> · <a href="/bang-xep-hang/${slug}">BXH ${escapeHtml(league.viName)}</a></p>
+        </div>
+      </div>
+      <aside class="sidebar">
+        <div class="sidebar-card">
+          <div class="sidebar-title">📊 Chỉ số khác</div>
+          ${metricsSidebar(slug, metric.key)}
+        </div>
+      </aside>
+    </div>`;
+
+  const html = renderPage({
+    title, description, url, body,
+    breadcrumbSchema: breadcrumb([
+      ['Trang chủ', SITE_URL],
+      ['Top cầu thủ', `${SITE_URL}/top-cau-thu`],
+      [league.name, `${SITE_URL}/top-cau-thu/${slug}`],
+      [metric.label, url],
+    ]),
+    itemListSchema: {
+      '@context': 'https://schema.org', '@type': 'ItemList',
+      name: title, url, numberOfItems: items.length,
+      itemListElement: items.map(p => ({
+        '@type': 'ListItem', position: p.rank,
+        item: { '@type': 'Person', name: p.name, affiliation: { '@type': 'SportsTeam', name: p.teamName } },
+      })),
+    },
+  });
+
+  res.set('Content-Type', 'text/html; charset=utf-8');
+  res.set('Cache-Control', 'public, max-age=10800');
+  res.send(html);
+});
+
+router.get('/top-cau-thu/:slug', async (req, res) => {
+  const { slug } = req.params;
+  const league = getLeagueBySlug(slug);
+  if (!league) return notFound(res);
+
+  const season = currentSeasonForLeague(league);
+  let leaders = null;
+  try {
+    leaders = await playerLeaderboards.leaders(league.id, season);
+  } catch (err) {
+    console.error('[SSR top-cau-thu] leaders failed:', err.message);
+  }
+
+  const url = `${SITE_URL}/top-cau-thu/${slug}`;
+  const seasonStr = `${season}/${season + 1}`;
+  const title = `Thống Kê Cầu Thủ ${league.name} ${seasonStr} - Điểm Số, Kiến Thiết, Phòng Ngự`;
+  const description = `Top cầu thủ ${league.viName} mùa ${seasonStr} theo điểm trung bình, đường chuyền quyết định, qua người, tắc bóng, cứu thua, giữ sạch lưới và đóng góp bàn thắng mỗi 90 phút.`;
+
+  const cards = playerLeaderboards.METRICS.map(metric => {
+    const items = leaders?.metrics.find(m => m.metric === metric.key)?.items || [];
+    return `<div class="card">
+      <h2>${escapeHtml(metric.label)}</h2>
+      ${renderTable(items, metric, { compact: true })}
+      <p style="margin:10px 0 0"><a class="more" href="/top-cau-thu/${slug}/${metric.slug}">Xem bảng đầy đủ &rsaquo;</a></p>
+    </div>`;
+  }).join('');
+
+  const body = `
+    <nav class="breadcrumb"><a href="/">Trang chủ</a> &rsaquo; <a href="/top-cau-thu">Top cầu thủ</a> &rsaquo; <span>${escapeHtml(league.viName)}</span></nav>
+    <div class="hero">
+      <h1>📊 Thống Kê Cầu Thủ ${escapeHtml(league.name)} ${seasonStr}</h1>
+      <div class="meta">${escapeHtml(league.country)} · ${leaders?.fixtures || 0} trận đã thống kê · <a href="/top-ghi-ban/${slug}" style="color:#fbbf24">Vua phá lưới</a> · <a href="/top-kien-tao/${slug}" style="color:#fbbf24">Vua kiến tạo</a></div>
+    </div>
+    <div class="grid">${cards}</div>`;
+
+  const html = renderPage({
+    title, description, url, body,
+    breadcrumbSchema: breadcrumb([
+      ['Trang chủ', SITE_URL],
+      ['Top cầu thủ', `${SITE_URL}/top-cau-thu`],
+      [league.name, url],
+    ]),
+  });
+
+  res.set('Content-Type', 'text/html; charset=utf-8');
+  res.set('Cache-Control', 'public, max-age=10800');
+  res.send(html);
+});
+
+router.get('/top-cau-thu', async (req, res) => {
+  const url = `${SITE_URL}/top-cau-thu`;
+  const title = 'Top Cầu Thủ - Bảng Xếp Hạng Chỉ Số Các Giải Đấu';
+  const description = 'Bảng xếp hạng cầu thủ theo điểm trung bình, kiến thiết, qua người, phòng ngự, cứu thua và giữ sạch lưới tại Ngoại Hạng Anh, La Liga, Serie A, Bundesliga, Ligue 1, Champions League và nhiều giải khác.';
+
+  const cardsHtml = LEAGUES.map(l => `
+    <a href="/top-cau-thu/${l.slug}" class="card" style="display:block;text-decoration:none;padding:16px;margin-bottom:0">
+      <h2 style="font-size:16px;margin-bottom:4px;border:0;padding:0">📊 ${escapeHtml(l.name)}</h2>
+      <div style="font-size:12px;color:#64748b">${escapeHtml(l.country)} · Thống kê cầu thủ mùa hiện tại</div>
+    </a>
+  `).join('');
+
+  const body = `
+    <nav class="breadcrumb"><a href="/">Trang chủ</a> &rsaquo; <span>Top cầu thủ</span></nav>
+    <div class="hero">
+      <h1>📊 Top Cầu Thủ Theo Chỉ Số</h1>
+      <div class="meta">Không chỉ bàn thắng và kiến tạo — chọn giải để xem các bảng xếp hạng chỉ số.</div>
+    </div>
+    <div style="display:grid;grid-template-columns:repeat(auto-fill,minmax(280px,1fr));gap:12px;">${cardsHtml}</div>`;
+
+  const html = renderPage({
+    title, description, url, body,
+    breadcrumbSchema: breadcrumb([['Trang chủ', SITE_URL], ['Top cầu thủ', url]]),
+  });
+
+  res.set('Content-Type', 'text/html; charset=utf-8');
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.send(html);
+});
+
+module.exports = router;
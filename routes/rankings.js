@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const TeamElo = require('../models/TeamElo');
+const { getCompetitionBySlug } = require('../config/allowedCompetitions');
+
+// GET /api/rankings/elo?league=39|premier-league&limit=50&offset=0
+// Cross-league Elo ranking (services/eloRatings.js); `league` narrows it to
+// teams whose latest league fixture was in that competition.
+router.get('/elo', async (req, res) => {
+  try {
+    const { league } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    let leagueId = null;
+    if (league) {
+      leagueId = /^\d+$/.test(league) ? parseInt(league, 10) : getCompetitionBySlug(league)?.leagueId;
+      if (!leagueId) {
+        return res.status(400).json({ success: false, error: 'Unknown league' });
+      }
+    }
+
+    const { items, total } = await TeamElo.ranking({ leagueId, limit, offset });
+    const ranked = items.map((team, i) => ({ rank: offset + i + 1, ...team }));
+
+    // League views also carry the position in the cross-league table
+    if (leagueId) {
+      await Promise.all(ranked.map(async team => {
+        team.overallRank = (await TeamElo.countDocuments({ rating: { $gt: team.rating } })) + 1;
+      }));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        leagueId,
+        items: ranked,
+        total,
+        hasMore: offset + items.length < total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
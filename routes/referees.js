@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const referees = require('../services/referees');
+const { getCompetitionBySlug } = require('../config/allowedCompetitions');
+
+// GET /api/referees?league=39|premier-league&season=2025&minMatches=5&sort=cards&limit=50
+// Referee table (services/referees.js). sort: matches | yellow | red | cards
+// | penalties | fouls (per game, highest first).
+router.get('/', async (req, res) => {
+  try {
+    const { league, sort = 'matches' } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const minMatches = Math.max(parseInt(req.query.minMatches, 10) || 1, 1);
+    const season = parseInt(req.query.season, 10) || null;
+
+    let leagueId = null;
+    if (league) {
+      leagueId = /^\d+$/.test(league) ? parseInt(league, 10) : getCompetitionBySlug(league)?.leagueId;
+      if (!leagueId) {
+        return res.status(400).json({ success: false, error: 'Unknown league' });
+      }
+    }
+
+    const items = await referees.list({ leagueId, season, minMatches, sort, limit });
+
+    res.set('Cache-Control', 'public, max-age=600');
+    res.json({
+      success: true,
+      data: { leagueId, season, sort, items, total: items.length }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/referees/:slug
+// Profile: career figures, per competition & season, recent matches.
+// Any name variant resolves ("michael-oliver", "m-oliver").
+router.get('/:slug', async (req, res) => {
+  try {
+    const profile = await referees.getProfile(req.params.slug);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Referee not found' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=600');
+    res.json({ success: true, data: profile });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
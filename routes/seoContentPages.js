@@ -15,15 +15,13 @@
 
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const AutoArticle = require('../models/AutoArticle');
 const SoiKeoArticle = require('../models/SoiKeoArticle');
 let thumbnailGenerator;
 try { thumbnailGenerator = require('../services/thumbnail-generator'); } catch (e) { /* canvas not installed */ }
 
 const SITE_URL = process.env.SITE_URL || 'https://scoreline.io';
-const API_SPORTS_KEY = process.env.API_SPORTS_KEY;
-const API_SPORTS_URL = process.env.API_SPORTS_URL || 'https://v3.football.api-sports.io';
+const apiSports = require('../services/apiSportsGateway');
 
 // ============================================================
 // LEAGUES constant
@@ -222,12 +220,10 @@ function resolveDateSlug(dateSlug) {
 /**
  * Make an API-Sports request.
  */
+const footballApi = apiSports.client('ssr:seo-content', { fromRequest: true });
+
 async function apiSportsGet(endpoint, params) {
-  const res = await axios.get(`${API_SPORTS_URL}${endpoint}`, {
-    headers: { 'x-apisports-key': API_SPORTS_KEY },
-    params,
-    timeout: 10000,
-  });
+  const res = await footballApi.get(endpoint, { params, timeout: 10000 });
   return res.data;
 }
 
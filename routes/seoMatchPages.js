@@ -16,6 +16,7 @@
  */
 
 const express = require('express');
+const { vnLabels } = require('../utils/dateTime');
 const router = express.Router();
 
 const SITE_URL = process.env.SITE_URL || 'https://scoreline.io';
@@ -52,20 +53,14 @@ function parseSlug(slug) {
 
 function shapeFromUtc(homeKebab, awayKebab, utcMs) {
   if (!Number.isFinite(utcMs)) return null;
-  const vn = new Date(utcMs + 7 * 3600 * 1000);
-  const pad = (n) => String(n).padStart(2, '0');
-  const vnH = pad(vn.getUTCHours());
-  const vnM = pad(vn.getUTCMinutes());
-  const vnD = pad(vn.getUTCDate());
-  const vnMo = pad(vn.getUTCMonth() + 1);
-  const vnY = vn.getUTCFullYear();
+  const vn = vnLabels(utcMs);
   return {
     homeName: titleCase(homeKebab),
     awayName: titleCase(awayKebab),
     isoDate: new Date(utcMs).toISOString(),
-    vnDateLabel: `${vnH}h${vnM} ngày ${vnD}/${vnMo}/${vnY}`,
-    vnDayLabel: `${vnD}/${vnMo}/${vnY}`,
-    vnTimeLabel: `${vnH}h${vnM}`,
+    vnDateLabel: vn.dateLabel,
+    vnDayLabel: vn.day,
+    vnTimeLabel: vn.time,
   };
 }
 
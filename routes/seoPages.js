@@ -21,6 +21,7 @@ const log = require('../utils/logger').child('seo-pages');
 const { autoLinkPlayers, autoLinkKnowledge, DEFAULT_KNOWLEDGE_TERMS } = require('../utils/autoLinker');
 const { players: VN_PLAYERS } = require('../data/vietnamesePlayers');
 const { authorByline } = require('../utils/seoCommon');
+const { DEFAULT_ODDS_FORMAT, ODDS_FORMAT_LABELS, formatOddsSnapshot } = require('../utils/oddsFormat');
 
 // Strip markdown decorations + collapse whitespace so the answer stays
 // readable when Google renders it as a rich-result snippet.
@@ -63,9 +64,12 @@ function generateFaqSchema(matchInfo, content, oddsData) {
   ];
 
   if (oddsData?.homeWin) {
+    const label = ODDS_FORMAT_LABELS[oddsData.format] || '';
     faqs.push({
       question: `Tỷ lệ odds ${home} vs ${away}?`,
-      answer: `Tỷ lệ 1X2: ${home} (${oddsData.homeWin}) - Hòa (${oddsData.draw || '-'}) - ${away} (${oddsData.awayWin || '-'}).${oddsData.overUnder?.line ? ` Tài/Xỉu: ${oddsData.overUnder.line} bàn.` : ''}`,
+      answer: `Tỷ lệ 1X2${label ? ` (${label})` : ''}: ${home} (${oddsData.homeWin}) - Hòa (${oddsData.draw || '-'}) - ${away} (${oddsData.awayWin || '-'}).`
+        + (oddsData.handicap?.display ? ` Châu Á: ${home} ${oddsData.handicap.display}.` : '')
+        + (oddsData.overUnder?.display ? ` Tài/Xỉu: ${oddsData.overUnder.display} bàn.` : ''),
     });
   }
 
@@ -215,8 +219,33 @@ function buildArticleBody(content) {
   return plainTextFromMd(parts.join('\n\n'), 5000);
 }
 
+// Stored odds are decimal; the page shows them in DEFAULT_ODDS_FORMAT
+function renderOddsPanel(oddsData, homeName, awayName) {
+  if (!oddsData?.homeWin) return '';
+  const chip = (label, value) => (value === null || value === undefined
+    ? ''
+    : `<span class="odds-chip"><span class="odds-chip-label">${label}</span> <strong>${escapeHtml(String(value))}</strong></span>`);
+
+  const rows = [
+    `<div class="odds-panel">${chip(homeName, oddsData.homeWin)}${chip('Hòa', oddsData.draw)}${chip(awayName, oddsData.awayWin)}</div>`
+  ];
+  if (oddsData.handicap?.display) {
+    rows.push(`<div class="odds-panel">${chip(`${homeName} ${escapeHtml(oddsData.handicap.display)}`, oddsData.handicap.home)}${chip(awayName, oddsData.handicap.away)}</div>`);
+  }
+  if (oddsData.overUnder?.display) {
+    rows.push(`<div class="odds-panel">${chip(`Tài ${escapeHtml(oddsData.overUnder.display)}`, oddsData.overUnder.over)}${chip('Xỉu', oddsData.overUnder.under)}</div>`);
+  }
+
+  return `
+        <div class="sidebar-card">
+          <div class="sidebar-title">📈 Tỷ Lệ (${escapeHtml(ODDS_FORMAT_LABELS[oddsData.format] || oddsData.format)})</div>
+          ${rows.join('\n          ')}
+        </div>`;
+}
+
 function renderSoiKeoHtml(article, thumbnailUrl) {
-  const { matchInfo, content, oddsData } = article;
+  const { matchInfo, content } = article;
+  const oddsData = formatOddsSnapshot(article.oddsData, DEFAULT_ODDS_FORMAT);
   const title = escapeHtml(article.metaTitle || article.title);
   const description = escapeHtml(article.metaDescription || article.excerpt);
   const url = `${SITE_URL}/nhan-dinh/${article.slug}`;
@@ -468,6 +497,11 @@ function renderSoiKeoHtml(article, thumbnailUrl) {
     .sidebar-link:last-child { border-bottom: none; }
     .sidebar-link:hover { color: #2563eb; text-decoration: none; }
 
+    /* Odds */
+    .odds-panel { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 8px; }
+    .odds-chip { background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 4px; padding: 6px 10px; font-size: 13px; color: #475569; }
+    .odds-chip strong { color: #0f172a; }
+
     /* Author */
     .author-box { background: #fff; border-radius: 8px; padding: 16px; margin-bottom: 16px; box-shadow: 0 1px 3px rgba(0,0,0,0.06); display: flex; gap: 12px; align-items: center; }
     .author-avatar { width: 48px; height: 48px; background: #eff6ff; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-size: 24px; flex-shrink: 0; }
@@ -545,7 +579,7 @@ function renderSoiKeoHtml(article, thumbnailUrl) {
         </div>
       </main>
 
-      <aside class="sidebar">
+      <aside class="sidebar">${renderOddsPanel(oddsData, homeName, awayName)}
         <div class="sidebar-card">
           <div class="sidebar-title">📊 Nhận Định Mới</div>
           SIDEBAR_SOIKEO_PLACEHOLDER
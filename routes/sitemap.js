@@ -14,6 +14,7 @@ const { sections: WC_SECTIONS } = require('../data/worldCup2026');
 const { articles: KNOWLEDGE_ARTICLES } = require('../data/footballKnowledge');
 const { coaches: COACHES } = require('../data/coaches');
 const { buildMatchSlug } = require('../utils/matchSlug');
+const { CUPS } = require('../utils/leagueSlugs');
 
 const SITE_URL = process.env.SITE_URL || 'https://scoreline.io';
 const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
@@ -182,8 +183,13 @@ async function generateSitemap() {
     addUrl(`${SITE_URL}/giai-dau/${league.slug}`, today, 'daily', league.priority);
     addUrl(`${SITE_URL}/top-ghi-ban/${league.slug}`, today, 'daily', '0.7');
     addUrl(`${SITE_URL}/top-kien-tao/${league.slug}`, today, 'daily', '0.6');
+    addUrl(`${SITE_URL}/top-cau-thu/${league.slug}`, today, 'daily', '0.6');
     addUrl(`${SITE_URL}/lich-su-vo-dich/${league.slug}`, today, 'monthly', '0.6');
   }
+  // Cup hubs (bracket only)
+  for (const cup of CUPS) {
+    addUrl(`${SITE_URL}/giai-dau/${cup.slug}`, today, 'daily', '0.6');
+  }
 
 
   // 3. Soi-keo articles + paired /tran-dau match-detail URLs.
@@ -3,6 +3,13 @@ const router = express.Router();
 const SoiKeoArticle = require('../models/SoiKeoArticle');
 const soiKeoGenerator = require('../services/soi-keo-generator');
 const { requireAdmin } = require('./adminAuth');
+const { oddsFormatFromQuery, formatOddsSnapshot } = require('../utils/oddsFormat');
+
+// oddsData is stored in decimal; ?oddsFormat= converts it on the way out
+function withOddsFormat(article, format) {
+  if (!article || !article.oddsData || !format) return article;
+  return { ...article, oddsData: formatOddsSnapshot(article.oddsData, format) };
+}
 
 // ========================================
 // GET /api/soi-keo - Get all articles
@@ -43,7 +50,7 @@ router.get('/', async (req, res) => {
     res.json({
       success: true,
       data: {
-        items: articles,
+        items: articles.map(a => withOddsFormat(a, oddsFormatFromQuery(req.query))),
         pagination: {
           total,
           page: pageNum,
@@ -73,7 +80,7 @@ router.get('/upcoming', async (req, res) => {
 
     res.json({
       success: true,
-      data: articles
+      data: articles.map(a => withOddsFormat(a, oddsFormatFromQuery(req.query)))
     });
 
   } catch (error) {
@@ -120,7 +127,7 @@ router.get('/hot', async (req, res) => {
 
     res.json({
       success: true,
-      data: articles,
+      data: articles.map(a => withOddsFormat(a, oddsFormatFromQuery(req.query))),
       pagination: {
         total,
         page: pageNum,
@@ -165,7 +172,7 @@ router.get('/fixture/:fixtureId', async (req, res) => {
 
     res.json({
       success: true,
-      data: article
+      data: withOddsFormat(article, oddsFormatFromQuery(req.query))
     });
 
   } catch (error) {
@@ -203,7 +210,7 @@ router.get('/:slug', async (req, res) => {
 
       return res.json({
         success: true,
-        data: article
+        data: withOddsFormat(article, oddsFormatFromQuery(req.query))
       });
     }
 
@@ -225,7 +232,7 @@ router.get('/:slug', async (req, res) => {
     res.set('Cache-Control', 'no-cache, must-revalidate');
     res.json({
       success: true,
-      data: article
+      data: withOddsFormat(article, oddsFormatFromQuery(req.query))
     });
 
   } catch (error) {
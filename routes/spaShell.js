@@ -27,6 +27,7 @@ const SITE_URL = process.env.SITE_URL || 'https://scoreline.io';
 const SoiKeoArticle = require('../models/SoiKeoArticle');
 const Article = require('../models/Article');
 const AutoArticle = require('../models/AutoArticle');
+const { vnLabels } = require('../utils/dateTime');
 
 // ─── Template loading ─────────────────────────────────────────────────
 // index.html is generated by Vite per build; cache it once and rely on
@@ -316,20 +317,13 @@ function parseMatchSlug(slug) {
   const titleCase = (s) => s.replace(/-/g, ' ').replace(/\b([a-z])/g, (_, c) => c.toUpperCase());
   const homeName = titleCase(homeKebab);
   const awayName = titleCase(awayKebab);
-  // Slug times are UTC; convert to Vietnam time (UTC+7) for human-readable
-  // copy because that's the audience.
+  // Slug times are UTC; convert to Vietnam time for human-readable copy
+  // because that's the audience.
   const utcMs = Date.UTC(parseInt(yy, 10), parseInt(mo, 10) - 1, parseInt(dd, 10), parseInt(hh, 10), parseInt(mi, 10));
-  const vnMs = utcMs + 7 * 3600 * 1000;
-  const vn = new Date(vnMs);
-  const vnHour = String(vn.getUTCHours()).padStart(2, '0');
-  const vnMin = String(vn.getUTCMinutes()).padStart(2, '0');
-  const vnDay = String(vn.getUTCDate()).padStart(2, '0');
-  const vnMon = String(vn.getUTCMonth() + 1).padStart(2, '0');
-  const vnYear = vn.getUTCFullYear();
   return {
     homeName, awayName,
     isoDate: new Date(utcMs).toISOString(),
-    vnDateLabel: `${vnHour}h${vnMin} ngày ${vnDay}/${vnMon}/${vnYear}`,
+    vnDateLabel: vnLabels(utcMs).dateLabel,
     fullTitle: `${homeName} vs ${awayName}`,
   };
 }
@@ -8,6 +8,10 @@ const {
   getTop5Leagues,
   getAllowedLeagueIds
 } = require('../data/majorLeagues');
+const seasonProjections = require('../services/seasonProjections');
+const liveStandings = require('../services/liveStandings');
+const playerLeaderboards = require('../services/playerLeaderboards');
+const { currentSeasonForLeagueId } = require('../utils/leagueSlugs');
 
 // Standings cache
 const standingsCache = new Map();
@@ -769,6 +773,72 @@ async function calculateHTFTStats(footballApi, teamId, leagueId, seasonYear) {
   }
 }
 
+/**
+ * GET /api/standings/leaderboards
+ * Season player leaderboards computed from stored match ratings
+ * (services/playerLeaderboards.js), beyond goals and assists.
+ * Query params:
+ *   - competitionId: League ID (required)
+ *   - metric: rating | goal-contributions-per-90 | key-passes | dribbles |
+ *     tackles-interceptions | saves | clean-sheets | minutes (required)
+ *   - seasonYear: Season year (default: current season of the league)
+ *   - minMinutes: Qualifying minutes (default: per metric)
+ *   - limit: Rows (default: 20, max: 100)
+ */
+router.get('/leaderboards', async (req, res) => {
+  try {
+    const { competitionId, metric, seasonYear } = req.query;
+
+    if (!competitionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'competitionId is required'
+      });
+    }
+
+    if (!playerLeaderboards.getMetric(metric)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown metric',
+        metrics: playerLeaderboards.METRICS.map(m => m.key)
+      });
+    }
+
+    const leagueId = parseInt(competitionId.replace('league-', ''), 10);
+
+    if (!isLeagueAllowed(leagueId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'League not supported',
+        allowedLeagues: getAllowedLeagueIds()
+      });
+    }
+
+    const season = seasonYear ? parseInt(seasonYear, 10) : currentSeasonForLeagueId(leagueId);
+    const minMinutes = req.query.minMinutes != null ? Math.max(parseInt(req.query.minMinutes, 10) || 0, 0) : null;
+    const limit = Math.max(parseInt(req.query.limit, 10) || 20, 1);
+
+    console.log(`\n📊 GET /api/standings/leaderboards`);
+    console.log(`   Competition: ${competitionId}, Season: ${season}, Metric: ${metric}`);
+
+    const board = await playerLeaderboards.leaderboard(leagueId, season, metric, { minMinutes, limit });
+
+    res.set('Cache-Control', 'public, max-age=600');
+    res.json({
+      success: true,
+      data: board
+    });
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch leaderboards',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/standings/htft
  * Get half-time/full-time statistics
@@ -903,6 +973,136 @@ router.get('/htft', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/standings/projections
+ * Monte Carlo end-of-season projections (services/seasonProjections.js):
+ * title / top-4 / European place / relegation probabilities and the
+ * points distribution per team. Re-simulated after each matchday, not per request;
+ * 202 { pending: true } while a league's first run is being computed.
+ * Query params:
+ *   - competitionId: League ID (required)
+ *   - seasonYear: Season year (default: current season of the league)
+ */
+router.get('/projections', async (req, res) => {
+  try {
+    const { competitionId, seasonYear } = req.query;
+
+    if (!competitionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'competitionId is required'
+      });
+    }
+
+    const leagueId = parseInt(competitionId.replace('league-', ''), 10);
+
+    if (!isLeagueAllowed(leagueId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'League not supported',
+        allowedLeagues: getAllowedLeagueIds()
+      });
+    }
+
+    console.log(`\n🎲 GET /api/standings/projections`);
+    console.log(`   Competition: ${competitionId}, Season: ${seasonYear || 'current'}`);
+
+    const season = seasonYear ? parseInt(seasonYear, 10) : null;
+    const projection = await seasonProjections.getProjection(leagueId, { season });
+
+    if (!projection && seasonProjections.isPending(leagueId, { season })) {
+      // First request for the league — the run happens in the background
+      return res.status(202).json({
+        success: true,
+        pending: true,
+        data: null,
+        message: 'Projections are being computed, try again shortly'
+      });
+    }
+
+    if (!projection) {
+      return res.status(404).json({
+        success: false,
+        error: 'No projections available',
+        message: 'The league has no single-table standings for this season'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: projection
+    });
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch projections',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/standings/live
+ * "As it stands" table: last official table + current live scores
+ * (services/liveStandings.js), re-sorted with the competition's tiebreakers.
+ * Each row carries kickoffRank / positionChange / movement and a zone
+ * `transition` (would_be_relegated, would_qualify, ...).
+ * Query params:
+ *   - competitionId: League ID (required)
+ *   - seasonYear: Season year (default: current season of the league)
+ */
+router.get('/live', async (req, res) => {
+  try {
+    const { competitionId, seasonYear } = req.query;
+
+    if (!competitionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'competitionId is required'
+      });
+    }
+
+    const leagueId = parseInt(competitionId.replace('league-', ''), 10);
+
+    if (!isLeagueAllowed(leagueId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'League not supported',
+        allowedLeagues: getAllowedLeagueIds()
+      });
+    }
+
+    console.log(`\n🔴 GET /api/standings/live`);
+    console.log(`   Competition: ${competitionId}, Season: ${seasonYear || 'current'}`);
+
+    const season = seasonYear ? parseInt(seasonYear, 10) : null;
+    const table = await liveStandings.getLiveTable(leagueId, { season });
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        error: 'No standings found'
+      });
+    }
+
+    res.set('Cache-Control', 'public, max-age=15');
+    res.json({
+      success: true,
+      data: table
+    });
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch live standings',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/standings
  * Get standings for a specific league and season
@@ -12,9 +12,12 @@
 const express = require('express');
 const router = express.Router();
 const Team = require('../models/Team');
+const SeasonProjection = require('../models/SeasonProjection');
+const liveStandings = require('../services/liveStandings');
 const siteHeader = require('../utils/siteHeader');
 const { getLeagueBySlug, LEAGUES } = require('../utils/leagueSlugs');
 const { getEntityDates, pickOgImage, ogImageMeta, authorByline, SITE_URL } = require('../utils/seoCommon');
+const { DEFAULT_TIMEZONE } = require('../utils/dateTime');
 
 function escapeHtml(str) {
   if (!str) return '';
@@ -46,6 +49,11 @@ function baseStyles() {
     .form-pip{width:16px;height:16px;border-radius:3px;font-size:9px;line-height:16px;color:#fff;font-weight:700;text-align:center}
     .form-W{background:#16a34a}.form-D{background:#f59e0b}.form-L{background:#ef4444}
     .rank{font-weight:800;color:#0f172a}
+    .prob{font-variant-numeric:tabular-nums}.prob-high{font-weight:800;color:#1e3a8a}
+    .move-up{color:#16a34a;font-weight:700}.move-down{color:#ef4444;font-weight:700}.move-same{color:#94a3b8}
+    .live-score{font-size:12px;color:#dc2626;font-weight:700}
+    .transition{font-size:11px;font-weight:700;border-radius:3px;padding:1px 5px;margin-left:4px;white-space:nowrap}
+    .transition-bad{background:#fee2e2;color:#b91c1c}.transition-good{background:#dcfce7;color:#15803d}
     .pts{font-weight:800;color:#0f172a}
     .sidebar{display:flex;flex-direction:column;gap:12px}
     .sidebar-card{background:#fff;border-radius:8px;padding:16px;box-shadow:0 1px 3px rgba(0,0,0,0.06)}
@@ -98,6 +106,123 @@ function renderTable(teams) {
   </table>`;
 }
 
+function formatProbability(p) {
+  if (p == null) return '-';
+  if (p === 0) return '–';
+  if (p < 0.001) return '<0.1%';
+  if (p > 0.999 && p < 1) return '>99.9%';
+  return `${(p * 100).toFixed(1)}%`;
+}
+
+function probCell(p) {
+  return `<td class="prob${p >= 0.5 ? ' prob-high' : ''}">${formatProbability(p)}</td>`;
+}
+
+/**
+ * Monte Carlo projection card (services/seasonProjections.js). Reads the
+ * stored run only — bots never trigger a simulation.
+ */
+function renderProjections(projection, teams) {
+  if (!projection || !projection.teams?.length) return '';
+
+  const slugById = new Map(teams.map(t => [t.teamId, t.slug]));
+  const hasEurope = projection.zones?.europe?.length > 0;
+  const hasRelegation = projection.zones?.relegation?.length > 0;
+
+  const rows = projection.teams.map(t => {
+    const slug = slugById.get(t.teamId);
+    const name = escapeHtml(t.name);
+    return `<tr>
+      <td class="rank">${t.rank ?? '-'}</td>
+      <td class="team">${slug ? `<a href="/doi-bong/${escapeHtml(slug)}">${name}</a>` : name}</td>
+      <td>${t.points ?? '-'}</td>
+      <td class="pts">${t.expectedPoints != null ? t.expectedPoints.toFixed(1) : '-'}</td>
+      <td>${t.pointsRange ? `${t.pointsRange.p10}–${t.pointsRange.p90}` : '-'}</td>
+      ${probCell(t.title)}
+      ${probCell(t.top4)}
+      ${hasEurope ? probCell(t.europe) : ''}
+      ${hasRelegation ? probCell(t.relegation) : ''}
+    </tr>`;
+  }).join('');
+
+  const updated = new Date(projection.computedAt).toLocaleDateString('vi-VN', { timeZone: DEFAULT_TIMEZONE });
+
+  return `<div class="card">
+    <h2>🎲 Dự đoán cuối mùa: xác suất vô địch &amp; xuống hạng</h2>
+    <table class="standings">
+      <thead>
+        <tr>
+          <th>#</th><th style="text-align:left">Đội</th>
+          <th>Điểm</th><th>Dự kiến</th><th>Khoảng điểm</th>
+          <th>Vô địch</th><th>Top 4</th>
+          ${hasEurope ? '<th>Cúp châu Âu</th>' : ''}
+          ${hasRelegation ? '<th>Xuống hạng</th>' : ''}
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p style="margin-top:14px;font-size:13px;color:#64748b">
+      Mô phỏng ${Number(projection.simulations).toLocaleString('vi-VN')} lần ${projection.remainingFixtures} trận còn lại${projection.round ? ` sau ${escapeHtml(projection.round)}` : ''} (cập nhật ${updated}).
+      Dự kiến = điểm trung bình cuối mùa · Khoảng điểm = 80% kết quả mô phỏng.
+    </p>
+  </div>`;
+}
+
+const TRANSITION_LABELS = {
+  would_be_relegated: { text: 'Sẽ xuống hạng', good: false },
+  would_survive: { text: 'Thoát khỏi nhóm xuống hạng', good: true },
+  would_qualify: { text: 'Sẽ giành vé', good: true },
+  would_drop_out: { text: 'Sẽ mất vé', good: false },
+  zone_change: { text: 'Đổi suất', good: true }
+};
+
+function movementCell(row) {
+  if (row.movement === 'up') return `<span class="move-up">▲${row.positionChange}</span>`;
+  if (row.movement === 'down') return `<span class="move-down">▼${-row.positionChange}</span>`;
+  return '<span class="move-same">–</span>';
+}
+
+/**
+ * "As it stands" card (services/liveStandings.js) — only while the league
+ * has games in play.
+ */
+function renderLiveTable(liveTable, teams) {
+  if (!liveTable?.live) return '';
+
+  const slugById = new Map(teams.map(t => [t.teamId, t.slug]));
+  const groupsHtml = liveTable.groups.map(group => {
+    const rows = group.table.map(row => {
+      const slug = slugById.get(row.team.id);
+      const name = escapeHtml(row.team.name);
+      const transition = row.transition ? TRANSITION_LABELS[row.transition] : null;
+      return `<tr>
+      <td class="rank">${row.rank}</td>
+      <td>${movementCell(row)}</td>
+      <td class="team">${slug ? `<a href="/doi-bong/${escapeHtml(slug)}">${name}</a>` : name}${row.live ? ` <span class="live-score">${escapeHtml(row.live.score)}${row.live.elapsed ? ` ${escapeHtml(String(row.live.elapsed))}'` : ''}</span>` : ''}${transition ? `<span class="transition ${transition.good ? 'transition-good' : 'transition-bad'}">${transition.text}</span>` : ''}</td>
+      <td>${row.played}</td>
+      <td>${row.goalsDiff > 0 ? `+${row.goalsDiff}` : row.goalsDiff}</td>
+      <td class="pts">${row.points}</td>
+    </tr>`;
+    }).join('');
+
+    return `${liveTable.groups.length > 1 ? `<h3 style="font-size:15px;margin:12px 0 6px">${escapeHtml(group.name)}</h3>` : ''}
+    <table class="standings">
+      <thead>
+        <tr><th>#</th><th></th><th style="text-align:left">Đội</th><th>Trận</th><th>HS</th><th>Điểm</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  }).join('');
+
+  return `<div class="card">
+    <h2>🔴 BXH trực tiếp (tạm tính)</h2>
+    ${groupsHtml}
+    <p style="margin-top:14px;font-size:13px;color:#64748b">
+      Tính theo tỷ số hiện tại của ${liveTable.liveFixtures.length} trận đang diễn ra · ▲▼ = thay đổi so với trước giờ bóng lăn.
+    </p>
+  </div>`;
+}
+
 function notFound(res, slug) {
   res.set('Content-Type', 'text/html; charset=utf-8');
   return res.status(404).send(`<!DOCTYPE html><html lang="vi"><head><meta charset="UTF-8"><title>Không tìm thấy giải đấu | ScoreLine</title><meta name="robots" content="noindex"></head><body><h1>404</h1><p>Không tìm thấy giải đấu "${escapeHtml(slug)}".</p><p><a href="/bang-xep-hang">Xem các bảng xếp hạng</a></p></body></html>`);
@@ -112,7 +237,7 @@ router.get('/bang-xep-hang/:slug', async (req, res) => {
   try {
     teams = await Team.find({ 'league.slug': slug })
       .sort({ 'standings.rank': 1 })
-      .select('slug name logo standings')
+      .select('teamId slug name logo standings')
       .lean();
   } catch (err) {
     teams = [];
@@ -122,6 +247,11 @@ router.get('/bang-xep-hang/:slug', async (req, res) => {
     return notFound(res, slug);
   }
 
+  const [projection, liveTable] = await Promise.all([
+    SeasonProjection.latestFor(league.id).catch(() => null),
+    liveStandings.getLiveTable(league.id, { onlyWhenLive: true }).catch(() => null)
+  ]);
+
   const url = `${SITE_URL}/bang-xep-hang/${slug}`;
   const seasonYear = teams[0]?.seasonYear;
   const seasonStr = seasonYear ? ` ${seasonYear}/${seasonYear + 1}` : '';
@@ -192,6 +322,8 @@ router.get('/bang-xep-hang/:slug', async (req, res) => {
 
     <div class="layout">
       <div class="main">
+        ${renderLiveTable(liveTable, teams)}
+
         <div class="card">
           <h2>Bảng xếp hạng chi tiết</h2>
           ${renderTable(teams)}
@@ -200,6 +332,8 @@ router.get('/bang-xep-hang/:slug', async (req, res) => {
           </p>
         </div>
 
+        ${renderProjections(projection, teams)}
+
         <div class="card">
           <h2>Về giải đấu ${escapeHtml(league.name)}</h2>
           <p>${escapeHtml(league.name)} là giải đấu cao nhất của ${escapeHtml(league.country)}, hiện có ${teams.length} đội tham dự. ScoreLine cập nhật bảng xếp hạng tự động sau mỗi vòng đấu, kèm theo hiệu số bàn thắng/thua, điểm số và phong độ 5 trận gần nhất của từng đội.</p>
@@ -230,7 +364,8 @@ router.get('/bang-xep-hang/:slug', async (req, res) => {
 </html>`;
 
   res.set('Content-Type', 'text/html; charset=utf-8');
-  res.set('Cache-Control', 'public, max-age=1800'); // 30 min — standings shift after each matchday
+  // 30 min — standings shift after each matchday; 1 min while games are in play
+  res.set('Cache-Control', `public, max-age=${liveTable ? 60 : 1800}`);
   res.send(html);
 });
 
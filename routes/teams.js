@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const Team = require('../models/Team');
+const EloHistory = require('../models/EloHistory');
+const eloRatings = require('../services/eloRatings');
+const discipline = require('../services/discipline');
+const teamAvailability = require('../services/teamAvailability');
+const teamPatterns = require('../services/teamPatterns');
+const { getCompetitionBySlug } = require('../config/allowedCompetitions');
 
 // GET /api/teams - List all teams
 router.get('/', async (req, res) => {
@@ -58,6 +64,124 @@ router.get('/league/:leagueSlug', async (req, res) => {
   }
 });
 
+// GET /api/teams/:slug/elo - Current Elo rating, rank and rating history
+router.get('/:slug/elo', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const team = await Team.findOne({ slug: req.params.slug }).select('teamId name slug').lean();
+
+    if (!team) {
+      return res.status(404).json({ success: false, error: 'Team not found' });
+    }
+
+    const rating = await eloRatings.getTeamRating(team.teamId);
+    if (!rating) {
+      return res.status(404).json({ success: false, error: 'No Elo rating for this team yet' });
+    }
+
+    const history = await EloHistory.forTeam(team.teamId, limit);
+    res.json({ success: true, data: { ...rating, history } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/teams/:slug/discipline?league=39|premier-league&season=2025
+// Card accumulation per tracked competition (services/discipline.js):
+// current yellows, served / pending suspensions, players one yellow from a ban.
+router.get('/:slug/discipline', async (req, res) => {
+  try {
+    const { league } = req.query;
+    const season = parseInt(req.query.season, 10) || null;
+
+    let leagueId = null;
+    if (league) {
+      leagueId = /^\d+$/.test(league) ? parseInt(league, 10) : getCompetitionBySlug(league)?.leagueId;
+      if (!leagueId) {
+        return res.status(400).json({ success: false, error: 'Unknown league' });
+      }
+    }
+
+    const team = await Team.findOne({ slug: req.params.slug }).select('teamId name slug logo').lean();
+    if (!team) {
+      return res.status(404).json({ success: false, error: 'Team not found' });
+    }
+
+    const competitions = await discipline.forTeam(team.teamId, { leagueId, season });
+
+    res.set('Cache-Control', 'public, max-age=600');
+    res.json({
+      success: true,
+      data: {
+        team: { teamId: team.teamId, name: team.name, slug: team.slug, logo: team.logo },
+        competitions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/teams/:slug/availability
+// Squad board (services/teamAvailability.js): every player as available,
+// doubtful, injured or suspended, with last start and estimated return.
+router.get('/:slug/availability', async (req, res) => {
+  try {
+    const team = await Team.findOne({ slug: req.params.slug }).select('teamId name slug').lean();
+    if (!team) {
+      return res.status(404).json({ success: false, error: 'Team not found' });
+    }
+
+    const board = await teamAvailability.getBoard(team.teamId);
+    if (!board) {
+      return res.status(404).json({ success: false, error: 'No availability data for this team yet' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=600');
+    res.json({ success: true, data: { ...board, teamName: board.teamName || team.name, slug: team.slug } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/teams/:slug/patterns?league=39|premier-league&season=2025&last=20
+// Goal timing per 15 minutes, first goal, comebacks, clean sheet / BTTS /
+// over 2.5 rates, HT/FT and common scorelines (services/teamPatterns.js),
+// overall and home / away. Last 20 logged fixtures unless league/season given.
+router.get('/:slug/patterns', async (req, res) => {
+  try {
+    const { league } = req.query;
+    const season = parseInt(req.query.season, 10) || null;
+    const last = parseInt(req.query.last, 10) || null;
+
+    let leagueId = null;
+    if (league) {
+      leagueId = /^\d+$/.test(league) ? parseInt(league, 10) : getCompetitionBySlug(league)?.leagueId;
+      if (!leagueId) {
+        return res.status(400).json({ success: false, error: 'Unknown league' });
+      }
+    }
+
+    const team = await Team.findOne({ slug: req.params.slug }).select('teamId name slug logo').lean();
+    if (!team) {
+      return res.status(404).json({ success: false, error: 'Team not found' });
+    }
+
+    const patterns = await teamPatterns.forTeam(team.teamId, { leagueId, season, last });
+    if (!patterns) {
+      return res.status(404).json({ success: false, error: 'No finished fixtures logged for this team yet' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=600');
+    res.json({
+      success: true,
+      data: { ...patterns, team: { teamId: team.teamId, name: team.name, slug: team.slug, logo: team.logo } }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // GET /api/teams/:slug - Team detail
 router.get('/:slug', async (req, res) => {
   try {
@@ -9,6 +9,7 @@
 const express = require('express');
 const router = express.Router();
 const Team = require('../models/Team');
+const teamAvailability = require('../services/teamAvailability');
 const siteHeader = require('../utils/siteHeader');
 const { getEntityDates, pickOgImage, ogImageMeta, authorByline, SITE_URL, formatDateVi } = require('../utils/seoCommon');
 
@@ -82,6 +83,11 @@ function baseStyles() {
     .match-team{flex:1}.match-score{font-weight:800;color:#0f172a;min-width:46px;text-align:center}
     .match-time{font-weight:700;color:#0066FF;min-width:46px;text-align:center}
     .right{text-align:right}.bold{font-weight:700}
+    .avail-row{display:flex;align-items:center;gap:8px;padding:8px 0;border-bottom:1px solid #f1f5f9;font-size:14px}
+    .avail-row:last-child{border-bottom:none}
+    .avail-name{flex:1;font-weight:600;color:#0f172a}.avail-note{color:#64748b;font-size:13px;text-align:right}
+    .avail-tag{font-size:11px;font-weight:700;padding:2px 8px;border-radius:4px;color:#fff;min-width:72px;text-align:center}
+    .avail-suspended{background:#ef4444}.avail-injured{background:#f97316}.avail-doubtful{background:#f59e0b}
     .sidebar{display:flex;flex-direction:column;gap:12px}
     .sidebar-card{background:#fff;border-radius:8px;padding:16px;box-shadow:0 1px 3px rgba(0,0,0,0.06)}
     .sidebar-title{font-size:13px;font-weight:700;color:#64748b;text-transform:uppercase;letter-spacing:.5px;margin-bottom:12px}
@@ -133,6 +139,28 @@ function renderUpcoming(team) {
   return `<div class="card"><h2>📅 Lịch thi đấu sắp tới</h2>${rows}</div>`;
 }
 
+const AVAILABILITY_LABELS = { suspended: 'Treo giò', injured: 'Chấn thương', doubtful: 'Bỏ ngỏ' };
+
+function renderAvailability(board) {
+  if (!board) return '';
+  const out = board.players.filter(p => p.status !== 'available');
+  const rows = out.map(p => {
+    const notes = [];
+    if (p.reason) notes.push(escapeHtml(p.reason));
+    if (p.suspension?.pendingGames) notes.push(`còn ${p.suspension.pendingGames} trận${p.suspension.leagueName ? ` (${escapeHtml(p.suspension.leagueName)})` : ''}`);
+    if (p.expectedReturn) notes.push(`dự kiến trở lại ${formatDateVi(p.expectedReturn)}`);
+    if (p.lastStart?.date) notes.push(`đá chính gần nhất ${formatDateVi(p.lastStart.date)}`);
+    return `
+    <div class="avail-row">
+      <span class="avail-tag avail-${p.status}">${AVAILABILITY_LABELS[p.status]}</span>
+      <span class="avail-name">${escapeHtml(p.name || '')}</span>
+      <span class="avail-note">${notes.join(' · ')}</span>
+    </div>`;
+  }).join('');
+  const summary = `${board.counts.available} cầu thủ sẵn sàng, ${board.counts.injured} chấn thương, ${board.counts.doubtful} bỏ ngỏ, ${board.counts.suspended} treo giò.`;
+  return `<div class="card"><h2>🚑 Tình hình lực lượng</h2><p>${summary}</p>${rows}</div>`;
+}
+
 router.get('/doi-bong/:slug', async (req, res) => {
   const slug = req.params.slug;
 
@@ -146,6 +174,8 @@ router.get('/doi-bong/:slug', async (req, res) => {
     return res.status(404).send(`<!DOCTYPE html><html lang="vi"><head><meta charset="UTF-8"><title>Không tìm thấy đội bóng | ScoreLine</title><meta name="robots" content="noindex"></head><body><h1>404</h1><p>Không tìm thấy đội bóng "${escapeHtml(slug)}".</p><p><a href="/bang-xep-hang">Xem các đội bóng</a></p></body></html>`);
   }
 
+  const availability = await teamAvailability.getBoard(team.teamId).catch(() => null);
+
   const s = team.standings || {};
   const url = `${SITE_URL}/doi-bong/${team.slug}`;
   const leagueName = team.league?.name || '';
@@ -275,6 +305,7 @@ router.get('/doi-bong/:slug', async (req, res) => {
 
         ${renderRecentMatches(team)}
         ${renderUpcoming(team)}
+        ${renderAvailability(availability)}
 
         ${team.aiContent ? `
         <div class="card">
@@ -9,18 +9,12 @@
 
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const apiSports = require('../services/apiSportsGateway');
 const siteHeader = require('../utils/siteHeader');
 const { getLeagueBySlug, LEAGUES, currentSeasonForLeague } = require('../utils/leagueSlugs');
 const { getEntityDates, pickOgImage, ogImageMeta, authorByline, SITE_URL } = require('../utils/seoCommon');
 
-const API_KEY = process.env.API_FOOTBALL_KEY;
-
-const footballApi = axios.create({
-  baseURL: 'https://v3.football.api-sports.io',
-  headers: API_KEY ? { 'x-apisports-key': API_KEY } : {},
-  timeout: 10000,
-});
+const footballApi = apiSports.client('ssr:top-assists');
 
 const cache = new Map();
 const TTL_MS = 6 * 60 * 60 * 1000;
@@ -42,7 +36,7 @@ async function fetchTopAssists(leagueId, season) {
   const hit = cache.get(key);
   if (hit && Date.now() - hit.at < TTL_MS) return hit.data;
 
-  if (!API_KEY) return [];
+  if (!apiSports.isConfigured()) return [];
 
   try {
     const { data } = await footballApi.get('/players/topassists', {
@@ -239,6 +233,7 @@ router.get('/top-kien-tao/:slug', async (req, res) => {
           <a class="sidebar-link" href="/top-ghi-ban/${slug}">Vua phá lưới ${escapeHtml(league.viName)}</a>
           <a class="sidebar-link" href="/bang-xep-hang/${slug}">BXH ${escapeHtml(league.viName)}</a>
           <a class="sidebar-link" href="/lich-thi-dau/${slug}">Lịch ${escapeHtml(league.viName)}</a>
+          <a class="sidebar-link" href="/top-cau-thu/${slug}">Thống kê cầu thủ ${escapeHtml(league.viName)}</a>
           <a class="sidebar-link" href="/cau-thu">Cầu thủ Việt Nam</a>
         </div>
       </aside>
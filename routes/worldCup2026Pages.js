@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const siteHeader = require('../utils/siteHeader');
 const { sections } = require('../data/worldCup2026');
+const worldCup2026 = require('../services/worldCup2026');
 
 const SITE_URL = process.env.SITE_URL || 'https://scoreline.io';
 const { markdownToHtml, splitBySections } = require('../utils/markdown');
@@ -46,12 +47,125 @@ function baseStyles() {
     .sidebar-link{display:block;padding:8px 0;font-size:14px;color:#475569;border-bottom:1px solid #f1f5f9}
     .sidebar-link:last-child{border-bottom:none}
     .sidebar-link:hover{color:#dc2626}
+    table.wc-table{width:100%;border-collapse:collapse;font-size:13px;margin-bottom:8px}
+    table.wc-table th,table.wc-table td{padding:7px 6px;text-align:center;border-bottom:1px solid #f1f5f9}
+    table.wc-table th{background:#f8fafc;color:#475569;font-weight:700;text-transform:uppercase;font-size:10px;letter-spacing:.5px}
+    table.wc-table td.team{text-align:left;font-weight:600;color:#0f172a}
+    table.wc-table td.team img{width:20px;height:20px;vertical-align:middle;margin-right:6px;object-fit:contain}
+    table.wc-table tr.qualified td:first-child{box-shadow:inset 3px 0 #16a34a}
+    table.wc-table tr.third td:first-child{box-shadow:inset 3px 0 #f59e0b}
+    table.wc-table tr.out td{color:#94a3b8}
+    .wc-groups{display:grid;grid-template-columns:1fr 1fr;gap:8px 20px}
+    .wc-groups h3{margin-top:6px}
+    .wc-round{margin-bottom:14px}
+    .wc-match{display:grid;grid-template-columns:48px 1fr 60px 1fr;gap:6px;align-items:center;padding:7px 0;border-bottom:1px solid #f1f5f9;font-size:14px}
+    .wc-match .no{font-size:11px;color:#94a3b8}
+    .wc-match .away{text-align:right}
+    .wc-match .score{text-align:center;font-weight:800;color:#0f172a}
+    .wc-match .winner{font-weight:800;color:#0f172a}
+    .wc-match .slot{color:#94a3b8;font-style:italic}
+    .wc-note{font-size:13px;color:#64748b}
     .footer{text-align:center;margin-top:24px;padding:16px;color:#94a3b8;font-size:13px}
-    @media(max-width:768px){.layout{grid-template-columns:1fr}.sidebar{order:2}.wc-hero h1{font-size:24px}.section-card{padding:18px 16px}}
+    @media(max-width:768px){.layout{grid-template-columns:1fr}.sidebar{order:2}.wc-hero h1{font-size:24px}.section-card{padding:18px 16px}.wc-groups{grid-template-columns:1fr}}
   `;
 }
 
-function renderSection(req, res, section) {
+const SLOT_LABELS = { 1: 'Nhất bảng', 2: 'Nhì bảng' };
+
+function slotLabel(slot) {
+  if (slot.startsWith('3:')) return `Hạng 3 bảng ${slot.slice(2).split('').join('/')}`;
+  if (slot.startsWith('W')) return `Thắng trận ${slot.slice(1)}`;
+  if (slot.startsWith('L')) return `Thua trận ${slot.slice(1)}`;
+  return `${SLOT_LABELS[slot[0]]} ${slot[1]}`;
+}
+
+function teamCell(team) {
+  if (!team) return '';
+  return `${team.logo ? `<img src="${escapeHtml(team.logo)}" alt="" loading="lazy">` : ''}${escapeHtml(team.name)}`;
+}
+
+/**
+ * 12 group tables + ranking of the third-placed teams (bang-dau)
+ */
+function renderGroups(tournament) {
+  const groupsHtml = tournament.groups.map(group => {
+    const rows = group.table.map(row => `<tr class="${row.status === 'eliminated' ? 'out' : row.rank <= 2 ? 'qualified' : row.rank === 3 ? 'third' : ''}">
+        <td>${row.rank}</td>
+        <td class="team">${teamCell(row.team)}</td>
+        <td>${row.played}</td>
+        <td>${row.goalsDiff > 0 ? `+${row.goalsDiff}` : row.goalsDiff}</td>
+        <td><strong>${row.points}</strong></td>
+      </tr>`).join('');
+    return `<div>
+      <h3>Bảng ${group.group}${group.complete ? '' : ' <span class="wc-note">(đang đá)</span>'}</h3>
+      <table class="wc-table">
+        <thead><tr><th>#</th><th style="text-align:left">Đội</th><th>Trận</th><th>HS</th><th>Điểm</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+  }).join('');
+
+  const thirds = tournament.thirds;
+  const thirdRows = thirds.ranking.map(row => `<tr class="${row.qualifies ? 'qualified' : 'out'}">
+      <td>${row.rank}</td>
+      <td>${row.group}</td>
+      <td class="team">${teamCell(row.team)}</td>
+      <td>${row.goalsDiff > 0 ? `+${row.goalsDiff}` : row.goalsDiff}</td>
+      <td>${row.goalsFor}</td>
+      <td><strong>${row.points}</strong></td>
+    </tr>`).join('');
+
+  return `<div class="section-card">
+      <h2>📊 Bảng xếp hạng 12 bảng đấu</h2>
+      <div class="wc-groups">${groupsHtml}</div>
+      <p class="wc-note">Nhất, nhì mỗi bảng và 8 đội hạng ba tốt nhất vào vòng 1/16. Xếp hạng theo điểm, đối đầu, hiệu số, bàn thắng, điểm fair-play (luật FIFA).</p>
+    </div>
+    <div class="section-card">
+      <h2>🥉 Xếp hạng các đội đứng thứ ba${thirds.complete ? '' : ' (tạm tính)'}</h2>
+      <table class="wc-table">
+        <thead><tr><th>#</th><th>Bảng</th><th style="text-align:left">Đội</th><th>HS</th><th>BT</th><th>Điểm</th></tr></thead>
+        <tbody>${thirdRows}</tbody>
+      </table>
+      <p class="wc-note">8 đội đầu đi tiếp; tổ hợp bảng của họ quyết định đối thủ ở vòng 1/16 theo bảng phân cặp của FIFA.${thirds.allocationProvisional && thirds.qualifyingGroups.length === 8 ? ' Cặp đấu của các đội hạng ba hiện là tạm tính, chờ FIFA công bố lịch vòng 1/16.' : ''}</p>
+    </div>`;
+}
+
+/**
+ * Knockout bracket, round of 32 → final (lich-thi-dau)
+ */
+function renderBracket(tournament) {
+  const { bracket } = tournament;
+  const side = (entry, winner) => {
+    if (!entry.team) return `<span class="slot">${escapeHtml(slotLabel(entry.slot))}</span>`;
+    const cls = winner && winner.id === entry.team.id ? 'winner' : entry.provisional ? 'slot' : '';
+    return `<span class="${cls}">${teamCell(entry.team)}</span>`;
+  };
+
+  const roundsHtml = bracket.rounds.map(round => `<div class="wc-round">
+      <h3>${escapeHtml(round.name)}</h3>
+      ${round.matches.map(m => `<div class="wc-match">
+        <span class="no">#${m.match}${m.date ? `<br>${escapeHtml(formatDateVi(m.date))}` : ''}</span>
+        ${side(m.home, m.winner)}
+        <span class="score">${m.score ? `${m.score.home} - ${m.score.away}${m.penalties ? `<br><small>(pen ${m.penalties.home}-${m.penalties.away})</small>` : ''}` : 'vs'}</span>
+        <span class="away">${side(m.away, m.winner)}</span>
+      </div>`).join('')}
+    </div>`).join('');
+
+  return `<div class="section-card">
+      <h2>🏆 Nhánh đấu vòng loại trực tiếp</h2>
+      ${bracket.champion ? `<p><strong>Nhà vô địch:</strong> ${teamCell(bracket.champion)}</p>` : ''}
+      ${roundsHtml}
+      <p class="wc-note">Tên in nghiêng: vị trí tạm tính khi vòng bảng chưa kết thúc.</p>
+    </div>`;
+}
+
+// Sections whose body comes from the tournament engine once the groups exist
+const LIVE_SECTIONS = {
+  'bang-dau': renderGroups,
+  'lich-thi-dau': renderBracket
+};
+
+function renderSection(req, res, section, tournament = null) {
   const url = `${SITE_URL}/world-cup-2026/${section.slug}`;
 
   const breadcrumbSchema = {
@@ -88,7 +202,8 @@ function renderSection(req, res, section) {
   const siblings = Object.values(sections).filter(s => s.slug !== section.slug);
   const sidebarLinks = siblings.map(s => `<a href="/world-cup-2026/${s.slug}" class="sidebar-link">${escapeHtml(s.h1)}</a>`).join('');
 
-  const sectionCardsHtml = splitBySections(section.body).map(sec => {
+  const liveHtml = tournament && LIVE_SECTIONS[section.slug] ? LIVE_SECTIONS[section.slug](tournament) : '';
+  const sectionCardsHtml = liveHtml || splitBySections(section.body).map(sec => {
     if (!sec.title && !sec.body.trim()) return '';
     return `<div class="section-card">
       ${sec.title ? `<h2>${escapeHtml(sec.title)}</h2>` : ''}
@@ -165,17 +280,22 @@ function renderSection(req, res, section) {
 </html>`;
 
   res.set('Content-Type', 'text/html; charset=utf-8');
-  res.set('Cache-Control', 'public, max-age=43200');
+  res.set('Cache-Control', `public, max-age=${liveHtml ? 300 : 43200}`);
   res.send(html);
 }
 
-router.get('/world-cup-2026/:section', (req, res) => {
+router.get('/world-cup-2026/:section', async (req, res) => {
   const section = sections[req.params.section];
   if (!section) {
     res.set('Content-Type', 'text/html; charset=utf-8');
     return res.status(404).send(`<!DOCTYPE html><html lang="vi"><head><meta charset="UTF-8"><title>Không tìm thấy | ScoreLine</title><meta name="robots" content="noindex"></head><body><h1>404 - Trang không tồn tại</h1><p><a href="/world-cup-2026">Về trang World Cup 2026</a></p></body></html>`);
   }
-  renderSection(req, res, section);
+
+  // Before the draw (or if the API is down) the editorial copy is served
+  const tournament = LIVE_SECTIONS[section.slug]
+    ? await worldCup2026.getTournament().catch(() => null)
+    : null;
+  renderSection(req, res, section, tournament);
 });
 
 module.exports = router;
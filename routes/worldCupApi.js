@@ -1,12 +1,35 @@
 /**
  * Public API for World Cup 2026 sections
  *   GET /api/world-cup-2026              → list sections
+ *   GET /api/world-cup-2026/groups       → 12 group tables (FIFA tiebreakers)
+ *   GET /api/world-cup-2026/thirds       → third-placed teams ranked, allocation
+ *   GET /api/world-cup-2026/bracket      → round of 32 → final
  *   GET /api/world-cup-2026/:slug        → section detail
  */
 
 const express = require('express');
 const router = express.Router();
 const { sections } = require('../data/worldCup2026');
+const worldCup2026 = require('../services/worldCup2026');
+
+/**
+ * One piece of the computed tournament, 404 before the groups are published
+ */
+function tournamentRoute(pick) {
+  return async (req, res) => {
+    try {
+      const tournament = await worldCup2026.getTournament();
+      if (!tournament) {
+        return res.status(404).json({ success: false, error: 'World Cup 2026 groups not available yet' });
+      }
+      res.set('Cache-Control', 'public, max-age=300');
+      res.json({ success: true, data: { season: tournament.season, ...pick(tournament), updatedAt: tournament.updatedAt } });
+    } catch (error) {
+      console.error('❌ World Cup 2026 error:', error.message);
+      res.status(500).json({ success: false, error: 'Failed to compute World Cup 2026', message: error.message });
+    }
+  };
+}
 
 router.get('/', (req, res) => {
   res.set('Cache-Control', 'public, max-age=3600');
@@ -20,6 +43,10 @@ router.get('/', (req, res) => {
   res.json({ total: list.length, sections: list });
 });
 
+router.get('/groups', tournamentRoute(t => ({ groups: t.groups })));
+router.get('/thirds', tournamentRoute(t => ({ thirds: t.thirds })));
+router.get('/bracket', tournamentRoute(t => ({ bracket: t.bracket })));
+
 router.get('/:slug', (req, res) => {
   const section = sections[req.params.slug];
   if (!section) return res.status(404).json({ error: 'Section not found' });
@@ -7,6 +7,10 @@
  *   node scripts/generate-weekly-roundup.js --all --auto-publish
  *   node scripts/generate-weekly-roundup.js --league=v-league-1 --dry-run
  *
+ * Input: results, standings and top scorers from API-Sports, plus the
+ * latest Team of the Week and best player ratings stored by
+ * services/teamOfTheWeek.js (weekly job, Monday 06:00 VN).
+ *
  * Defaults: status=draft (editor review required). Use --auto-publish
  * only if you have an editorial layer downstream.
  *
@@ -55,7 +59,7 @@ async function main() {
     if (dryRun) {
       const { fetchWeekData } = require('../services/real-news-generator');
       const data = await fetchWeekData(league);
-      console.log(`[${league.slug}] ${data.fixtures.length} fixtures, ${data.standings.length} standings, ${data.topScorers.length} scorers`);
+      console.log(`[${league.slug}] ${data.fixtures.length} fixtures, ${data.standings.length} standings, ${data.topScorers.length} scorers, TOTW ${data.teamOfTheWeek ? `${data.teamOfTheWeek.round} (${data.teamOfTheWeek.formation})` : '-'}, ${data.topRated.length} rated players`);
       continue;
     }
     try {
@@ -21,6 +21,7 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const SoiKeoArticle = require('../models/SoiKeoArticle');
 const soiKeoGenerator = require('../services/soi-keo-generator');
+const teamPatterns = require('../services/teamPatterns');
 
 const DB_URI = process.env.MONGODB_URI || process.env.DATABASE_URL;
 const args = process.argv.slice(2);
@@ -175,7 +176,9 @@ async function main() {
         awayForm = await generator.getTeamForm(article.matchInfo.awayTeam.id) || awayForm;
       } catch (e) { /* use default */ }
 
-      const prompt = generator.buildPrompt(matchData, article.oddsData, h2hData, homeForm, awayForm);
+      const patterns = await teamPatterns.promptFacts(matchData.teams.home, matchData.teams.away).catch(() => null);
+
+      const prompt = generator.buildPrompt(matchData, h2hData, homeForm, awayForm, patterns);
 
       // Generate with retry loop if validator fails
       let aiContent = null;
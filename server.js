@@ -1,7 +1,6 @@
 // server.js - Main Football API Backend
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const path = require('path');
 const mongoose = require('mongoose');
 const cron = require('node-cron');
@@ -20,6 +19,18 @@ const articlesRouter = require('./routes/articles');
 const schedulerRouter = require('./routes/scheduler');
 const soiKeoRouter = require('./routes/soiKeo');
 const oddsSyncJob = require('./services/oddsSyncJob');
+const oddsHistory = require('./services/oddsHistory');
+const matchPrediction = require('./services/matchPrediction');
+const eloRatings = require('./services/eloRatings');
+const seasonProjections = require('./services/seasonProjections');
+const referees = require('./services/referees');
+const discipline = require('./services/discipline');
+const predictedLineups = require('./services/predictedLineups');
+const teamOfTheWeek = require('./services/teamOfTheWeek');
+const playerLeaderboards = require('./services/playerLeaderboards');
+const teamPatterns = require('./services/teamPatterns');
+const resultsArchive = require('./services/resultsArchive');
+const apiSports = require('./services/apiSportsGateway');
 const logger = require('./utils/logger');
 const log = logger.child('server');
 const { startSoiKeoScheduler } = require('./services/soi-keo-scheduler');
@@ -32,6 +43,7 @@ const { startMatchReportScheduler } = require('./services/match-report-scheduler
 const { startTransferNewsScheduler } = require('./services/transfer-news-scheduler');
 const { startDataDerivedNewsScheduler } = require('./services/news-data-derived/scheduler');
 const teamSync = require('./services/team-sync');
+const { DEFAULT_TIMEZONE, isValidTimeZone, dayKeyFromInput } = require('./utils/dateTime');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -179,20 +191,12 @@ app.use('/api/', (req, res, next) => {
 // API FOOTBALL CONFIG
 // ============================================
 
-const API_FOOTBALL_URL = 'https://v3.football.api-sports.io';
-const API_KEY = process.env.API_FOOTBALL_KEY;
+// All API-Sports traffic goes through the gateway so quota usage is
+// attributed per caller. requestContext lets the shared client tag each
+// call with the Express route that made it.
+app.use(apiSports.requestContext);
 
-if (!API_KEY || API_KEY === 'your_api_key_here') {
-  console.warn('⚠️  WARNING: API_FOOTBALL_KEY not configured!');
-}
-
-const footballApi = axios.create({
-  baseURL: API_FOOTBALL_URL,
-  headers: {
-    'x-rapidapi-key': API_KEY,
-    'x-rapidapi-host': 'v3.football.api-sports.io'
-  }
-});
+const footballApi = apiSports.client('server', { fromRequest: true });
 
 // Export for use in routes
 app.locals.footballApi = footballApi;
@@ -294,6 +298,8 @@ app.use('/', require('./routes/sitemap'));
 // limits. Express picks the first matching handler, so registering ours
 // first means seoContentPages's stale versions never run.
 app.use('/', require('./routes/standingsSsr'));
+// .ics feeds share the /lich-thi-dau prefix — ahead of fixturesSsr's /:slug
+app.use('/', require('./routes/calendarFeeds'));
 app.use('/', require('./routes/fixturesSsr'));
 app.use('/', require('./routes/topScorersSsr'));
 
@@ -324,6 +330,7 @@ app.use('/', require('./routes/homeSsr'));
 // world players, national teams, stadiums and individual awards. Each
 // lives in its own router so touching one doesn't risk the others.
 app.use('/', require('./routes/topAssistsSsr'));
+app.use('/', require('./routes/playerLeaderboardsSsr'));
 app.use('/', require('./routes/winnersHistorySsr'));
 app.use('/', require('./routes/worldPlayersSsr'));
 app.use('/', require('./routes/nationalTeamsSsr'));
@@ -345,6 +352,9 @@ app.use('/api/scheduler', schedulerRouter);
 app.use('/api/soi-keo', soiKeoRouter);
 app.use('/api/content', require('./routes/contentApi'));
 app.use('/api/teams', require('./routes/teams'));
+app.use('/api/rankings', require('./routes/rankings'));
+app.use('/api/referees', require('./routes/referees'));
+app.use('/api/leagues', require('./routes/leagues'));
 app.use('/api/players', require('./routes/playersApi'));
 app.use('/api/football-knowledge', require('./routes/knowledgeApi'));
 app.use('/api/world-cup-2026', require('./routes/worldCupApi'));
@@ -362,6 +372,11 @@ app.use('/api/img', require('./routes/imageProxy'));
 const { router: adminAuthRouter } = require('./routes/adminAuth');
 app.use('/api/admin', adminAuthRouter);
 app.use('/api/admin/articles', require('./routes/adminArticles'));
+app.use('/api/admin/api-usage', require('./routes/adminApiUsage'));
+app.use('/api/admin/prediction-models', require('./routes/adminPredictionModels'));
+app.use('/api/admin/elo', require('./routes/adminElo'));
+app.use('/api/admin/results-archive', require('./routes/adminResultsArchive'));
+app.use('/api/admin/fixture-changes', require('./routes/adminFixtureChanges'));
 
 // Legacy endpoints (chỉ giữ lại leagues và fixtures)
 app.get('/api/leagues', async (req, res) => {
@@ -376,10 +391,21 @@ app.get('/api/leagues', async (req, res) => {
   }
 });
 
+// Query params pass through to API-Sports; `tz` is accepted as an alias of
+// its `timezone` (day of `date`, offset of the returned times)
 app.get('/api/fixtures', async (req, res) => {
   try {
+    const { tz, ...params } = req.query;
+    if (tz) {
+      if (!isValidTimeZone(tz)) return res.status(400).json({ error: `Invalid tz: ${tz}` });
+      params.timezone = tz;
+    }
+    if (params.date) {
+      params.date = dayKeyFromInput(params.date, isValidTimeZone(params.timezone) ? params.timezone : 'UTC');
+      if (!params.date) return res.status(400).json({ error: `Invalid date: ${req.query.date}` });
+    }
     const response = await footballApi.get('/fixtures', {
-      params: req.query
+      params
     });
     res.json(response.data);
   } catch (error) {
@@ -405,6 +431,8 @@ app.use((req, res) => {
       'GET /api/competitions/:countrySlug/:leagueSlug',
       'GET /api/competitions/:id',
       'GET /api/competitions/:id/archives',
+      'GET /api/competitions/:id/archives/:season/results',
+      'GET /api/competitions/:id/bracket',
       'GET /api/countries',
       'GET /api/countries/national',
       'GET /api/countries/other',
@@ -418,15 +446,27 @@ app.use((req, res) => {
       'GET /api/matches/:id/detail',
       'GET /api/matches/:id/odds',
       'GET /api/matches/:id/forms',
+      'GET /api/matches/:id/prediction',
+      'GET /api/matches/:id/predicted-lineups',
+      'GET /api/matches/predicted-lineups/accuracy',
       'GET /api/matches/h2h',
       'GET /api/standings',
       'GET /api/standings/overall',
       'GET /api/standings/form',
       'GET /api/standings/top-score',
+      'GET /api/standings/leaderboards',
       'GET /api/standings/htft',
+      'GET /api/standings/projections',
+      'GET /api/standings/live',
       'GET /api/standings/competitions',
       'GET /api/standings/top-leagues',
       'GET /api/standings/allowed-leagues',
+      'GET /api/world-cup-2026/groups',
+      'GET /api/world-cup-2026/thirds',
+      'GET /api/world-cup-2026/bracket',
+      'GET /api/referees',
+      'GET /api/referees/:slug',
+      'GET /api/leagues/:slug/team-of-the-week',
       'DELETE /api/standings/cache',
       'DELETE /api/matches/cache/odds',
       'POST /api/ai-predict',
@@ -496,6 +536,90 @@ function setupOddsSyncJob() {
 
   console.log('✅ Odds sync cron job scheduled (every 10 minutes)');
 
+  // Odds history retention — daily 03:30 VN: thin old fixtures to opening/closing lines
+  cron.schedule('30 3 * * *', () => {
+    oddsHistory.prune().catch(err => {
+      console.error('❌ Odds history retention failed:', err.message);
+    });
+  }, { timezone: DEFAULT_TIMEZONE });
+
+  // Results archive — every 6h from 03:50 VN (ahead of Elo and referees): results the worker missed, missing match details
+  cron.schedule('50 3,9,15,21 * * *', () => {
+    resultsArchive.sweep().catch(err => {
+      console.error('❌ Results archive sweep failed:', err.message);
+    });
+  }, { timezone: DEFAULT_TIMEZONE });
+
+  // Elo — daily 04:00 VN: rate finished fixtures of the last few days
+  cron.schedule('0 4 * * *', () => {
+    eloRatings.updateRecent().catch(err => {
+      console.error('❌ Elo update failed:', err.message);
+    });
+  }, { timezone: DEFAULT_TIMEZONE });
+
+  // Prediction model refit — daily 04:15 VN, stored as a new version per league
+  cron.schedule('15 4 * * *', () => {
+    matchPrediction.refitAll().catch(err => {
+      console.error('❌ Prediction model refit failed:', err.message);
+    });
+  }, { timezone: DEFAULT_TIMEZONE });
+
+  // ...and once on boot when no model exists yet, instead of waiting for 04:15
+  setTimeout(() => {
+    matchPrediction.refitIfMissing().catch(err => {
+      console.error('❌ Initial prediction model refit failed:', err.message);
+    });
+  }, 60000);
+
+  // Referee stats — daily 04:45 VN: copy newly archived / cached finished fixtures
+  cron.schedule('45 4 * * *', () => {
+    referees.sync().catch(err => {
+      console.error('❌ Referee sync failed:', err.message);
+    });
+  }, { timezone: DEFAULT_TIMEZONE });
+
+  // Card accumulation — 05:00 and 17:00 VN: log new finished fixtures, rebuild suspensions
+  cron.schedule('0 5,17 * * *', () => {
+    discipline.sync().catch(err => {
+      console.error('❌ Discipline sync failed:', err.message);
+    });
+  }, { timezone: DEFAULT_TIMEZONE });
+
+  // Predicted lineups — every 30 min: predict hot-league fixtures near kick-off, score them once official XIs are out
+  cron.schedule('5,35 * * * *', () => {
+    predictedLineups.run().catch(err => {
+      console.error('❌ Predicted lineups job failed:', err.message);
+    });
+  });
+
+  // Player leaderboards — daily 05:30 VN: backfill season match ratings (low-priority budget)
+  cron.schedule('30 5 * * *', () => {
+    playerLeaderboards.sync().catch(err => {
+      console.error('❌ Player leaderboards backfill failed:', err.message);
+    });
+  }, { timezone: DEFAULT_TIMEZONE });
+
+  // Team patterns — daily 05:45 VN: log goal timelines of newly finished fixtures (low-priority budget)
+  cron.schedule('45 5 * * *', () => {
+    teamPatterns.sync().catch(err => {
+      console.error('❌ Team patterns sync failed:', err.message);
+    });
+  }, { timezone: DEFAULT_TIMEZONE });
+
+  // Team of the Week — Monday 06:00 VN, after the weekend rounds (midweek rounds are picked up the week after)
+  cron.schedule('0 6 * * 1', () => {
+    teamOfTheWeek.run().catch(err => {
+      console.error('❌ Team of the Week job failed:', err.message);
+    });
+  }, { timezone: DEFAULT_TIMEZONE });
+
+  // Season projections — hourly at :20, re-simulates leagues whose matchday just finished
+  cron.schedule('20 * * * *', () => {
+    seasonProjections.refreshAll().catch(err => {
+      console.error('❌ Season projections refresh failed:', err.message);
+    });
+  });
+
   // Auto-populate cache on startup (smart: only if cache is empty)
   setTimeout(async () => {
     console.log('\n🚀 Running initial odds sync job...');
@@ -559,7 +683,7 @@ connectMongoDB().then(async () => {
   // Initialize match cache worker
   if (mongoose.connection.readyState === 1) {
     console.log('\n🚀 Starting Match Cache Worker...');
-    matchCacheWorker.init(API_KEY, 'v3.football.api-sports.io');
+    matchCacheWorker.init();
     matchCacheWorker.start();
   }
 
@@ -575,9 +699,9 @@ connectMongoDB().then(async () => {
     startMatchReportScheduler();
     // Transfer news scheduler — generates articles from real /transfers data twice daily.
     startTransferNewsScheduler();
-    // Data-derived news scheduler — 6 triggers (suspension/injury/lineup/streak/milestone/topscorer-race)
+    // Data-derived news scheduler — 7 triggers (suspension/injury/lineup/streak/milestone/topscorer-race/upset)
     // gated by ENABLE_DATA_DERIVED_NEWS env var, hard cap 15 articles/day, status='draft'.
-    startDataDerivedNewsScheduler(footballApi);
+    startDataDerivedNewsScheduler();
     teamSync.start();
   } catch (err) {
     console.error('Failed to setup Articles DB and scheduler:', err);
@@ -599,6 +723,8 @@ app.listen(PORT, () => {
   console.log('    GET  /api/competitions/:countrySlug/:leagueSlug');
   console.log('    GET  /api/competitions/:id');
   console.log('    GET  /api/competitions/:id/archives');
+  console.log('    GET  /api/competitions/:id/archives/:season/results');
+  console.log('    GET  /api/competitions/:id/bracket');
   console.log('\n  🌍 Countries:');
   console.log('    GET  /api/countries');
   console.log('    GET  /api/countries/national');
@@ -616,15 +742,30 @@ app.listen(PORT, () => {
   console.log('    GET  /api/matches/:id/detail');
   console.log('    GET  /api/matches/:id/odds');
   console.log('    GET  /api/matches/:id/forms');
+  console.log('    GET  /api/matches/:id/prediction');
+  console.log('    GET  /api/matches/:id/predicted-lineups');
+  console.log('    GET  /api/matches/predicted-lineups/accuracy');
   console.log('\n  📈 Standings:');
   console.log('    GET  /api/standings (requires competitionId)');
   console.log('    GET  /api/standings/overall');
   console.log('    GET  /api/standings/form');
   console.log('    GET  /api/standings/top-score');
+  console.log('    GET  /api/standings/leaderboards');
   console.log('    GET  /api/standings/htft');
+  console.log('    GET  /api/standings/projections');
+  console.log('    GET  /api/standings/live');
   console.log('    GET  /api/standings/competitions');
   console.log('    GET  /api/standings/top-leagues');
   console.log('    GET  /api/standings/allowed-leagues');
+  console.log('\n  🏆 World Cup 2026:');
+  console.log('    GET  /api/world-cup-2026/groups');
+  console.log('    GET  /api/world-cup-2026/thirds');
+  console.log('    GET  /api/world-cup-2026/bracket');
+  console.log('\n  🧑‍⚖️ Referees:');
+  console.log('    GET  /api/referees');
+  console.log('    GET  /api/referees/:slug');
+  console.log('\n  ⭐ Team of the Week:');
+  console.log('    GET  /api/leagues/:slug/team-of-the-week');
   console.log('\n🧪 Quick Tests:');
   console.log(`  curl "http://localhost:${PORT}/api/matches/all?limit=5"`);
   console.log(`  curl "http://localhost:${PORT}/api/competitions?limit=10"`);
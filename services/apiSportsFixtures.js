@@ -0,0 +1,161 @@
+/**
+ * API-Sports fixture store — record/replay of upstream responses on disk.
+ *
+ *   API_FOOTBALL_MODE=live    (default) hit API-Sports, nothing written
+ *   API_FOOTBALL_MODE=record  hit API-Sports and write every response to disk
+ *   API_FOOTBALL_MODE=replay  never touch the network; answer from disk only
+ *
+ * Files live under API_FOOTBALL_FIXTURES_DIR (default data/api-sports-fixtures),
+ * one directory per endpoint and one file per normalized query:
+ *
+ *   fixtures/league=39&season=2025.json
+ *   fixtures/events/fixture=1208021.json
+ *   odds/_default.json
+ *
+ * Replay looks for the exact query first, then the endpoint's `_default.json`
+ * (so date/live list queries that change every day still resolve), and
+ * otherwise fails with status 599 naming the file it expected — record it,
+ * or add a default for that endpoint. Lookups of one record (`id`, `ids`,
+ * `fixture`) never fall back: another fixture's payload would pass for the
+ * requested one.
+ *
+ * The gateway (services/apiSportsGateway.js) is the only runtime caller;
+ * `load()` is exported so scripts and tests can feed the same payloads to
+ * utils/transformers.js directly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+const MODES = ['live', 'record', 'replay'];
+const MODE = MODES.includes(process.env.API_FOOTBALL_MODE) ? process.env.API_FOOTBALL_MODE : 'live';
+const FIXTURES_DIR = path.resolve(
+  process.env.API_FOOTBALL_FIXTURES_DIR || path.join(__dirname, '..', 'data', 'api-sports-fixtures')
+);
+
+const DEFAULT_FILE = '_default.json';
+// Params that pick specific records — exact file or a miss, never the default
+const LOOKUP_PARAMS = ['id', 'ids', 'fixture'];
+// Longer queries (e.g. 40 comma-separated league ids) are hashed
+const MAX_READABLE_QUERY = 120;
+
+/**
+ * Stable query string: keys sorted, empty values dropped, arrays joined.
+ * `{ season: 2025, league: 39 }` and `{ league: '39', season: '2025' }`
+ * both become "league=39&season=2025".
+ */
+function normalizeParams(params = {}) {
+  return Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .sort()
+    .map(key => {
+      const value = Array.isArray(params[key]) ? params[key].join(',') : String(params[key]);
+      return `${key}=${value}`;
+    })
+    .join('&');
+}
+
+function endpointDir(endpoint) {
+  const clean = String(endpoint).split('?')[0].replace(/^\/+|\/+$/g, '');
+  if (!clean || clean.split('/').includes('..')) {
+    throw new Error(`Invalid API-Sports endpoint: ${endpoint}`);
+  }
+  return path.join(FIXTURES_DIR, ...clean.split('/'));
+}
+
+function fileNameFor(query) {
+  if (!query) return '_all.json';
+  const readable = query.replace(/[^A-Za-z0-9=&,._-]/g, '_');
+  if (readable.length <= MAX_READABLE_QUERY) return `${readable}.json`;
+  return `${crypto.createHash('sha1').update(query).digest('hex').slice(0, 16)}.json`;
+}
+
+/**
+ * Absolute path of the fixture file for a request.
+ */
+function fixturePath(endpoint, params) {
+  return path.join(endpointDir(endpoint), fileNameFor(normalizeParams(params)));
+}
+
+function isLookup(params = {}) {
+  return LOOKUP_PARAMS.some(key => params[key] !== undefined && params[key] !== null && params[key] !== '');
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Corrupt API-Sports fixture ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Recorded payload for a request, or null when neither the exact file nor
+ * (for list queries) the endpoint default exists.
+ * @returns {{ data: Object, file: string, exact: boolean } | null}
+ */
+function load(endpoint, params) {
+  const exactFile = fixturePath(endpoint, params);
+  const exact = readJson(exactFile);
+  if (exact) return { data: exact.data, file: exactFile, exact: true };
+  if (isLookup(params)) return null;
+
+  const defaultFile = path.join(endpointDir(endpoint), DEFAULT_FILE);
+  const fallback = readJson(defaultFile);
+  if (fallback) return { data: fallback.data, file: defaultFile, exact: false };
+
+  return null;
+}
+
+/**
+ * Write a response to disk (record mode).
+ */
+function save(endpoint, params, data) {
+  const file = fixturePath(endpoint, params);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    endpoint,
+    params: normalizeParams(params),
+    recordedAt: new Date().toISOString(),
+    data
+  }, null, 2));
+  return file;
+}
+
+/**
+ * axios-shaped response for replay mode. A miss rejects with status 599 so
+ * it is never mistaken for a real upstream answer.
+ */
+function replay(endpoint, params) {
+  const hit = load(endpoint, params);
+  if (!hit) {
+    const file = path.relative(process.cwd(), fixturePath(endpoint, params));
+    const hint = isLookup(params) ? ' — lookups need their own file, no default fallback' : '';
+    const err = new Error(`API-Sports replay miss: ${endpoint}?${normalizeParams(params)} (expected ${file})${hint}`);
+    err.code = 'API_FIXTURE_MISS';
+    err.status = 599;
+    err.response = { status: 599, data: { errors: { replay: err.message } }, headers: {} };
+    return Promise.reject(err);
+  }
+
+  return Promise.resolve({
+    data: hit.data,
+    status: 200,
+    statusText: 'OK (replay)',
+    headers: {},
+    config: { url: endpoint, params }
+  });
+}
+
+module.exports = {
+  MODE,
+  FIXTURES_DIR,
+  normalizeParams,
+  fixturePath,
+  load,
+  save,
+  replay
+};
@@ -0,0 +1,338 @@
+/**
+ * API-Sports gateway — the single door to v3.football.api-sports.io.
+ *
+ * Every subsystem used to build its own axios client, so nobody knew how much
+ * of the daily plan quota the others had already burned. Callers now ask the
+ * gateway for a client tagged with who they are:
+ *
+ *   const apiSports = require('./apiSportsGateway');
+ *   const footballApi = apiSports.client('news:lineup', { priority: 'low' });
+ *   const res = await footballApi.get('/fixtures', { params: { live: 'all' } });
+ *
+ * The client is axios-shaped (`.get(path, { params })` resolving to
+ * `{ data, headers, status }`), so existing call sites keep working.
+ *
+ * Per request the gateway:
+ *   - tags the call with its caller ("worker:live", "route:/api/matches/:id/detail")
+ *   - reads x-ratelimit-requests-remaining / -limit from the response
+ *   - buffers per-caller counters and flushes them to the ApiUsage ledger
+ *   - refuses low-priority callers once the daily budget threshold is hit
+ *
+ * Priorities:
+ *   critical — live scores; only refused when the plan reports 0 remaining
+ *   normal   — API routes, SSR, sync jobs; refused past NORMAL_PRIORITY_CUTOFF
+ *   low      — content generators; refused past LOW_PRIORITY_CUTOFF
+ *
+ * A refusal rejects with err.code = 'API_BUDGET_EXCEEDED' (status 429), which
+ * every caller already handles like any other upstream failure.
+ *
+ * Route attribution: mount `requestContext` once in server.js and give the
+ * shared app.locals client `{ fromRequest: true }` — calls made while serving
+ * a request are then tagged with the matched Express route.
+ *
+ * Offline work: API_FOOTBALL_MODE=record|replay (see apiSportsFixtures.js).
+ * Replayed calls skip the budget check and the ledger.
+ */
+
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { AsyncLocalStorage } = require('async_hooks');
+const ApiUsage = require('../models/ApiUsage');
+const fixtures = require('./apiSportsFixtures');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+const log = logger.child('api-sports');
+
+const API_SPORTS_URL = process.env.API_SPORTS_URL || 'https://v3.football.api-sports.io';
+const API_KEY = process.env.API_FOOTBALL_KEY || process.env.API_SPORTS_KEY;
+
+// $29 Ultra plan = 75,000 calls/day. Set lower to keep headroom for manual work.
+const DAILY_BUDGET = parseInt(process.env.API_FOOTBALL_DAILY_BUDGET, 10) || 75000;
+const LOW_PRIORITY_CUTOFF = parseFloat(process.env.API_FOOTBALL_LOW_PRIORITY_CUTOFF) || 0.8;
+const NORMAL_PRIORITY_CUTOFF = parseFloat(process.env.API_FOOTBALL_NORMAL_PRIORITY_CUTOFF) || 0.95;
+
+const FLUSH_INTERVAL_MS = 30 * 1000;
+const PRIORITIES = ['critical', 'normal', 'low'];
+
+if (fixtures.MODE === 'replay') {
+  console.log(`📼 API-Sports REPLAY mode — serving fixtures from ${fixtures.FIXTURES_DIR}`);
+} else if (!API_KEY || API_KEY === 'your_api_key_here') {
+  console.warn('⚠️  WARNING: API_FOOTBALL_KEY not configured!');
+}
+
+const http = axios.create({
+  baseURL: API_SPORTS_URL,
+  headers: {
+    'x-apisports-key': API_KEY,
+    'x-apisports-host': 'v3.football.api-sports.io'
+  },
+  timeout: 30000
+});
+
+const requestStore = new AsyncLocalStorage();
+
+// Latest quota snapshot from response headers. The headers are computed by
+// API-Sports across every process sharing the key, so this is the most
+// accurate "used today" figure we have — the ledger is the fallback.
+const quota = { day: null, limit: null, remaining: null, seenAt: null };
+
+// Counters not yet flushed to Mongo, bucketed by the UTC day of the call:
+// `${day}|${caller}` -> { day, caller, priority, calls, refused, failures, lastCallAt }
+const pending = new Map();
+let flushing = null;
+// Ledger total for today as of the last flush (covers other PM2 instances)
+const ledger = { day: null, calls: 0 };
+
+function utcDay(date = new Date()) {
+  return date.toISOString().split('T')[0];
+}
+
+function bump(caller, priority, field) {
+  const now = new Date();
+  const day = utcDay(now);
+  const key = `${day}|${caller}`;
+  if (!pending.has(key)) {
+    pending.set(key, { day, caller, priority, calls: 0, refused: 0, failures: 0, lastCallAt: null });
+  }
+  const entry = pending.get(key);
+  entry[field] += 1;
+  entry.lastCallAt = now;
+}
+
+function pendingCalls(day) {
+  let total = 0;
+  for (const entry of pending.values()) {
+    if (entry.day === day) total += entry.calls;
+  }
+  return total;
+}
+
+function readQuotaHeaders(headers) {
+  if (!headers) return;
+  const remaining = parseInt(headers['x-ratelimit-requests-remaining'], 10);
+  const limit = parseInt(headers['x-ratelimit-requests-limit'], 10);
+  if (isNaN(remaining)) return;
+
+  quota.day = utcDay();
+  quota.remaining = remaining;
+  quota.limit = isNaN(limit) ? quota.limit : limit;
+  quota.seenAt = new Date();
+}
+
+/**
+ * Calls used today and the budget they count against.
+ */
+function getBudgetState() {
+  const today = utcDay();
+  const budget = quota.limit ? Math.min(DAILY_BUDGET, quota.limit) : DAILY_BUDGET;
+
+  let used;
+  let source;
+  if (quota.day === today && quota.limit != null && quota.remaining != null) {
+    used = quota.limit - quota.remaining;
+    source = 'headers';
+  } else {
+    used = (ledger.day === today ? ledger.calls : 0) + pendingCalls(today);
+    source = 'ledger';
+  }
+
+  return {
+    day: today,
+    used,
+    budget,
+    ratio: budget > 0 ? used / budget : 1,
+    remaining: quota.day === today ? quota.remaining : null,
+    source
+  };
+}
+
+function isAllowed(priority) {
+  const state = getBudgetState();
+  if (state.remaining === 0) return false;
+  if (priority === 'critical') return true;
+  if (priority === 'low') return state.ratio < LOW_PRIORITY_CUTOFF;
+  return state.ratio < NORMAL_PRIORITY_CUTOFF;
+}
+
+function budgetError(caller, path) {
+  const state = getBudgetState();
+  const err = new Error(
+    `API-Sports budget threshold reached (${state.used}/${state.budget}) — refused ${caller} ${path}`
+  );
+  err.code = 'API_BUDGET_EXCEEDED';
+  err.status = 429;
+  return err;
+}
+
+/**
+ * Label for calls made while serving an HTTP request: the matched route
+ * pattern, not the raw URL, so "/api/matches/123/odds" and
+ * "/api/matches/456/odds" land in the same ledger row.
+ */
+function routeLabel(req) {
+  const pattern = req.route?.path;
+  return `route:${req.baseUrl || ''}${typeof pattern === 'string' ? pattern : req.path}`;
+}
+
+async function send(path, config, caller, priority) {
+  if (fixtures.MODE === 'replay') {
+    return fixtures.replay(path, config.params);
+  }
+
+  if (!isAllowed(priority)) {
+    bump(caller, priority, 'refused');
+    throw budgetError(caller, path);
+  }
+
+  bump(caller, priority, 'calls');
+
+  try {
+    const response = await http.get(path, config);
+    readQuotaHeaders(response.headers);
+
+    // API-Sports reports quota/plan problems as 200 + non-empty `errors`
+    const errors = response.data?.errors;
+    if (errors && (Array.isArray(errors) ? errors.length > 0 : Object.keys(errors).length > 0)) {
+      bump(caller, priority, 'failures');
+    } else if (fixtures.MODE === 'record') {
+      try {
+        fixtures.save(path, config.params, response.data);
+      } catch (error) {
+        log.warn('Fixture record failed', { path, err: error.message });
+      }
+    }
+    return response;
+  } catch (error) {
+    readQuotaHeaders(error.response?.headers);
+    bump(caller, priority, 'failures');
+    throw error;
+  }
+}
+
+/**
+ * Create a tagged client.
+ * @param {string} caller - Ledger tag, e.g. "worker:live"
+ * @param {Object} options
+ * @param {string} options.priority - 'critical' | 'normal' | 'low' (default 'normal')
+ * @param {boolean} options.fromRequest - Tag with the current Express route when available
+ * @returns {{ get: Function }} axios-shaped client
+ */
+function client(caller, options = {}) {
+  const priority = PRIORITIES.includes(options.priority) ? options.priority : 'normal';
+
+  return {
+    caller,
+    priority,
+
+    /**
+     * GET an API-Sports endpoint. `config.caller` / `config.priority`
+     * override the client defaults for this one call.
+     */
+    get(path, config = {}) {
+      const { caller: callerOverride, priority: priorityOverride, ...axiosConfig } = config;
+
+      let tag = callerOverride || caller;
+      if (!callerOverride && options.fromRequest) {
+        const store = requestStore.getStore();
+        if (store?.req) tag = routeLabel(store.req);
+      }
+
+      const effectivePriority = PRIORITIES.includes(priorityOverride) ? priorityOverride : priority;
+      return send(path, axiosConfig, tag, effectivePriority);
+    }
+  };
+}
+
+/**
+ * Express middleware — remembers the current request so `fromRequest`
+ * clients can attribute their calls to the matched route.
+ */
+function requestContext(req, res, next) {
+  requestStore.run({ req }, next);
+}
+
+/**
+ * Write buffered counters to the ApiUsage ledger, each on the day its calls
+ * were made. A counter is only taken out of the buffer once its write
+ * succeeded; calls made during the write stay buffered for the next flush.
+ * No-op while Mongo is down; counters stay buffered until it comes back.
+ */
+function flush() {
+  if (!flushing) {
+    flushing = flushPending().finally(() => { flushing = null; });
+  }
+  return flushing;
+}
+
+async function flushPending() {
+  if (mongoose.connection.readyState !== 1) return;
+
+  for (const [key, entry] of Array.from(pending.entries())) {
+    const sent = { calls: entry.calls, refused: entry.refused, failures: entry.failures };
+    try {
+      await ApiUsage.updateOne(
+        { day: entry.day, caller: entry.caller },
+        {
+          $inc: sent,
+          $set: { priority: entry.priority, lastCallAt: entry.lastCallAt }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      log.warn('Ledger flush failed', { caller: entry.caller, day: entry.day, err: error.message });
+      continue;
+    }
+
+    entry.calls -= sent.calls;
+    entry.refused -= sent.refused;
+    entry.failures -= sent.failures;
+    if (entry.calls === 0 && entry.refused === 0 && entry.failures === 0) pending.delete(key);
+  }
+
+  const day = utcDay();
+  try {
+    ledger.calls = await ApiUsage.totalForDay(day);
+    ledger.day = day;
+  } catch (error) {
+    log.warn('Ledger total refresh failed', { err: error.message });
+  }
+}
+
+const flushTimer = setInterval(() => {
+  flush().catch(err => log.error('Ledger flush crashed', err));
+}, FLUSH_INTERVAL_MS);
+flushTimer.unref();
+
+/**
+ * True when calls can be answered — a key is set, or we are replaying.
+ */
+function isConfigured() {
+  return fixtures.MODE === 'replay' || Boolean(API_KEY && API_KEY !== 'your_api_key_here');
+}
+
+/**
+ * Snapshot for the admin ledger endpoint.
+ */
+function getStatus() {
+  return {
+    mode: fixtures.MODE,
+    quota: { ...quota },
+    budget: {
+      daily: DAILY_BUDGET,
+      lowPriorityCutoff: LOW_PRIORITY_CUTOFF,
+      normalPriorityCutoff: NORMAL_PRIORITY_CUTOFF,
+      ...getBudgetState()
+    },
+    unflushed: Object.fromEntries(pending)
+  };
+}
+
+module.exports = {
+  client,
+  requestContext,
+  flush,
+  getStatus,
+  getBudgetState,
+  isConfigured
+};
@@ -5,6 +5,8 @@
  */
 
 const Team = require('../models/Team');
+const eloRatings = require('./eloRatings');
+const resultsArchive = require('./resultsArchive');
 
 const CACHE = new Map();
 const CACHE_TTL_MS = 6 * 60 * 60 * 1000;
@@ -125,6 +127,18 @@ function summariseForm(fixtures, teamId) {
   return { last5, points, scored, conceded };
 }
 
+// Cross-league strength from services/eloRatings.js; expectancy is for a
+// neutral venue since a comparison has no home side.
+function summariseElo(eloA, eloB) {
+  if (!eloA || !eloB) return null;
+  const pick = e => ({ rating: e.rating, rank: e.rank, leagueRank: e.leagueRank, peak: e.peak });
+  return {
+    teamA: pick(eloA),
+    teamB: pick(eloB),
+    teamAWinExpectancy: Math.round(eloRatings.expectedScore(eloA.rating, eloB.rating, true) * 1000) / 1000,
+  };
+}
+
 async function getCompareTeamsData({ slugA, slugB, footballApi }) {
   if (!slugA || !slugB || slugA === slugB) {
     return { error: 'INVALID_SLUGS', message: 'slugA and slugB required and must differ' };
@@ -145,17 +159,18 @@ async function getCompareTeamsData({ slugA, slugB, footballApi }) {
     return { error: 'UPSTREAM_UNAVAILABLE', message: 'Upstream API unavailable' };
   }
 
-  const [h2hRes, formAa, formBb] = await Promise.allSettled([
-    footballApi.get('/fixtures/headtohead', {
-      params: { h2h: `${teamA.teamId}-${teamB.teamId}`, last: 30 },
-    }),
-    footballApi.get('/fixtures', { params: { team: teamA.teamId, last: 5 } }),
-    footballApi.get('/fixtures', { params: { team: teamB.teamId, last: 5 } }),
+  // H2H and form come from the results archive, API-Sports only when it isn't covered
+  const [h2hRes, formAa, formBb, eloA, eloB] = await Promise.allSettled([
+    resultsArchive.headToHead(teamA.teamId, teamB.teamId, { last: 30, api: footballApi }),
+    resultsArchive.teamResults(teamA.teamId, { last: 5, api: footballApi }),
+    resultsArchive.teamResults(teamB.teamId, { last: 5, api: footballApi }),
+    eloRatings.getTeamRating(teamA.teamId),
+    eloRatings.getTeamRating(teamB.teamId),
   ]);
 
-  const h2hMatches = h2hRes.status === 'fulfilled' ? (h2hRes.value.data?.response || []) : [];
-  const teamAFixtures = formAa.status === 'fulfilled' ? (formAa.value.data?.response || []) : [];
-  const teamBFixtures = formBb.status === 'fulfilled' ? (formBb.value.data?.response || []) : [];
+  const h2hMatches = h2hRes.status === 'fulfilled' ? h2hRes.value : [];
+  const teamAFixtures = formAa.status === 'fulfilled' ? formAa.value : [];
+  const teamBFixtures = formBb.status === 'fulfilled' ? formBb.value : [];
 
   const data = {
     teamA: summariseTeam(teamA),
@@ -165,6 +180,10 @@ async function getCompareTeamsData({ slugA, slugB, footballApi }) {
       teamA: summariseForm(teamAFixtures, teamA.teamId),
       teamB: summariseForm(teamBFixtures, teamB.teamId),
     },
+    elo: summariseElo(
+      eloA.status === 'fulfilled' ? eloA.value : null,
+      eloB.status === 'fulfilled' ? eloB.value : null
+    ),
     generatedAt: new Date().toISOString(),
   };
 
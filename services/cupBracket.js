@@ -0,0 +1,317 @@
+// services/cupBracket.js - Knockout bracket for cup competitions
+//
+// API-Sports only gives a flat fixture list with a free-text `league.round`
+// ("Round of 16", "1/8-finals", "Quarter-finals", "3rd Round"...). Here:
+//
+//   rounds   knockout rounds recognised from their names, ordered by date;
+//            qualifying / group / league-stage rounds are left out
+//   ties     fixtures of a round paired by the two teams, so two-legged
+//            ties carry both legs, the aggregate, away goals and penalties
+//   links    each tie points at the tie of the next round its winner (or,
+//            while undecided, either team) appears in, so the SPA can draw
+//            the tree without knowing anything about the competition
+//
+// The tree comes from real fixtures, so later rounds appear once the draw
+// is published.
+
+const apiSports = require('./apiSportsGateway');
+const { currentSeasonForLeagueId } = require('../utils/leagueSlugs');
+
+// ============================================
+// CẤU HÌNH: Cup brackets
+// ============================================
+const CACHE_TTL = 10 * 60 * 1000;
+// Last season the away-goals rule decided level ties (UEFA dropped it in 2021/22)
+const AWAY_GOALS_UNTIL = {
+  2: 2020,    // Champions League
+  3: 2020     // Europa League
+};
+
+const FINISHED_CODES = ['FT', 'AET', 'PEN', 'AWD', 'WO'];
+const LIVE_CODES = ['1H', 'HT', '2H', 'ET', 'BT', 'P', 'SUSP', 'INT', 'LIVE'];
+const EXCLUDED_ROUNDS = /qualif|preliminary|group|league stage|regular season/i;
+
+const NAMES_BY_SIZE = {
+  2: 'Chung kết',
+  4: 'Bán kết',
+  8: 'Tứ kết',
+  16: 'Vòng 1/8',
+  32: 'Vòng 1/16',
+  64: 'Vòng 1/32',
+  128: 'Vòng 1/64'
+};
+
+/**
+ * API-Sports round name → { key, size } (size = teams in the round), or
+ * null for rounds that are not part of the bracket.
+ */
+function parseRound(round) {
+  const name = String(round || '').trim();
+  if (!name || EXCLUDED_ROUNDS.test(name)) return null;
+
+  if (/3rd place|third place/i.test(name)) return { key: 'third-place', size: 2, thirdPlace: true };
+  if (/semi-?finals?/i.test(name)) return { key: 'semi-finals', size: 4 };
+  if (/quarter-?finals?/i.test(name)) return { key: 'quarter-finals', size: 8 };
+  if (/^finals?$/i.test(name)) return { key: 'final', size: 2 };
+
+  let match = /round of (\d+)/i.exec(name);
+  if (match) return { key: `round-of-${match[1]}`, size: Number(match[1]) };
+
+  // "1/8-finals" → 16 teams
+  match = /1\/(\d+)[- ]finals?/i.exec(name);
+  if (match) return { key: `round-of-${match[1] * 2}`, size: Number(match[1]) * 2 };
+
+  // "8th Finals" → 16 teams
+  match = /(\d+)(?:st|nd|rd|th) finals?/i.exec(name);
+  if (match) return { key: `round-of-${match[1] * 2}`, size: Number(match[1]) * 2 };
+
+  if (/play-?offs?/i.test(name)) return { key: 'play-offs', size: null };
+
+  // "3rd Round", "Round 2" — size follows from the number of ties
+  match = /(\d+)(?:st|nd|rd|th)? round|round (\d+)/i.exec(name);
+  if (match) return { key: `round-${match[1] || match[2]}`, size: null };
+
+  return null;
+}
+
+function roundName(parsed, size) {
+  if (parsed.thirdPlace) return 'Tranh hạng ba';
+  if (parsed.key === 'play-offs') return 'Vòng play-off';
+  if (NAMES_BY_SIZE[size] && (parsed.size || parsed.key.startsWith('round-of'))) return NAMES_BY_SIZE[size];
+  const ordinal = /^round-(\d+)$/.exec(parsed.key);
+  return ordinal ? `Vòng ${ordinal[1]}` : (NAMES_BY_SIZE[size] || parsed.key);
+}
+
+function teamOf(team) {
+  return { id: team.id, name: team.name, logo: team.logo };
+}
+
+function pairKey(fixture) {
+  return [fixture.teams.home.id, fixture.teams.away.id].sort((a, b) => a - b).join('-');
+}
+
+/**
+ * One tie from its legs (ordered by date). `home` is the first leg's host.
+ */
+function buildTie(legs, { awayGoalsRule }) {
+  const first = legs[0];
+  const home = teamOf(first.teams.home);
+  const away = teamOf(first.teams.away);
+  const sideOf = teamId => (teamId === home.id ? 'home' : 'away');
+
+  const aggregate = { home: 0, away: 0 };
+  const awayGoals = { home: 0, away: 0 };
+  let played = 0;
+
+  const legsOut = legs.map(fx => {
+    const hostSide = sideOf(fx.teams.home.id);
+    const guestSide = hostSide === 'home' ? 'away' : 'home';
+    const status = fx.fixture.status.short;
+    const hasScore = fx.goals.home != null && fx.goals.away != null;
+    if (hasScore && (FINISHED_CODES.includes(status) || LIVE_CODES.includes(status))) {
+      aggregate[hostSide] += fx.goals.home;
+      aggregate[guestSide] += fx.goals.away;
+      awayGoals[guestSide] += fx.goals.away;
+      if (FINISHED_CODES.includes(status)) played++;
+    }
+    return {
+      fixtureId: fx.fixture.id,
+      date: fx.fixture.date,
+      venue: fx.fixture.venue?.name || null,
+      statusCode: status,
+      hostTeamId: fx.teams.home.id,
+      score: hasScore ? { home: fx.goals.home, away: fx.goals.away } : null
+    };
+  });
+
+  const last = legs[legs.length - 1];
+  const lastStatus = last.fixture.status.short;
+  const finished = played === legs.length && FINISHED_CODES.includes(lastStatus);
+  const started = legs.some(fx => fx.fixture.status.short !== 'NS' && fx.fixture.status.short !== 'TBD');
+
+  // Shoot-out score from the last leg, turned to the tie's orientation
+  let penalties = null;
+  if (last.score?.penalty?.home != null && last.score?.penalty?.away != null) {
+    const lastHostSide = sideOf(last.teams.home.id);
+    penalties = lastHostSide === 'home'
+      ? { home: last.score.penalty.home, away: last.score.penalty.away }
+      : { home: last.score.penalty.away, away: last.score.penalty.home };
+  }
+
+  let winner = null;
+  let decidedBy = null;
+  if (finished) {
+    if (['AWD', 'WO'].includes(lastStatus)) {
+      const flagged = last.teams.home.winner ? last.teams.home.id : last.teams.away.winner ? last.teams.away.id : null;
+      winner = flagged != null ? sideOf(flagged) : null;
+      decidedBy = 'walkover';
+    } else if (penalties && penalties.home !== penalties.away) {
+      winner = penalties.home > penalties.away ? 'home' : 'away';
+      decidedBy = 'penalties';
+    } else if (aggregate.home !== aggregate.away) {
+      winner = aggregate.home > aggregate.away ? 'home' : 'away';
+      decidedBy = lastStatus === 'AET' ? 'extra_time' : legs.length > 1 ? 'aggregate' : 'score';
+    } else if (legs.length > 1 && awayGoalsRule && awayGoals.home !== awayGoals.away) {
+      winner = awayGoals.home > awayGoals.away ? 'home' : 'away';
+      decidedBy = 'away_goals';
+    } else {
+      // Replays, coin tosses... trust the flag API-Sports puts on the last leg
+      const flagged = last.teams.home.winner ? last.teams.home.id : last.teams.away.winner ? last.teams.away.id : null;
+      if (flagged != null) {
+        winner = sideOf(flagged);
+        decidedBy = 'other';
+      }
+    }
+  }
+
+  return {
+    id: `tie-${first.fixture.id}`,
+    home,
+    away,
+    twoLegged: legs.length > 1,
+    legs: legsOut,
+    aggregate: started ? aggregate : null,
+    awayGoals: legs.length > 1 && awayGoalsRule && started ? awayGoals : null,
+    penalties,
+    status: finished ? 'finished' : started ? 'in_progress' : 'scheduled',
+    winner,
+    winnerTeamId: winner ? (winner === 'home' ? home.id : away.id) : null,
+    decidedBy,
+    next: null,
+    previous: { home: null, away: null }
+  };
+}
+
+/**
+ * Fixtures → bracket tree
+ */
+function buildBracket(fixtures, { leagueId, season }) {
+  const groupStageStart = fixtures
+    .filter(f => EXCLUDED_ROUNDS.test(f.league?.round || '') && !/qualif|preliminary/i.test(f.league.round))
+    .reduce((min, f) => Math.min(min, new Date(f.fixture.date).getTime()), Infinity);
+
+  // Round name → fixtures
+  const byRound = new Map();
+  for (const fx of fixtures) {
+    const parsed = parseRound(fx.league?.round);
+    if (!parsed) continue;
+    // UEFA qualifying "Play-offs" run before the league phase
+    if (Number.isFinite(groupStageStart) && new Date(fx.fixture.date).getTime() < groupStageStart) continue;
+    if (!byRound.has(parsed.key)) byRound.set(parsed.key, { parsed, apiRound: fx.league.round, fixtures: [] });
+    byRound.get(parsed.key).fixtures.push(fx);
+  }
+
+  const awayGoalsRule = season <= (AWAY_GOALS_UNTIL[leagueId] ?? -Infinity);
+
+  const rounds = Array.from(byRound.values()).map(({ parsed, apiRound, fixtures: roundFixtures }) => {
+    const pairs = new Map();
+    for (const fx of roundFixtures) {
+      if (!pairs.has(pairKey(fx))) pairs.set(pairKey(fx), []);
+      pairs.get(pairKey(fx)).push(fx);
+    }
+    const ties = Array.from(pairs.values()).map(legs => {
+      legs.sort((a, b) => new Date(a.fixture.date) - new Date(b.fixture.date));
+      return buildTie(legs, { awayGoalsRule });
+    });
+    const size = parsed.size || ties.length * 2;
+    const startsAt = Math.min(...roundFixtures.map(fx => new Date(fx.fixture.date).getTime()));
+
+    return {
+      key: parsed.key,
+      name: roundName(parsed, size),
+      apiRound,
+      teams: size,
+      thirdPlace: !!parsed.thirdPlace,
+      twoLegged: ties.some(t => t.twoLegged),
+      startsAt: new Date(startsAt).toISOString(),
+      ties
+    };
+  });
+
+  // Chronological, bigger rounds first when two start together
+  rounds.sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt) || b.teams - a.teams);
+  const thirdPlace = rounds.find(r => r.thirdPlace)?.ties[0] || null;
+  const mainRounds = rounds.filter(r => !r.thirdPlace);
+
+  // Link every tie to the tie of the next round its team(s) reappear in
+  for (let i = 0; i < mainRounds.length - 1; i++) {
+    const nextRound = mainRounds[i + 1];
+    for (const tie of mainRounds[i].ties) {
+      const candidates = tie.winnerTeamId ? [tie.winnerTeamId] : [tie.home.id, tie.away.id];
+      for (const nextTie of nextRound.ties) {
+        const slot = candidates.includes(nextTie.home.id) ? 'home' : candidates.includes(nextTie.away.id) ? 'away' : null;
+        if (!slot) continue;
+        tie.next = { round: nextRound.key, tieId: nextTie.id, slot };
+        nextTie.previous[slot] = tie.id;
+        break;
+      }
+    }
+  }
+
+  // Order each round by where its ties lead, so the tree draws without crossings
+  for (let i = mainRounds.length - 2; i >= 0; i--) {
+    const position = new Map(mainRounds[i + 1].ties.map((t, index) => [t.id, index]));
+    const rank = tie => (tie.next ? position.get(tie.next.tieId) * 2 + (tie.next.slot === 'home' ? 0 : 1) : Infinity);
+    mainRounds[i].ties.sort((a, b) => rank(a) - rank(b) ||
+      new Date(a.legs[0].date) - new Date(b.legs[0].date));
+  }
+
+  const finalTie = mainRounds.length && mainRounds[mainRounds.length - 1].key === 'final'
+    ? mainRounds[mainRounds.length - 1].ties[0]
+    : null;
+
+  return {
+    rounds: mainRounds,
+    thirdPlace,
+    champion: finalTie?.winner ? finalTie[finalTie.winner] : null
+  };
+}
+
+class CupBracketService {
+  constructor() {
+    this.footballApi = apiSports.client('cup-bracket');
+    this.cache = new Map();      // `${leagueId}:${season}` -> { at, data }
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Bracket of one competition season.
+   * @returns {Promise<Object|null>} - null when no knockout fixtures exist yet
+   */
+  async getBracket(leagueId, { season = null } = {}) {
+    leagueId = Number(leagueId);
+    season = Number(season) || currentSeasonForLeagueId(leagueId);
+    const key = `${leagueId}:${season}`;
+
+    const hit = this.cache.get(key);
+    if (hit && Date.now() - hit.at < CACHE_TTL) return hit.data;
+    if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+    const promise = (async () => {
+      const response = await this.footballApi.get('/fixtures', { params: { league: leagueId, season } });
+      const fixtures = response.data?.response || [];
+      const bracket = buildBracket(fixtures, { leagueId, season });
+
+      const data = bracket.rounds.length === 0 ? null : {
+        leagueId,
+        leagueName: fixtures[0]?.league?.name || null,
+        leagueLogo: fixtures[0]?.league?.logo || null,
+        season,
+        awayGoalsRule: season <= (AWAY_GOALS_UNTIL[leagueId] ?? -Infinity),
+        ...bracket,
+        updatedAt: new Date().toISOString()
+      };
+      this.cache.set(key, { at: Date.now(), data });
+      return data;
+    })().finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+}
+
+const cupBracket = new CupBracketService();
+cupBracket.parseRound = parseRound;
+cupBracket.buildBracket = buildBracket;
+
+module.exports = cupBracket;
@@ -0,0 +1,448 @@
+// services/discipline.js - Card accumulation & suspension tracker
+//
+// For every competition in DISCIPLINE_RULES (config/allowedCompetitions.js)
+// and its current season:
+//
+//   1. /fixtures?league&season → the whole schedule (who played when)
+//   2. finished fixtures not logged yet → /fixtures?ids= (20 per call, events
+//      included) → DisciplineFixture card log
+//   3. every player's tally is rebuilt from the log → PlayerDiscipline
+//
+// A yellow-card ban is earned when the count hits a threshold, a second
+// yellow or red card bans directly (red card length is only a minimum). A
+// ban is served over the club's next played fixtures in the same
+// competition; what is left falls on its scheduled ones.
+
+const apiSports = require('./apiSportsGateway');
+const DisciplineFixture = require('../models/DisciplineFixture');
+const PlayerDiscipline = require('../models/PlayerDiscipline');
+const { getDisciplineRules, getDisciplineLeagueIds, getCompetitionByLeagueId } = require('../config/allowedCompetitions');
+const { currentSeasonForLeagueId } = require('../utils/leagueSlugs');
+
+// ============================================
+// CẤU HÌNH: Discipline
+// ============================================
+const IDS_PER_CALL = 20;          // API-Sports limit for /fixtures?ids=
+const EVENTS_GRACE_MS = 48 * 60 * 60 * 1000;  // re-fetch fixtures without events for 2 days
+
+const FINISHED_CODES = ['FT', 'AET', 'PEN'];
+const PLAYED_CODES = [...FINISHED_CODES, 'AWD', 'WO'];
+const SCHEDULED_CODES = ['NS', 'TBD'];
+
+function byDate(a, b) {
+  return new Date(a.date) - new Date(b.date) || a.fixtureId - b.fixtureId;
+}
+
+function roundMatches(round, pattern) {
+  if (!round || !pattern) return false;
+  return String(round).toLowerCase().replace(/\s+/g, '-').includes(pattern);
+}
+
+/**
+ * API fixture (with events) → card list. A player's second yellow is always
+ * `second_yellow`, whether API-Sports sent "Second Yellow card", two
+ * "Yellow Card" events, or a yellow pair followed by a "Red Card".
+ */
+function cardsFromFixture(fixture) {
+  const byPlayer = new Map();
+  for (const event of fixture.events || []) {
+    if (event.type !== 'Card' || !event.player?.id) continue;
+    const detail = event.detail || '';
+    const type = /second yellow|yellow - red/i.test(detail) ? 'second_yellow'
+      : /yellow/i.test(detail) ? 'yellow'
+        : /red/i.test(detail) ? 'red'
+          : null;
+    if (!type) continue;
+
+    const list = byPlayer.get(event.player.id) || [];
+    list.push({
+      playerId: event.player.id,
+      playerName: event.player.name,
+      teamId: event.team?.id,
+      minute: (event.time?.elapsed || 0) + (event.time?.extra || 0),
+      type
+    });
+    byPlayer.set(event.player.id, list);
+  }
+
+  const cards = [];
+  for (const list of byPlayer.values()) {
+    const kept = [];
+    let yellows = 0;
+    let sentOff = false;
+    for (const card of list) {
+      if (sentOff) continue;  // the red that follows an explicit second yellow
+      if (card.type === 'yellow' && ++yellows === 2) card.type = 'second_yellow';
+      // A yellow followed by a straight red stays a yellow + red
+      sentOff = card.type !== 'yellow';
+      kept.push(card);
+    }
+    cards.push(...kept);
+  }
+  return cards.sort((a, b) => a.minute - b.minute);
+}
+
+/**
+ * Next yellow count that carries a ban, given the club's next game number
+ * @returns {Object|null} - { yellows, games }
+ */
+function nextThreshold(rules, yellows, nextGame) {
+  const open = rules.thresholds.find(t => t.yellows > yellows && (!t.beforeGame || nextGame <= t.beforeGame));
+  if (open) return { yellows: open.yellows, games: open.games };
+  if (!rules.repeat) return null;
+
+  const last = rules.thresholds[rules.thresholds.length - 1];
+  const base = Math.max(last.yellows, yellows);
+  const steps = Math.floor((base - last.yellows) / rules.repeat.every) + 1;
+  return { yellows: last.yellows + steps * rules.repeat.every, games: rules.repeat.games };
+}
+
+/**
+ * Ban for reaching `yellows` in the club's `gameNo`th match (null: none)
+ */
+function yellowBan(rules, yellows, gameNo) {
+  const exact = rules.thresholds.find(t => t.yellows === yellows);
+  if (exact) return !exact.beforeGame || gameNo <= exact.beforeGame ? exact.games : null;
+
+  const last = rules.thresholds[rules.thresholds.length - 1];
+  if (rules.repeat && yellows > last.yellows && (yellows - last.yellows) % rules.repeat.every === 0) {
+    return rules.repeat.games;
+  }
+  return null;
+}
+
+/**
+ * Per-club schedule from the league fixtures
+ * @returns {Map} teamId → { played: [fixture], scheduled: [fixture], resetAt }
+ */
+function teamSchedules(fixtures, rules) {
+  const schedules = new Map();
+  const entry = id => {
+    if (!schedules.has(id)) schedules.set(id, { played: [], scheduled: [], resetAt: null });
+    return schedules.get(id);
+  };
+
+  for (const f of [...fixtures].sort(byDate)) {
+    for (const teamId of [f.homeTeam.id, f.awayTeam.id]) {
+      if (!teamId) continue;
+      if (PLAYED_CODES.includes(f.status)) entry(teamId).played.push(f);
+      else if (SCHEDULED_CODES.includes(f.status)) entry(teamId).scheduled.push(f);
+    }
+  }
+
+  // Count wiped after the club's last match of the reset round
+  if (rules.resetAfterRound) {
+    for (const schedule of schedules.values()) {
+      const inRound = schedule.played.filter(f => roundMatches(f.round, rules.resetAfterRound));
+      const stillToPlay = schedule.scheduled.some(f => roundMatches(f.round, rules.resetAfterRound));
+      if (inRound.length && !stillToPlay) schedule.resetAt = new Date(inRound[inRound.length - 1].date);
+    }
+  }
+  return schedules;
+}
+
+/**
+ * Card log + schedule → PlayerDiscipline rows of one competition season
+ * @param {Array} fixtures - { fixtureId, date, round, status, homeTeam, awayTeam }
+ * @param {Array} logs - DisciplineFixture rows
+ */
+function buildLeague(fixtures, logs, rules, { leagueId, season }) {
+  const schedules = teamSchedules(fixtures, rules);
+  const teamNames = new Map();
+  for (const f of fixtures) {
+    teamNames.set(f.homeTeam.id, f.homeTeam.name);
+    teamNames.set(f.awayTeam.id, f.awayTeam.name);
+  }
+
+  // playerId → [{ fixture, cards }] in date order
+  const byPlayer = new Map();
+  for (const log of [...logs].sort(byDate)) {
+    const perPlayer = new Map();
+    for (const card of log.cards || []) {
+      if (!perPlayer.has(card.playerId)) perPlayer.set(card.playerId, []);
+      perPlayer.get(card.playerId).push(card);
+    }
+    for (const [playerId, cards] of perPlayer) {
+      if (!byPlayer.has(playerId)) byPlayer.set(playerId, []);
+      byPlayer.get(playerId).push({ fixture: log, cards });
+    }
+  }
+
+  const rows = [];
+  for (const [playerId, appearances] of byPlayer) {
+    const row = {
+      leagueId,
+      season,
+      playerId,
+      playerName: null,
+      teamId: null,
+      teamName: null,
+      yellows: 0,
+      totalYellows: 0,
+      secondYellows: 0,
+      reds: 0,
+      suspensions: [],
+      pendingGames: 0,
+      nextThreshold: null,
+      atRisk: false,
+      lastCardAt: null
+    };
+    let resetDone = false;
+
+    for (const { fixture, cards } of appearances) {
+      const teamId = cards[0].teamId;
+      const schedule = schedules.get(teamId) || { played: [], scheduled: [], resetAt: null };
+      const date = new Date(fixture.date);
+      row.playerName = cards[0].playerName || row.playerName;
+      row.teamId = teamId;
+      row.teamName = teamNames.get(teamId) || null;
+      row.lastCardAt = date;
+
+      if (!resetDone && schedule.resetAt && date > schedule.resetAt) {
+        row.yellows = 0;
+        resetDone = true;
+      }
+
+      const gameNo = schedule.played.findIndex(f => f.fixtureId === fixture.fixtureId) + 1 || schedule.played.length;
+      const bans = [];
+      const secondYellow = cards.some(c => c.type === 'second_yellow');
+      const yellow = cards.some(c => c.type === 'yellow');
+
+      if (secondYellow) {
+        row.secondYellows++;
+        row.totalYellows++;   // the booking before it
+        bans.push({ reason: 'second_yellow', games: 1, minimum: false });
+      } else if (yellow) {
+        row.yellows++;
+        row.totalYellows++;
+        const games = yellowBan(rules, row.yellows, gameNo);
+        if (games) bans.push({ reason: 'yellow_accumulation', games, minimum: false });
+      }
+      if (cards.some(c => c.type === 'red')) {
+        row.reds++;
+        bans.push({ reason: 'red_card', games: rules.redCardGames, minimum: true });
+      }
+
+      // Bans run back to back over the club's following fixtures
+      const after = schedule.played.filter(f => new Date(f.date) > date);
+      for (const ban of bans) {
+        const offset = row.suspensions
+          .filter(s => s.fixtureId === fixture.fixtureId)
+          .reduce((sum, s) => sum + s.games, 0);
+        const servedIn = after.slice(offset, offset + ban.games).map(f => f.fixtureId);
+        const pending = ban.games - servedIn.length;
+        const upcomingOffset = Math.max(0, offset - after.length);
+        row.suspensions.push({
+          ...ban,
+          fixtureId: fixture.fixtureId,
+          date,
+          served: servedIn.length,
+          pending,
+          servedIn,
+          coversFixtures: schedule.scheduled
+            .filter(f => new Date(f.date) > date)
+            .slice(upcomingOffset, upcomingOffset + pending)
+            .map(f => f.fixtureId)
+        });
+      }
+    }
+
+    const schedule = schedules.get(row.teamId);
+    if (!resetDone && schedule?.resetAt && row.lastCardAt <= schedule.resetAt) row.yellows = 0;
+
+    row.pendingGames = row.suspensions.reduce((sum, s) => sum + s.pending, 0);
+    row.nextThreshold = nextThreshold(rules, row.yellows, (schedule?.played.length || 0) + 1);
+    row.atRisk = !!row.nextThreshold && row.nextThreshold.yellows - row.yellows === 1;
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function fromApiFixture(f) {
+  return {
+    fixtureId: f.fixture?.id,
+    date: f.fixture?.date ? new Date(f.fixture.date) : null,
+    round: f.league?.round || null,
+    status: f.fixture?.status?.short,
+    homeTeam: { id: f.teams?.home?.id, name: f.teams?.home?.name, logo: f.teams?.home?.logo },
+    awayTeam: { id: f.teams?.away?.id, name: f.teams?.away?.name, logo: f.teams?.away?.logo }
+  };
+}
+
+function publicPlayer(row) {
+  return {
+    playerId: row.playerId,
+    playerName: row.playerName,
+    teamId: row.teamId,
+    yellows: row.yellows,
+    totalYellows: row.totalYellows,
+    secondYellows: row.secondYellows,
+    reds: row.reds,
+    pendingGames: row.pendingGames,
+    nextThreshold: row.nextThreshold?.yellows ? row.nextThreshold : null,
+    atRisk: row.atRisk,
+    suspensions: row.suspensions || []
+  };
+}
+
+class DisciplineService {
+  constructor() {
+    this.footballApi = apiSports.client('job:discipline');
+  }
+
+  /**
+   * Every tracked competition, current season
+   */
+  async sync() {
+    const summary = { leagues: 0, fixtures: 0, players: 0 };
+    for (const leagueId of getDisciplineLeagueIds()) {
+      try {
+        const result = await this.syncLeague(leagueId);
+        summary.leagues++;
+        summary.fixtures += result.fixtures;
+        summary.players += result.players;
+      } catch (error) {
+        if (error.code === 'API_BUDGET_EXCEEDED') throw error;
+        console.error(`   [Discipline] League ${leagueId} sync failed:`, error.message);
+      }
+    }
+    console.log(`🟨 Discipline: ${summary.leagues} league(s), ${summary.fixtures} new fixture(s), ${summary.players} player(s)`);
+    return summary;
+  }
+
+  async syncLeague(leagueId, { season = null } = {}) {
+    const rules = getDisciplineRules(leagueId);
+    if (!rules) return { fixtures: 0, players: 0 };
+    season = Number(season) || currentSeasonForLeagueId(leagueId);
+
+    const response = await this.footballApi.get('/fixtures', { params: { league: leagueId, season } });
+    const fixtures = (response.data?.response || []).map(fromApiFixture).filter(f => f.fixtureId);
+
+    const logged = new Set(await DisciplineFixture.distinct('fixtureId', { leagueId, season }));
+    const missing = fixtures
+      .filter(f => FINISHED_CODES.includes(f.status) && !logged.has(f.fixtureId))
+      .map(f => f.fixtureId);
+
+    let added = 0;
+    for (let i = 0; i < missing.length; i += IDS_PER_CALL) {
+      const ids = missing.slice(i, i + IDS_PER_CALL);
+      const res = await this.footballApi.get('/fixtures', { params: { ids: ids.join('-') } });
+      const ops = [];
+      for (const f of res.data?.response || []) {
+        // Events sometimes land hours after full time; retry for a while
+        const recent = Date.now() - new Date(f.fixture?.date) < EVENTS_GRACE_MS;
+        if (!(f.events || []).length && recent) continue;
+        const row = { ...fromApiFixture(f), leagueId, season, cards: cardsFromFixture(f) };
+        delete row.status;
+        ops.push({ updateOne: { filter: { fixtureId: row.fixtureId }, update: { $set: row }, upsert: true } });
+      }
+      if (ops.length === 0) continue;
+      try {
+        await DisciplineFixture.bulkWrite(ops, { ordered: false });
+      } catch (error) {
+        // Another PM2 instance logged the same fixture first
+        const writeErrors = error.writeErrors || (error.code === 11000 ? [error] : []);
+        if (writeErrors.length === 0 || !writeErrors.every(e => e.code === 11000)) throw error;
+      }
+      added += ops.length;
+    }
+
+    const logs = await DisciplineFixture.find({ leagueId, season }).select('fixtureId date round cards').lean();
+    const rows = buildLeague(fixtures, logs, rules, { leagueId, season });
+
+    if (rows.length) {
+      await PlayerDiscipline.bulkWrite(rows.map(row => ({
+        replaceOne: {
+          filter: { leagueId, season, playerId: row.playerId },
+          replacement: row,
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+    await PlayerDiscipline.deleteMany({ leagueId, season, playerId: { $nin: rows.map(r => r.playerId) } });
+
+    return { fixtures: added, players: rows.length };
+  }
+
+  /**
+   * Tracker of one club, per competition (current seasons unless `season`)
+   * @param {Object} options - { leagueId, season }
+   */
+  async forTeam(teamId, { leagueId = null, season = null } = {}) {
+    const query = { teamId };
+    if (leagueId) query.leagueId = leagueId;
+    if (season) query.season = season;
+    const rows = await PlayerDiscipline.find(query).sort({ yellows: -1, totalYellows: -1 }).lean();
+
+    const byLeague = new Map();
+    for (const row of rows) {
+      if (!season && row.season !== currentSeasonForLeagueId(row.leagueId)) continue;
+      const key = `${row.leagueId}:${row.season}`;
+      if (!byLeague.has(key)) byLeague.set(key, { leagueId: row.leagueId, season: row.season, rows: [] });
+      byLeague.get(key).rows.push(row);
+    }
+
+    return [...byLeague.values()].map(({ leagueId: id, season: year, rows: list }) => {
+      const players = list.map(publicPlayer);
+      return {
+        leagueId: id,
+        leagueName: getCompetitionByLeagueId(id)?.name || null,
+        season: year,
+        rules: getDisciplineRules(id),
+        suspended: players.filter(p => p.pendingGames > 0),
+        atRisk: players.filter(p => p.atRisk && p.pendingGames === 0),
+        players
+      };
+    });
+  }
+
+  /**
+   * "Unavailable / at risk" block of one API fixture (match detail)
+   * @returns {Promise<Object|null>} - null outside tracked competitions
+   */
+  async forFixture(fixture) {
+    const leagueId = fixture?.league?.id;
+    const season = fixture?.league?.season;
+    const fixtureId = fixture?.fixture?.id;
+    if (!getDisciplineRules(leagueId) || !season || !fixtureId) return null;
+
+    const sides = { home: fixture.teams?.home?.id, away: fixture.teams?.away?.id };
+    const rows = await PlayerDiscipline.find({ leagueId, season, teamId: { $in: Object.values(sides) } }).lean();
+    if (rows.length === 0) return null;
+
+    // Yellow counts are as of now, so "at risk" only means something before kick-off
+    const upcoming = [...SCHEDULED_CODES, 'PST'].includes(fixture.fixture?.status?.short);
+    const block = { leagueId, season };
+    for (const [side, teamId] of Object.entries(sides)) {
+      const unavailable = [];
+      const atRisk = [];
+      for (const row of rows) {
+        if (row.teamId !== teamId) continue;
+        const bans = (row.suspensions || []).filter(s => s.servedIn?.includes(fixtureId) || s.coversFixtures?.includes(fixtureId));
+
+        if (bans.length) {
+          unavailable.push({
+            playerId: row.playerId,
+            playerName: row.playerName,
+            reason: bans[0].reason,
+            games: bans[0].games,
+            minimum: bans[0].minimum,
+            earnedIn: bans[0].fixtureId
+          });
+        } else if (upcoming && row.atRisk) {
+          atRisk.push({ playerId: row.playerId, playerName: row.playerName, yellows: row.yellows, nextThreshold: row.nextThreshold });
+        }
+      }
+      block[side] = { teamId, unavailable, atRisk };
+    }
+    return block;
+  }
+}
+
+const discipline = new DisciplineService();
+discipline.cardsFromFixture = cardsFromFixture;
+discipline.buildLeague = buildLeague;
+discipline.nextThreshold = nextThreshold;
+
+module.exports = discipline;
@@ -0,0 +1,422 @@
+// services/eloRatings.js - Team Elo ratings across every allowed competition
+//
+// World Football Elo style:
+//
+//   We     = 1 / (10^(-dr/400) + 1),  dr = R_home + HOME_ADVANTAGE - R_away
+//   R'     = R + K · G · (W - We)
+//   G      = 1 (margin ≤ 1), 1.5 (margin 2), (11 + margin) / 8 (margin ≥ 3)
+//
+// All clubs share one rating pool. Continental club competitions (Champions
+// League, Libertadores, AFC...) use a higher K, so points flow between
+// domestic pools through those games and the ratings stay comparable across
+// leagues. A team seen for the first time starts at the mean rating of its
+// league (if the league already has rated teams), otherwise at INITIAL_RATING.
+// Shoot-outs count as draws; extra-time goals count.
+//
+// Full recompute (admin): every finished fixture of the allowed leagues over
+// the last ELO_SEASONS seasons (per league: calendar-year leagues roll over
+// in January), replayed in chronological order. Rows are upserted and the
+// previous run's leftovers pruned afterwards, so readers never see an
+// empty ratings table.
+// Incremental (nightly): finished fixtures of the last few days not yet in
+// EloHistory. Both read services/resultsArchive.js, which only calls
+// API-Sports for seasons and days it doesn't hold in full.
+
+const TeamElo = require('../models/TeamElo');
+const EloHistory = require('../models/EloHistory');
+const Team = require('../models/Team');
+const apiSports = require('./apiSportsGateway');
+const resultsArchive = require('./resultsArchive');
+const { getAllowedLeagueIds, getCompetitionByLeagueId } = require('../config/allowedCompetitions');
+const { currentSeasonForLeagueId } = require('../utils/leagueSlugs');
+
+// ============================================
+// CẤU HÌNH: Elo
+// ============================================
+const INITIAL_RATING = 1500;
+const HOME_ADVANTAGE = 65;
+const K_DEFAULT = 20;
+const K_CONTINENTAL = 30;
+// UCL, UEL, UECL, UEFA Super Cup, Libertadores, Sudamericana, CAF CL, CONCACAF CL, AFC CL, Club World Cup
+const CONTINENTAL_LEAGUE_IDS = [2, 3, 848, 531, 13, 11, 12, 16, 17, 15];
+const SEASONS = parseInt(process.env.ELO_SEASONS, 10) || 2;
+const INCREMENTAL_DAYS = 3;
+const UPSET_THRESHOLD = parseFloat(process.env.ELO_UPSET_THRESHOLD) || 0.3;
+const WRITE_BATCH = 1000;
+
+const round = (n, digits = 1) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+function marginMultiplier(margin) {
+  if (margin <= 1) return 1;
+  if (margin === 2) return 1.5;
+  return (11 + margin) / 8;
+}
+
+function expectedScore(ratingHome, ratingAway, neutral = false) {
+  const dr = ratingHome + (neutral ? 0 : HOME_ADVANTAGE) - ratingAway;
+  return 1 / (10 ** (-dr / 400) + 1);
+}
+
+/**
+ * Finished API-Sports fixture → engine input
+ */
+function toResult(f) {
+  const homeGoals = f.goals?.home;
+  const awayGoals = f.goals?.away;
+  if (homeGoals == null || awayGoals == null || !f.teams?.home?.id || !f.teams?.away?.id) return null;
+  return {
+    fixtureId: f.fixture.id,
+    date: new Date(f.fixture.date),
+    leagueId: f.league?.id,
+    leagueName: f.league?.name,
+    home: { id: f.teams.home.id, name: f.teams.home.name, logo: f.teams.home.logo },
+    away: { id: f.teams.away.id, name: f.teams.away.name, logo: f.teams.away.logo },
+    homeGoals,
+    awayGoals
+  };
+}
+
+function chronological(a, b) {
+  return a.date - b.date || a.fixtureId - b.fixtureId;
+}
+
+/**
+ * In-memory Elo engine. `teams` maps teamId → { teamId, name, logo, rating,
+ * leagueId, leagueName, peak, peakAt, matches, lastFixtureId, lastMatchAt }.
+ */
+class EloEngine {
+  constructor(teams = new Map()) {
+    this.teams = teams;
+    this.leagueSums = new Map(); // leagueId -> { sum, count } of current members
+    for (const team of teams.values()) this.joinLeague(team, team.leagueId);
+  }
+
+  joinLeague(team, leagueId) {
+    if (!leagueId) return;
+    const entry = this.leagueSums.get(leagueId) || { sum: 0, count: 0 };
+    entry.sum += team.rating;
+    entry.count++;
+    this.leagueSums.set(leagueId, entry);
+  }
+
+  leaveLeague(team) {
+    const entry = this.leagueSums.get(team.leagueId);
+    if (!entry) return;
+    entry.sum -= team.rating;
+    entry.count--;
+  }
+
+  isLeague(leagueId) {
+    return !CONTINENTAL_LEAGUE_IDS.includes(leagueId);
+  }
+
+  team(side, leagueId) {
+    let team = this.teams.get(side.id);
+    if (!team) {
+      const league = this.isLeague(leagueId) ? this.leagueSums.get(leagueId) : null;
+      const rating = league && league.count >= 4 ? league.sum / league.count : INITIAL_RATING;
+      team = { teamId: side.id, rating, peak: rating, peakAt: null, matches: 0, leagueId: null };
+      this.teams.set(side.id, team);
+    }
+    team.name = side.name || team.name;
+    team.logo = side.logo || team.logo;
+    return team;
+  }
+
+  setRating(team, rating) {
+    const entry = this.leagueSums.get(team.leagueId);
+    if (entry) entry.sum += rating - team.rating;
+    team.rating = rating;
+  }
+
+  /**
+   * Apply one result. Returns the two history rows.
+   */
+  apply(result) {
+    const home = this.team(result.home, result.leagueId);
+    const away = this.team(result.away, result.leagueId);
+
+    const expectedHome = expectedScore(home.rating, away.rating);
+    const outcome = result.homeGoals > result.awayGoals ? 1 : result.homeGoals === result.awayGoals ? 0.5 : 0;
+    const k = CONTINENTAL_LEAGUE_IDS.includes(result.leagueId) ? K_CONTINENTAL : K_DEFAULT;
+    const change = k * marginMultiplier(Math.abs(result.homeGoals - result.awayGoals)) * (outcome - expectedHome);
+
+    return [
+      this.update(home, away, result, change, expectedHome, true, outcome),
+      this.update(away, home, result, -change, 1 - expectedHome, false, 1 - outcome)
+    ];
+  }
+
+  update(team, opponent, result, change, expected, isHome, outcome) {
+    const before = team.rating;
+    this.setRating(team, before + change);
+
+    // Domestic league membership follows the latest league fixture
+    if (this.isLeague(result.leagueId) && getCompetitionByLeagueId(result.leagueId) && team.leagueId !== result.leagueId) {
+      this.leaveLeague(team);
+      team.leagueId = result.leagueId;
+      team.leagueName = result.leagueName;
+      this.joinLeague(team, result.leagueId);
+    }
+
+    team.matches++;
+    team.lastFixtureId = result.fixtureId;
+    team.lastMatchAt = result.date;
+    if (team.rating > team.peak) {
+      team.peak = team.rating;
+      team.peakAt = result.date;
+    }
+
+    return {
+      teamId: team.teamId,
+      fixtureId: result.fixtureId,
+      date: result.date,
+      leagueId: result.leagueId,
+      leagueName: result.leagueName,
+      opponentId: opponent.teamId,
+      opponentName: opponent.name,
+      home: isHome,
+      goalsFor: isHome ? result.homeGoals : result.awayGoals,
+      goalsAgainst: isHome ? result.awayGoals : result.homeGoals,
+      ratingBefore: round(before),
+      ratingAfter: round(team.rating),
+      change: round(change),
+      expected: round(expected, 3),
+      upset: outcome === 1 && expected < UPSET_THRESHOLD
+    };
+  }
+}
+
+class EloRatingsService {
+  constructor() {
+    this.footballApi = apiSports.client('job:elo');
+    this.recompute = { running: false, startedAt: null, finishedAt: null, progress: null, result: null, error: null };
+  }
+
+  /**
+   * Every finished fixture of the allowed leagues over the last SEASONS seasons.
+   * Throws on a quota refusal so a half-fetched history never replaces ratings.
+   */
+  async fetchHistory() {
+    const leagueIds = getAllowedLeagueIds();
+    const byFixture = new Map();
+    let done = 0;
+
+    for (const leagueId of leagueIds) {
+      const current = currentSeasonForLeagueId(leagueId);
+      for (let season = current - SEASONS + 1; season <= current; season++) {
+        try {
+          const fixtures = await resultsArchive.leagueSeason(leagueId, season, { api: this.footballApi });
+          for (const f of fixtures) {
+            const result = toResult(f);
+            if (result) byFixture.set(result.fixtureId, result);
+          }
+        } catch (error) {
+          if (error.code === 'API_BUDGET_EXCEEDED') throw error;
+          console.error(`   [Elo] League ${leagueId}/${season} fetch failed:`, error.message);
+        }
+      }
+      done++;
+      this.recompute.progress = { leagues: done, totalLeagues: leagueIds.length, fixtures: byFixture.size };
+    }
+
+    return Array.from(byFixture.values()).sort(chronological);
+  }
+
+  /**
+   * Rebuild every rating from history. Upserts TeamElo and EloHistory under
+   * a run id, then deletes rows the run did not write.
+   */
+  async recomputeAll() {
+    const startTime = Date.now();
+    console.log(`\n[Elo] Full recompute (${SEASONS} season(s))...`);
+
+    const results = await this.fetchHistory();
+    const engine = new EloEngine();
+    const history = [];
+    for (const result of results) history.push(...engine.apply(result));
+
+    const slugs = new Map(
+      (await Team.find({ teamId: { $in: Array.from(engine.teams.keys()) } }).select('teamId slug').lean())
+        .map(t => [t.teamId, t.slug])
+    );
+    const run = new Date(startTime).toISOString();
+    const ratings = Array.from(engine.teams.values()).map(t => ({
+      teamId: t.teamId,
+      name: t.name,
+      slug: slugs.get(t.teamId) || null,
+      logo: t.logo,
+      leagueId: t.leagueId,
+      leagueName: t.leagueName,
+      rating: round(t.rating),
+      peak: round(t.peak),
+      peakAt: t.peakAt,
+      matches: t.matches,
+      lastFixtureId: t.lastFixtureId,
+      lastMatchAt: t.lastMatchAt,
+      recomputeRun: run
+    }));
+
+    for (let i = 0; i < ratings.length; i += WRITE_BATCH) {
+      await TeamElo.bulkWrite(ratings.slice(i, i + WRITE_BATCH).map(row => ({
+        replaceOne: { filter: { teamId: row.teamId }, replacement: row, upsert: true }
+      })), { ordered: false });
+    }
+    for (let i = 0; i < history.length; i += WRITE_BATCH) {
+      await EloHistory.bulkWrite(history.slice(i, i + WRITE_BATCH).map(row => ({
+        replaceOne: { filter: { teamId: row.teamId, fixtureId: row.fixtureId }, replacement: { ...row, recomputeRun: run }, upsert: true }
+      })), { ordered: false });
+    }
+
+    // Only once everything is written: teams and fixtures outside this replay
+    await TeamElo.deleteMany({ recomputeRun: { $ne: run } });
+    await EloHistory.deleteMany({ recomputeRun: { $ne: run } });
+
+    const summary = { fixtures: results.length, teams: ratings.length, durationMs: Date.now() - startTime };
+    console.log(`[Elo] Recompute done: ${summary.fixtures} fixtures, ${summary.teams} teams (${summary.durationMs}ms)`);
+    return summary;
+  }
+
+  /**
+   * Start a recompute in the background (admin endpoint).
+   * @returns {boolean} - false when one is already running in this process
+   */
+  startRecompute() {
+    if (this.recompute.running) return false;
+    this.recompute = { running: true, startedAt: new Date(), finishedAt: null, progress: null, result: null, error: null };
+
+    this.recomputeAll()
+      .then(result => { this.recompute.result = result; })
+      .catch(error => {
+        console.error('[Elo] Recompute failed:', error.message);
+        this.recompute.error = error.message;
+      })
+      .finally(() => {
+        this.recompute.running = false;
+        this.recompute.finishedAt = new Date();
+      });
+    return true;
+  }
+
+  getRecomputeStatus() {
+    return { ...this.recompute };
+  }
+
+  /**
+   * Apply finished fixtures of the last few days that are not rated yet.
+   */
+  async updateRecent() {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const results = [];
+
+    for (let i = INCREMENTAL_DAYS - 1; i >= 0; i--) {
+      const date = new Date(Date.now() - i * dayMs).toISOString().split('T')[0];
+      const fixtures = await resultsArchive.resultsOnDate(date, { api: this.footballApi });
+      for (const f of fixtures) {
+        const result = toResult(f);
+        if (result) results.push(result);
+      }
+    }
+
+    const rated = new Set(await EloHistory.distinct('fixtureId', { fixtureId: { $in: results.map(r => r.fixtureId) } }));
+    const pending = results.filter(r => !rated.has(r.fixtureId)).sort(chronological);
+    if (pending.length === 0) return { applied: 0 };
+
+    const teamIds = Array.from(new Set(pending.flatMap(r => [r.home.id, r.away.id])));
+    const existing = await TeamElo.find({ teamId: { $in: teamIds } }).lean();
+    const teams = new Map(existing.map(t => [t.teamId, { ...t }]));
+
+    // League means for first-seen teams come from the stored pool
+    const leagueIds = Array.from(new Set(pending.map(r => r.leagueId)));
+    const leagueMeans = await TeamElo.aggregate([
+      { $match: { leagueId: { $in: leagueIds } } },
+      { $group: { _id: '$leagueId', sum: { $sum: '$rating' }, count: { $sum: 1 } } }
+    ]);
+    const engine = new EloEngine(teams);
+    for (const row of leagueMeans) engine.leagueSums.set(row._id, { sum: row.sum, count: row.count });
+
+    let applied = 0;
+    const upsets = [];
+    for (const result of pending) {
+      const before = [result.home.id, result.away.id].map(id => teams.get(id) && { ...teams.get(id) });
+      const sumsBefore = new Map(Array.from(engine.leagueSums, ([leagueId, entry]) => [leagueId, { ...entry }]));
+      const rows = engine.apply(result);
+      try {
+        await EloHistory.insertMany(rows, { ordered: true });
+        applied++;
+        upsets.push(...rows.filter(row => row.upset));
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Another instance rated it first: roll the in-memory state back
+        [result.home.id, result.away.id].forEach((id, i) => {
+          if (before[i]) teams.set(id, before[i]); else teams.delete(id);
+        });
+        engine.leagueSums = sumsBefore;
+      }
+    }
+
+    const touched = teamIds.map(id => teams.get(id)).filter(Boolean);
+    const slugs = new Map(
+      (await Team.find({ teamId: { $in: teamIds } }).select('teamId slug').lean()).map(t => [t.teamId, t.slug])
+    );
+    await TeamElo.bulkWrite(touched.map(t => ({
+      updateOne: {
+        filter: { teamId: t.teamId },
+        update: {
+          $set: {
+            name: t.name,
+            slug: slugs.get(t.teamId) || t.slug || null,
+            logo: t.logo,
+            leagueId: t.leagueId,
+            leagueName: t.leagueName,
+            rating: round(t.rating),
+            peak: round(t.peak),
+            peakAt: t.peakAt,
+            matches: t.matches,
+            lastFixtureId: t.lastFixtureId,
+            lastMatchAt: t.lastMatchAt
+          }
+        },
+        upsert: true
+      }
+    })));
+
+    console.log(`[Elo] Incremental: ${applied}/${pending.length} fixture(s) applied` +
+      (upsets.length ? `, ${upsets.length} upset(s) for news` : ''));
+    return { applied, upsets: upsets.length };
+  }
+
+  /**
+   * Current ratings for a list of teamIds (missing teams omitted)
+   */
+  async ratingsFor(teamIds) {
+    return TeamElo.ratingsFor(teamIds);
+  }
+
+  /**
+   * Current rating of one team with its overall and league rank
+   * @returns {Promise<Object|null>}
+   */
+  async getTeamRating(teamId) {
+    const elo = await TeamElo.findOne({ teamId }).lean();
+    if (!elo) return null;
+
+    const [above, leagueAbove] = await Promise.all([
+      TeamElo.countDocuments({ rating: { $gt: elo.rating } }),
+      elo.leagueId ? TeamElo.countDocuments({ leagueId: elo.leagueId, rating: { $gt: elo.rating } }) : null
+    ]);
+    return { ...elo, rank: above + 1, leagueRank: leagueAbove === null ? null : leagueAbove + 1 };
+  }
+
+  /**
+   * Home win expectancy (0-1) from two ratings
+   */
+  expectedScore(ratingHome, ratingAway, neutral = false) {
+    return expectedScore(ratingHome, ratingAway, neutral);
+  }
+}
+
+const eloRatings = new EloRatingsService();
+eloRatings.EloEngine = EloEngine;
+
+module.exports = eloRatings;
@@ -0,0 +1,282 @@
+// services/fixtureChanges.js - Postponements, reschedules and venue moves
+//
+// The worker and the odds sync pull the same upcoming fixtures over and
+// over. inspect() compares each one with its last known schedule
+// (FixtureState) and records a FixtureChange when:
+//
+//   rescheduled     the kickoff moved (not while the time was still TBD)
+//   postponed       the status became PST
+//   cancelled       the status became CANC
+//   venue_changed   a known venue was replaced by another
+//
+// Then everything keyed on the old schedule is brought in line:
+//   - Odds: matchDate never changes after the first sync (Odds.updateOdds),
+//     so expiry and sync priority kept following the old kickoff
+//   - OddsSnapshot kick-off (closing-line retention) and PredictedLineup kickoff
+//   - MatchCache row of the fixture, refilled on the next request
+//   - SoiKeoArticle / AutoArticle (h2h and round preview) get needsAttention
+//     so editors re-check text written for the old date
+// Match slugs need nothing here: matchSlugs.record() keeps the old ones as aliases.
+//
+// Only fixtures that have not kicked off are compared; one FixtureState read
+// per pass, and only for fixtures whose schedule changed since this process
+// last saw them.
+
+const FixtureState = require('../models/FixtureState');
+const FixtureChange = require('../models/FixtureChange');
+const Odds = require('../models/Odds');
+const OddsSnapshot = require('../models/OddsSnapshot');
+const PredictedLineup = require('../models/PredictedLineup');
+const MatchCache = require('../models/MatchCache');
+const SoiKeoArticle = require('../models/SoiKeoArticle');
+const AutoArticle = require('../models/AutoArticle');
+const oddsCache = require('./oddsCache');
+
+// ============================================
+// CẤU HÌNH: Fixture changes
+// ============================================
+const TRACKED_CODES = ['TBD', 'NS', 'PST', 'CANC'];   // not kicked off (yet)
+const SEEN_MAX = 50000;                              // fixtures remembered per process
+const LIST_MAX = 200;
+
+function stateOf(fixture) {
+  return {
+    fixtureId: fixture.fixture.id,
+    leagueId: fixture.league?.id,
+    round: fixture.league?.round,
+    kickoff: new Date(fixture.fixture.date),
+    status: fixture.fixture.status?.short,
+    venue: {
+      id: fixture.fixture.venue?.id ?? null,
+      name: fixture.fixture.venue?.name ?? null
+    }
+  };
+}
+
+function signatureOf(state) {
+  return `${state.kickoff.getTime()}|${state.status}|${state.venue.id}|${state.venue.name}`;
+}
+
+function sameVenue(a, b) {
+  if (a?.id && b?.id) return a.id === b.id;
+  if (a?.name && b?.name) return a.name === b.name;
+  return true;   // one side unknown — nothing to compare
+}
+
+/**
+ * Last known state vs current → [{ type, from, to }]
+ */
+function diffStates(prev, next) {
+  const changes = [];
+  const prevKickoff = new Date(prev.kickoff).getTime();
+  if (prevKickoff !== next.kickoff.getTime() && prev.status !== 'TBD') {
+    changes.push({ type: 'rescheduled', from: new Date(prevKickoff).toISOString(), to: next.kickoff.toISOString() });
+  }
+  if (next.status === 'PST' && prev.status !== 'PST') {
+    changes.push({ type: 'postponed', from: prev.status, to: next.status });
+  }
+  if (next.status === 'CANC' && prev.status !== 'CANC') {
+    changes.push({ type: 'cancelled', from: prev.status, to: next.status });
+  }
+  if (!sameVenue(prev.venue, next.venue)) {
+    changes.push({ type: 'venue_changed', from: prev.venue.name || String(prev.venue.id), to: next.venue.name || String(next.venue.id) });
+  }
+  return changes;
+}
+
+function describe(change) {
+  switch (change.type) {
+    case 'rescheduled': return `Rescheduled: ${change.from} → ${change.to}`;
+    case 'postponed': return 'Postponed';
+    case 'cancelled': return 'Cancelled';
+    case 'venue_changed': return `Venue changed: ${change.from} → ${change.to}`;
+    default: return change.type;
+  }
+}
+
+function isDuplicateKeyError(error) {
+  // Another PM2 instance saw the same change first
+  const writeErrors = error.writeErrors || (error.code === 11000 ? [error] : []);
+  return writeErrors.length > 0 && writeErrors.every(e => e.code === 11000);
+}
+
+class FixtureChangesService {
+  constructor() {
+    this.seen = new Map();   // fixtureId → schedule signature last compared
+  }
+
+  /**
+   * Compare API-Sports fixtures with their last known schedule; record and
+   * apply what changed
+   * @param {Array} fixtures - API-Sports /fixtures items
+   * @param {Object} options - { source: 'worker' | 'odds-sync' }
+   * @returns {Promise<Array>} FixtureChange rows recorded by this call
+   */
+  async inspect(fixtures, { source = 'worker' } = {}) {
+    const states = new Map();
+    for (const f of fixtures || []) {
+      if (!f?.fixture?.id || !f.fixture.date) continue;
+      if (!TRACKED_CODES.includes(f.fixture.status?.short)) continue;
+      const state = stateOf(f);
+      if (Number.isNaN(state.kickoff.getTime())) continue;
+      if (this.seen.get(state.fixtureId) === signatureOf(state)) continue;
+      states.set(state.fixtureId, { state, fixture: f });
+    }
+    if (states.size === 0) return [];
+
+    const known = await FixtureState.find({ fixtureId: { $in: Array.from(states.keys()) } }).lean();
+    const knownById = new Map(known.map(row => [row.fixtureId, row]));
+
+    const detected = [];
+    for (const [fixtureId, { state, fixture }] of states) {
+      const prev = knownById.get(fixtureId);
+      const changes = prev ? diffStates(prev, state) : [];
+      if (changes.length > 0) detected.push({ fixture, state, changes });
+    }
+
+    const recorded = [];
+    for (const item of detected) {
+      try {
+        recorded.push(...await this.apply(item, source));
+      } catch (error) {
+        // Keep the old state so the next pass detects the change again
+        console.error(`   ❌ [FixtureChanges] Failed to apply changes of fixture ${item.state.fixtureId}:`, error.message);
+        states.delete(item.state.fixtureId);
+      }
+    }
+
+    const ops = Array.from(states.values()).map(({ state }) => ({
+      updateOne: { filter: { fixtureId: state.fixtureId }, update: { $set: state }, upsert: true }
+    }));
+    if (ops.length > 0) {
+      try {
+        await FixtureState.bulkWrite(ops, { ordered: false });
+      } catch (error) {
+        if (!isDuplicateKeyError(error)) throw error;
+      }
+    }
+
+    if (this.seen.size > SEEN_MAX) this.seen.clear();
+    for (const [fixtureId, { state }] of states) this.seen.set(fixtureId, signatureOf(state));
+
+    if (recorded.length > 0) {
+      console.log(`   📅 [FixtureChanges] ${recorded.length} fixture change(s): ${recorded.map(c => `${c.fixtureId} ${c.type}`).join(', ')}`);
+    }
+    return recorded;
+  }
+
+  /**
+   * Refresh the fixture's caches, flag its articles and store the events
+   */
+  async apply({ fixture, state, changes }, source) {
+    const { fixtureId } = state;
+    const kickoffMoved = changes.some(c => c.type === 'rescheduled');
+    const reason = changes.map(describe).join('; ');
+    const now = new Date();
+
+    const matchStatus = oddsCache.getMatchStatus(state.status);
+    const oddsResult = await Odds.updateOne({ fixtureId }, {
+      $set: {
+        matchDate: state.kickoff,
+        matchStatus,
+        expiresAt: oddsCache.calculateExpiryTime(matchStatus, state.kickoff),
+        priority: oddsCache.calculatePriority(matchStatus, state.kickoff)
+      }
+    });
+    if (kickoffMoved) {
+      await OddsSnapshot.updateMany({ fixtureId }, { $set: { matchDate: state.kickoff } });
+      await PredictedLineup.updateOne({ fixtureId }, { $set: { kickoff: state.kickoff } });
+    }
+    await MatchCache.deleteOne({ fixtureId });
+
+    const attention = { needsAttention: true, attentionReason: reason, attentionAt: now };
+    const soiKeoUpdate = { ...attention };
+    if (kickoffMoved) soiKeoUpdate['matchInfo.matchDate'] = state.kickoff;
+    if (changes.some(c => c.type === 'venue_changed') && state.venue.name) soiKeoUpdate['matchInfo.venue'] = state.venue.name;
+    const soiKeoResult = await SoiKeoArticle.updateMany({ fixtureId }, { $set: soiKeoUpdate });
+
+    const autoFilters = [{ type: 'h2h-analysis', fixtureId }];
+    if (state.leagueId && state.round) {
+      autoFilters.push({
+        type: 'round-preview',
+        'leagueInfo.id': state.leagueId,
+        round: state.round,
+        ...(fixture.league?.season ? { seasonYear: fixture.league.season } : {})
+      });
+    }
+    const autoResult = await AutoArticle.updateMany({ $or: autoFilters }, { $set: attention });
+
+    const affected = {
+      odds: oddsResult.modifiedCount || 0,
+      soiKeoArticles: soiKeoResult.modifiedCount || 0,
+      autoArticles: autoResult.modifiedCount || 0
+    };
+    const rows = changes.map(change => ({
+      key: `${fixtureId}:${change.type}:${state.kickoff.toISOString()}:${change.to}`,
+      fixtureId,
+      type: change.type,
+      leagueId: state.leagueId,
+      leagueName: fixture.league?.name,
+      round: state.round,
+      homeTeam: { id: fixture.teams?.home?.id, name: fixture.teams?.home?.name },
+      awayTeam: { id: fixture.teams?.away?.id, name: fixture.teams?.away?.name },
+      from: change.from,
+      to: change.to,
+      kickoff: state.kickoff,
+      source,
+      detectedAt: now,
+      affected
+    }));
+
+    try {
+      return await FixtureChange.insertMany(rows, { ordered: false });
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+      return error.insertedDocs || [];
+    }
+  }
+
+  /**
+   * Recorded changes, newest first
+   * @param {Object} options - { type, fixtureId, days, unacknowledged, limit }
+   */
+  async list({ type, fixtureId, days, unacknowledged = false, limit = 50 } = {}) {
+    const filter = {};
+    if (type) filter.type = type;
+    if (fixtureId) filter.fixtureId = fixtureId;
+    if (days) filter.detectedAt = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+    if (unacknowledged) filter.acknowledged = { $ne: true };
+    return FixtureChange.find(filter)
+      .sort({ detectedAt: -1 })
+      .limit(Math.min(limit, LIST_MAX))
+      .lean();
+  }
+
+  /**
+   * Mark a change as handled; with clearArticles the fixture's article
+   * flags are cleared too
+   * @returns {Promise<Object|null>} the updated change, null when unknown
+   */
+  async acknowledge(id, { clearArticles = false } = {}) {
+    const change = await FixtureChange.findByIdAndUpdate(
+      id,
+      { $set: { acknowledged: true, acknowledgedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!change || !clearArticles) return change;
+
+    const cleared = { $set: { needsAttention: false } };
+    await SoiKeoArticle.updateMany({ fixtureId: change.fixtureId }, cleared);
+    const autoFilters = [{ type: 'h2h-analysis', fixtureId: change.fixtureId }];
+    if (change.leagueId && change.round) {
+      autoFilters.push({ type: 'round-preview', 'leagueInfo.id': change.leagueId, round: change.round });
+    }
+    await AutoArticle.updateMany({ $or: autoFilters }, cleared);
+    return change;
+  }
+}
+
+const fixtureChanges = new FixtureChangesService();
+fixtureChanges.diffStates = diffStates;
+
+module.exports = fixtureChanges;
@@ -1,19 +1,14 @@
 const AutoArticle = require('../models/AutoArticle');
 const axios = require('axios');
+const apiSports = require('./apiSportsGateway');
+const resultsArchive = require('./resultsArchive');
+const { DEFAULT_TIMEZONE } = require('../utils/dateTime');
 require('dotenv').config();
 
 const LOCAL_API_URL = process.env.LOCAL_API_URL || 'http://localhost:5000';
-const API_SPORTS_URL = process.env.API_SPORTS_URL || 'https://v3.football.api-sports.io';
-const API_SPORTS_KEY = process.env.API_FOOTBALL_KEY;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 
-const footballApi = axios.create({
-  baseURL: API_SPORTS_URL,
-  headers: {
-    'x-rapidapi-key': API_SPORTS_KEY,
-    'x-rapidapi-host': 'v3.football.api-sports.io',
-  },
-});
+const footballApi = apiSports.client('news:h2h', { priority: 'low' });
 
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -63,18 +58,11 @@ async function fetchHotMatches(limit = 20) {
 }
 
 /**
- * Fetch H2H data from API-Sports
+ * Fetch H2H data (results archive first, then API-Sports)
  */
 async function fetchH2HData(homeTeamId, awayTeamId) {
   try {
-    const response = await footballApi.get('/fixtures/headtohead', {
-      params: {
-        h2h: `${homeTeamId}-${awayTeamId}`,
-        last: 10,
-      },
-    });
-
-    const fixtures = response.data?.response || [];
+    const fixtures = await resultsArchive.headToHead(homeTeamId, awayTeamId, { last: 10, api: footballApi });
     if (fixtures.length === 0) return null;
 
     let homeWins = 0;
@@ -150,15 +138,7 @@ async function fetchH2HData(homeTeamId, awayTeamId) {
  */
 async function fetchTeamForm(teamId) {
   try {
-    const response = await footballApi.get('/fixtures', {
-      params: {
-        team: teamId,
-        last: 5,
-        status: 'FT',
-      },
-    });
-
-    const fixtures = response.data?.response || [];
+    const fixtures = await resultsArchive.teamResults(teamId, { last: 5, api: footballApi });
     if (fixtures.length === 0) return 'Khong co du lieu phong do.';
 
     const results = [];
@@ -193,7 +173,7 @@ async function generateH2HContent(homeTeam, awayTeam, league, matchDate, h2hData
     day: '2-digit',
     month: '2-digit',
     year: 'numeric',
-    timeZone: 'Asia/Ho_Chi_Minh',
+    timeZone: DEFAULT_TIMEZONE,
   });
 
   const h2hSummary = h2hData
@@ -0,0 +1,490 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const LiveFeedEvent = require('../models/LiveFeedEvent');
+const LiveFeedState = require('../models/LiveFeedState');
+const liveStandings = require('./liveStandings');
+
+/**
+ * Live score feed behind GET /api/matches/live/stream (Server-Sent Events).
+ *
+ * Publisher: MatchCacheWorker.refreshLiveMatches hands every live=all pull to
+ * publish(). The instance holding the LiveFeedState lease diffs it against
+ * the stored state and appends one LiveFeedEvent per changed fixture.
+ *
+ * Subscribers: each process polls LiveFeedEvent once (not per client) and
+ * fans new events out to its own SSE connections. Nothing assumes the worker
+ * and the connection share a process, so this works under PM2 cluster mode.
+ *
+ * Stream protocol:
+ *   event: snapshot  data: { fixtures: [...] }      on connect / stale resume
+ *   event: added     data: { fixtureId, leagueId, state }
+ *   event: update    data: { fixtureId, leagueId, changes }
+ *   event: removed   data: { fixtureId, leagueId, state }
+ *                     preceded by an `update` with the final status / score
+ *                     when the worker fetched the fixture after it left the
+ *                     live list (resultsArchive.onLivePull)
+ *   event: standings data: live table (services/liveStandings.js), only with
+ *                     `?standings=1&leagues=...`; on connect and after a score
+ *                     or status change in one of those leagues (no `id:`)
+ *   ": heartbeat" comment every 15s
+ * Every event carries an `id:`; reconnecting with Last-Event-ID replays what
+ * was missed (within the LiveFeedEvent TTL) instead of a new snapshot.
+ */
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const LEASE_MS = 2 * 60 * 1000;       // 2x the worker's live interval
+const POLL_MS = 2000;
+const HEARTBEAT_MS = 15000;
+const REPLAY_LIMIT = 1000;
+const STANDINGS_DEBOUNCE_MS = 3000;  // let the worker write the live cache first
+const ZERO_ID = new mongoose.Types.ObjectId('000000000000000000000000');
+
+const RED_CARD_DETAILS = ['Red Card', 'Second Yellow card'];
+
+function eventKey(event) {
+  return [
+    event.time?.elapsed ?? '',
+    event.time?.extra ?? '',
+    event.team?.id ?? '',
+    event.type || '',
+    event.detail || '',
+    event.player?.id ?? event.player?.name ?? ''
+  ].join('|');
+}
+
+/**
+ * Compact, diffable state of one API-Sports live fixture.
+ */
+function toFeedState(fixture) {
+  const events = (fixture.events || []).map(event => ({
+    key: eventKey(event),
+    minute: event.time?.elapsed ?? null,
+    extra: event.time?.extra ?? null,
+    teamId: event.team?.id ?? null,
+    type: event.type,
+    detail: event.detail,
+    player: event.player?.name || null,
+    assist: event.assist?.name || null
+  }));
+
+  const homeId = fixture.teams.home.id;
+  const awayId = fixture.teams.away.id;
+  const reds = events.filter(e => e.type === 'Card' && RED_CARD_DETAILS.includes(e.detail));
+
+  return {
+    fixtureId: fixture.fixture.id,
+    leagueId: fixture.league.id,
+    leagueName: fixture.league.name,
+    home: { id: homeId, name: fixture.teams.home.name, logo: fixture.teams.home.logo },
+    away: { id: awayId, name: fixture.teams.away.name, logo: fixture.teams.away.logo },
+    score: { home: fixture.goals.home, away: fixture.goals.away },
+    statusCode: fixture.fixture.status?.short || null,
+    elapsed: fixture.fixture.status?.elapsed ?? null,
+    extra: fixture.fixture.status?.extra ?? null,
+    redCards: {
+      home: reds.filter(e => e.teamId === homeId).length,
+      away: reds.filter(e => e.teamId === awayId).length
+    },
+    events
+  };
+}
+
+/**
+ * Changed fields between two states of one fixture ({} when none)
+ */
+function diffFixture(prev, next) {
+  const delta = {};
+  if (prev.score.home !== next.score.home || prev.score.away !== next.score.away) {
+    delta.score = next.score;
+  }
+  if (prev.statusCode !== next.statusCode) delta.statusCode = next.statusCode;
+  if (prev.elapsed !== next.elapsed || prev.extra !== next.extra) {
+    delta.elapsed = next.elapsed;
+    delta.extra = next.extra;
+  }
+
+  const seen = new Set(prev.events.map(e => e.key));
+  const newEvents = next.events.filter(e => !seen.has(e.key));
+  if (newEvents.length > 0) delta.events = newEvents;
+
+  if (prev.redCards.home !== next.redCards.home || prev.redCards.away !== next.redCards.away) {
+    delta.redCards = next.redCards;
+  }
+
+  return delta;
+}
+
+/**
+ * Diff two feed states (fixtureId -> state). `departed` holds the latest
+ * state of fixtures that left the live list (FT / AET / PEN, late goals):
+ * announced as an update before they are removed.
+ * @returns {Array<{ type, fixtureId, leagueId, payload }>}
+ */
+function diffStates(previous, current, departed = {}) {
+  const changes = [];
+
+  for (const [id, next] of Object.entries(current)) {
+    const prev = previous[id];
+    if (!prev) {
+      changes.push({ type: 'added', fixtureId: next.fixtureId, leagueId: next.leagueId, payload: { state: next } });
+      continue;
+    }
+
+    const delta = diffFixture(prev, next);
+    if (Object.keys(delta).length > 0) {
+      changes.push({ type: 'update', fixtureId: next.fixtureId, leagueId: next.leagueId, payload: { changes: delta } });
+    }
+  }
+
+  for (const [id, prev] of Object.entries(previous)) {
+    if (current[id]) continue;
+
+    const final = departed[id];
+    if (final) {
+      const delta = diffFixture(prev, final);
+      if (Object.keys(delta).length > 0) {
+        changes.push({ type: 'update', fixtureId: prev.fixtureId, leagueId: prev.leagueId, payload: { changes: delta } });
+      }
+    }
+    changes.push({ type: 'removed', fixtureId: prev.fixtureId, leagueId: prev.leagueId, payload: { state: final || prev } });
+  }
+
+  return changes;
+}
+
+/**
+ * Parse `?leagues=39,140&fixtures=1,2&standings=1` into a subscriber filter.
+ * Live standings need an explicit league list.
+ */
+function parseFilter(query = {}) {
+  const toIds = value => String(value || '')
+    .split(',')
+    .map(v => parseInt(v.replace('league-', ''), 10))
+    .filter(n => !isNaN(n));
+
+  const leagues = toIds(query.leagues);
+  const fixtures = toIds(query.fixtures);
+  return {
+    leagues: leagues.length > 0 ? new Set(leagues) : null,
+    fixtures: fixtures.length > 0 ? new Set(fixtures) : null,
+    standings: ['1', 'true'].includes(String(query.standings)) && leagues.length > 0
+  };
+}
+
+function matchesFilter(filter, leagueId, fixtureId) {
+  if (filter.leagues && !filter.leagues.has(leagueId)) return false;
+  if (filter.fixtures && !filter.fixtures.has(fixtureId)) return false;
+  return true;
+}
+
+function writeEvent(res, id, event, data) {
+  // No id for derived events, so they never move the client's Last-Event-ID
+  const idLine = id == null ? '' : `id: ${id}\n`;
+  res.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+class LiveFeedService {
+  constructor() {
+    this.subscribers = new Set();
+    this.cursor = null;        // last LiveFeedEvent _id this process has fanned out
+    this.pollTimer = null;
+    this.polling = false;
+    this.standingsTimers = new Map(); // leagueId -> pending live table push
+  }
+
+  // ============================================
+  // PUBLISHER (worker side)
+  // ============================================
+
+  /**
+   * Take (or renew) the publisher lease. Returns the state doc when this
+   * instance holds it, null otherwise.
+   */
+  async acquireLease() {
+    const now = new Date();
+    try {
+      return await LiveFeedState.findOneAndUpdate(
+        { _id: 'live', $or: [{ holder: INSTANCE_ID }, { leaseUntil: { $lt: now } }] },
+        { $set: { holder: INSTANCE_ID, leaseUntil: new Date(now.getTime() + LEASE_MS) } },
+        { new: true, upsert: true, lean: true }
+      );
+    } catch (error) {
+      // E11000: the doc exists and another instance holds a valid lease
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Diff a fresh live=all pull against the stored state and append events.
+   * Called by MatchCacheWorker after every successful live fetch (including
+   * empty ones, so finished matches are announced as removed).
+   * @param {Array} fixtures - Raw API-Sports fixtures
+   * @param {Array} departed - Raw fixtures fetched by id after leaving the
+   *   live list, for their final status and score
+   * @returns {Promise<number>} events written (0 when not the lease holder)
+   */
+  async publish(fixtures, departed = []) {
+    if (mongoose.connection.readyState !== 1) return 0;
+
+    try {
+      const state = await this.acquireLease();
+      if (!state) return 0;
+
+      const current = {};
+      for (const fixture of fixtures) {
+        if (!fixture?.fixture?.id) continue;
+        current[fixture.fixture.id] = toFeedState(fixture);
+      }
+
+      const finals = {};
+      for (const fixture of departed) {
+        if (!fixture?.fixture?.id) continue;
+        finals[fixture.fixture.id] = toFeedState(fixture);
+      }
+
+      const changes = diffStates(state.fixtures || {}, current, finals);
+      let lastEventId = state.lastEventId;
+
+      if (changes.length > 0) {
+        const docs = await LiveFeedEvent.insertMany(changes, { ordered: true });
+        lastEventId = docs[docs.length - 1]._id.toString();
+      }
+
+      await LiveFeedState.updateOne(
+        { _id: 'live', holder: INSTANCE_ID },
+        { $set: { fixtures: current, lastEventId } }
+      );
+
+      if (changes.length > 0) {
+        console.log(`   📡 [LiveFeed] Published ${changes.length} live events`);
+      }
+      return changes.length;
+    } catch (error) {
+      console.error('   ❌ [LiveFeed] Publish failed:', error.message);
+      return 0;
+    }
+  }
+
+  // ============================================
+  // SUBSCRIBERS (SSE side, every process)
+  // ============================================
+
+  /**
+   * Attach an SSE response. Sends a snapshot (or the missed events when
+   * Last-Event-ID is still within the retention window), then deltas.
+   */
+  async stream(req, res) {
+    const filter = parseFilter(req.query);
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Nginx: don't buffer the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    if (mongoose.connection.readyState !== 1) {
+      // EventSource reconnects after `retry`, by which time Mongo may be back
+      res.write(`event: error\ndata: ${JSON.stringify({ error: 'Live feed unavailable' })}\n\n`);
+      return res.end();
+    }
+
+    const subscriber = { res, filter, lastSentId: null, ready: false, queue: [] };
+    this.subscribers.add(subscriber);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.subscribers.delete(subscriber);
+      if (this.subscribers.size === 0) this.stopPolling();
+    });
+
+    try {
+      // Pin the poller cursor first: anything newer than it reaches the
+      // queue, anything older is covered by the catch-up below.
+      await this.startPolling();
+
+      // Client left while the poller was starting: its close handler has
+      // already run, so nothing else would stop a poller with no listeners
+      if (req.destroyed || !this.subscribers.has(subscriber)) {
+        if (this.subscribers.size === 0) this.stopPolling();
+        return;
+      }
+
+      const resumed = lastEventId && await this.canResume(lastEventId);
+      if (resumed) {
+        subscriber.lastSentId = lastEventId;
+      } else {
+        await this.sendSnapshot(subscriber);
+      }
+      await this.catchUp(subscriber);
+    } catch (error) {
+      console.error('   ❌ [LiveFeed] Stream init failed:', error.message);
+      res.write(`event: error\ndata: ${JSON.stringify({ error: 'Live feed unavailable' })}\n\n`);
+    }
+
+    subscriber.ready = true;
+    for (const doc of subscriber.queue) this.deliver(subscriber, doc);
+    subscriber.queue = [];
+
+    if (filter.standings) {
+      for (const leagueId of filter.leagues) {
+        const table = await this.liveTable(leagueId, { onlyWhenLive: true });
+        if (table) writeEvent(res, null, 'standings', table);
+      }
+    }
+  }
+
+  /**
+   * Live table for a league, null on failure
+   */
+  async liveTable(leagueId, options = {}) {
+    try {
+      return await liveStandings.getLiveTable(leagueId, options);
+    } catch (error) {
+      console.error(`   ❌ [LiveFeed] Live standings for league ${leagueId} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Queue a live table push for leagues whose scores or statuses changed.
+   */
+  scheduleStandings(docs) {
+    const leagueIds = new Set(docs
+      .filter(doc => doc.type !== 'update' || doc.payload?.changes?.score || doc.payload?.changes?.statusCode)
+      .map(doc => doc.leagueId));
+
+    for (const leagueId of leagueIds) {
+      const wanted = Array.from(this.subscribers).some(sub => sub.filter.standings && sub.filter.leagues.has(leagueId));
+      if (!wanted || this.standingsTimers.has(leagueId)) continue;
+
+      this.standingsTimers.set(leagueId, setTimeout(async () => {
+        this.standingsTimers.delete(leagueId);
+        const table = await this.liveTable(leagueId);
+        if (!table) return;
+        for (const subscriber of this.subscribers) {
+          if (subscriber.ready && subscriber.filter.standings && subscriber.filter.leagues.has(leagueId)) {
+            writeEvent(subscriber.res, null, 'standings', table);
+          }
+        }
+      }, STANDINGS_DEBOUNCE_MS));
+    }
+  }
+
+  async sendSnapshot(subscriber) {
+    const state = await LiveFeedState.findById('live').lean();
+    const fixtures = Object.values(state?.fixtures || {})
+      .filter(f => matchesFilter(subscriber.filter, f.leagueId, f.fixtureId));
+
+    const id = state?.lastEventId || '0';
+    writeEvent(subscriber.res, id, 'snapshot', { fixtures, at: new Date().toISOString() });
+    subscriber.lastSentId = state?.lastEventId || null;
+  }
+
+  /**
+   * A Last-Event-ID can be resumed while it is still inside the TTL window
+   * and the client is not so far behind that a snapshot is cheaper.
+   */
+  async canResume(lastEventId) {
+    if (!mongoose.Types.ObjectId.isValid(lastEventId)) return false;
+    if (!await LiveFeedEvent.exists({ _id: lastEventId })) return false;
+    const behind = await LiveFeedEvent.countDocuments({ _id: { $gt: lastEventId } });
+    return behind < REPLAY_LIMIT;
+  }
+
+  /**
+   * Send everything after the subscriber's position (missed events on resume,
+   * or events published while the snapshot was being read).
+   */
+  async catchUp(subscriber) {
+    const query = subscriber.lastSentId ? { _id: { $gt: subscriber.lastSentId } } : {};
+    const missed = await LiveFeedEvent.find(query)
+      .sort({ _id: 1 })
+      .limit(REPLAY_LIMIT)
+      .lean();
+    for (const doc of missed) this.deliver(subscriber, doc);
+  }
+
+  deliver(subscriber, doc) {
+    const id = doc._id.toString();
+    if (subscriber.lastSentId && id <= subscriber.lastSentId) return;
+    subscriber.lastSentId = id;
+
+    if (!matchesFilter(subscriber.filter, doc.leagueId, doc.fixtureId)) return;
+    writeEvent(subscriber.res, id, doc.type, {
+      fixtureId: doc.fixtureId,
+      leagueId: doc.leagueId,
+      ...doc.payload,
+      at: doc.createdAt
+    });
+  }
+
+  async startPolling() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.poll(), POLL_MS);
+
+    if (!this.cursor) {
+      const timer = this.pollTimer;
+      const latest = await LiveFeedEvent.findOne().sort({ _id: -1 }).select('_id').lean();
+      // stopPolling() ran meanwhile — don't leave a stale cursor behind
+      if (this.pollTimer !== timer) return;
+      this.cursor = latest ? latest._id : ZERO_ID;
+    }
+  }
+
+  stopPolling() {
+    if (this.pollTimer) clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    this.cursor = null;
+    for (const timer of this.standingsTimers.values()) clearTimeout(timer);
+    this.standingsTimers.clear();
+  }
+
+  async poll() {
+    if (this.polling || mongoose.connection.readyState !== 1) return;
+    this.polling = true;
+
+    try {
+      if (!this.cursor) return;
+
+      const docs = await LiveFeedEvent.find({ _id: { $gt: this.cursor } })
+        .sort({ _id: 1 })
+        .limit(REPLAY_LIMIT)
+        .lean();
+      if (docs.length === 0) return;
+
+      this.cursor = docs[docs.length - 1]._id;
+      for (const subscriber of this.subscribers) {
+        for (const doc of docs) {
+          if (subscriber.ready) this.deliver(subscriber, doc);
+          else subscriber.queue.push(doc);
+        }
+      }
+      this.scheduleStandings(docs);
+    } catch (error) {
+      console.error('   ❌ [LiveFeed] Poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  getStats() {
+    return {
+      instance: INSTANCE_ID,
+      subscribers: this.subscribers.size,
+      polling: Boolean(this.pollTimer)
+    };
+  }
+}
+
+const liveFeed = new LiveFeedService();
+liveFeed.toFeedState = toFeedState;
+liveFeed.diffStates = diffStates;
+liveFeed.parseFilter = parseFilter;
+
+module.exports = liveFeed;
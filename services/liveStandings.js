@@ -0,0 +1,246 @@
+// services/liveStandings.js - "As it stands" table during a matchday
+//
+// /standings only moves once API-Sports re-publishes it after full time,
+// while live scores are already in CachedMatch ('live' / 'live_all') from
+// MatchCacheWorker.refreshLiveMatches. Here both tables are rebuilt with
+// utils/standingsEngine.js from the season's finished fixtures, so the
+// competition's real tiebreakers apply:
+//
+//   kickoff table   finished results only
+//   live table      finished results + current score of every live game
+//
+// Point deductions are carried over from the official table (official
+// points minus computed points, for teams whose played count agrees).
+// Zones (relegation, continental places...) are the official table's
+// per-position descriptions; a team moving in or out of one gets a
+// `transition` flag.
+
+const CachedMatch = require('../models/CachedMatch');
+const apiSports = require('./apiSportsGateway');
+const { buildTable, resultsFromFixtures } = require('../utils/standingsEngine');
+const { getTiebreakers } = require('../config/allowedCompetitions');
+const { currentSeasonForLeagueId } = require('../utils/leagueSlugs');
+
+// ============================================
+// CẤU HÌNH: Live standings
+// ============================================
+const OFFICIAL_TTL = 5 * 60 * 1000;
+const FIXTURES_TTL = 10 * 60 * 1000;
+const RESULT_TTL = 20 * 1000;
+// The worker leaves the last live_all entry in place when nothing is live
+const LIVE_CACHE_MAX_AGE = 3 * 60 * 1000;
+
+const LIVE_CODES = ['1H', 'HT', '2H', 'ET', 'BT', 'P', 'SUSP', 'INT', 'LIVE'];
+const RELEGATION_PATTERN = /relegation/i;
+
+function zoneType(description) {
+  if (!description) return null;
+  return RELEGATION_PATTERN.test(description) ? 'relegation' : 'qualification';
+}
+
+/**
+ * Kickoff zone → live zone
+ */
+function transitionBetween(from, to) {
+  if ((from?.description || null) === (to?.description || null)) return null;
+  if (to?.type === 'relegation') return 'would_be_relegated';
+  if (from?.type === 'relegation') return 'would_survive';
+  if (!from) return 'would_qualify';
+  if (!to) return 'would_drop_out';
+  return 'zone_change';
+}
+
+class LiveStandingsService {
+  constructor() {
+    this.footballApi = apiSports.client('live-standings');
+    this.official = new Map();   // `${leagueId}:${season}` -> { at, league }
+    this.fixtures = new Map();   // `${leagueId}:${season}` -> { at, fixtures }
+    this.results = new Map();    // `${leagueId}:${season}` -> { at, signature, data }
+  }
+
+  /**
+   * Live fixtures of a league from the worker's live cache
+   */
+  async getLiveMatches(leagueId) {
+    const cache = await CachedMatch.findOne({ cacheType: 'live', cacheKey: 'live_all' }).lean();
+    if (!cache?.data?.items) return [];
+    if (Date.now() - new Date(cache.data.fetchedAt || cache.updatedAt).getTime() > LIVE_CACHE_MAX_AGE) return [];
+
+    const competition = cache.data.items.find(c => c._id === `league-${leagueId}`);
+    return (competition?.matches || []).filter(m =>
+      LIVE_CODES.includes(m.statusCode) &&
+      m.detail?.home?.goal != null && m.detail?.away?.goal != null);
+  }
+
+  async getOfficial(leagueId, season) {
+    const key = `${leagueId}:${season}`;
+    const hit = this.official.get(key);
+    if (hit && Date.now() - hit.at < OFFICIAL_TTL) return hit.league;
+
+    const response = await this.footballApi.get('/standings', { params: { league: leagueId, season } });
+    const league = response.data?.response?.[0]?.league || null;
+    this.official.set(key, { at: Date.now(), league });
+    return league;
+  }
+
+  async getFixtures(leagueId, season) {
+    const key = `${leagueId}:${season}`;
+    const hit = this.fixtures.get(key);
+    if (hit && Date.now() - hit.at < FIXTURES_TTL) return hit.fixtures;
+
+    const response = await this.footballApi.get('/fixtures', { params: { league: leagueId, season } });
+    const fixtures = response.data?.response || [];
+    this.fixtures.set(key, { at: Date.now(), fixtures });
+    return fixtures;
+  }
+
+  /**
+   * Kickoff vs live table for one group of the official standings
+   */
+  buildGroup(rows, finished, live, { leagueId, season }) {
+    const teamIds = new Set(rows.map(row => row.team.id));
+    const inGroup = r => teamIds.has(r.homeId) && teamIds.has(r.awayId);
+    const groupResults = finished.filter(inGroup);
+    const groupLive = live.filter(inGroup);
+    const teams = rows.map(row => ({ teamId: row.team.id, name: row.team.name, logo: row.team.logo }));
+    const options = { leagueId, teams, seed: `${leagueId}:${season}` };
+
+    // Deductions / awarded points the results alone don't explain
+    const computed = buildTable(groupResults, options);
+    const byTeam = new Map(computed.map(row => [row.teamId, row]));
+    const adjustments = {};
+    for (const row of rows) {
+      const mine = byTeam.get(row.team.id);
+      if (mine && mine.played === row.all.played && mine.points !== row.points) {
+        adjustments[row.team.id] = row.points - mine.points;
+      }
+    }
+
+    const kickoff = buildTable(groupResults, { ...options, adjustments });
+    const current = buildTable([...groupResults, ...groupLive], { ...options, adjustments });
+
+    const zones = new Map(rows.map(row => [row.rank, row.description
+      ? { description: row.description, type: zoneType(row.description) }
+      : null]));
+    const zoneAt = rank => zones.get(rank) || null;
+
+    const kickoffRank = new Map(kickoff.map(row => [row.teamId, row.rank]));
+    const liveByTeam = new Map();
+    for (const match of groupLive) {
+      liveByTeam.set(match.homeId, { match, goalsFor: match.homeGoals, goalsAgainst: match.awayGoals, opponent: match.awayName, home: true });
+      liveByTeam.set(match.awayId, { match, goalsFor: match.awayGoals, goalsAgainst: match.homeGoals, opponent: match.homeName, home: false });
+    }
+
+    return current.map(row => {
+      const before = kickoffRank.get(row.teamId);
+      const change = before - row.rank;
+      const zoneBefore = zoneAt(before);
+      const zoneNow = zoneAt(row.rank);
+      const playing = liveByTeam.get(row.teamId);
+
+      return {
+        rank: row.rank,
+        kickoffRank: before,
+        positionChange: change,
+        movement: change > 0 ? 'up' : change < 0 ? 'down' : 'same',
+        team: { id: row.teamId, name: row.name, logo: row.logo },
+        played: row.played,
+        win: row.win,
+        draw: row.draw,
+        lose: row.lose,
+        goalsFor: row.goalsFor,
+        goalsAgainst: row.goalsAgainst,
+        goalsDiff: row.goalsDiff,
+        points: row.points,
+        tiebreaker: row.tiebreaker,
+        live: playing ? {
+          fixtureId: playing.match.fixtureId,
+          statusCode: playing.match.statusCode,
+          elapsed: playing.match.elapsed,
+          home: playing.home,
+          opponent: playing.opponent,
+          score: `${playing.goalsFor}-${playing.goalsAgainst}`,
+          result: playing.goalsFor > playing.goalsAgainst ? 'W' : playing.goalsFor === playing.goalsAgainst ? 'D' : 'L'
+        } : null,
+        zone: zoneNow,
+        transition: transitionBetween(zoneBefore, zoneNow)
+      };
+    });
+  }
+
+  /**
+   * Live table of a league.
+   * @param {Object} options
+   * @param {number} [options.season]
+   * @param {boolean} [options.onlyWhenLive] - null instead of the kickoff table
+   *   when nothing is in play (no upstream calls)
+   * @returns {Promise<Object|null>} - null when the league has no standings
+   */
+  async getLiveTable(leagueId, { season = null, onlyWhenLive = false } = {}) {
+    season = season || currentSeasonForLeagueId(leagueId);
+    const liveMatches = await this.getLiveMatches(leagueId);
+    if (onlyWhenLive && liveMatches.length === 0) return null;
+
+    // Cheap re-use while the scores have not moved
+    const key = `${leagueId}:${season}`;
+    const signature = liveMatches.map(m => `${m.fixtureId}:${m.score}:${m.statusCode}`).join('|');
+    const hit = this.results.get(key);
+    if (hit && hit.signature === signature && Date.now() - hit.at < RESULT_TTL) return hit.data;
+
+    // A game just left the live list: its result is not in the cached fixtures yet
+    const liveIds = new Set(liveMatches.map(m => m.fixtureId));
+    if (hit && hit.data.liveFixtures.some(f => !liveIds.has(f.fixtureId))) {
+      this.fixtures.delete(key);
+      this.official.delete(key);
+    }
+
+    const [official, fixtures] = await Promise.all([
+      this.getOfficial(leagueId, season),
+      this.getFixtures(leagueId, season)
+    ]);
+    if (!official?.standings?.length) return null;
+
+    const finished = resultsFromFixtures(fixtures).filter(r => !liveIds.has(r.fixtureId));
+    const live = liveMatches.map(m => ({
+      fixtureId: m.fixtureId,
+      date: m.dateTime,
+      homeId: m.detail.home.id,
+      awayId: m.detail.away.id,
+      homeName: m.detail.home.name,
+      awayName: m.detail.away.name,
+      homeGoals: m.detail.home.goal,
+      awayGoals: m.detail.away.goal,
+      statusCode: m.statusCode,
+      elapsed: m.elapsed
+    }));
+
+    const data = {
+      leagueId,
+      leagueName: official.name,
+      season,
+      live: live.length > 0,
+      tiebreakers: getTiebreakers(leagueId).criteria,
+      liveFixtures: live.map(m => ({
+        fixtureId: m.fixtureId,
+        home: m.homeName,
+        away: m.awayName,
+        score: `${m.homeGoals}-${m.awayGoals}`,
+        statusCode: m.statusCode,
+        elapsed: m.elapsed
+      })),
+      groups: official.standings.map(rows => ({
+        name: rows[0]?.group || official.name,
+        table: this.buildGroup(rows, finished, live, { leagueId, season })
+      })),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.results.set(key, { at: Date.now(), signature, data });
+    return data;
+  }
+}
+
+const liveStandings = new LiveStandingsService();
+liveStandings.transitionBetween = transitionBetween;
+
+module.exports = liveStandings;
@@ -8,9 +8,11 @@
  * - Scope: finished (FT) matches from top leagues in last 2 hours
  */
 
-const axios = require('axios');
+const apiSports = require('./apiSportsGateway');
 const Article = require('../models/Article');
+const teamPatterns = require('./teamPatterns');
 const { generateForArticle, generateVariantForArticle } = require('./article-image-generator');
+const { DEFAULT_TIMEZONE } = require('../utils/dateTime');
 
 /**
  * Inject two generated images into the article content body.
@@ -49,7 +51,6 @@ function injectImagesIntoContent(content, heroUrl, variantUrl, homeName, awayNam
   return out.join('\n\n');
 }
 
-const API_SPORTS_URL = 'https://v3.football.api-sports.io';
 
 // League IDs for Vietnamese audience (API-Sports IDs)
 // Keep small — only real-demand leagues to control cost + relevance.
@@ -78,13 +79,7 @@ class MatchReportGenerator {
   constructor() {
     this.apiKey = process.env.API_FOOTBALL_KEY;
     this.anthropicKey = process.env.ANTHROPIC_API_KEY;
-    this.footballApi = axios.create({
-      baseURL: API_SPORTS_URL,
-      headers: {
-        'x-apisports-key': this.apiKey,
-      },
-      timeout: 15000,
-    });
+    this.footballApi = apiSports.client('news:match-report', { priority: 'low' });
   }
 
   /**
@@ -169,12 +164,12 @@ class MatchReportGenerator {
    */
   buildPrompt(fixture, detail) {
     const { fixture: fx, teams, league, goals, score } = fixture;
-    const { events, statistics, lineups } = detail;
+    const { events, statistics, lineups, patterns } = detail;
 
     const matchDate = new Date(fx.date).toLocaleString('vi-VN', {
       day: '2-digit', month: '2-digit', year: 'numeric',
       hour: '2-digit', minute: '2-digit',
-      timeZone: 'Asia/Ho_Chi_Minh',
+      timeZone: DEFAULT_TIMEZONE,
     });
 
     // Events formatted as timeline
@@ -260,7 +255,10 @@ ${statsText}
 
 **SƠ ĐỒ & HLV:**
 ${formationsText}
-
+${patterns ? `
+**XU HƯỚNG TRƯỚC TRẬN (số liệu đã tính sẵn từ các trận trước — chỉ dùng cho section "Ý nghĩa kết quả", trích đúng con số):**
+${patterns}
+` : ''}
 ---
 
 **QUY TẮC BẮT BUỘC (CỰC KỲ QUAN TRỌNG):**
@@ -269,7 +267,7 @@ ${formationsText}
 
 2. **KHÔNG BỊA TÊN CẦU THỦ** không xuất hiện trong danh sách bàn thắng/thẻ/thay người ở trên.
 
-3. **KHÔNG ĐOÁN** về phong độ trước trận, lịch sử đối đầu, cảm xúc HLV, phát biểu sau trận — những điều không có trong data.
+3. **KHÔNG ĐOÁN** về phong độ trước trận, lịch sử đối đầu, cảm xúc HLV, phát biểu sau trận — những điều không có trong data.${patterns ? ' Xu hướng trước trận chỉ được nêu đúng như mục "XU HƯỚNG TRƯỚC TRẬN", không tự tính thêm tỷ lệ.' : ''}
 
 4. **KHÔNG DÙNG** các từ: "soi kèo", "cược", "nhà cái", "đặt cược", "AI", "trí tuệ nhân tạo".
 
@@ -395,6 +393,9 @@ ${formationsText}
       return null;
     }
 
+    // Pre-match trends, quoted as facts (fixtures before this one only)
+    detail.patterns = await teamPatterns.promptFacts(teams.home, teams.away, { before: fixture.fixture?.date }).catch(() => null);
+
     // Build strict prompt + generate
     const prompt = this.buildPrompt(fixture, detail);
     let aiContent;
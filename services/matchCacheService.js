@@ -1,4 +1,5 @@
 const CachedMatch = require('../models/CachedMatch');
+const { dayKey, dayKeyFromInput } = require('../utils/dateTime');
 
 /**
  * Service to help endpoints use MongoDB cache
@@ -78,7 +79,8 @@ class MatchCacheService {
    */
   async getLiveScheduled(params, fetchFn) {
     const { dateTime } = params;
-    const today = dateTime ? dateTime.split('T')[0] : new Date().toISOString().split('T')[0];
+    // Same Vietnam-day key the worker writes under
+    const today = dayKeyFromInput(dateTime) || dayKey(new Date());
     const cacheKey = `live-scheduled_${today}`;
 
     return this.getOrFetch(
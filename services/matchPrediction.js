@@ -0,0 +1,530 @@
+// services/matchPrediction.js - Deterministic match prediction (Dixon-Coles)
+//
+// Per league, from finished results already in MongoDB (MatchCache +
+// Team.recentMatches), fit
+//
+//   home goals ~ Poisson(λ),  λ = baseRate · homeAdvantage · attack_home · defence_away
+//   away goals ~ Poisson(μ),  μ = baseRate · attack_away · defence_home
+//
+// with the Dixon-Coles τ correction on 0-0 / 1-0 / 0-1 / 1-1 and
+// exponential time decay. Ratings are shrunk towards 1 with a few
+// pseudo-matches so a team with three results does not get an extreme value.
+//
+// Every nightly refit is stored as a new PredictionModel version; the same
+// inputs always give the same numbers.
+
+const MatchCache = require('../models/MatchCache');
+const Team = require('../models/Team');
+const PredictionModel = require('../models/PredictionModel');
+
+// ============================================
+// CẤU HÌNH: Model fitting
+// ============================================
+const DECAY_PER_DAY = parseFloat(process.env.PREDICTION_DECAY_PER_DAY) || 0.0065; // half-life ≈ 107 days
+const PRIOR_MATCHES = 3;       // pseudo-matches at league average per team
+const MIN_RESULTS = 30;        // leagues with fewer finished results are skipped
+const LOOKBACK_DAYS = 400;
+const MAX_GOALS = 10;          // score matrix is (MAX_GOALS + 1)²
+const MATRIX_RESPONSE_GOALS = 6;
+const MAX_ITERATIONS = 200;
+const TOLERANCE = 1e-6;
+const RHO_RANGE = [-0.2, 0.2];
+const RHO_STEP = 0.005;
+const OVER_UNDER_LINES = [0.5, 1.5, 2.5, 3.5, 4.5];
+const FINISHED_CODES = ['FT', 'AET', 'PEN'];
+const REFIT_MIN_HOURS = 12;    // nightly job on every PM2 instance: first one wins
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round = (n, digits = 4) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+function parseTeamId(teamId) {
+  const id = parseInt(String(teamId || '').replace('team-', ''), 10);
+  return isNaN(id) ? null : id;
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+function poisson(k, lambda) {
+  let p = Math.exp(-lambda);
+  for (let i = 1; i <= k; i++) p *= lambda / i;
+  return p;
+}
+
+/**
+ * Dixon-Coles low-score dependence factor
+ */
+function tau(x, y, lambda, mu, rho) {
+  if (x === 0 && y === 0) return 1 - lambda * mu * rho;
+  if (x === 0 && y === 1) return 1 + lambda * rho;
+  if (x === 1 && y === 0) return 1 + mu * rho;
+  if (x === 1 && y === 1) return 1 - rho;
+  return 1;
+}
+
+/**
+ * Full score matrix, matrix[home][away], normalised to 1
+ */
+function scoreMatrix(lambda, mu, rho) {
+  const matrix = [];
+  let total = 0;
+  for (let x = 0; x <= MAX_GOALS; x++) {
+    const row = [];
+    for (let y = 0; y <= MAX_GOALS; y++) {
+      const p = Math.max(tau(x, y, lambda, mu, rho), 0) * poisson(x, lambda) * poisson(y, mu);
+      row.push(p);
+      total += p;
+    }
+    matrix.push(row);
+  }
+  return matrix.map(row => row.map(p => p / total));
+}
+
+/**
+ * Fit attack/defence ratings, home advantage and ρ on weighted results.
+ * @param {Array} results - [{ homeId, awayId, homeGoals, awayGoals, date }]
+ * @param {Date} asOf - weights decay from this date
+ */
+function fitDixonColes(results, asOf = new Date()) {
+  const teams = new Map();
+  const ensure = id => {
+    if (!teams.has(id)) teams.set(id, { attack: 1, defence: 1, matches: 0 });
+    return teams.get(id);
+  };
+
+  const games = results.map(r => {
+    ensure(r.homeId).matches++;
+    ensure(r.awayId).matches++;
+    const days = Math.max((asOf - new Date(r.date)) / DAY_MS, 0);
+    return { ...r, weight: Math.exp(-DECAY_PER_DAY * days) };
+  });
+
+  const totalWeight = games.reduce((sum, g) => sum + g.weight, 0);
+  const homeGoals = games.reduce((sum, g) => sum + g.weight * g.homeGoals, 0);
+  const awayGoals = games.reduce((sum, g) => sum + g.weight * g.awayGoals, 0);
+
+  let baseRate = awayGoals / totalWeight || 1;
+  let homeAdvantage = awayGoals > 0 ? homeGoals / awayGoals : 1;
+  const avgGoals = (homeGoals + awayGoals) / (2 * totalWeight) || 1;
+  const prior = PRIOR_MATCHES * avgGoals;
+
+  // Fixed-point iteration of the Poisson likelihood equations
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const scored = new Map();
+    const expectedScored = new Map();
+    const conceded = new Map();
+    const expectedConceded = new Map();
+    const add = (map, id, v) => map.set(id, (map.get(id) || 0) + v);
+
+    for (const g of games) {
+      const home = teams.get(g.homeId);
+      const away = teams.get(g.awayId);
+      add(scored, g.homeId, g.weight * g.homeGoals);
+      add(expectedScored, g.homeId, g.weight * baseRate * homeAdvantage * away.defence);
+      add(scored, g.awayId, g.weight * g.awayGoals);
+      add(expectedScored, g.awayId, g.weight * baseRate * home.defence);
+      add(conceded, g.homeId, g.weight * g.awayGoals);
+      add(expectedConceded, g.homeId, g.weight * baseRate * away.attack);
+      add(conceded, g.awayId, g.weight * g.homeGoals);
+      add(expectedConceded, g.awayId, g.weight * baseRate * homeAdvantage * home.attack);
+    }
+
+    let delta = 0;
+    for (const [id, team] of teams) {
+      const attack = (scored.get(id) + prior) / (expectedScored.get(id) + prior);
+      const defence = (conceded.get(id) + prior) / (expectedConceded.get(id) + prior);
+      delta = Math.max(delta, Math.abs(attack - team.attack), Math.abs(defence - team.defence));
+      team.attack = attack;
+      team.defence = defence;
+    }
+
+    // Identifiability: geometric mean of attack and of defence = 1
+    const ratings = Array.from(teams.values());
+    const attackMean = Math.exp(ratings.reduce((s, t) => s + Math.log(t.attack), 0) / ratings.length);
+    const defenceMean = Math.exp(ratings.reduce((s, t) => s + Math.log(t.defence), 0) / ratings.length);
+    ratings.forEach(t => { t.attack /= attackMean; t.defence /= defenceMean; });
+
+    let expectedHome = 0;
+    let expectedAway = 0;
+    for (const g of games) {
+      const home = teams.get(g.homeId);
+      const away = teams.get(g.awayId);
+      expectedHome += g.weight * home.attack * away.defence;
+      expectedAway += g.weight * away.attack * home.defence;
+    }
+    const nextBase = awayGoals / expectedAway;
+    const nextHome = homeGoals / (nextBase * expectedHome);
+    delta = Math.max(delta, Math.abs(nextBase - baseRate), Math.abs(nextHome - homeAdvantage));
+    baseRate = nextBase;
+    homeAdvantage = nextHome;
+
+    if (delta < TOLERANCE) break;
+  }
+
+  // ρ only enters through τ: 1-D grid search on the weighted log-likelihood
+  let rho = 0;
+  let bestLogLik = -Infinity;
+  for (let r = RHO_RANGE[0]; r <= RHO_RANGE[1] + 1e-9; r += RHO_STEP) {
+    let logLik = 0;
+    let valid = true;
+    for (const g of games) {
+      if (g.homeGoals > 1 || g.awayGoals > 1) continue;
+      const home = teams.get(g.homeId);
+      const away = teams.get(g.awayId);
+      const lambda = baseRate * homeAdvantage * home.attack * away.defence;
+      const mu = baseRate * away.attack * home.defence;
+      const t = tau(g.homeGoals, g.awayGoals, lambda, mu, r);
+      if (t <= 0) { valid = false; break; }
+      logLik += g.weight * Math.log(t);
+    }
+    if (valid && logLik > bestLogLik) {
+      bestLogLik = logLik;
+      rho = r;
+    }
+  }
+
+  return {
+    params: {
+      baseRate: round(baseRate, 6),
+      homeAdvantage: round(homeAdvantage, 6),
+      rho: round(rho, 4),
+      decayPerDay: DECAY_PER_DAY,
+      prior: PRIOR_MATCHES
+    },
+    teams
+  };
+}
+
+/**
+ * Probabilities for one fixture from fitted parameters.
+ * Teams missing from the model (promoted, too few results) are rated 1.
+ */
+function predictFromParams(params, homeRating, awayRating) {
+  const home = homeRating || { attack: 1, defence: 1 };
+  const away = awayRating || { attack: 1, defence: 1 };
+  const lambda = params.baseRate * params.homeAdvantage * home.attack * away.defence;
+  const mu = params.baseRate * away.attack * home.defence;
+  const matrix = scoreMatrix(lambda, mu, params.rho);
+
+  let homeWin = 0;
+  let draw = 0;
+  let awayWin = 0;
+  let bttsYes = 0;
+  const totals = new Array(2 * MAX_GOALS + 1).fill(0);
+  const scores = [];
+
+  matrix.forEach((row, x) => row.forEach((p, y) => {
+    if (x > y) homeWin += p;
+    else if (x === y) draw += p;
+    else awayWin += p;
+    if (x > 0 && y > 0) bttsYes += p;
+    totals[x + y] += p;
+    scores.push({ score: `${x}-${y}`, home: x, away: y, probability: p });
+  }));
+
+  const overUnder = {};
+  for (const line of OVER_UNDER_LINES) {
+    const under = totals.slice(0, Math.floor(line) + 1).reduce((s, p) => s + p, 0);
+    overUnder[line.toFixed(1)] = { over: round(1 - under), under: round(under) };
+  }
+
+  scores.sort((a, b) => b.probability - a.probability);
+
+  return {
+    probabilities: { home: round(homeWin), draw: round(draw), away: round(awayWin) },
+    expectedGoals: { home: round(lambda, 3), away: round(mu, 3) },
+    mostLikelyScore: { home: scores[0].home, away: scores[0].away, probability: round(scores[0].probability) },
+    topScores: scores.slice(0, 5).map(s => ({ score: s.score, probability: round(s.probability) })),
+    correctScore: {
+      maxGoals: MATRIX_RESPONSE_GOALS,
+      // matrix[home][away]; mass above maxGoals is in `other`
+      matrix: matrix.slice(0, MATRIX_RESPONSE_GOALS + 1)
+        .map(row => row.slice(0, MATRIX_RESPONSE_GOALS + 1).map(p => round(p))),
+      other: round(1 - matrix.slice(0, MATRIX_RESPONSE_GOALS + 1)
+        .reduce((s, row) => s + row.slice(0, MATRIX_RESPONSE_GOALS + 1).reduce((a, p) => a + p, 0), 0))
+    },
+    overUnder,
+    btts: { yes: round(bttsYes), no: round(1 - bttsYes) }
+  };
+}
+
+/**
+ * Log loss / Brier / hit rate of 1X2 probabilities against outcomes
+ */
+function scoreOutcomes(params, teams, results) {
+  let logLoss = 0;
+  let brier = 0;
+  let hits = 0;
+  for (const r of results) {
+    const { probabilities: p } = predictFromParams(params, teams.get(r.homeId), teams.get(r.awayId));
+    const outcome = r.homeGoals > r.awayGoals ? 'home' : r.homeGoals === r.awayGoals ? 'draw' : 'away';
+    logLoss -= Math.log(Math.max(p[outcome], 1e-12));
+    brier += ['home', 'draw', 'away'].reduce((s, k) => s + ((k === outcome ? 1 : 0) - p[k]) ** 2, 0);
+    const pick = Object.keys(p).reduce((a, b) => (p[a] >= p[b] ? a : b));
+    if (pick === outcome) hits++;
+  }
+  const n = results.length;
+  return { holdout: n, logLoss: round(logLoss / n), brier: round(brier / n), accuracy: round(hits / n) };
+}
+
+class MatchPredictionService {
+  constructor() {
+    // leagueId -> latest model, refreshed after each refit
+    this.modelCache = new Map();
+    this.MODEL_CACHE_TTL = 10 * 60 * 1000;
+  }
+
+  /**
+   * Finished results for a league, deduplicated by fixture id.
+   * MatchCache rows carry team ids; Team.recentMatches only carry names,
+   * which are mapped back to ids through the league's Team documents.
+   */
+  async loadResults(leagueId) {
+    const since = new Date(Date.now() - LOOKBACK_DAYS * DAY_MS);
+    const byFixture = new Map();
+    const names = new Map();
+    let leagueName = null;
+
+    const cached = await MatchCache.find({
+      leagueId,
+      statusCode: { $in: FINISHED_CODES },
+      matchDate: { $gte: since }
+    }).select('fixtureId leagueName matchDate matchData').lean();
+
+    for (const row of cached) {
+      const m = row.matchData || {};
+      const homeId = parseTeamId(m.teams?.home?.teamId);
+      const awayId = parseTeamId(m.teams?.away?.teamId);
+      // Regulation-time score; extra time and penalties are a different game
+      const homeGoals = m.detail?.home?.fulltime ?? m.detail?.home?.goal;
+      const awayGoals = m.detail?.away?.fulltime ?? m.detail?.away?.goal;
+      if (!homeId || !awayId || homeGoals == null || awayGoals == null) continue;
+
+      leagueName = leagueName || row.leagueName;
+      names.set(homeId, m.teams.home.name);
+      names.set(awayId, m.teams.away.name);
+      byFixture.set(row.fixtureId, {
+        fixtureId: row.fixtureId, homeId, awayId, homeGoals, awayGoals,
+        date: row.matchDate, source: 'matchCache'
+      });
+    }
+
+    const leagueTeams = await Team.find({ 'league.id': leagueId })
+      .select('teamId name league recentMatches')
+      .lean();
+
+    const idByName = new Map();
+    for (const team of leagueTeams) idByName.set(normalizeName(team.name), team.teamId);
+    for (const [id, name] of names) idByName.set(normalizeName(name), id);
+
+    for (const team of leagueTeams) {
+      leagueName = leagueName || team.league?.name;
+      names.set(team.teamId, team.name);
+      for (const m of team.recentMatches || []) {
+        if (byFixture.has(m.fixtureId)) continue;
+        if (m.league && team.league?.name && m.league !== team.league.name) continue;
+        if (m.status && !FINISHED_CODES.includes(m.status)) continue;
+        if (!m.date || new Date(m.date) < since) continue;
+
+        const homeId = idByName.get(normalizeName(m.home?.name));
+        const awayId = idByName.get(normalizeName(m.away?.name));
+        if (!homeId || !awayId || m.home.goals == null || m.away.goals == null) continue;
+
+        byFixture.set(m.fixtureId, {
+          fixtureId: m.fixtureId, homeId, awayId,
+          homeGoals: m.home.goals, awayGoals: m.away.goals,
+          date: m.date, source: 'recentMatches'
+        });
+      }
+    }
+
+    const results = Array.from(byFixture.values())
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return { leagueName, results, names };
+  }
+
+  /**
+   * Fit and store a new model version for one league.
+   * @returns {Promise<Object|null>} - Saved model (without ratings) or null when skipped
+   */
+  async refitLeague(leagueId, { force = false } = {}) {
+    const latest = await PredictionModel.findForLeague(leagueId);
+    if (!force && latest && Date.now() - new Date(latest.fittedAt).getTime() < REFIT_MIN_HOURS * 60 * 60 * 1000) {
+      return null;
+    }
+
+    const { leagueName, results, names } = await this.loadResults(leagueId);
+    if (results.length < MIN_RESULTS) {
+      console.log(`   [Prediction] League ${leagueId}: ${results.length} results, need ${MIN_RESULTS} — skipped`);
+      return null;
+    }
+
+    const asOf = new Date();
+
+    // Hold out the most recent ~10% for the version's metrics, then refit on everything
+    const holdoutSize = Math.max(10, Math.round(results.length * 0.1));
+    let metrics;
+    if (results.length - holdoutSize >= MIN_RESULTS) {
+      const train = results.slice(0, results.length - holdoutSize);
+      const test = results.slice(results.length - holdoutSize);
+      const preliminary = fitDixonColes(train, new Date(test[0].date));
+      metrics = scoreOutcomes(preliminary.params, preliminary.teams, test);
+    }
+
+    const { params, teams } = fitDixonColes(results, asOf);
+
+    const doc = {
+      leagueId,
+      leagueName,
+      version: (latest?.version || 0) + 1,
+      fittedAt: asOf,
+      params,
+      teams: Array.from(teams.entries()).map(([teamId, t]) => ({
+        teamId,
+        name: names.get(teamId) || null,
+        attack: round(t.attack, 4),
+        defence: round(t.defence, 4),
+        matches: t.matches
+      })),
+      sampleSize: results.length,
+      dataFrom: results[0].date,
+      dataTo: results[results.length - 1].date,
+      sources: {
+        matchCache: results.filter(r => r.source === 'matchCache').length,
+        recentMatches: results.filter(r => r.source === 'recentMatches').length
+      },
+      metrics
+    };
+
+    try {
+      const saved = await PredictionModel.create(doc);
+      this.modelCache.delete(leagueId);
+      console.log(`   [Prediction] League ${leagueId} v${doc.version}: ${results.length} results, ` +
+        `home ×${params.homeAdvantage.toFixed(3)}, ρ ${params.rho}` +
+        (metrics ? `, hold-out log loss ${metrics.logLoss}` : ''));
+      const { teams: _ratings, ...summary } = saved.toObject();
+      return summary;
+    } catch (error) {
+      if (error.code === 11000) {
+        // Another instance stored this version first
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Nightly refit of every league we hold results for.
+   */
+  async refitAll({ force = false } = {}) {
+    const startTime = Date.now();
+    const [cachedLeagues, teamLeagues] = await Promise.all([
+      MatchCache.distinct('leagueId', { statusCode: { $in: FINISHED_CODES } }),
+      Team.distinct('league.id')
+    ]);
+    const leagueIds = Array.from(new Set([...cachedLeagues, ...teamLeagues].filter(Boolean)));
+
+    const fitted = [];
+    for (const leagueId of leagueIds) {
+      try {
+        const model = await this.refitLeague(leagueId, { force });
+        if (model) fitted.push({ leagueId, version: model.version, sampleSize: model.sampleSize });
+      } catch (error) {
+        console.error(`   [Prediction] League ${leagueId} refit failed:`, error.message);
+      }
+    }
+
+    console.log(`[Prediction] Refit ${fitted.length}/${leagueIds.length} league(s) in ${Date.now() - startTime}ms`);
+    return { leagues: leagueIds.length, fitted };
+  }
+
+  /**
+   * Boot-time refit when no model version exists at all (fresh database),
+   * so predictions don't wait for the nightly job.
+   * @returns {Promise<Object|null>} - refitAll() result, null when models exist
+   */
+  async refitIfMissing() {
+    const count = await PredictionModel.estimatedDocumentCount();
+    if (count > 0) return null;
+    console.log('[Prediction] No fitted model yet — running initial refit');
+    return this.refitAll();
+  }
+
+  async getModel(leagueId, version = null) {
+    if (version) return PredictionModel.findForLeague(leagueId, version);
+
+    const hit = this.modelCache.get(leagueId);
+    if (hit && Date.now() - hit.at < this.MODEL_CACHE_TTL) return hit.model;
+
+    const model = await PredictionModel.findForLeague(leagueId);
+    this.modelCache.set(leagueId, { model, at: Date.now() });
+    return model;
+  }
+
+  /**
+   * Prediction for two teams of a league.
+   * @returns {Promise<Object|null>} - null when the league has no fitted model
+   */
+  async predict({ leagueId, homeTeamId, awayTeamId, version = null }) {
+    const model = await this.getModel(leagueId, version);
+    if (!model) return null;
+
+    const ratings = new Map(model.teams.map(t => [t.teamId, t]));
+    const home = ratings.get(homeTeamId) || null;
+    const away = ratings.get(awayTeamId) || null;
+
+    return {
+      ...predictFromParams(model.params, home, away),
+      ratings: {
+        home: home ? { attack: home.attack, defence: home.defence, matches: home.matches } : null,
+        away: away ? { attack: away.attack, defence: away.defence, matches: away.matches } : null
+      },
+      model: {
+        leagueId: model.leagueId,
+        leagueName: model.leagueName,
+        version: model.version,
+        algorithm: model.algorithm,
+        fittedAt: model.fittedAt,
+        sampleSize: model.sampleSize,
+        params: model.params,
+        metrics: model.metrics
+      }
+    };
+  }
+
+  /**
+   * Prediction for an API-Sports fixture.
+   * @returns {Promise<Object|null>} - null when the fixture does not exist
+   */
+  async predictFixture(fixtureId, footballApi, { version = null } = {}) {
+    const response = await footballApi.get('/fixtures', { params: { id: fixtureId } });
+    const fixture = response.data?.response?.[0];
+    if (!fixture) return null;
+
+    const prediction = await this.predict({
+      leagueId: fixture.league.id,
+      homeTeamId: fixture.teams.home.id,
+      awayTeamId: fixture.teams.away.id,
+      version
+    });
+
+    return {
+      fixtureId,
+      league: { id: fixture.league.id, name: fixture.league.name, season: fixture.league.season },
+      teams: {
+        home: { id: fixture.teams.home.id, name: fixture.teams.home.name },
+        away: { id: fixture.teams.away.id, name: fixture.teams.away.name }
+      },
+      kickoff: fixture.fixture.date,
+      prediction
+    };
+  }
+}
+
+const matchPrediction = new MatchPredictionService();
+matchPrediction.fitDixonColes = fitDixonColes;
+matchPrediction.predictFromParams = predictFromParams;
+
+module.exports = matchPrediction;
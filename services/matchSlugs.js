@@ -0,0 +1,247 @@
+// services/matchSlugs.js - Persistent slug → fixture index behind resolveFixtureId
+//
+// Match URLs carry a readable slug (utils/matchSlug.js) rather than the
+// API-Sports fixture ID. Resolving one used to fetch /fixtures for three
+// whole days and fuzzy-match team names on every request. Now:
+//
+//   1. the exact slug in MatchSlug (current, rescheduled or alias)
+//   2. a team-name match among indexed fixtures kicking off within a day of
+//      the slug's time (other spellings: "porto" vs "fc-porto", home/away swap)
+//   3. last resort, the API-Sports date-window search; the fixture found is
+//      indexed
+//
+// A slug resolved by step 2 or 3 is kept as an alias only when the match is
+// certain: the team names equal the fixture's exactly, or no other fixture in
+// the window matched. Loose token matches ("madrid" fits both Real and
+// Atlético) answer the request but are not written, so a later record() can
+// still index the right fixture under that slug.
+//
+// The worker and the odds sync record() every fixture they see, so step 1
+// answers almost every request.
+
+const MatchSlug = require('../models/MatchSlug');
+const { buildMatchSlug, buildTimestampSlug, parseMatchSlug, normaliseTeamName } = require('../utils/matchSlug');
+
+// ============================================
+// CẤU HÌNH: Match slugs
+// ============================================
+const WINDOW_MS = 24 * 60 * 60 * 1000;   // fuzzy / API search: kickoff ± 1 day
+const SEEN_MAX = 50000;                  // fixtures remembered as already indexed (per process)
+
+/**
+ * Team token from the slug vs normalised API team name, both directions:
+ * "porto" matches "fc-porto", "real-madrid" matches "madrid"
+ */
+function teamMatches(indexed, requested) {
+  if (!indexed || !requested) return false;
+  if (indexed === requested) return true;
+  if (indexed.includes(requested) || requested.includes(indexed)) return true;
+  const indexedTokens = indexed.split('-').filter(t => t.length >= 4);
+  const requestedTokens = requested.split('-').filter(t => t.length >= 4);
+  return indexedTokens.some(a => requestedTokens.some(b => a === b));
+}
+
+/** Slug team names equal the candidate's normalised names (either way round) */
+function isExactMatch(candidate, parsed) {
+  if (!parsed.home || !parsed.away) return false;
+  return (candidate.homeSlug === parsed.home && candidate.awaySlug === parsed.away)
+    || (candidate.homeSlug === parsed.away && candidate.awaySlug === parsed.home);
+}
+
+/**
+ * Candidate fixtures { fixtureId, kickoffMs, homeSlug, awaySlug } → the ones
+ * the parsed slug names, exact team-name matches first, then nearest kickoff
+ */
+function matchingFixtures(candidates, parsed) {
+  const matching = candidates.filter(c => {
+    if (parsed.home && parsed.away) {
+      return (teamMatches(c.homeSlug, parsed.home) && teamMatches(c.awaySlug, parsed.away))
+        || (teamMatches(c.homeSlug, parsed.away) && teamMatches(c.awaySlug, parsed.home));
+    }
+    // Legacy slugs without a "-vs-" divider: both names somewhere in it
+    return Boolean(c.homeSlug && c.awaySlug) && parsed.base.includes(c.homeSlug) && parsed.base.includes(c.awaySlug);
+  });
+  return matching.sort((a, b) => (isExactMatch(b, parsed) - isExactMatch(a, parsed))
+    || Math.abs(a.kickoffMs - parsed.kickoffMs) - Math.abs(b.kickoffMs - parsed.kickoffMs));
+}
+
+/**
+ * The fixture the parsed slug names, or null. `certain` when it is safe to
+ * keep the slug as an alias: exact team names, or the only fixture matching.
+ * @returns {{ fixtureId, kickoffMs, homeSlug, awaySlug, certain }|null}
+ */
+function pickFixture(candidates, parsed) {
+  const matching = matchingFixtures(candidates, parsed);
+  if (matching.length === 0) return null;
+  const found = matching[0];
+  const certain = isExactMatch(found, parsed) || new Set(matching.map(c => c.fixtureId)).size === 1;
+  return { ...found, certain };
+}
+
+function candidateOf(fixture) {
+  return {
+    fixtureId: fixture.fixture.id,
+    kickoffMs: new Date(fixture.fixture.date).getTime(),
+    homeSlug: normaliseTeamName(fixture.teams?.home?.name),
+    awaySlug: normaliseTeamName(fixture.teams?.away?.name)
+  };
+}
+
+async function bulkWriteTolerant(ops) {
+  try {
+    await MatchSlug.bulkWrite(ops, { ordered: false });
+  } catch (error) {
+    // Another PM2 instance indexed the same slug first
+    const writeErrors = error.writeErrors || (error.code === 11000 ? [error] : []);
+    if (writeErrors.length === 0 || !writeErrors.every(e => e.code === 11000)) throw error;
+  }
+}
+
+class MatchSlugsService {
+  constructor() {
+    this.seen = new Map();   // fixtureId → "kickoff|readable slug" last indexed
+  }
+
+  /**
+   * Index API-Sports fixtures (both slug forms). A fixture whose slugs
+   * changed since it was last indexed keeps the old rows as aliases.
+   * @returns {Promise<number>} fixtures (re)indexed
+   */
+  async record(fixtures) {
+    const ops = [];
+    const indexed = [];
+    for (const f of fixtures || []) {
+      const fixtureId = f?.fixture?.id;
+      const homeName = f?.teams?.home?.name;
+      const awayName = f?.teams?.away?.name;
+      const readable = buildMatchSlug(homeName, awayName, f?.fixture?.date);
+      const timestamp = buildTimestampSlug(homeName, awayName, f?.fixture?.date);
+      if (!fixtureId || !readable || !timestamp) continue;
+
+      const signature = `${f.fixture.date}|${readable}`;
+      if (this.seen.get(fixtureId) === signature) continue;
+
+      const fields = {
+        fixtureId,
+        canonical: true,
+        kickoff: new Date(f.fixture.date),
+        homeSlug: normaliseTeamName(homeName),
+        awaySlug: normaliseTeamName(awayName),
+        leagueId: f.league?.id
+      };
+      for (const [slug, kind] of [[readable, 'readable'], [timestamp, 'timestamp']]) {
+        ops.push({ updateOne: { filter: { slug }, update: { $set: { ...fields, kind } }, upsert: true } });
+      }
+      // Slugs of an earlier kickoff / team name stay as aliases
+      ops.push({
+        updateMany: {
+          filter: { fixtureId, canonical: true, slug: { $nin: [readable, timestamp] } },
+          update: { $set: { canonical: false } }
+        }
+      });
+      indexed.push([fixtureId, signature]);
+    }
+    if (ops.length === 0) return 0;
+
+    await bulkWriteTolerant(ops);
+    if (this.seen.size > SEEN_MAX) this.seen.clear();
+    for (const [fixtureId, signature] of indexed) this.seen.set(fixtureId, signature);
+    return indexed.length;
+  }
+
+  /**
+   * Keep a slug that only resolved through a fallback as an alias.
+   * Permanent ($setOnInsert) — callers only pass certain matches.
+   */
+  async alias(slug, candidate) {
+    await bulkWriteTolerant([{
+      updateOne: {
+        filter: { slug },
+        update: {
+          $setOnInsert: {
+            fixtureId: candidate.fixtureId,
+            kind: 'alias',
+            canonical: false,
+            kickoff: new Date(candidate.kickoffMs),
+            homeSlug: candidate.homeSlug,
+            awaySlug: candidate.awaySlug
+          }
+        },
+        upsert: true
+      }
+    }]).catch(error => console.error('   [MatchSlugs] Alias write failed:', error.message));
+  }
+
+  /**
+   * Match identifier → numeric API-Sports fixture ID (null when unknown)
+   * @param {String|Number} id - fixture ID or match slug
+   * @param {Object} footballApi - client for the last-resort lookup; the
+   *   index alone answers without one
+   */
+  async resolve(id, footballApi = null) {
+    if (id == null) return null;
+    if (/^\d+$/.test(String(id))) return parseInt(id, 10);
+
+    const parsed = parseMatchSlug(id);
+    if (!parsed) return null;
+
+    try {
+      const row = await MatchSlug.findOne({ slug: id }).select('fixtureId').lean();
+      if (row) return row.fixtureId;
+
+      const rows = await MatchSlug.find({
+        kickoff: { $gte: new Date(parsed.kickoffMs - WINDOW_MS), $lte: new Date(parsed.kickoffMs + WINDOW_MS) },
+        kind: { $ne: 'alias' }
+      }).select('fixtureId kickoff homeSlug awaySlug').lean();
+      const found = pickFixture(rows.map(r => ({
+        fixtureId: r.fixtureId,
+        kickoffMs: new Date(r.kickoff).getTime(),
+        homeSlug: r.homeSlug,
+        awaySlug: r.awaySlug
+      })), parsed);
+      if (found) {
+        if (found.certain) await this.alias(id, found);
+        return found.fixtureId;
+      }
+    } catch (error) {
+      console.error('   [MatchSlugs] Index lookup failed:', error.message);
+    }
+
+    return footballApi ? this.resolveFromApi(id, parsed, footballApi) : null;
+  }
+
+  /**
+   * Last resort: every fixture of the UTC days around the slug's kickoff.
+   * No timezone param — API-Sports then reads `date` as UTC, like the slug.
+   */
+  async resolveFromApi(id, parsed, footballApi) {
+    const dayMs = 86_400_000;
+    const baseMs = new Date(new Date(parsed.kickoffMs).toISOString().split('T')[0] + 'T00:00:00.000Z').getTime();
+    const dates = [baseMs - dayMs, baseMs, baseMs + dayMs].map(ms => new Date(ms).toISOString().split('T')[0]);
+    console.log(`   📥 Slug not indexed, searching fixtures of ${dates.join(', ')} (UTC)...`);
+
+    const responses = await Promise.allSettled(
+      dates.map(date => footballApi.get('/fixtures', { params: { date } }))
+    );
+    const fixturesById = new Map();
+    for (const r of responses) {
+      if (r.status !== 'fulfilled') continue;
+      for (const f of (r.value.data?.response || [])) {
+        if (f?.fixture?.id != null) fixturesById.set(f.fixture.id, f);
+      }
+    }
+
+    const found = pickFixture(Array.from(fixturesById.values()).map(candidateOf), parsed);
+    if (!found) return null;
+
+    await this.record([fixturesById.get(found.fixtureId)])
+      .catch(error => console.error('   [MatchSlugs] Index write failed:', error.message));
+    if (found.certain) await this.alias(id, found);
+    return found.fixtureId;
+  }
+}
+
+const matchSlugs = new MatchSlugsService();
+matchSlugs.pickFixture = pickFixture;
+
+module.exports = matchSlugs;
@@ -10,11 +10,17 @@
  * Source: API-Sports /injuries returns per-fixture injury rows. We scope
  * to upcoming fixtures (next 14 days) per league so we surface what
  * matters: who will be missing for the next match.
+ *
+ * The same rows keep the team availability board current
+ * (services/teamAvailability.js) — that part runs even when no article
+ * slots are left.
  */
 
 const Article = require('../../models/Article');
+const teamAvailability = require('../teamAvailability');
 const { writeArticle } = require('./llm-writer');
 const { TARGET_LEAGUES, pickFallbackImage, currentSeason } = require('./constants');
+const { DEFAULT_TIMEZONE } = require('../../utils/dateTime');
 
 async function getInjuriesForLeague(footballApi, leagueId, season) {
   const today = new Date();
@@ -49,7 +55,7 @@ function buildFacts(row) {
     ? new Date(fixture.date).toLocaleString('vi-VN', {
         day: '2-digit', month: '2-digit', year: 'numeric',
         hour: '2-digit', minute: '2-digit',
-        timeZone: 'Asia/Ho_Chi_Minh',
+        timeZone: DEFAULT_TIMEZONE,
       })
     : 'chưa xác định';
   return [
@@ -85,10 +91,11 @@ async function generateForRow(row) {
 }
 
 async function run(footballApi, slotsAvailable = 3) {
-  if (slotsAvailable <= 0) return 0;
   const season = currentSeason();
-  const hour = new Date().getHours();
-  const leagueIdx = Math.floor(hour / 6) % TARGET_LEAGUES.length;
+  // 4 runs a day; the day offset makes every league come round, not just the first 4
+  const now = new Date();
+  const day = Math.floor(now.getTime() / 86400000);
+  const leagueIdx = (day * 4 + Math.floor(now.getHours() / 6)) % TARGET_LEAGUES.length;
   const leagueId = TARGET_LEAGUES[leagueIdx];
 
   console.log(`📰 [injury] league=${leagueId} season=${season} slots=${slotsAvailable}`);
@@ -100,6 +107,14 @@ async function run(footballApi, slotsAvailable = 3) {
     console.error('[injury] fetch failed:', err.message);
     return 0;
   }
+
+  try {
+    await teamAvailability.update(leagueId, season, rows);
+  } catch (err) {
+    console.error('[injury] availability update failed:', err.message);
+  }
+
+  if (slotsAvailable <= 0) return 0;
   if (!rows.length) {
     console.log('[injury] no injuries returned');
     return 0;
@@ -12,6 +12,7 @@
 const Article = require('../../models/Article');
 const { writeArticle } = require('./llm-writer');
 const { TARGET_LEAGUES, pickFallbackImage } = require('./constants');
+const { DEFAULT_TIMEZONE } = require('../../utils/dateTime');
 
 async function getUpcomingTargetFixtures(footballApi) {
   const today = new Date().toISOString().split('T')[0];
@@ -48,7 +49,7 @@ function buildFacts(fixture, homeLU, awayLU) {
   const matchDate = new Date(fixture.fixture.date).toLocaleString('vi-VN', {
     day: '2-digit', month: '2-digit', year: 'numeric',
     hour: '2-digit', minute: '2-digit',
-    timeZone: 'Asia/Ho_Chi_Minh',
+    timeZone: DEFAULT_TIMEZONE,
   });
   return [
     `Trận đấu: ${home?.name} vs ${away?.name}`,
@@ -1,13 +1,15 @@
 /**
  * Data-Derived News Scheduler
  *
- * Wires 6 trigger generators on cron schedules with a hard daily cap of
+ * Wires 7 trigger generators on cron schedules with a hard daily cap of
  * 15 articles total. Each trigger runs only if cap remaining; receives the
  * remaining slot count so it can self-limit. All articles save as
  * status='draft' for admin review.
  *
  * Kill switch: set ENABLE_DATA_DERIVED_NEWS=true to enable. Default off so
- * deploys don't auto-resume LLM spend without explicit opt-in.
+ * deploys don't auto-resume LLM spend without explicit opt-in. The injury
+ * trigger runs regardless (no articles when off) because its rows feed the
+ * team availability board.
  */
 
 const cron = require('node-cron');
@@ -17,14 +19,16 @@ const lineupNews = require('./lineup-news');
 const formStreakDetector = require('./form-streak-detector');
 const milestoneTracker = require('./milestone-tracker');
 const topscorerRace = require('./topscorer-race');
+const upsetDetector = require('./upset-detector');
+const apiSports = require('../apiSportsGateway');
+const { DEFAULT_TIMEZONE } = require('../../utils/dateTime');
 
 const DAILY_CAP = 15;
-const TZ = 'Asia/Ho_Chi_Minh';
 
 const dailyCount = { date: '', count: 0 };
 
 function todayKey() {
-  return new Date().toLocaleDateString('en-CA', { timeZone: TZ });
+  return new Date().toLocaleDateString('en-CA', { timeZone: DEFAULT_TIMEZONE });
 }
 
 function slotsRemaining() {
@@ -42,13 +46,15 @@ function record(n, label) {
   console.log(`📰 [news-derived] ${label} +${n} → daily ${dailyCount.count}/${DAILY_CAP}`);
 }
 
-async function safeRun(label, fn, footballApi) {
-  const slots = slotsRemaining();
-  if (slots <= 0) {
+async function safeRun(label, fn, { alwaysRun = false, articles = true } = {}) {
+  const slots = articles ? slotsRemaining() : 0;
+  if (slots <= 0 && !alwaysRun) {
     console.log(`📰 [news-derived] ${label} skipped — daily cap ${DAILY_CAP} reached`);
     return;
   }
   try {
+    // Low priority: the gateway refuses these first when the daily quota runs short
+    const footballApi = apiSports.client(`news:${label}`, { priority: 'low' });
     const created = await fn(footballApi, slots);
     record(created, label);
   } catch (err) {
@@ -56,42 +62,44 @@ async function safeRun(label, fn, footballApi) {
   }
 }
 
-function startDataDerivedNewsScheduler(footballApi) {
+function startDataDerivedNewsScheduler() {
   const enabled = process.env.ENABLE_DATA_DERIVED_NEWS === 'true';
+
+  // Injury — every 6h (00,06,12,18 VN). Always scheduled: the rows also feed
+  // the team availability board; articles only when enabled and under cap.
+  cron.schedule('0 */6 * * *', () => safeRun('injury', injuryTracker.run, { alwaysRun: true, articles: enabled }),
+    { timezone: DEFAULT_TIMEZONE });
+
   if (!enabled) {
     console.log('📰 [news-derived] DISABLED (set ENABLE_DATA_DERIVED_NEWS=true to enable)');
     return;
   }
-  if (!footballApi) {
-    console.warn('📰 [news-derived] footballApi missing — scheduler not started');
-    return;
-  }
 
-  console.log(`📰 [news-derived] STARTED — cap ${DAILY_CAP}/day, 6 triggers, status=draft`);
+  console.log(`📰 [news-derived] STARTED — cap ${DAILY_CAP}/day, 7 triggers, status=draft`);
 
   // Suspension — daily 09:00 VN
-  cron.schedule('0 9 * * *', () => safeRun('suspension', suspensionWatcher.run, footballApi),
-    { timezone: TZ });
-
-  // Injury — every 6h (00,06,12,18 VN)
-  cron.schedule('0 */6 * * *', () => safeRun('injury', injuryTracker.run, footballApi),
-    { timezone: TZ });
+  cron.schedule('0 9 * * *', () => safeRun('suspension', suspensionWatcher.run),
+    { timezone: DEFAULT_TIMEZONE });
 
   // Lineup — every 30 min, only meaningful 1-2h before kick-off windows
-  cron.schedule('*/30 * * * *', () => safeRun('lineup', lineupNews.run, footballApi),
-    { timezone: TZ });
+  cron.schedule('*/30 * * * *', () => safeRun('lineup', lineupNews.run),
+    { timezone: DEFAULT_TIMEZONE });
 
   // Form streak — Monday 10:00 VN
-  cron.schedule('0 10 * * 1', () => safeRun('form-streak', formStreakDetector.run, footballApi),
-    { timezone: TZ });
+  cron.schedule('0 10 * * 1', () => safeRun('form-streak', formStreakDetector.run),
+    { timezone: DEFAULT_TIMEZONE });
 
   // Milestone — Tuesday 10:00 VN
-  cron.schedule('0 10 * * 2', () => safeRun('milestone', milestoneTracker.run, footballApi),
-    { timezone: TZ });
+  cron.schedule('0 10 * * 2', () => safeRun('milestone', milestoneTracker.run),
+    { timezone: DEFAULT_TIMEZONE });
 
   // Top-scorer race — Wednesday 10:00 VN
-  cron.schedule('0 10 * * 3', () => safeRun('topscorer-race', topscorerRace.run, footballApi),
-    { timezone: TZ });
+  cron.schedule('0 10 * * 3', () => safeRun('topscorer-race', topscorerRace.run),
+    { timezone: DEFAULT_TIMEZONE });
+
+  // Upset — daily 08:00 VN, after the 04:00 Elo update flagged them
+  cron.schedule('0 8 * * *', () => safeRun('upset', upsetDetector.run),
+    { timezone: DEFAULT_TIMEZONE });
 }
 
 module.exports = { startDataDerivedNewsScheduler, DAILY_CAP };
@@ -7,7 +7,8 @@
  *   1. Pick the league bucket for today (round-robin across TARGET_LEAGUES)
  *   2. Pull next-round fixtures → unique team set (max 10 teams)
  *   3. For each team query /players?team=&season= → squad with season stats
- *   4. Filter players where cards.yellow >= SUSPENSION_YELLOW_THRESHOLD
+ *   4. Filter players where cards.yellow >= the league's first ban threshold
+ *      minus one (config DISCIPLINE_RULES, else SUSPENSION_YELLOW_THRESHOLD)
  *      AND cards.yellowred === null/0 (still active, not already suspended)
  *   5. For top N candidates: write 350-500 word article, save status='draft'
  *
@@ -17,6 +18,7 @@
  */
 
 const Article = require('../../models/Article');
+const { getDisciplineRules } = require('../../config/allowedCompetitions');
 const { writeArticle } = require('./llm-writer');
 const {
   TARGET_LEAGUES,
@@ -62,6 +64,8 @@ async function getSquadCardStats(footballApi, teamId, season) {
 }
 
 function pickAtRisk(squadResp, leagueId) {
+  const rules = getDisciplineRules(leagueId);
+  const threshold = rules ? rules.thresholds[0].yellows - 1 : SUSPENSION_YELLOW_THRESHOLD;
   const out = [];
   for (const item of squadResp) {
     const player = item.player;
@@ -69,7 +73,7 @@ function pickAtRisk(squadResp, leagueId) {
     if (!stats) continue;
     const yellow = stats.cards?.yellow ?? 0;
     const yellowRed = stats.cards?.yellowred ?? 0;
-    if (yellow >= SUSPENSION_YELLOW_THRESHOLD && yellowRed === 0) {
+    if (yellow >= threshold && yellowRed === 0) {
       out.push({
         playerId: player.id,
         playerName: player.name,
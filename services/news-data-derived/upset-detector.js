@@ -0,0 +1,128 @@
+/**
+ * Upset Detector
+ *
+ * Daily job after the nightly Elo update (services/eloRatings.js): wins the
+ * Elo model gave less than ELO_UPSET_THRESHOLD win expectancy are flagged
+ * `upset` in EloHistory. Each one in the target leagues yields one article,
+ * biggest surprise (lowest expectancy) first.
+ *
+ *   dedupKey = `upset-{fixtureId}`
+ */
+
+const Article = require('../../models/Article');
+const EloHistory = require('../../models/EloHistory');
+const TeamElo = require('../../models/TeamElo');
+const { writeArticle } = require('./llm-writer');
+const { TARGET_LEAGUES, pickFallbackImage } = require('./constants');
+
+const LOOKBACK_DAYS = 3;
+
+/**
+ * Winner rows of recent upsets with the loser's side of the same fixture
+ */
+async function recentUpsets() {
+  const since = new Date(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const winners = (await EloHistory.recentUpsets(since, 50))
+    .filter(row => TARGET_LEAGUES.includes(row.leagueId));
+  if (!winners.length) return [];
+
+  const losers = await EloHistory.find({
+    fixtureId: { $in: winners.map(w => w.fixtureId) },
+    upset: false
+  }).lean();
+  const loserByFixture = new Map(losers.map(row => [row.fixtureId, row]));
+
+  const teams = await TeamElo.find({ teamId: { $in: winners.map(w => w.teamId) } }).select('teamId name logo').lean();
+  const teamById = new Map(teams.map(t => [t.teamId, t]));
+
+  return winners
+    .map(winner => ({ winner, loser: loserByFixture.get(winner.fixtureId), team: teamById.get(winner.teamId) }))
+    .filter(u => u.loser)
+    .sort((a, b) => a.winner.expected - b.winner.expected);
+}
+
+function buildFacts({ winner, loser, team }) {
+  const venue = winner.home ? 'sân nhà' : 'sân khách';
+  return [
+    `Giải đấu: ${winner.leagueName}`,
+    `Ngày: ${new Date(winner.date).toISOString().split('T')[0]}`,
+    `Đội thắng bất ngờ: ${team?.name || loser.opponentName} (đá ${venue})`,
+    `Đối thủ: ${winner.opponentName}`,
+    `Tỷ số: ${team?.name || loser.opponentName} ${winner.goalsFor}-${winner.goalsAgainst} ${winner.opponentName}`,
+    `Điểm Elo trước trận: ${team?.name || loser.opponentName} ${winner.ratingBefore}, ${winner.opponentName} ${loser.ratingBefore}`,
+    `Xác suất thắng trước trận theo Elo: ${Math.round(winner.expected * 100)}%`,
+    `Điểm Elo sau trận: ${team?.name || loser.opponentName} ${winner.ratingAfter} (+${winner.change}), ${winner.opponentName} ${loser.ratingAfter} (${loser.change})`,
+  ].join('\n');
+}
+
+async function generateForUpset(u) {
+  const winnerName = u.team?.name || u.loser.opponentName;
+  return writeArticle({
+    systemContext: 'Bạn là phóng viên thể thao chuyên nghiệp viết bài về một kết quả bất ngờ bằng tiếng Việt.',
+    factsBlock: buildFacts(u),
+    titleHint: { subject: winnerName },
+    minWords: 300,
+    structureBlock: [
+      '   ## Kết quả bất ngờ',
+      `   (100-150 từ) ${winnerName} thắng ${u.winner.opponentName} ${u.winner.goalsFor}-${u.winner.goalsAgainst} dù chỉ được đánh giá ${Math.round(u.winner.expected * 100)}% khả năng thắng.`,
+      '',
+      '   ## Chênh lệch sức mạnh',
+      '   (120-160 từ) Giải thích chênh lệch điểm Elo trước trận và điểm mỗi đội được/mất sau trận.',
+      '',
+      '   ## Ý nghĩa',
+      `   (80-120 từ) Kết quả này thay đổi gì với vị thế của ${winnerName} — chỉ nêu sự kiện khách quan.`,
+    ].join('\n'),
+  });
+}
+
+async function run(footballApi, slotsAvailable = 2) {
+  if (slotsAvailable <= 0) return 0;
+
+  const upsets = await recentUpsets();
+  console.log(`📰 [upset] ${upsets.length} recent upset(s), slots=${slotsAvailable}`);
+  if (!upsets.length) return 0;
+
+  let created = 0;
+  for (const u of upsets) {
+    if (created >= slotsAvailable) break;
+    const dedupKey = `upset-${u.winner.fixtureId}`;
+    if (await Article.existsByDedupKey(dedupKey)) continue;
+
+    const winnerName = u.team?.name || u.loser.opponentName;
+    let ai;
+    try {
+      ai = await generateForUpset(u);
+    } catch (err) {
+      console.warn(`[upset] LLM fail ${winnerName} vs ${u.winner.opponentName}:`, err.message);
+      continue;
+    }
+
+    const article = new Article({
+      originalTitle: ai.title,
+      source: 'data-derived/upset',
+      title: ai.title,
+      description: ai.description,
+      content: ai.content,
+      tags: ai.tags.length ? ai.tags : [winnerName, u.winner.opponentName, u.winner.leagueName],
+      image: u.team?.logo || pickFallbackImage(),
+      category: 'analysis',
+      status: 'draft',
+      pubDate: new Date(),
+      aiModel: 'claude-haiku-4-5-20251001',
+      metadata: { dedupKey, type: 'upset' },
+    });
+
+    try {
+      await article.save();
+      console.log(`   ✅ [upset] ${winnerName} ${u.winner.goalsFor}-${u.winner.goalsAgainst} ${u.winner.opponentName} — ${article.title}`);
+      created++;
+    } catch (err) {
+      console.warn(`   ❌ save failed:`, err.message);
+    }
+    await new Promise(r => setTimeout(r, 1500));
+  }
+
+  return created;
+}
+
+module.exports = { run };
@@ -1,5 +1,6 @@
 const Odds = require('../models/Odds');
 const { transformOdds } = require('../utils/transformers');
+const oddsHistory = require('./oddsHistory');
 
 class OddsCacheService {
   
@@ -152,14 +153,18 @@ class OddsCacheService {
    * Save or update odds in cache
    * @param {Object} fixtureData - Fixture data from API
    * @param {Array} oddsData - Odds data from API-Sports
+   * @param {string} source - Recorded on odds history rows ("odds-sync", "worker:hot-odds")
    * @returns {Promise<Object>} - Saved odds document
    */
-  async saveOdds(fixtureData, oddsData) {
+  async saveOdds(fixtureData, oddsData, source = 'on-demand') {
     try {
       const { fixture, teams, league } = fixtureData;
       
       // Transform odds data to our format
       const bookmakers = transformOdds(oddsData);
+
+      // Append changed markets to the line history before the cache overwrite
+      await oddsHistory.recordSnapshots(fixtureData, bookmakers, source);
       
       // Determine match status
       const matchStatus = this.getMatchStatus(fixture.status.short);
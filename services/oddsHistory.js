@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const OddsSnapshot = require('../models/OddsSnapshot');
+const { splitLine } = require('../utils/oddsMarkets');
+
+/**
+ * Retention (env, in days after kick-off):
+ *   ODDS_HISTORY_TICK_DAYS       keep every intraday tick this long (default 14),
+ *                                then thin to opening + closing line per market
+ *   ODDS_HISTORY_RETENTION_DAYS  drop everything older than this (default 0 = keep forever)
+ */
+const TICK_DAYS = parseInt(process.env.ODDS_HISTORY_TICK_DAYS, 10) || 14;
+const RETENTION_DAYS = parseInt(process.env.ODDS_HISTORY_RETENTION_DAYS, 10) || 0;
+
+// Markets whose values carry a line ("Home -0.25", "Over 2.5")
+const LINE_MARKETS = [
+  'asian_handicap',
+  'asian_handicap_first_half',
+  'goals_over_under',
+  'goals_over_under_first_half',
+  'corners_over_under',
+  'corners_over_under_first_half'
+];
+
+function hashValues(values) {
+  const canonical = values
+    .map(v => `${v.value}=${v.odd}`)
+    .sort()
+    .join('|');
+  return crypto.createHash('sha1').update(canonical).digest('hex');
+}
+
+/**
+ * Main (balanced) line of a line market: the pair whose two prices are
+ * closest together. Returns e.g. { line: '-0.75', odds: ['1.95', '1.91'] }.
+ */
+function mainLine(market, values) {
+  if (!LINE_MARKETS.includes(market)) return null;
+
+  const byLine = new Map();
+  for (const v of values || []) {
+    const { line } = splitLine(v.value);
+    if (line === null) continue;
+    if (!byLine.has(line)) byLine.set(line, []);
+    byLine.get(line).push(v.odd);
+  }
+
+  let best = null;
+  for (const [line, odds] of byLine) {
+    if (odds.length !== 2) continue;
+    const gap = Math.abs(parseFloat(odds[0]) - parseFloat(odds[1]));
+    if (isNaN(gap)) continue;
+    if (!best || gap < best.gap) best = { line, odds, gap };
+  }
+
+  return best ? { line: best.line, odds: best.odds } : null;
+}
+
+class OddsHistoryService {
+
+  /**
+   * Append a snapshot row for every bookmaker market whose values changed
+   * since its last recorded row.
+   * @param {Object} fixtureData - Fixture data from API-Sports
+   * @param {Array} bookmakers - Bookmakers as produced by transformOdds
+   * @param {string} source - Who observed the change
+   * @returns {Promise<number>} - Rows written
+   */
+  async recordSnapshots(fixtureData, bookmakers, source) {
+    try {
+      const { fixture, league } = fixtureData;
+      if (!bookmakers || bookmakers.length === 0) return 0;
+
+      const latest = await OddsSnapshot.aggregate([
+        { $match: { fixtureId: fixture.id } },
+        { $sort: { capturedAt: -1 } },
+        {
+          $group: {
+            _id: { bookmakerId: '$bookmakerId', market: '$market' },
+            hash: { $first: '$hash' }
+          }
+        }
+      ]);
+      const lastHash = new Map(latest.map(row => [`${row._id.bookmakerId}:${row._id.market}`, row.hash]));
+
+      const now = new Date();
+      const rows = [];
+      for (const bookmaker of bookmakers) {
+        for (const bet of bookmaker.bets || []) {
+          const values = (bet.values || []).map(v => ({ value: String(v.value), odd: String(v.odd) }));
+          if (values.length === 0) continue;
+
+          const hash = hashValues(values);
+          if (lastHash.get(`${bookmaker.id}:${bet.type}`) === hash) continue;
+
+          rows.push({
+            fixtureId: fixture.id,
+            leagueId: league?.id,
+            matchDate: new Date(fixture.date),
+            bookmakerId: bookmaker.id,
+            bookmakerName: bookmaker.name,
+            market: bet.type,
+            betName: bet.name,
+            values,
+            hash,
+            source,
+            capturedAt: now
+          });
+        }
+      }
+
+      if (rows.length > 0) {
+        await OddsSnapshot.insertMany(rows, { ordered: false });
+        console.log(`   [OddsHistory] Fixture ${fixture.id}: ${rows.length} market(s) moved`);
+      }
+      return rows.length;
+
+    } catch (error) {
+      // History is best-effort: never fail the cache write because of it
+      console.error('[OddsHistory] Error recording snapshots:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Line movement for a fixture, one series per bookmaker + market.
+   * @param {number} fixtureId
+   * @param {Object} filters - { bookmakerId, market } (both optional)
+   */
+  async getHistory(fixtureId, { bookmakerId, market } = {}) {
+    const query = { fixtureId };
+    if (bookmakerId) query.bookmakerId = bookmakerId;
+    if (market) query.market = market;
+
+    const rows = await OddsSnapshot.find(query)
+      .sort({ bookmakerId: 1, market: 1, capturedAt: 1 })
+      .lean();
+
+    const series = new Map();
+    for (const row of rows) {
+      const key = `${row.bookmakerId}:${row.market}`;
+      if (!series.has(key)) {
+        series.set(key, {
+          bookmaker: { id: row.bookmakerId, name: row.bookmakerName },
+          market: row.market,
+          betName: row.betName,
+          matchDate: row.matchDate,
+          points: []
+        });
+      }
+      series.get(key).points.push({
+        capturedAt: row.capturedAt,
+        values: row.values,
+        mainLine: mainLine(row.market, row.values),
+        kind: row.kind
+      });
+    }
+
+    return Array.from(series.values()).map(s => {
+      const opening = s.points[0];
+      const latest = s.points[s.points.length - 1];
+      const preMatch = s.matchDate
+        ? s.points.filter(p => new Date(p.capturedAt) <= new Date(s.matchDate))
+        : [];
+      const closing = s.points.find(p => p.kind === 'closing') || preMatch[preMatch.length - 1] || null;
+
+      return {
+        bookmaker: s.bookmaker,
+        market: s.market,
+        betName: s.betName,
+        opening,
+        latest,
+        closing,
+        movements: s.points.length - 1,
+        points: s.points
+      };
+    });
+  }
+
+  /**
+   * Apply retention: thin finished fixtures down to opening + closing rows,
+   * then drop everything past the hard retention window.
+   * @returns {Promise<{ thinned: number, expired: number }>}
+   */
+  async prune() {
+    const now = Date.now();
+    const tickCutoff = new Date(now - TICK_DAYS * 24 * 60 * 60 * 1000);
+    let thinned = 0;
+    let expired = 0;
+
+    try {
+      const groups = await OddsSnapshot.aggregate([
+        { $match: { kind: 'tick', matchDate: { $lt: tickCutoff } } },
+        { $sort: { capturedAt: 1 } },
+        {
+          $group: {
+            _id: { fixtureId: '$fixtureId', bookmakerId: '$bookmakerId', market: '$market' },
+            matchDate: { $first: '$matchDate' },
+            rows: { $push: { id: '$_id', capturedAt: '$capturedAt' } }
+          }
+        }
+      ]);
+
+      for (const group of groups) {
+        // Only rows still tagged 'tick' are in `rows`; an opening row kept by
+        // an earlier run is never re-considered.
+        const hasOpening = await OddsSnapshot.exists({ ...group._id, kind: 'opening' });
+        const opening = hasOpening ? null : group.rows[0];
+        const preMatch = group.rows.filter(r => r.capturedAt <= group.matchDate);
+        const closing = preMatch[preMatch.length - 1] || null;
+
+        const keep = new Set();
+        if (opening) {
+          await OddsSnapshot.updateOne({ _id: opening.id }, { $set: { kind: 'opening' } });
+          keep.add(String(opening.id));
+        }
+        if (closing && !keep.has(String(closing.id))) {
+          await OddsSnapshot.updateOne({ _id: closing.id }, { $set: { kind: 'closing' } });
+          keep.add(String(closing.id));
+        }
+
+        const drop = group.rows.filter(r => !keep.has(String(r.id))).map(r => r.id);
+        if (drop.length > 0) {
+          const result = await OddsSnapshot.deleteMany({ _id: { $in: drop } });
+          thinned += result.deletedCount;
+        }
+      }
+
+      if (RETENTION_DAYS > 0) {
+        const hardCutoff = new Date(now - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const result = await OddsSnapshot.deleteMany({ matchDate: { $lt: hardCutoff } });
+        expired = result.deletedCount;
+      }
+
+      console.log(`   [OddsHistory] Retention: thinned ${thinned} tick(s), expired ${expired} row(s)`);
+    } catch (error) {
+      console.error('[OddsHistory] Retention failed:', error.message);
+    }
+
+    return { thinned, expired };
+  }
+}
+
+const oddsHistory = new OddsHistoryService();
+oddsHistory.mainLine = mainLine;
+
+module.exports = oddsHistory;
@@ -1,5 +1,7 @@
 const oddsCache = require('./oddsCache');
 const FootballApi = require('../utils/footballApi');
+const matchSlugs = require('./matchSlugs');
+const fixtureChanges = require('./fixtureChanges');
 
 // Read bookmaker IDs from environment variable - empty means fetch ALL bookmakers
 const DEFAULT_BOOKMAKERS = process.env.DEFAULT_BOOKMAKERS || '';
@@ -80,7 +82,7 @@ class OddsSyncJob {
 
       console.log(`   Found ${liveFixtures.length} live matches`);
 
-      const footballApi = new FootballApi();
+      const footballApi = new FootballApi('job:odds-sync');
       let updated = 0;
 
       // Update live matches one by one (high priority)
@@ -99,7 +101,8 @@ class OddsSyncJob {
             const fixtureData = await footballApi.getFixtures({ id: fixtureId });
 
             if (fixtureData && fixtureData.length > 0) {
-              await oddsCache.saveOdds(fixtureData[0], oddsData);
+              await this.trackFixtures(fixtureData);
+              await oddsCache.saveOdds(fixtureData[0], oddsData, 'odds-sync');
               updated++;
               console.log(`   ✓ Updated live fixture ${fixtureId}`);
             }
@@ -152,7 +155,7 @@ class OddsSyncJob {
 
       console.log(`   ${urgentFixtures.length} matches starting soon (< 2 hours)`);
 
-      const footballApi = new FootballApi();
+      const footballApi = new FootballApi('job:odds-sync');
       let updated = 0;
 
       for (const fixture of urgentFixtures) {
@@ -168,7 +171,8 @@ class OddsSyncJob {
             const fixtureData = await footballApi.getFixtures({ id: fixture.fixtureId });
 
             if (fixtureData && fixtureData.length > 0) {
-              await oddsCache.saveOdds(fixtureData[0], oddsData);
+              await this.trackFixtures(fixtureData);
+              await oddsCache.saveOdds(fixtureData[0], oddsData, 'odds-sync');
               updated++;
               console.log(`   ✓ Updated fixture ${fixture.fixtureId}`);
             }
@@ -217,7 +221,7 @@ class OddsSyncJob {
 
       console.log(`   Updating top ${toUpdate.length} fixtures by priority`);
 
-      const footballApi = new FootballApi();
+      const footballApi = new FootballApi('job:odds-sync');
       let updated = 0;
 
       for (const fixture of toUpdate) {
@@ -231,7 +235,8 @@ class OddsSyncJob {
             const fixtureData = await footballApi.getFixtures({ id: fixture.fixtureId });
 
             if (fixtureData && fixtureData.length > 0) {
-              await oddsCache.saveOdds(fixtureData[0], oddsData);
+              await this.trackFixtures(fixtureData);
+              await oddsCache.saveOdds(fixtureData[0], oddsData, 'odds-sync');
               updated++;
             }
           }
@@ -260,7 +265,7 @@ class OddsSyncJob {
     console.log(`\n=== Pre-caching league ${leagueId} season ${seasonYear} ===`);
 
     try {
-      const footballApi = new FootballApi();
+      const footballApi = new FootballApi('job:odds-sync');
 
       // Get upcoming fixtures for this league
       const fixtures = await footballApi.getFixtures({
@@ -271,6 +276,7 @@ class OddsSyncJob {
       });
 
       console.log(`Found ${fixtures.length} upcoming fixtures`);
+      await this.trackFixtures(fixtures);
 
       let cached = 0;
 
@@ -302,7 +308,7 @@ class OddsSyncJob {
           }
 
           if (oddsData && oddsData.length > 0) {
-            await oddsCache.saveOdds(fixture, oddsData);
+            await oddsCache.saveOdds(fixture, oddsData, 'odds-sync');
             cached++;
             console.log(`   ✓ Cached fixture ${fixture.fixture.id}`);
           }
@@ -322,6 +328,24 @@ class OddsSyncJob {
     }
   }
 
+  /**
+   * Keep fixture change detection (services/fixtureChanges.js) and the match
+   * slug index (services/matchSlugs.js) current — kickoffs moved since the
+   * worker last saw a fixture turn up here first
+   */
+  async trackFixtures(fixtures) {
+    try {
+      await fixtureChanges.inspect(fixtures, { source: 'odds-sync' });
+    } catch (error) {
+      console.error('   Failed to check fixture changes:', error.message);
+    }
+    try {
+      await matchSlugs.record(fixtures);
+    } catch (error) {
+      console.error('   Failed to index match slugs:', error.message);
+    }
+  }
+
   /**
    * Get stats for monitoring
    */
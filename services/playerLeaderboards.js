@@ -0,0 +1,212 @@
+// services/playerLeaderboards.js - Season player leaderboards from match ratings
+//
+// Computed from PlayerMatchRating (services/teamOfTheWeek.js), one row per
+// player per match, instead of proxying /players/topscorers-style
+// endpoints: average rating, key passes, dribbles, tackles + interceptions,
+// saves, goalkeeper clean sheets, minutes and goal contributions per 90.
+//
+// One aggregate per league-season serves every metric (cached
+// AGGREGATE_TTL_MS). The daily sync() backfills ratings of the season's
+// finished fixtures a few API calls at a time, so the tables converge to
+// the full season instead of covering only the rounds Team of the Week saw.
+
+const PlayerMatchRating = require('../models/PlayerMatchRating');
+const teamOfTheWeek = require('./teamOfTheWeek');
+const { LEAGUES, currentSeasonForLeague } = require('../utils/leagueSlugs');
+
+// ============================================
+// CẤU HÌNH: Leaderboards
+// ============================================
+// key: API ?metric= · slug: SSR /top-cau-thu/:league/:slug
+// minMinutes: default qualifying minutes (?minMinutes= overrides)
+// position: only players whose most frequent position matches
+// per90: also report the per-90 rate of a counting stat
+const METRICS = [
+  { key: 'rating', slug: 'diem-trung-binh', label: 'Điểm trung bình', minMinutes: 450, decimals: 2 },
+  { key: 'goal-contributions-per-90', slug: 'ghi-ban-kien-tao-moi-90-phut', label: 'Bàn thắng + kiến tạo / 90 phút', minMinutes: 600, decimals: 2 },
+  { key: 'key-passes', slug: 'chuyen-bong-quyet-dinh', label: 'Đường chuyền quyết định', minMinutes: 270, per90: true },
+  { key: 'dribbles', slug: 'qua-nguoi', label: 'Qua người thành công', minMinutes: 270, per90: true },
+  { key: 'tackles-interceptions', slug: 'tac-bong-cat-bong', label: 'Tắc bóng + cắt bóng', minMinutes: 270, per90: true },
+  { key: 'saves', slug: 'cuu-thua', label: 'Pha cứu thua', minMinutes: 270, position: 'G', per90: true },
+  { key: 'clean-sheets', slug: 'giu-sach-luoi', label: 'Giữ sạch lưới', minMinutes: 270, position: 'G' },
+  { key: 'minutes', slug: 'so-phut-thi-dau', label: 'Số phút thi đấu', minMinutes: 0 }
+];
+
+const CLEAN_SHEET_MIN_MINUTES = 60;    // keeper on the pitch ≥ 60' without conceding
+const AGGREGATE_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const METRIC_VALUES = {
+  'rating': p => p.ratingSum / p.matches,
+  'goal-contributions-per-90': p => (p.goals + p.assists) / p.minutes * 90,
+  'key-passes': p => p.keyPasses,
+  'dribbles': p => p.dribbles,
+  'tackles-interceptions': p => p.tackles + p.interceptions,
+  'saves': p => p.saves,
+  'clean-sheets': p => p.cleanSheets,
+  'minutes': p => p.minutes
+};
+
+function getMetric(keyOrSlug) {
+  return METRICS.find(m => m.key === keyOrSlug || m.slug === keyOrSlug) || null;
+}
+
+function round(value, decimals = 0) {
+  const f = 10 ** decimals;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Per-player season totals → ranked rows of one metric
+ */
+function rank(players, metric, { minMinutes = metric.minMinutes, limit = DEFAULT_LIMIT } = {}) {
+  const value = METRIC_VALUES[metric.key];
+  return players
+    .filter(p => p.minutes > 0 && p.minutes >= minMinutes && (!metric.position || p.position === metric.position))
+    .map(p => ({ player: p, value: value(p) }))
+    .filter(r => r.value > 0)
+    .sort((a, b) => b.value - a.value || a.player.minutes - b.player.minutes)
+    .slice(0, limit)
+    .map((r, i) => ({
+      rank: i + 1,
+      playerId: r.player.playerId,
+      name: r.player.name,
+      photo: r.player.photo,
+      teamId: r.player.teamId,
+      teamName: r.player.teamName,
+      position: r.player.position,
+      matches: r.player.matches,
+      minutes: r.player.minutes,
+      value: round(r.value, metric.decimals || 0),
+      ...(metric.per90 ? { per90: round(r.value / r.player.minutes * 90, 2) } : {})
+    }));
+}
+
+class PlayerLeaderboardsService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Season totals per player (latest team, most frequent position)
+   */
+  async seasonTotals(leagueId, season) {
+    const key = `${leagueId}-${season}`;
+    const hit = this.cache.get(key);
+    if (hit && Date.now() - hit.at < AGGREGATE_TTL_MS) return hit.data;
+
+    const [rows, fixtureIds] = await Promise.all([PlayerMatchRating.aggregate([
+      { $match: { leagueId, season } },
+      { $sort: { date: 1 } },
+      {
+        $group: {
+          _id: '$playerId',
+          name: { $last: '$playerName' },
+          photo: { $last: '$photo' },
+          teamId: { $last: '$teamId' },
+          teamName: { $last: '$teamName' },
+          positions: { $push: '$position' },
+          matches: { $sum: 1 },
+          minutes: { $sum: '$minutes' },
+          ratingSum: { $sum: '$rating' },
+          goals: { $sum: '$goals' },
+          assists: { $sum: '$assists' },
+          keyPasses: { $sum: '$keyPasses' },
+          dribbles: { $sum: '$dribblesSuccess' },
+          tackles: { $sum: '$tackles' },
+          interceptions: { $sum: '$interceptions' },
+          saves: { $sum: '$saves' },
+          cleanSheets: {
+            $sum: {
+              $cond: [{
+                $and: [
+                  { $eq: ['$position', 'G'] },
+                  { $gte: ['$minutes', CLEAN_SHEET_MIN_MINUTES] },
+                  { $eq: ['$conceded', 0] }
+                ]
+              }, 1, 0]
+            }
+          }
+        }
+      }
+    ]), PlayerMatchRating.distinct('fixtureId', { leagueId, season })]);
+
+    const players = rows.map(({ _id, positions, ...totals }) => {
+      const counts = {};
+      for (const pos of positions) if (pos) counts[pos] = (counts[pos] || 0) + 1;
+      const position = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+      return { playerId: _id, position, ...totals };
+    });
+
+    const data = { players, fixtures: fixtureIds.length };
+    this.cache.set(key, { at: Date.now(), data });
+    return data;
+  }
+
+  /**
+   * One metric's table
+   * @returns {Promise<Object|null>} null for an unknown metric
+   */
+  async leaderboard(leagueId, season, metricKey, { minMinutes = null, limit = DEFAULT_LIMIT } = {}) {
+    const metric = getMetric(metricKey);
+    if (!metric) return null;
+
+    const { players, fixtures } = await this.seasonTotals(leagueId, season);
+    const threshold = minMinutes == null ? metric.minMinutes : minMinutes;
+    return {
+      leagueId,
+      season,
+      metric: metric.key,
+      label: metric.label,
+      minMinutes: threshold,
+      fixtures,
+      items: rank(players, metric, { minMinutes: threshold, limit: Math.min(limit, MAX_LIMIT) })
+    };
+  }
+
+  /**
+   * Top `limit` of every metric (SSR hub)
+   */
+  async leaders(leagueId, season, { limit = 5 } = {}) {
+    const { players, fixtures } = await this.seasonTotals(leagueId, season);
+    return {
+      leagueId,
+      season,
+      fixtures,
+      metrics: METRICS.map(metric => ({
+        metric: metric.key,
+        slug: metric.slug,
+        label: metric.label,
+        minMinutes: metric.minMinutes,
+        items: rank(players, metric, { limit })
+      }))
+    };
+  }
+
+  /**
+   * Daily: backfill missing season ratings of the SSR leagues
+   */
+  async sync() {
+    let fetched = 0;
+    for (const league of LEAGUES) {
+      try {
+        const result = await teamOfTheWeek.backfillSeason(league.id, currentSeasonForLeague(league));
+        fetched += result.fetched;
+      } catch (error) {
+        if (error.code === 'API_BUDGET_EXCEEDED') throw error;
+        console.error(`   [Leaderboards] League ${league.id} backfill failed:`, error.message);
+      }
+    }
+    this.cache.clear();
+    console.log(`📊 Player leaderboards: ${fetched} fixture(s) backfilled`);
+    return { fetched };
+  }
+}
+
+const playerLeaderboards = new PlayerLeaderboardsService();
+playerLeaderboards.METRICS = METRICS;
+playerLeaderboards.getMetric = getMetric;
+playerLeaderboards.rank = rank;
+
+module.exports = playerLeaderboards;
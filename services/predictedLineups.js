@@ -0,0 +1,398 @@
+// services/predictedLineups.js - Probable XIs from recent starting lineups
+//
+// Per team, the last HISTORY_FIXTURES finished lineups (any competition)
+// are weighted by recency and competition:
+//
+//   weight = RECENCY_DECAY^i × (same competition 1 | other OTHER_COMPETITION
+//            | friendly FRIENDLY)        i = 0 for the latest lineup
+//
+// The formation with the most weight wins; its latest lineup gives the
+// slots (API-Sports grid "row:col"). Players are assigned greedily by how
+// much weight they have in that slot, then in that position line, then
+// overall. Injured and suspended players (services/teamAvailability.js)
+// are left out, doubtful ones are discounted.
+//
+// Slot confidence = player's weighted start share × availability factor,
+// lowered when the player would be out of their usual slot.
+//
+// Official lineups are stored next to the prediction when they come out,
+// with the number of starters predicted right (accuracy()).
+
+const apiSports = require('./apiSportsGateway');
+const PredictedLineup = require('../models/PredictedLineup');
+const teamAvailability = require('./teamAvailability');
+const { getHotLeagueIds } = require('../config/allowedCompetitions');
+
+// ============================================
+// CẤU HÌNH: Predicted lineups
+// ============================================
+const HISTORY_FIXTURES = 10;
+const RECENCY_DECAY = 0.8;
+const OTHER_COMPETITION = 0.7;
+const FRIENDLY = 0.3;
+const DOUBTFUL_FACTOR = 0.5;
+const OUT_OF_SLOT_FACTOR = 0.8;
+const REGULAR_SHARE = 0.3;             // unavailable players above this are listed as excluded
+const ALTERNATIVES = 2;
+const IDS_PER_CALL = 20;               // API-Sports limit for /fixtures?ids=
+const HISTORY_TTL = 6 * 60 * 60 * 1000;
+const PREDICTION_TTL = 2 * 60 * 60 * 1000;
+const PRECOMPUTE_HOURS = 3;            // cron predicts hot-league fixtures this close to kick-off
+const EVALUATE_WINDOW_HOURS = 6;       // official lineups looked up until this long after kick-off
+
+const FINISHED_CODES = ['FT', 'AET', 'PEN'];
+const SCHEDULED_CODES = ['NS', 'TBD'];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function isOfficial(lineup) {
+  return (lineup?.startXI || []).length >= 11;
+}
+
+/**
+ * API fixture + one of its lineups → history entry
+ */
+function lineupEntry(fixture, lineup) {
+  return {
+    fixtureId: fixture.fixture.id,
+    date: new Date(fixture.fixture.date),
+    leagueId: fixture.league?.id,
+    leagueName: fixture.league?.name || '',
+    formation: lineup.formation || null,
+    starters: (lineup.startXI || [])
+      .filter(s => s.player?.id)
+      .map(({ player }) => ({ playerId: player.id, name: player.name, number: player.number ?? null, pos: player.pos || null, grid: player.grid || null }))
+  };
+}
+
+/**
+ * Probable XI of one team.
+ * @param {Array} history - lineupEntry() rows, any order
+ * @param {Object} options - { leagueId, statuses: Map playerId → status }
+ */
+function predictSide(history, { leagueId = null, statuses = new Map() } = {}) {
+  const lineups = history
+    .filter(h => h.starters.length >= 11)
+    .sort((a, b) => b.date - a.date)
+    .map((h, i) => {
+      const competition = h.leagueId === leagueId ? 1 : /friendl/i.test(h.leagueName) ? FRIENDLY : OTHER_COMPETITION;
+      return { ...h, weight: Math.pow(RECENCY_DECAY, i) * competition };
+    });
+  if (lineups.length === 0) return null;
+
+  const totalWeight = lineups.reduce((sum, l) => sum + l.weight, 0);
+  const votes = new Map();
+  for (const l of lineups) votes.set(l.formation, (votes.get(l.formation) || 0) + l.weight);
+  const [formation, formationWeight] = [...votes].sort((a, b) => b[1] - a[1])[0];
+  const template = lineups.find(l => l.formation === formation);
+
+  // playerId → weights overall, per slot (same formation) and per line
+  const players = new Map();
+  for (const l of lineups) {
+    for (const s of l.starters) {
+      const p = players.get(s.playerId) || { playerId: s.playerId, name: s.name, number: s.number, start: 0, slots: new Map(), lines: new Map() };
+      p.start += l.weight;
+      if (l.formation === formation && s.grid) p.slots.set(s.grid, (p.slots.get(s.grid) || 0) + l.weight);
+      if (s.pos) p.lines.set(s.pos, (p.lines.get(s.pos) || 0) + l.weight);
+      players.set(s.playerId, p);
+    }
+  }
+
+  const excluded = [];
+  const candidates = [];
+  for (const p of players.values()) {
+    const status = statuses.get(p.playerId) || 'available';
+    const share = p.start / totalWeight;
+    if (status === 'injured' || status === 'suspended') {
+      if (share >= REGULAR_SHARE) excluded.push({ playerId: p.playerId, name: p.name, status });
+      continue;
+    }
+    candidates.push({ ...p, share, factor: status === 'doubtful' ? DOUBTFUL_FACTOR : 1 });
+  }
+
+  const slots = template.starters.map(s => ({ grid: s.grid, pos: s.pos }));
+  const fit = (p, slot) => (slot.grid ? p.slots.get(slot.grid) || 0 : 0) / totalWeight;
+  const pairScore = (p, slot) =>
+    (fit(p, slot) + 0.5 * (p.lines.get(slot.pos) || 0) / totalWeight + 0.1 * p.share) * p.factor;
+
+  const pairs = [];
+  slots.forEach((slot, index) => {
+    for (const p of candidates) {
+      const score = pairScore(p, slot);
+      if (score > 0) pairs.push({ index, p, score });
+    }
+  });
+  pairs.sort((a, b) => b.score - a.score);
+
+  const taken = new Set();
+  const assigned = new Map();
+  for (const { index, p } of pairs) {
+    if (assigned.has(index) || taken.has(p.playerId)) continue;
+    assigned.set(index, p);
+    taken.add(p.playerId);
+  }
+
+  const confidence = (p, slot) => round2(Math.min(1, p.share * p.factor * (fit(p, slot) > 0 ? 1 : OUT_OF_SLOT_FACTOR)));
+
+  return {
+    formation,
+    formationConfidence: round2(formationWeight / totalWeight),
+    slots: slots.map((slot, index) => {
+      const p = assigned.get(index);
+      const alternatives = pairs
+        .filter(pair => pair.index === index && !taken.has(pair.p.playerId) && pair.p.lines.has(slot.pos))
+        .slice(0, ALTERNATIVES)
+        .map(pair => ({ playerId: pair.p.playerId, name: pair.p.name, confidence: confidence(pair.p, slot) }));
+      return {
+        ...slot,
+        playerId: p?.playerId ?? null,
+        name: p?.name ?? null,
+        number: p?.number ?? null,
+        confidence: p ? confidence(p, slot) : 0,
+        alternatives
+      };
+    }),
+    excluded,
+    basedOn: lineups.map(l => ({ fixtureId: l.fixtureId, date: l.date, leagueId: l.leagueId, formation: l.formation, weight: round2(l.weight) }))
+  };
+}
+
+/**
+ * Stored prediction side vs the official lineup of that team
+ */
+function scoreSide(predicted, officialLineup) {
+  const starters = (officialLineup?.startXI || []).map(s => s.player?.id).filter(Boolean);
+  const predictedIds = (predicted?.slots || []).map(s => s.playerId).filter(Boolean);
+  return {
+    official: { formation: officialLineup?.formation || null, starters },
+    accuracy: {
+      correct: predictedIds.filter(id => starters.includes(id)).length,
+      formation: !!predicted?.formation && predicted.formation === officialLineup?.formation
+    }
+  };
+}
+
+class PredictedLineupsService {
+  constructor() {
+    this.footballApi = apiSports.client('predicted-lineups');
+    this.history = new Map();     // teamId -> { at, data }
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Recent lineups of a team (cached)
+   */
+  async teamHistory(teamId) {
+    const hit = this.history.get(teamId);
+    if (hit && Date.now() - hit.at < HISTORY_TTL) return hit.data;
+    if (this.inFlight.has(teamId)) return this.inFlight.get(teamId);
+
+    const promise = (async () => {
+      const response = await this.footballApi.get('/fixtures', { params: { team: teamId, last: HISTORY_FIXTURES } });
+      const ids = (response.data?.response || [])
+        .filter(f => FINISHED_CODES.includes(f.fixture?.status?.short))
+        .map(f => f.fixture.id);
+
+      const data = [];
+      for (let i = 0; i < ids.length; i += IDS_PER_CALL) {
+        const res = await this.footballApi.get('/fixtures', { params: { ids: ids.slice(i, i + IDS_PER_CALL).join('-') } });
+        for (const fixture of res.data?.response || []) {
+          const lineup = (fixture.lineups || []).find(l => l.team?.id === teamId);
+          if (isOfficial(lineup)) data.push(lineupEntry(fixture, lineup));
+        }
+      }
+      this.history.set(teamId, { at: Date.now(), data });
+      return data;
+    })().finally(() => this.inFlight.delete(teamId));
+
+    this.inFlight.set(teamId, promise);
+    return promise;
+  }
+
+  async predictTeam(team, leagueId) {
+    const [history, board] = await Promise.all([
+      this.teamHistory(team.id),
+      teamAvailability.getBoard(team.id).catch(() => null)
+    ]);
+    const statuses = new Map((board?.players || []).map(p => [p.playerId, p.status]));
+    const side = predictSide(history, { leagueId, statuses });
+    return side ? { teamId: team.id, teamName: team.name, ...side } : null;
+  }
+
+  async save(fixtureId, fields) {
+    try {
+      await PredictedLineup.updateOne({ fixtureId }, { $set: fields }, { upsert: true });
+    } catch (error) {
+      // Another PM2 instance created the document first
+      if (error.code !== 11000) throw error;
+      await PredictedLineup.updateOne({ fixtureId }, { $set: fields });
+    }
+  }
+
+  /**
+   * Store official lineups next to a prediction made before them
+   */
+  async evaluate(doc, fixture) {
+    const lineups = fixture.lineups || [];
+    const home = scoreSide(doc.home, lineups.find(l => l.team?.id === doc.home?.teamId));
+    const away = scoreSide(doc.away, lineups.find(l => l.team?.id === doc.away?.teamId));
+    const fields = {
+      official: { home: home.official, away: away.official },
+      accuracy: {
+        home: home.accuracy,
+        away: away.accuracy,
+        overall: Math.round((home.accuracy.correct + away.accuracy.correct) / 22 * 1000) / 1000
+      },
+      evaluatedAt: new Date()
+    };
+    await this.save(doc.fixtureId, fields);
+    return { ...doc, ...fields };
+  }
+
+  /**
+   * Prediction (and official lineups once out) of one fixture
+   * @returns {Promise<Object|null>} - null when the fixture doesn't exist
+   */
+  async forFixture(fixtureId, { fixture = null } = {}) {
+    if (!fixture) {
+      const response = await this.footballApi.get('/fixtures', { params: { id: fixtureId } });
+      fixture = response.data?.response?.[0];
+    }
+    if (!fixture) return null;
+
+    let doc = await PredictedLineup.findOne({ fixtureId }).lean();
+    const lineups = fixture.lineups || [];
+    const official = lineups.length >= 2 && lineups.every(isOfficial);
+    const base = {
+      fixtureId,
+      leagueId: fixture.league?.id,
+      kickoff: fixture.fixture?.date,
+      teams: { home: fixture.teams?.home?.name, away: fixture.teams?.away?.name }
+    };
+
+    if (official) {
+      if (doc?.home && !doc.evaluatedAt) doc = await this.evaluate(doc, fixture);
+      return {
+        ...base,
+        status: 'official',
+        prediction: doc?.home ? { home: doc.home, away: doc.away, predictedAt: doc.predictedAt } : null,
+        official: lineups.map(l => ({ teamId: l.team?.id, formation: l.formation, startXI: l.startXI })),
+        accuracy: doc?.accuracy || null
+      };
+    }
+
+    const fresh = doc?.predictedAt && Date.now() - new Date(doc.predictedAt) < PREDICTION_TTL;
+    if (!fresh && SCHEDULED_CODES.includes(fixture.fixture?.status?.short)) {
+      const leagueId = fixture.league?.id;
+      const [home, away] = await Promise.all([
+        this.predictTeam(fixture.teams.home, leagueId),
+        this.predictTeam(fixture.teams.away, leagueId)
+      ]);
+      if (home || away) {
+        const fields = { leagueId, season: fixture.league?.season, kickoff: new Date(fixture.fixture.date), home, away, predictedAt: new Date() };
+        await this.save(fixtureId, fields);
+        doc = { ...doc, fixtureId, ...fields };
+      }
+    }
+
+    return {
+      ...base,
+      status: doc?.home || doc?.away ? 'predicted' : 'unavailable',
+      prediction: doc?.home || doc?.away ? { home: doc.home, away: doc.away, predictedAt: doc.predictedAt } : null,
+      official: null,
+      accuracy: null
+    };
+  }
+
+  /**
+   * Cron: predict hot-league fixtures close to kick-off, then look up
+   * official lineups for predictions that don't have them yet
+   */
+  async run() {
+    const now = Date.now();
+    const hot = getHotLeagueIds();
+    let predicted = 0;
+    let evaluated = 0;
+
+    const dates = [...new Set([0, PRECOMPUTE_HOURS].map(h => new Date(now + h * 3600000).toISOString().split('T')[0]))];
+    for (const date of dates) {
+      const response = await this.footballApi.get('/fixtures', { params: { date } });
+      for (const fixture of response.data?.response || []) {
+        const ko = new Date(fixture.fixture?.date).getTime();
+        if (!hot.includes(fixture.league?.id) || ko < now || ko - now > PRECOMPUTE_HOURS * 3600000) continue;
+        if (await PredictedLineup.exists({ fixtureId: fixture.fixture.id, predictedAt: { $ne: null } })) continue;
+        try {
+          // /fixtures?date= carries no lineups; fetch the fixture itself
+          await this.forFixture(fixture.fixture.id);
+          predicted++;
+        } catch (error) {
+          if (error.code === 'API_BUDGET_EXCEEDED') throw error;
+          console.error(`   [PredictedLineups] ${fixture.fixture.id} failed:`, error.message);
+        }
+      }
+    }
+
+    const pending = await PredictedLineup.find({
+      evaluatedAt: null,
+      kickoff: { $gte: new Date(now - EVALUATE_WINDOW_HOURS * 3600000), $lte: new Date(now + 90 * 60000) }
+    }).lean();
+    for (let i = 0; i < pending.length; i += IDS_PER_CALL) {
+      const chunk = pending.slice(i, i + IDS_PER_CALL);
+      const res = await this.footballApi.get('/fixtures', { params: { ids: chunk.map(d => d.fixtureId).join('-') } });
+      const byId = new Map((res.data?.response || []).map(f => [f.fixture.id, f]));
+      for (const doc of chunk) {
+        const fixture = byId.get(doc.fixtureId);
+        const lineups = fixture?.lineups || [];
+        if (doc.home && lineups.length >= 2 && lineups.every(isOfficial)) {
+          await this.evaluate(doc, fixture);
+          evaluated++;
+        }
+      }
+    }
+
+    if (predicted || evaluated) console.log(`👥 Predicted lineups: ${predicted} predicted, ${evaluated} evaluated`);
+    return { predicted, evaluated };
+  }
+
+  /**
+   * How many predicted starters actually started
+   * @param {Object} options - { leagueId, days }
+   */
+  async accuracy({ leagueId = null, days = 30 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const match = { evaluatedAt: { $gte: since }, 'accuracy.overall': { $ne: null } };
+    if (leagueId) match.leagueId = leagueId;
+
+    const groups = {
+      fixtures: { $sum: 1 },
+      overall: { $avg: '$accuracy.overall' },
+      correct: { $sum: { $add: ['$accuracy.home.correct', '$accuracy.away.correct'] } },
+      formationHits: { $sum: { $add: [{ $cond: ['$accuracy.home.formation', 1, 0] }, { $cond: ['$accuracy.away.formation', 1, 0] }] } }
+    };
+    const summarize = row => ({
+      fixtures: row.fixtures,
+      overall: Math.round(row.overall * 1000) / 1000,
+      startersPerSide: round2(row.correct / (row.fixtures * 2)),
+      formationHitRate: round2(row.formationHits / (row.fixtures * 2))
+    });
+
+    const [total, perLeague] = await Promise.all([
+      PredictedLineup.aggregate([{ $match: match }, { $group: { _id: null, ...groups } }]),
+      PredictedLineup.aggregate([{ $match: match }, { $group: { _id: '$leagueId', ...groups } }, { $sort: { fixtures: -1 } }])
+    ]);
+
+    return {
+      since,
+      ...(total[0] ? summarize(total[0]) : { fixtures: 0, overall: null, startersPerSide: null, formationHitRate: null }),
+      leagues: perLeague.map(row => ({ leagueId: row._id, ...summarize(row) }))
+    };
+  }
+}
+
+const predictedLineups = new PredictedLineupsService();
+predictedLineups.predictSide = predictSide;
+predictedLineups.lineupEntry = lineupEntry;
+
+module.exports = predictedLineups;
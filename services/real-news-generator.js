@@ -8,6 +8,9 @@
  *   - /fixtures last 7 days status=FT (finished matches)
  *   - /standings current season
  *   - /players/topscorers current season (top 5)
+ * Data sources (MongoDB, services/teamOfTheWeek.js):
+ *   - latest Team of the Week + player of the round
+ *   - best match ratings of the last 7 days (top 5)
  *
  * Output: 1 Article document with status='draft' (editor reviews then
  * flips to 'published'). Source='ScoreLine Editorial' so Google News
@@ -21,11 +24,12 @@
  */
 
 const axios = require('axios');
+const apiSports = require('./apiSportsGateway');
 const Article = require('../models/Article');
+const PlayerMatchRating = require('../models/PlayerMatchRating');
+const teamOfTheWeek = require('./teamOfTheWeek');
 require('dotenv').config();
 
-const API_SPORTS_URL = process.env.API_SPORTS_URL || 'https://v3.football.api-sports.io';
-const API_SPORTS_KEY = process.env.API_FOOTBALL_KEY || process.env.API_SPORTS_KEY;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 
 const LEAGUES = [
@@ -68,14 +72,7 @@ function pickHeroImage(data) {
   return FOOTBALL_IMAGES[Math.floor(Math.random() * FOOTBALL_IMAGES.length)];
 }
 
-const footballApi = axios.create({
-  baseURL: API_SPORTS_URL,
-  headers: {
-    'x-rapidapi-key': API_SPORTS_KEY,
-    'x-rapidapi-host': 'v3.football.api-sports.io',
-  },
-  timeout: 15000,
-});
+const footballApi = apiSports.client('news:weekly', { priority: 'low' });
 
 // ============================================================
 // Data fetching
@@ -100,6 +97,23 @@ async function fetchWeekData(league) {
     : [];
   const scorersRaw = scorersRes.status === 'fulfilled' ? (scorersRes.value.data?.response || []) : [];
 
+  // Ratings are optional input: a missing/unsynced collection must not block the roundup
+  let totw = null;
+  let ratingsRaw = [];
+  try {
+    [totw, ratingsRaw] = await Promise.all([
+      teamOfTheWeek.latestForLeague(league.id),
+      PlayerMatchRating.find({ leagueId: league.id, date: { $gte: weekAgo }, minutes: { $gte: 60 } })
+        .sort({ rating: -1, goals: -1 })
+        .limit(5)
+        .lean(),
+    ]);
+  } catch (err) {
+    console.log(`  ⚠ Ratings unavailable: ${err.message}`);
+  }
+  // Only this week's XI — last week's would be presented as news
+  if (totw && !(totw.lastMatchDate >= weekAgo)) totw = null;
+
   return {
     fixtures: fixtures.map(f => ({
       home: f.teams.home.name,
@@ -122,6 +136,27 @@ async function fetchWeekData(league) {
       team: p.statistics[0]?.team?.name,
       goals: p.statistics[0]?.goals?.total || 0,
     })),
+    teamOfTheWeek: totw && {
+      round: totw.round,
+      formation: totw.formation,
+      complete: totw.complete,
+      players: totw.players.map(p => ({ line: p.line, name: p.playerName, team: p.teamName, rating: p.rating, goals: p.goals, assists: p.assists })),
+      playerOfTheRound: totw.playerOfTheRound && {
+        name: totw.playerOfTheRound.playerName,
+        team: totw.playerOfTheRound.teamName,
+        rating: totw.playerOfTheRound.rating,
+        goals: totw.playerOfTheRound.goals,
+        assists: totw.playerOfTheRound.assists,
+      },
+    },
+    topRated: ratingsRaw.map(r => ({
+      name: r.playerName,
+      team: r.teamName,
+      rating: r.rating,
+      goals: r.goals,
+      assists: r.assists,
+      date: r.date,
+    })),
   };
 }
 
@@ -144,6 +179,21 @@ function buildRoundupPrompt(league, data) {
     ? data.topScorers.map((p, i) => `${i + 1}. ${p.name} (${p.team}) — ${p.goals} bàn`).join('\n')
     : 'Chưa có dữ liệu top ghi bàn.';
 
+  const LINE_LABELS = { G: 'TM', D: 'HV', M: 'TV', F: 'TĐ' };
+  const contribution = (p) => [p.goals && `${p.goals} bàn`, p.assists && `${p.assists} kiến tạo`].filter(Boolean).join(', ');
+  const totw = data.teamOfTheWeek;
+  const totwStr = totw
+    ? `${totw.round} — sơ đồ ${totw.formation}${totw.complete ? '' : ' (vòng chưa đá xong)'}\n` +
+      totw.players.map(p => `- ${LINE_LABELS[p.line] || p.line}: ${p.name} (${p.team}) — ${p.rating}${contribution(p) ? `, ${contribution(p)}` : ''}`).join('\n') +
+      (totw.playerOfTheRound
+        ? `\nCầu thủ xuất sắc nhất vòng: ${totw.playerOfTheRound.name} (${totw.playerOfTheRound.team}) — ${totw.playerOfTheRound.rating}${contribution(totw.playerOfTheRound) ? `, ${contribution(totw.playerOfTheRound)}` : ''}`
+        : '')
+    : 'Chưa có dữ liệu đội hình tiêu biểu.';
+
+  const ratedStr = data.topRated.length
+    ? data.topRated.map((p, i) => `${i + 1}. ${p.name} (${p.team}) — điểm ${p.rating}${contribution(p) ? `, ${contribution(p)}` : ''}`).join('\n')
+    : 'Chưa có dữ liệu điểm số cầu thủ.';
+
   const today = new Date().toLocaleDateString('vi-VN', { day: '2-digit', month: '2-digit', year: 'numeric' });
   const styles = [
     'Giọng biên tập viên chuyên nghiệp — khách quan, dữ liệu dẫn dắt, không cảm thán thái quá.',
@@ -172,6 +222,12 @@ ${standingsStr}
 **TOP 5 GHI BÀN:**
 ${scorersStr}
 
+**ĐỘI HÌNH TIÊU BIỂU VÒNG (điểm API-Sports):**
+${totwStr}
+
+**TOP 5 ĐIỂM SỐ CẦU THỦ 7 NGÀY QUA:**
+${ratedStr}
+
 **QUY TẮC BẮT BUỘC:**
 
 1. TUYỆT ĐỐI KHÔNG bắt đầu bằng: "Trận đấu", "Tuần này là tuần", "Cuộc đua", "Trong khuôn khổ".
@@ -185,7 +241,7 @@ ${scorersStr}
 1. Mở bài (100-150 từ) — hook, không template
 2. Kết quả nổi bật tuần (300-400 từ) — chọn 2-3 trận ý nghĩa nhất, không liệt kê hết
 3. Bức tranh BXH (200-300 từ) — ai đang dẫn, ai đang rơi, khoảng cách
-4. Cầu thủ ấn tượng (150-250 từ) — top scorer + 1-2 cái tên khác nếu data cho phép
+4. Cầu thủ ấn tượng (150-250 từ) — cầu thủ xuất sắc nhất vòng, đội hình tiêu biểu, top scorer; chỉ dùng điểm số có trong data
 5. Nhìn về tuần tới (100-200 từ) — gợi ý trận nên xem, không dự đoán cụ thể
 
 Trả về ĐÚNG JSON sau (content là markdown 1 string, dùng \\n cho xuống dòng):
@@ -278,7 +334,7 @@ async function generateRoundupForLeague(leagueInput, { maxRetries = 2, autoPubli
 
   console.log(`\n[Roundup] ${league.vnName}`);
   const data = await fetchWeekData(league);
-  console.log(`  Data: ${data.fixtures.length} fixtures, ${data.standings.length} standings, ${data.topScorers.length} scorers`);
+  console.log(`  Data: ${data.fixtures.length} fixtures, ${data.standings.length} standings, ${data.topScorers.length} scorers, TOTW ${data.teamOfTheWeek ? data.teamOfTheWeek.round : '-'}, ${data.topRated.length} rated`);
 
   if (data.fixtures.length === 0 && data.standings.length === 0) {
     console.log('  ⚠ Skip: no data available this week');
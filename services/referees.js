@@ -0,0 +1,425 @@
+// services/referees.js - Referee profiles and statistics
+//
+// Source: the permanent results archive (MatchResult, raw API-Sports events
+// and statistics) and finished fixtures in MatchCache (matchData carries
+// the referee, the transformed events and the team statistics). Each
+// fixture becomes a RefereeMatch row — archived details take precedence
+// over the cached copy — and profiles are aggregated from those rows:
+//
+//   cards       yellow / second yellow / red per game, home vs away
+//   penalties   awarded in play (shoot-outs excluded), fixtures with events
+//   fouls       per game, fixtures with statistics
+//   bias        away minus home cards per game (> 0: visitors booked more)
+//
+// Names are grouped through utils/refereeName.js, so "M. Oliver" and
+// "Michael Oliver, England" are one referee.
+
+const MatchCache = require('../models/MatchCache');
+const MatchResult = require('../models/MatchResult');
+const RefereeMatch = require('../models/RefereeMatch');
+const { parseRefereeName, preferredName, slugify } = require('../utils/refereeName');
+
+// ============================================
+// CẤU HÌNH: Referees
+// ============================================
+const SYNC_BATCH = 500;
+const INDEX_TTL = 10 * 60 * 1000;
+const RECENT_MATCHES = 10;
+
+const FINISHED_CODES = ['FT', 'AET', 'PEN'];
+const SORT_FIELDS = {
+  matches: 'matches',
+  yellow: 'yellowPerGame',
+  red: 'redPerGame',
+  cards: 'cardsPerGame',
+  penalties: 'penaltiesPerGame',
+  fouls: 'foulsPerGame'
+};
+
+function round2(value) {
+  return value == null || !Number.isFinite(value) ? null : Math.round(value * 100) / 100;
+}
+
+function parseTeamId(teamId) {
+  const id = parseInt(String(teamId || '').replace('team-', ''));
+  return Number.isNaN(id) ? null : id;
+}
+
+/**
+ * MatchCache row → RefereeMatch fields (null without a usable referee)
+ */
+function factsFromCachedMatch(row) {
+  const m = row.matchData || {};
+  const referee = parseRefereeName(m.referee);
+  if (!referee) return null;
+
+  const events = Array.isArray(m.events) ? m.events : [];
+  const hasEvents = events.length > 0;
+  const cards = { home: { yellow: 0, secondYellow: 0, red: 0 }, away: { yellow: 0, secondYellow: 0, red: 0 } };
+  const penalties = { home: 0, away: 0 };
+
+  for (const event of events) {
+    const side = event.isHomeTeam ? 'home' : 'away';
+    const detail = event.details?.type || '';
+    if (/second yellow|yellow - red/i.test(detail) || event.type === 'yellow_red_card') cards[side].secondYellow++;
+    else if (detail === 'Yellow Card') cards[side].yellow++;
+    else if (detail === 'Red Card') cards[side].red++;
+
+    const shootout = event.half === 'penalty' || /shootout/i.test(event.comments || '');
+    if (!shootout && (event.type === 'penalty' || event.type === 'missed_penalty')) penalties[side]++;
+  }
+
+  // No events: card totals from the statistics-backed detail block
+  if (!hasEvents) {
+    for (const side of ['home', 'away']) {
+      cards[side].yellow = Number(m.detail?.[side]?.yellowCards) || 0;
+      cards[side].red = Number(m.detail?.[side]?.redCards) || 0;
+    }
+  }
+
+  const foulsOf = isHome => {
+    const stats = (m.statistics || []).find(s => s.isHomeTeam === isHome);
+    const fouls = stats?.full?.find(s => s.type === 'fouls');
+    return fouls ? Number(fouls.value) || 0 : null;
+  };
+  const homeFouls = foulsOf(true);
+  const awayFouls = foulsOf(false);
+
+  return {
+    fixtureId: row.fixtureId,
+    refereeKey: referee.key,
+    refereeName: referee.name,
+    refereeCountry: referee.country,
+    leagueId: row.leagueId,
+    leagueName: row.leagueName,
+    season: row.seasonYear || m.seasonYear,
+    date: row.matchDate,
+    homeTeam: { id: parseTeamId(m.teams?.home?.teamId), name: m.teams?.home?.name },
+    awayTeam: { id: parseTeamId(m.teams?.away?.teamId), name: m.teams?.away?.name },
+    score: m.score || null,
+    cards,
+    penalties: hasEvents ? penalties : null,
+    fouls: homeFouls != null && awayFouls != null ? { home: homeFouls, away: awayFouls } : null,
+    hasEvents,
+    sourceUpdatedAt: row.lastUpdated || row.updatedAt
+  };
+}
+
+/**
+ * MatchResult row (raw API-Sports details) → RefereeMatch fields
+ */
+function factsFromArchivedResult(row) {
+  const referee = parseRefereeName(row.referee);
+  if (!referee) return null;
+
+  const homeId = row.homeTeam?.id;
+  const events = Array.isArray(row.events) ? row.events : [];
+  const hasEvents = events.length > 0;
+  const cards = { home: { yellow: 0, secondYellow: 0, red: 0 }, away: { yellow: 0, secondYellow: 0, red: 0 } };
+  const penalties = { home: 0, away: 0 };
+
+  for (const event of events) {
+    const side = event.team?.id === homeId ? 'home' : 'away';
+    const detail = event.detail || '';
+    if (event.type === 'Card') {
+      if (/second yellow/i.test(detail)) cards[side].secondYellow++;
+      else if (detail === 'Yellow Card') cards[side].yellow++;
+      else if (detail === 'Red Card') cards[side].red++;
+    }
+    const shootout = /shootout/i.test(event.comments || '');
+    if (!shootout && event.type === 'Goal' && (detail === 'Penalty' || detail === 'Missed Penalty')) penalties[side]++;
+  }
+
+  const foulsOf = teamId => {
+    const stats = (row.statistics || []).find(s => s.team?.id === teamId);
+    const fouls = stats?.statistics?.find(s => s.type === 'Fouls');
+    return fouls && fouls.value != null ? Number(fouls.value) || 0 : null;
+  };
+  const homeFouls = foulsOf(homeId);
+  const awayFouls = foulsOf(row.awayTeam?.id);
+
+  return {
+    fixtureId: row.fixtureId,
+    refereeKey: referee.key,
+    refereeName: referee.name,
+    refereeCountry: referee.country,
+    leagueId: row.leagueId,
+    leagueName: row.leagueName,
+    season: row.season,
+    date: row.date,
+    homeTeam: { id: homeId, name: row.homeTeam?.name },
+    awayTeam: { id: row.awayTeam?.id, name: row.awayTeam?.name },
+    score: row.goals ? `${row.goals.home}-${row.goals.away}` : null,
+    cards,
+    penalties: hasEvents ? penalties : null,
+    fouls: homeFouls != null && awayFouls != null ? { home: homeFouls, away: awayFouls } : null,
+    hasEvents,
+    sourceUpdatedAt: row.detailsFetchedAt
+  };
+}
+
+// $group accumulators shared by every aggregation
+const TOTALS = {
+  matches: { $sum: 1 },
+  homeYellow: { $sum: '$cards.home.yellow' },
+  awayYellow: { $sum: '$cards.away.yellow' },
+  homeSecondYellow: { $sum: '$cards.home.secondYellow' },
+  awaySecondYellow: { $sum: '$cards.away.secondYellow' },
+  homeRed: { $sum: '$cards.home.red' },
+  awayRed: { $sum: '$cards.away.red' },
+  penalties: { $sum: { $add: [{ $ifNull: ['$penalties.home', 0] }, { $ifNull: ['$penalties.away', 0] }] } },
+  eventMatches: { $sum: { $cond: ['$hasEvents', 1, 0] } },
+  fouls: { $sum: { $add: [{ $ifNull: ['$fouls.home', 0] }, { $ifNull: ['$fouls.away', 0] }] } },
+  foulMatches: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$fouls', null] }, null] }, 1, 0] } }
+};
+
+/**
+ * Aggregated sums → per-game figures
+ */
+function summarize(row) {
+  const yellow = row.homeYellow + row.awayYellow;
+  const sendingsOff = row.homeSecondYellow + row.awaySecondYellow + row.homeRed + row.awayRed;
+  const homeCards = row.homeYellow + row.homeSecondYellow + row.homeRed;
+  const awayCards = row.awayYellow + row.awaySecondYellow + row.awayRed;
+
+  return {
+    matches: row.matches,
+    totals: {
+      yellow,
+      secondYellow: row.homeSecondYellow + row.awaySecondYellow,
+      red: sendingsOff,
+      penalties: row.eventMatches ? row.penalties : null,
+      fouls: row.foulMatches ? row.fouls : null
+    },
+    yellowPerGame: round2(yellow / row.matches),
+    redPerGame: round2(sendingsOff / row.matches),
+    cardsPerGame: round2((homeCards + awayCards) / row.matches),
+    penaltiesPerGame: row.eventMatches ? round2(row.penalties / row.eventMatches) : null,
+    foulsPerGame: row.foulMatches ? round2(row.fouls / row.foulMatches) : null,
+    bias: {
+      homeCardsPerGame: round2(homeCards / row.matches),
+      awayCardsPerGame: round2(awayCards / row.matches),
+      awayMinusHome: round2((awayCards - homeCards) / row.matches),
+      homeShare: homeCards + awayCards ? round2(homeCards / (homeCards + awayCards)) : null
+    }
+  };
+}
+
+class RefereeService {
+  constructor() {
+    this.index = null;   // { at, list, byKey, keyBySlug }
+    this.indexing = null;
+  }
+
+  /**
+   * Copy finished fixtures archived or cached since the last sync. Archived
+   * rows win: a cached fixture already archived with details is skipped.
+   */
+  async sync() {
+    const latest = await RefereeMatch.findOne().sort({ sourceUpdatedAt: -1 }).select('sourceUpdatedAt').lean();
+    const since = latest?.sourceUpdatedAt || new Date(0);
+
+    let synced = 0;
+    let batch = [];
+    const flush = async ({ skipArchived = false } = {}) => {
+      if (skipArchived && batch.length > 0) {
+        const archived = new Set(await MatchResult.distinct('fixtureId', {
+          fixtureId: { $in: batch.map(op => op.updateOne.filter.fixtureId) },
+          detailsFetchedAt: { $ne: null }
+        }));
+        batch = batch.filter(op => !archived.has(op.updateOne.filter.fixtureId));
+      }
+      if (batch.length === 0) return;
+      try {
+        await RefereeMatch.bulkWrite(batch, { ordered: false });
+      } catch (error) {
+        // Another PM2 instance upserted the same fixture first
+        const writeErrors = error.writeErrors || (error.code === 11000 ? [error] : []);
+        if (writeErrors.length === 0 || !writeErrors.every(e => e.code === 11000)) throw error;
+      }
+      synced += batch.length;
+      batch = [];
+    };
+    const add = facts => {
+      batch.push({ updateOne: { filter: { fixtureId: facts.fixtureId }, update: { $set: facts }, upsert: true } });
+    };
+
+    const archived = MatchResult.find({
+      detailsFetchedAt: { $gt: since },
+      referee: { $nin: [null, ''] }
+    })
+      .select('fixtureId leagueId leagueName season date referee homeTeam awayTeam goals events statistics detailsFetchedAt')
+      .lean()
+      .cursor();
+
+    for await (const row of archived) {
+      const facts = factsFromArchivedResult(row);
+      if (!facts) continue;
+      add(facts);
+      if (batch.length >= SYNC_BATCH) await flush();
+    }
+    await flush();
+
+    const cached = MatchCache.find({
+      statusCode: { $in: FINISHED_CODES },
+      lastUpdated: { $gt: since },
+      'matchData.referee': { $nin: [null, ''] }
+    })
+      .select('fixtureId leagueId leagueName seasonYear matchDate lastUpdated updatedAt matchData.referee matchData.events matchData.statistics matchData.detail matchData.teams matchData.score matchData.seasonYear')
+      .lean()
+      .cursor();
+
+    for await (const row of cached) {
+      const facts = factsFromCachedMatch(row);
+      if (!facts) continue;
+      add(facts);
+      if (batch.length >= SYNC_BATCH) await flush({ skipArchived: true });
+    }
+    await flush({ skipArchived: true });
+
+    if (synced > 0) {
+      this.index = null;
+      console.log(`🧑‍⚖️ Referees: synced ${synced} fixtures`);
+    }
+    return { synced };
+  }
+
+  /**
+   * All referees, all competitions (cached), plus slug → key lookup.
+   * Every name variant's slug resolves, so links survive a fuller name
+   * turning up later.
+   */
+  async getIndex() {
+    if (this.index && Date.now() - this.index.at < INDEX_TTL) return this.index;
+    if (this.indexing) return this.indexing;
+
+    this.indexing = (async () => {
+      const rows = await RefereeMatch.aggregate([
+        { $group: { _id: '$refereeKey', names: { $addToSet: '$refereeName' }, countries: { $addToSet: '$refereeCountry' }, lastMatch: { $max: '$date' }, ...TOTALS } }
+      ]);
+
+      const list = [];
+      const byKey = new Map();
+      const keyBySlug = new Map();
+      for (const row of rows) {
+        const name = preferredName(row.names) || row._id;
+        const entry = {
+          key: row._id,
+          slug: slugify(name),
+          name,
+          aliases: row.names.filter(n => n !== name),
+          country: row.countries.find(Boolean) || null,
+          lastMatch: row.lastMatch,
+          ...summarize(row)
+        };
+        list.push(entry);
+        byKey.set(entry.key, entry);
+        keyBySlug.set(entry.key, entry.key);
+        for (const variant of row.names) keyBySlug.set(slugify(variant), entry.key);
+      }
+      // Preferred slugs win over variants of another referee
+      for (const entry of list) keyBySlug.set(entry.slug, entry.key);
+
+      this.index = { at: Date.now(), list, byKey, keyBySlug };
+      return this.index;
+    })().finally(() => { this.indexing = null; });
+
+    return this.indexing;
+  }
+
+  /**
+   * Referee table.
+   * @param {Object} options - { leagueId, season, minMatches, sort, limit }
+   */
+  async list({ leagueId = null, season = null, minMatches = 1, sort = 'matches', limit = 50 } = {}) {
+    const index = await this.getIndex();
+    let list = index.list;
+
+    if (leagueId || season) {
+      const match = {};
+      if (leagueId) match.leagueId = leagueId;
+      if (season) match.season = season;
+      const rows = await RefereeMatch.aggregate([
+        { $match: match },
+        { $group: { _id: '$refereeKey', lastMatch: { $max: '$date' }, ...TOTALS } }
+      ]);
+      list = rows
+        .filter(row => index.byKey.has(row._id))
+        .map(row => {
+          const { key, slug, name, aliases, country } = index.byKey.get(row._id);
+          return { key, slug, name, aliases, country, lastMatch: row.lastMatch, ...summarize(row) };
+        });
+    }
+
+    const field = SORT_FIELDS[sort] || SORT_FIELDS.matches;
+    return list
+      .filter(r => r.matches >= minMatches)
+      .sort((a, b) => (b[field] ?? -1) - (a[field] ?? -1) || b.matches - a.matches)
+      .slice(0, limit);
+  }
+
+  /**
+   * Full profile: totals, per league & season, recent matches.
+   * @param {string} slug - any known name variant's slug, or the key
+   * @returns {Promise<Object|null>}
+   */
+  async getProfile(slug, { recent = RECENT_MATCHES } = {}) {
+    const index = await this.getIndex();
+    const key = index.keyBySlug.get(slugify(slug)) || index.keyBySlug.get(slug);
+    if (!key) return null;
+    return this.profileByKey(key, { recent });
+  }
+
+  async profileByKey(key, { recent = RECENT_MATCHES } = {}) {
+    const index = await this.getIndex();
+    const base = index.byKey.get(key);
+    if (!base) return null;
+
+    const [competitions, matches] = await Promise.all([
+      RefereeMatch.aggregate([
+        { $match: { refereeKey: key } },
+        { $group: { _id: { leagueId: '$leagueId', season: '$season' }, leagueName: { $max: '$leagueName' }, ...TOTALS } },
+        { $sort: { '_id.season': -1, matches: -1 } }
+      ]),
+      RefereeMatch.find({ refereeKey: key })
+        .sort({ date: -1 })
+        .limit(recent)
+        .select('fixtureId leagueId leagueName season date homeTeam awayTeam score cards penalties fouls')
+        .lean()
+    ]);
+
+    return {
+      ...base,
+      competitions: competitions.map(row => ({
+        leagueId: row._id.leagueId,
+        leagueName: row.leagueName,
+        season: row._id.season,
+        ...summarize(row)
+      })),
+      recentMatches: matches.map(({ _id, ...row }) => row)
+    };
+  }
+
+  /**
+   * Compact profile of the official named on a fixture (match detail)
+   */
+  async profileForName(rawName, { leagueId = null } = {}) {
+    const parsed = parseRefereeName(rawName);
+    if (!parsed) return null;
+    const profile = await this.profileByKey(parsed.key, { recent: 5 });
+    if (!profile) return { name: parsed.name, country: parsed.country, slug: null, matches: 0 };
+
+    const { competitions, ...rest } = profile;
+    return {
+      ...rest,
+      country: rest.country || parsed.country,
+      // Latest season in the fixture's competition, next to the career totals
+      competition: leagueId ? competitions.find(c => c.leagueId === leagueId) || null : null
+    };
+  }
+}
+
+const referees = new RefereeService();
+referees.factsFromCachedMatch = factsFromCachedMatch;
+
+module.exports = referees;
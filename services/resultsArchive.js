@@ -0,0 +1,464 @@
+// services/resultsArchive.js - Permanent archive of finished fixtures
+//
+// MatchCache rows expire (TTL on expiresAt) and CachedMatch only keeps
+// live / hot snapshots, so every H2H, form or season query used to go back
+// to API-Sports. MatchResult keeps one row per finished fixture — score,
+// HT score and the raw events, statistics and lineups — for good.
+//
+// Writers:
+//   - worker: fixtures that drop out of the live feed are fetched by id and
+//     archived once they reached FT / AET / PEN (onLivePull)
+//   - sweep (cron): allowed-league fixtures of yesterday and today, then the
+//     details of recent rows still missing statistics or lineups
+//   - backfill (admin): one league season, details included
+//   - readers: whatever a fallback API call returned
+//
+// Readers (headToHead, teamResults, leagueSeason, resultsOnDate) answer from
+// the archive when ResultsCoverage says it holds the whole answer — a fresh
+// H2H or team sync, a fully played season or day — and otherwise fall back
+// to API-Sports, archiving the response on the way. They return API-Sports
+// shaped fixtures either way, so callers keep their existing parsing.
+
+const apiSports = require('./apiSportsGateway');
+const MatchResult = require('../models/MatchResult');
+const ResultsCoverage = require('../models/ResultsCoverage');
+const { getAllowedLeagueIds } = require('../config/allowedCompetitions');
+
+// ============================================
+// CẤU HÌNH: Results archive
+// ============================================
+const IDS_PER_CALL = 20;                          // API-Sports limit for /fixtures?ids=
+const H2H_DEPTH = 30;                             // H2H fixtures fetched per pair, whatever the caller asked
+const H2H_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const TEAM_DEPTH = 10;
+// The worker archives allowed-league results in between; cup ties and
+// friendlies outside them show up at the next sync
+const TEAM_MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+const PENDING_MAX_PULLS = 10;                     // live pulls a fixture may stay unfinished after leaving the feed
+const SWEEP_DAYS = 2;
+const SWEEP_MAX_CALLS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FINISHED_CODES = ['FT', 'AET', 'PEN'];
+const LIVE_CODES = ['1H', 'HT', '2H', 'ET', 'BT', 'P', 'SUSP', 'INT', 'LIVE'];
+// Fixtures that will never be (re)played
+const CLOSED_CODES = [...FINISHED_CODES, 'CANC', 'ABD', 'AWD', 'WO'];
+const STATUS_LONG = {
+  FT: 'Match Finished',
+  AET: 'Match Finished After Extra Time',
+  PEN: 'Match Finished After Penalty'
+};
+const DETAIL_FIELDS = '-events -statistics -lineups';
+
+const isFinished = f => FINISHED_CODES.includes(f.fixture?.status?.short);
+const newestFirst = (a, b) => (b.fixture?.timestamp || 0) - (a.fixture?.timestamp || 0);
+const isoDate = date => date.toISOString().split('T')[0];
+
+function pairKey(teamA, teamB) {
+  return `h2h:${Math.min(teamA, teamB)}-${Math.max(teamA, teamB)}`;
+}
+
+function isFresh(coverage, maxAgeMs, depth) {
+  return Boolean(coverage?.syncedAt)
+    && Date.now() - new Date(coverage.syncedAt).getTime() < maxAgeMs
+    && (coverage.depth || 0) >= depth;
+}
+
+/**
+ * API-Sports fixture → MatchResult fields (details excluded)
+ */
+function fromApiFixture(f) {
+  const fixture = f.fixture || {};
+  const team = t => (t ? { id: t.id, name: t.name, logo: t.logo, winner: t.winner } : null);
+  return {
+    fixtureId: fixture.id,
+    leagueId: f.league?.id,
+    leagueName: f.league?.name,
+    leagueLogo: f.league?.logo,
+    country: f.league?.country,
+    season: f.league?.season,
+    round: f.league?.round,
+    date: new Date(fixture.date),
+    status: fixture.status?.short,
+    referee: fixture.referee || null,
+    venue: fixture.venue ? { id: fixture.venue.id, name: fixture.venue.name, city: fixture.venue.city } : null,
+    homeTeam: team(f.teams?.home),
+    awayTeam: team(f.teams?.away),
+    goals: f.goals,
+    score: {
+      halftime: f.score?.halftime,
+      fulltime: f.score?.fulltime,
+      extratime: f.score?.extratime,
+      penalty: f.score?.penalty
+    }
+  };
+}
+
+/**
+ * MatchResult row → API-Sports fixture (events / statistics / lineups only
+ * when the row was read with them and they were fetched)
+ */
+function toApiFixture(row) {
+  const date = new Date(row.date);
+  const side = t => (t ? { id: t.id, name: t.name, logo: t.logo, winner: t.winner ?? null } : null);
+  const fixture = {
+    fixture: {
+      id: row.fixtureId,
+      referee: row.referee || null,
+      timezone: 'UTC',
+      date: date.toISOString(),
+      timestamp: Math.floor(date.getTime() / 1000),
+      venue: row.venue || { id: null, name: null, city: null },
+      status: { long: STATUS_LONG[row.status] || row.status, short: row.status, elapsed: row.status === 'FT' ? 90 : 120 }
+    },
+    league: {
+      id: row.leagueId,
+      name: row.leagueName,
+      country: row.country,
+      logo: row.leagueLogo,
+      season: row.season,
+      round: row.round
+    },
+    teams: { home: side(row.homeTeam), away: side(row.awayTeam) },
+    goals: row.goals || { home: null, away: null },
+    score: row.score || {}
+  };
+  if (row.detailsFetchedAt && row.events) {
+    fixture.events = row.events;
+    fixture.statistics = row.statistics;
+    fixture.lineups = row.lineups;
+  }
+  return fixture;
+}
+
+class ResultsArchiveService {
+  constructor() {
+    this.footballApi = apiSports.client('results-archive');
+    this.sweepApi = apiSports.client('job:results-sweep', { priority: 'low' });
+    this.backfillApi = apiSports.client('job:results-backfill', { priority: 'low' });
+    this.liveIds = new Set();
+    this.pending = new Map();   // fixtureId → live pulls since it left the feed
+    this.job = { running: false, leagueId: null, season: null, startedAt: null, finishedAt: null, result: null, error: null };
+  }
+
+  /**
+   * Upsert the finished fixtures of an API-Sports response.
+   * Fixtures from /fixtures?ids= carry their details; list endpoints don't,
+   * and never blank details already stored.
+   * @returns {Promise<number>} rows written
+   */
+  async store(fixtures, { source }) {
+    const now = new Date();
+    const ops = [];
+    for (const f of fixtures || []) {
+      if (!isFinished(f) || !f.fixture?.id || !f.league?.id) continue;
+      const row = fromApiFixture(f);
+      const hasDetails = Array.isArray(f.events) && Array.isArray(f.statistics) && Array.isArray(f.lineups);
+      const update = hasDetails
+        ? {
+          $set: {
+            ...row,
+            events: f.events,
+            statistics: f.statistics,
+            lineups: f.lineups,
+            detailsFetchedAt: now,
+            detailsComplete: f.statistics.length >= 2 && f.lineups.length >= 2
+          },
+          $setOnInsert: { source, archivedAt: now }
+        }
+        : { $set: row, $setOnInsert: { source, archivedAt: now } };
+      ops.push({ updateOne: { filter: { fixtureId: row.fixtureId }, update, upsert: true } });
+    }
+    if (ops.length === 0) return 0;
+
+    try {
+      await MatchResult.bulkWrite(ops, { ordered: false });
+    } catch (error) {
+      // Another PM2 instance archived the same fixture first
+      const writeErrors = error.writeErrors || (error.code === 11000 ? [error] : []);
+      if (writeErrors.length === 0 || !writeErrors.every(e => e.code === 11000)) throw error;
+    }
+    return ops.length;
+  }
+
+  /**
+   * store() for readers: a failed write must not fail the request
+   * @returns {Promise<boolean>}
+   */
+  async remember(fixtures, source) {
+    try {
+      await this.store(fixtures, { source });
+      return true;
+    } catch (error) {
+      console.error(`   [Results] Archiving ${source} fixtures failed:`, error.message);
+      return false;
+    }
+  }
+
+  async coverage(key) {
+    try {
+      return await ResultsCoverage.findOne({ key }).lean();
+    } catch (error) {
+      console.error(`   [Results] Coverage read failed (${key}):`, error.message);
+      return null;
+    }
+  }
+
+  async cover(key, fields) {
+    try {
+      await ResultsCoverage.updateOne({ key }, { $set: { syncedAt: new Date(), ...fields } }, { upsert: true });
+    } catch (error) {
+      // Another PM2 instance covered the same query first
+      if (error.code !== 11000) console.error(`   [Results] Coverage write failed (${key}):`, error.message);
+    }
+  }
+
+  /**
+   * Archive rows as API-Sports fixtures; null when the read fails, so the
+   * caller falls back to the API
+   */
+  async find(query, { sort = { date: -1 }, limit = 0, details = false } = {}) {
+    try {
+      let cursor = MatchResult.find(query).sort(sort).limit(limit);
+      if (!details) cursor = cursor.select(DETAIL_FIELDS);
+      return (await cursor.lean()).map(toApiFixture);
+    } catch (error) {
+      console.error('   [Results] Archive read failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch fixtures by id (with events, statistics and lineups) and archive
+   * the finished ones
+   * @returns {Promise<Object>} { calls, archived: ids, unfinished: ids still live,
+   *   fixtures: everything fetched }
+   */
+  async archive(fixtureIds, { source = 'worker', api = this.footballApi, maxCalls = Infinity } = {}) {
+    const archived = [];
+    const unfinished = [];
+    const fetched = [];
+    let calls = 0;
+    for (let i = 0; i < fixtureIds.length && calls < maxCalls; i += IDS_PER_CALL, calls++) {
+      const response = await api.get('/fixtures', { params: { ids: fixtureIds.slice(i, i + IDS_PER_CALL).join('-') } });
+      const fixtures = response.data?.response || [];
+      await this.store(fixtures, { source });
+      fetched.push(...fixtures);
+      for (const f of fixtures) {
+        if (isFinished(f)) archived.push(f.fixture.id);
+        else if (LIVE_CODES.includes(f.fixture?.status?.short)) unfinished.push(f.fixture.id);
+      }
+    }
+    return { calls, archived, unfinished, fixtures: fetched };
+  }
+
+  /**
+   * Worker hook, once per live pull: fixtures that left the live feed since
+   * the previous pull are archived as soon as API-Sports reports them
+   * finished (abandoned / postponed ones are dropped). Restarts lose the
+   * in-memory state; the sweep picks those fixtures up.
+   * @returns {Promise<Object>} { archived: count, fixtures: the departed
+   *   fixtures as just fetched, for the live feed's final update }
+   */
+  async onLivePull(fixtures) {
+    const live = new Set(fixtures.map(f => f.fixture?.id).filter(Boolean));
+    for (const id of this.liveIds) {
+      if (!live.has(id) && !this.pending.has(id)) this.pending.set(id, 0);
+    }
+    this.liveIds = live;
+    if (this.pending.size === 0) return { archived: 0, fixtures: [] };
+
+    const ids = Array.from(this.pending.keys());
+    const { archived, unfinished, fixtures: fetched } = await this.archive(ids, { source: 'worker' });
+    const stillLive = new Set(unfinished);
+    for (const id of ids) {
+      const pulls = this.pending.get(id) + 1;
+      if (stillLive.has(id) && pulls < PENDING_MAX_PULLS) this.pending.set(id, pulls);
+      else this.pending.delete(id);
+    }
+
+    if (archived.length > 0) console.log(`   🗄️  Archived ${archived.length} finished fixture(s)`);
+    return { archived: archived.length, fixtures: fetched };
+  }
+
+  /**
+   * Last `last` finished meetings of two teams, newest first
+   */
+  async headToHead(teamA, teamB, { last = 10, api = this.footballApi } = {}) {
+    const key = pairKey(teamA, teamB);
+    if (isFresh(await this.coverage(key), H2H_MAX_AGE_MS, last)) {
+      const rows = await this.find({
+        $or: [
+          { 'homeTeam.id': teamA, 'awayTeam.id': teamB },
+          { 'homeTeam.id': teamB, 'awayTeam.id': teamA }
+        ]
+      }, { limit: last });
+      if (rows) return rows;
+    }
+
+    const depth = Math.max(last, H2H_DEPTH);
+    const response = await api.get('/fixtures/headtohead', { params: { h2h: `${teamA}-${teamB}`, last: depth } });
+    const fixtures = (response.data?.response || []).filter(isFinished).sort(newestFirst);
+    if (await this.remember(fixtures, 'h2h')) await this.cover(key, { depth, fixtures: fixtures.length });
+    return fixtures.slice(0, last);
+  }
+
+  /**
+   * A team's last `last` finished fixtures in any competition, newest first
+   */
+  async teamResults(teamId, { last = 5, api = this.footballApi } = {}) {
+    const key = `team:${teamId}`;
+    if (isFresh(await this.coverage(key), TEAM_MAX_AGE_MS, last)) {
+      const rows = await this.find({ $or: [{ 'homeTeam.id': teamId }, { 'awayTeam.id': teamId }] }, { limit: last });
+      if (rows) return rows;
+    }
+
+    const depth = Math.max(last, TEAM_DEPTH);
+    const response = await api.get('/fixtures', { params: { team: teamId, last: depth } });
+    const fixtures = (response.data?.response || []).filter(isFinished).sort(newestFirst);
+    if (await this.remember(fixtures, 'form')) await this.cover(key, { depth, fixtures: fixtures.length });
+    return fixtures.slice(0, last);
+  }
+
+  /**
+   * Every finished fixture of a league season, oldest first. Answered from
+   * the archive once the whole season has been played and stored.
+   */
+  async leagueSeason(leagueId, season, { api = this.footballApi, source = 'season' } = {}) {
+    const key = `season:${leagueId}:${season}`;
+    if ((await this.coverage(key))?.complete) {
+      const rows = await this.find({ leagueId, season }, { sort: { date: 1 } });
+      if (rows) return rows;
+    }
+
+    const response = await api.get('/fixtures', { params: { league: leagueId, season } });
+    const all = response.data?.response || [];
+    const fixtures = all.filter(isFinished).sort((a, b) => newestFirst(b, a));
+    if (await this.remember(fixtures, source)) {
+      const complete = all.length > 0 && all.every(f => CLOSED_CODES.includes(f.fixture?.status?.short));
+      await this.cover(key, { complete, fixtures: fixtures.length });
+    }
+    return fixtures;
+  }
+
+  /**
+   * Finished allowed-league fixtures of one UTC day (YYYY-MM-DD). Answered
+   * from the archive once the day is over and none of them is pending.
+   */
+  async resultsOnDate(date, { api = this.footballApi, source = 'date' } = {}) {
+    const key = `date:${date}`;
+    const allowed = getAllowedLeagueIds();
+    if ((await this.coverage(key))?.complete) {
+      const from = new Date(`${date}T00:00:00.000Z`);
+      const rows = await this.find(
+        { date: { $gte: from, $lt: new Date(from.getTime() + DAY_MS) }, leagueId: { $in: allowed } },
+        { sort: { date: 1 } }
+      );
+      if (rows) return rows;
+    }
+
+    const allowedSet = new Set(allowed);
+    const response = await api.get('/fixtures', { params: { date } });
+    const all = (response.data?.response || []).filter(f => allowedSet.has(f.league?.id));
+    const fixtures = all.filter(isFinished).sort((a, b) => newestFirst(b, a));
+    if (await this.remember(fixtures, source)) {
+      // Postponed fixtures move to another day; they don't hold this one open
+      const complete = date < isoDate(new Date())
+        && all.every(f => CLOSED_CODES.includes(f.fixture?.status?.short) || f.fixture?.status?.short === 'PST');
+      await this.cover(key, { complete, fixtures: fixtures.length });
+    }
+    return fixtures;
+  }
+
+  /**
+   * Cron: results of the last SWEEP_DAYS days (fixtures the worker missed,
+   * e.g. across a restart), then details still missing on recent rows
+   */
+  async sweep() {
+    for (let i = SWEEP_DAYS - 1; i >= 0; i--) {
+      await this.resultsOnDate(isoDate(new Date(Date.now() - i * DAY_MS)), { api: this.sweepApi, source: 'sweep' });
+    }
+
+    const since = new Date(`${isoDate(new Date(Date.now() - (SWEEP_DAYS - 1) * DAY_MS))}T00:00:00.000Z`);
+    const ids = await MatchResult.distinct('fixtureId', {
+      date: { $gte: since },
+      detailsComplete: false,
+      leagueId: { $in: getAllowedLeagueIds() }
+    });
+    const { calls, archived } = await this.archive(ids, { source: 'sweep', api: this.sweepApi, maxCalls: SWEEP_MAX_CALLS });
+
+    console.log(`🗄️  Results sweep: ${archived.length}/${ids.length} fixture(s) detailed (${calls} call(s))`);
+    return { missingDetails: ids.length, detailed: archived.length, calls };
+  }
+
+  /**
+   * Admin: archive a whole league season, then fetch the details of its
+   * rows that have none yet
+   */
+  async backfill(leagueId, season, { details = true } = {}) {
+    const startTime = Date.now();
+    const fixtures = await this.leagueSeason(leagueId, season, { api: this.backfillApi, source: 'backfill' });
+
+    let detailed = 0;
+    let calls = 0;
+    if (details) {
+      const ids = await MatchResult.distinct('fixtureId', { leagueId, season, detailsFetchedAt: null });
+      const result = await this.archive(ids, { source: 'backfill', api: this.backfillApi });
+      detailed = result.archived.length;
+      calls = result.calls;
+    }
+
+    const summary = { leagueId, season, fixtures: fixtures.length, detailed, calls, durationMs: Date.now() - startTime };
+    console.log(`🗄️  Results backfill ${leagueId}/${season}: ${summary.fixtures} fixtures, ${detailed} detailed (${calls} call(s))`);
+    return summary;
+  }
+
+  /**
+   * Start a backfill in the background (admin endpoint).
+   * @returns {boolean} - false when one is already running in this process
+   */
+  startBackfill(leagueId, season, options = {}) {
+    if (this.job.running) return false;
+    this.job = { running: true, leagueId, season, startedAt: new Date(), finishedAt: null, result: null, error: null };
+
+    this.backfill(leagueId, season, options)
+      .then(result => { this.job.result = result; })
+      .catch(error => {
+        console.error(`[Results] Backfill ${leagueId}/${season} failed:`, error.message);
+        this.job.error = error.message;
+      })
+      .finally(() => {
+        this.job.running = false;
+        this.job.finishedAt = new Date();
+      });
+    return true;
+  }
+
+  /**
+   * Last backfill in this process plus archive totals
+   */
+  async getStatus() {
+    const [results, detailed] = await Promise.all([
+      MatchResult.estimatedDocumentCount(),
+      MatchResult.countDocuments({ detailsComplete: true })
+    ]);
+    return { job: { ...this.job }, archive: { results, detailed } };
+  }
+
+  /**
+   * Archived fixtures per season of one league (season-archive listing)
+   */
+  async seasonCounts(leagueId) {
+    const rows = await MatchResult.aggregate([
+      { $match: { leagueId } },
+      { $group: { _id: '$season', count: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(r => [r._id, r.count]));
+  }
+}
+
+const resultsArchive = new ResultsArchiveService();
+resultsArchive.fromApiFixture = fromApiFixture;
+resultsArchive.toApiFixture = toApiFixture;
+
+module.exports = resultsArchive;
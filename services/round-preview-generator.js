@@ -1,9 +1,9 @@
 const AutoArticle = require('../models/AutoArticle');
 const axios = require('axios');
+const apiSports = require('./apiSportsGateway');
+const { DEFAULT_TIMEZONE } = require('../utils/dateTime');
 require('dotenv').config();
 
-const API_SPORTS_URL = process.env.API_SPORTS_URL || 'https://v3.football.api-sports.io';
-const API_SPORTS_KEY = process.env.API_FOOTBALL_KEY;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 
 const TOP_LEAGUES = [
@@ -16,13 +16,7 @@ const TOP_LEAGUES = [
   { id: 340, slug: 'v-league-1', name: 'V.League 1', country: 'Vietnam', season: 2025 },
 ];
 
-const footballApi = axios.create({
-  baseURL: API_SPORTS_URL,
-  headers: {
-    'x-rapidapi-key': API_SPORTS_KEY,
-    'x-rapidapi-host': 'v3.football.api-sports.io',
-  },
-});
+const footballApi = apiSports.client('news:round-preview', { priority: 'low' });
 
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -91,7 +85,7 @@ function buildMatchList(matches) {
       day: '2-digit',
       month: '2-digit',
       hour12: false,
-      timeZone: 'Asia/Ho_Chi_Minh',
+      timeZone: DEFAULT_TIMEZONE,
     });
     return `- ${m.teams.home.name} vs ${m.teams.away.name} (${timeStr})`;
   }).join('\n');
@@ -0,0 +1,410 @@
+// services/seasonProjections.js - Monte Carlo end-of-season projections
+//
+// Start from the current API table, play every remaining fixture of the
+// league SIMULATIONS times and count where each team finishes:
+//
+//   - Scorelines are drawn from the Dixon-Coles score matrix of the league's
+//     latest PredictionModel (services/matchPrediction.js), so goal
+//     difference moves as well as points.
+//   - Leagues without a fitted model fall back to Elo win expectancy with a
+//     flat draw share, played as 1-0 / 1-1 / 0-1.
+//   - Ties on points are split by goal difference, goals scored, then at random.
+//
+// Runs are stored per matchday (SeasonProjection). The hourly job fetches
+// the league's fixtures and only re-simulates once new results are in and
+// the matchday is over. Requests only read the stored run: a league with no
+// projection yet is queued for a background run and reported as pending.
+//
+// The simulation shares the web process with the SSE stream and every
+// route, so it runs in batches of SIMULATION_BATCH and yields to the event
+// loop between them.
+
+const SeasonProjection = require('../models/SeasonProjection');
+const TeamElo = require('../models/TeamElo');
+const matchPrediction = require('./matchPrediction');
+const eloRatings = require('./eloRatings');
+const apiSports = require('./apiSportsGateway');
+const { currentSeasonForLeagueId } = require('../utils/leagueSlugs');
+
+// ============================================
+// CẤU HÌNH: Season projections
+// ============================================
+const SIMULATIONS = parseInt(process.env.PROJECTION_SIMULATIONS, 10) || 10000;
+const SIMULATION_BATCH = 250;        // runs between event-loop yields (~25ms for a 380-game season)
+// Leagues refreshed by the hourly job even before anyone asked for them
+const DEFAULT_LEAGUE_IDS = (process.env.PROJECTION_LEAGUES || '39,140,135,78,61,340')
+  .split(',').map(id => parseInt(id, 10)).filter(Boolean);
+const ELO_DRAW_SHARE = 0.26;
+const MIN_CELL_PROBABILITY = 1e-4;   // score matrix cells below this are dropped
+// A round with postponed games counts as finished this long after its last result
+const MATCHDAY_GRACE_HOURS = 12;
+const CACHE_TTL = 10 * 60 * 1000;
+
+const FINISHED_CODES = ['FT', 'AET', 'PEN', 'AWD', 'WO'];
+const IN_PLAY_CODES = ['1H', 'HT', '2H', 'ET', 'BT', 'P', 'SUSP', 'INT', 'LIVE'];
+const REMAINING_CODES = ['TBD', 'NS', 'PST', ...IN_PLAY_CODES];
+const EUROPE_PATTERN = /champions league|europa|conference|libertadores|sudamericana|afc|caf|concacaf/i;
+const RELEGATION_PATTERN = /relegation/i;
+
+const round = (n, digits = 4) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Cumulative scoreline distribution for one fixture: [{ h, a, c }]
+ */
+function cumulative(cells) {
+  const kept = cells.filter(cell => cell.p >= MIN_CELL_PROBABILITY);
+  const total = kept.reduce((s, cell) => s + cell.p, 0);
+  let running = 0;
+  return kept.map(cell => {
+    running += cell.p / total;
+    return { h: cell.h, a: cell.a, c: running };
+  });
+}
+
+function modelDistribution(params, homeRating, awayRating) {
+  const { correctScore } = matchPrediction.predictFromParams(params, homeRating, awayRating);
+  const cells = [];
+  correctScore.matrix.forEach((row, h) => row.forEach((p, a) => cells.push({ h, a, p })));
+  return cumulative(cells);
+}
+
+function eloDistribution(ratingHome, ratingAway) {
+  const expected = eloRatings.expectedScore(ratingHome, ratingAway);
+  const home = Math.max(0.02, expected - ELO_DRAW_SHARE / 2);
+  const away = Math.max(0.02, 1 - expected - ELO_DRAW_SHARE / 2);
+  return cumulative([
+    { h: 1, a: 0, p: home },
+    { h: 1, a: 1, p: ELO_DRAW_SHARE },
+    { h: 0, a: 1, p: away }
+  ]);
+}
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+function percentile(sorted, q) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+/**
+ * Play the remaining fixtures `simulations` times, SIMULATION_BATCH runs
+ * at a time.
+ *
+ * @param {Array} table - [{ teamId, points, goalsFor, goalsAgainst }]
+ * @param {Array} fixtures - [{ homeId, awayId, distribution }] (see cumulative())
+ * @param {Object} zones - { europe: [positions], relegation: [positions] }
+ * @returns {Promise<Map<number, Object>>} - teamId → projection fields
+ */
+async function simulateSeason(table, fixtures, zones, simulations = SIMULATIONS) {
+  const n = table.length;
+  const index = new Map(table.map((t, i) => [t.teamId, i]));
+  const games = fixtures
+    .filter(f => index.has(f.homeId) && index.has(f.awayId))
+    .map(f => ({ home: index.get(f.homeId), away: index.get(f.awayId), distribution: f.distribution }));
+
+  const basePoints = table.map(t => t.points);
+  const baseGd = table.map(t => t.goalsFor - t.goalsAgainst);
+  const baseGf = table.map(t => t.goalsFor);
+
+  const positionCounts = table.map(() => new Array(n).fill(0));
+  const finalPoints = table.map(() => new Array(simulations));
+  const europe = new Set(zones.europe || []);
+  const relegation = new Set(zones.relegation || []);
+  const zoneCounts = table.map(() => ({ europe: 0, relegation: 0 }));
+
+  const points = new Array(n);
+  const gd = new Array(n);
+  const gf = new Array(n);
+  const tiebreak = new Array(n);
+  const order = table.map((_, i) => i);
+
+  for (let s = 0; s < simulations; s++) {
+    if (s > 0 && s % SIMULATION_BATCH === 0) await yieldToEventLoop();
+
+    for (let i = 0; i < n; i++) {
+      points[i] = basePoints[i];
+      gd[i] = baseGd[i];
+      gf[i] = baseGf[i];
+      tiebreak[i] = Math.random();
+    }
+
+    for (const game of games) {
+      const r = Math.random();
+      const cells = game.distribution;
+      let k = 0;
+      while (k < cells.length - 1 && cells[k].c < r) k++;
+      const { h, a } = cells[k];
+
+      gf[game.home] += h;
+      gf[game.away] += a;
+      gd[game.home] += h - a;
+      gd[game.away] += a - h;
+      if (h > a) points[game.home] += 3;
+      else if (h < a) points[game.away] += 3;
+      else { points[game.home] += 1; points[game.away] += 1; }
+    }
+
+    order.sort((x, y) => (points[y] - points[x]) || (gd[y] - gd[x]) || (gf[y] - gf[x]) || (tiebreak[y] - tiebreak[x]));
+
+    order.forEach((teamIndex, position) => {
+      positionCounts[teamIndex][position]++;
+      if (europe.has(position + 1)) zoneCounts[teamIndex].europe++;
+      if (relegation.has(position + 1)) zoneCounts[teamIndex].relegation++;
+    });
+    for (let i = 0; i < n; i++) finalPoints[i][s] = points[i];
+  }
+
+  const result = new Map();
+  table.forEach((team, i) => {
+    const positions = positionCounts[i].map(count => count / simulations);
+    const sorted = finalPoints[i].sort((x, y) => x - y);
+
+    const histogram = new Map();
+    for (const p of sorted) histogram.set(p, (histogram.get(p) || 0) + 1);
+
+    result.set(team.teamId, {
+      expectedPoints: round(sorted.reduce((sum, p) => sum + p, 0) / simulations, 2),
+      expectedRank: round(positions.reduce((sum, p, pos) => sum + p * (pos + 1), 0), 2),
+      pointsRange: { p10: percentile(sorted, 0.1), p50: percentile(sorted, 0.5), p90: percentile(sorted, 0.9) },
+      pointsDistribution: Array.from(histogram.entries())
+        .map(([p, count]) => ({ points: p, probability: round(count / simulations) })),
+      positions: positions.map(p => round(p)),
+      title: round(positions[0] || 0),
+      top4: round(positions.slice(0, 4).reduce((sum, p) => sum + p, 0)),
+      europe: europe.size ? round(zoneCounts[i].europe / simulations) : null,
+      relegation: relegation.size ? round(zoneCounts[i].relegation / simulations) : null
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Continental and relegation positions from the API standings descriptions
+ */
+function zonesFromStandings(rows) {
+  const zones = { europe: [], relegation: [] };
+  for (const row of rows) {
+    const description = row.description || '';
+    if (RELEGATION_PATTERN.test(description)) zones.relegation.push(row.rank);
+    else if (EUROPE_PATTERN.test(description)) zones.europe.push(row.rank);
+  }
+  return zones;
+}
+
+/**
+ * Finished-fixture signature and whether the current matchday is over
+ */
+function matchdayState(fixtures) {
+  const finished = fixtures
+    .filter(f => FINISHED_CODES.includes(f.fixture.status.short))
+    .sort((a, b) => new Date(a.fixture.date) - new Date(b.fixture.date) || a.fixture.id - b.fixture.id);
+  const last = finished[finished.length - 1] || null;
+  const inPlay = fixtures.some(f => IN_PLAY_CODES.includes(f.fixture.status.short));
+
+  const roundName = last?.league?.round || null;
+  const roundOpen = !!roundName && fixtures.some(f =>
+    f.league?.round === roundName && !FINISHED_CODES.includes(f.fixture.status.short));
+  const lastResultAge = last ? Date.now() - new Date(last.fixture.date).getTime() : Infinity;
+
+  return {
+    signature: `${finished.length}:${last ? last.fixture.id : 0}`,
+    finished: finished.length,
+    round: roundName,
+    complete: !inPlay && (!roundOpen || lastResultAge > MATCHDAY_GRACE_HOURS * 60 * 60 * 1000)
+  };
+}
+
+class SeasonProjectionsService {
+  constructor() {
+    this.footballApi = apiSports.client('job:season-projections');
+    // leagueId:season -> { doc, at }
+    this.cache = new Map();
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Per-fixture scoreline distributions: Dixon-Coles when the league has a
+   * model, Elo otherwise.
+   */
+  async buildDistributions(leagueId, remaining) {
+    const model = await matchPrediction.getModel(leagueId);
+    const teamIds = Array.from(new Set(remaining.flatMap(f => [f.teams.home.id, f.teams.away.id])));
+
+    if (model) {
+      const ratings = new Map(model.teams.map(t => [t.teamId, t]));
+      return {
+        source: { model: remaining.length, elo: 0, modelVersion: model.version },
+        fixtures: remaining.map(f => ({
+          homeId: f.teams.home.id,
+          awayId: f.teams.away.id,
+          distribution: modelDistribution(model.params, ratings.get(f.teams.home.id), ratings.get(f.teams.away.id))
+        }))
+      };
+    }
+
+    const elo = await TeamElo.ratingsFor(teamIds);
+    const known = Array.from(elo.values());
+    const fallback = known.length ? known.reduce((s, r) => s + r, 0) / known.length : 1500;
+    return {
+      source: { model: 0, elo: remaining.length, modelVersion: null },
+      fixtures: remaining.map(f => ({
+        homeId: f.teams.home.id,
+        awayId: f.teams.away.id,
+        distribution: eloDistribution(elo.get(f.teams.home.id) ?? fallback, elo.get(f.teams.away.id) ?? fallback)
+      }))
+    };
+  }
+
+  /**
+   * Re-simulate a league once its matchday is over.
+   * @returns {Promise<Object|null>} - Latest projection, or null when the
+   *   league has no single-table standings for the season
+   */
+  async refreshLeague(leagueId, { season = null, force = false } = {}) {
+    season = season || currentSeasonForLeagueId(leagueId);
+
+    const fixturesRes = await this.footballApi.get('/fixtures', { params: { league: leagueId, season } });
+    const fixtures = fixturesRes.data?.response || [];
+    if (fixtures.length === 0) return null;
+
+    const state = matchdayState(fixtures);
+    const stored = await SeasonProjection.latestFor(leagueId, season);
+    if (stored && stored.signature === state.signature) return stored;
+    if (stored && !force && !state.complete) return stored;
+
+    const standingsRes = await this.footballApi.get('/standings', { params: { league: leagueId, season } });
+    const league = standingsRes.data?.response?.[0]?.league;
+    if (!league || !league.standings || league.standings.length !== 1) {
+      // Group stages and split conferences have no single table to project
+      return null;
+    }
+    const rows = league.standings[0];
+
+    const remaining = fixtures.filter(f => REMAINING_CODES.includes(f.fixture.status.short));
+    const { source, fixtures: distributions } = await this.buildDistributions(leagueId, remaining);
+    const zones = zonesFromStandings(rows);
+
+    const startTime = Date.now();
+    const table = rows.map(row => ({
+      teamId: row.team.id,
+      points: row.points,
+      goalsFor: row.all.goals.for,
+      goalsAgainst: row.all.goals.against
+    }));
+    const projected = await simulateSeason(table, distributions, zones);
+
+    const doc = {
+      leagueId,
+      leagueName: league.name,
+      season,
+      signature: state.signature,
+      round: state.round,
+      computedAt: new Date(),
+      simulations: SIMULATIONS,
+      finishedFixtures: state.finished,
+      remainingFixtures: remaining.length,
+      probabilitySource: source,
+      zones,
+      teams: rows.map(row => ({
+        teamId: row.team.id,
+        name: row.team.name,
+        logo: row.team.logo,
+        rank: row.rank,
+        points: row.points,
+        played: row.all.played,
+        goalsDiff: row.goalsDiff,
+        ...projected.get(row.team.id)
+      }))
+    };
+
+    try {
+      const saved = await SeasonProjection.create(doc);
+      this.cache.delete(`${leagueId}:${season}`);
+      console.log(`   [Projections] League ${leagueId}/${season} after ${state.round || state.signature}: ` +
+        `${remaining.length} fixture(s) × ${SIMULATIONS} in ${Date.now() - startTime}ms (${source.model ? 'model' : 'elo'})`);
+      return saved.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        // Another instance stored this matchday first
+        return SeasonProjection.latestFor(leagueId, season);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stored projection for a league, or null. Never simulates on the caller's
+   * behalf: a league without a stored run is queued (see isPending()).
+   */
+  async getProjection(leagueId, { season = null } = {}) {
+    season = season || currentSeasonForLeagueId(leagueId);
+    const key = `${leagueId}:${season}`;
+
+    const hit = this.cache.get(key);
+    if (hit && Date.now() - hit.at < CACHE_TTL) return hit.doc;
+
+    const doc = await SeasonProjection.latestFor(leagueId, season);
+    if (doc) {
+      this.cache.set(key, { doc, at: Date.now() });
+      return doc;
+    }
+
+    this.queueRefresh(leagueId, season);
+    return null;
+  }
+
+  /**
+   * True while a league's first run is queued or simulating
+   */
+  isPending(leagueId, { season = null } = {}) {
+    season = season || currentSeasonForLeagueId(leagueId);
+    return this.inFlight.has(`${leagueId}:${season}`);
+  }
+
+  /**
+   * Background first run for a league nobody projected yet. The outcome
+   * (null for leagues without a single table) is cached for CACHE_TTL so
+   * repeated requests do not refetch the league.
+   */
+  queueRefresh(leagueId, season) {
+    const key = `${leagueId}:${season}`;
+    if (this.inFlight.has(key)) return;
+
+    this.inFlight.set(key, this.refreshLeague(leagueId, { season, force: true })
+      .then(doc => this.cache.set(key, { doc, at: Date.now() }))
+      .catch(error => console.error(`   [Projections] League ${leagueId}/${season} first run failed:`, error.message))
+      .finally(() => this.inFlight.delete(key)));
+  }
+
+  /**
+   * Hourly job: every default or previously requested league.
+   */
+  async refreshAll() {
+    const startTime = Date.now();
+    const tracked = await SeasonProjection.trackedLeagueIds();
+    const leagueIds = Array.from(new Set([...DEFAULT_LEAGUE_IDS, ...tracked]));
+
+    let updated = 0;
+    for (const leagueId of leagueIds) {
+      try {
+        const before = await SeasonProjection.latestFor(leagueId);
+        const after = await this.refreshLeague(leagueId);
+        if (after && (!before || String(after._id) !== String(before._id))) updated++;
+      } catch (error) {
+        if (error.code === 'API_BUDGET_EXCEEDED') {
+          console.warn('   [Projections] API budget reached — stopping this run');
+          break;
+        }
+        console.error(`   [Projections] League ${leagueId} failed:`, error.message);
+      }
+    }
+
+    console.log(`[Projections] ${updated}/${leagueIds.length} league(s) re-simulated in ${Date.now() - startTime}ms`);
+    return { leagues: leagueIds.length, updated };
+  }
+}
+
+const seasonProjections = new SeasonProjectionsService();
+seasonProjections.simulateSeason = simulateSeason;
+
+module.exports = seasonProjections;
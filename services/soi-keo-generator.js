@@ -3,6 +3,12 @@ const oddsCache = require('./oddsCache');
 const { generateForArticle, generateVariantForArticle } = require('./article-image-generator');
 const { validate: validateContent } = require('./contentValidator');
 const axios = require('axios');
+const apiSports = require('./apiSportsGateway');
+const { mainLine } = require('./oddsHistory');
+const teamPatterns = require('./teamPatterns');
+const resultsArchive = require('./resultsArchive');
+const { DEFAULT_ODDS_FORMAT, ODDS_FORMAT_LABELS, formatOddsSnapshot } = require('../utils/oddsFormat');
+const { DEFAULT_TIMEZONE } = require('../utils/dateTime');
 require('dotenv').config();
 
 // Local API URL for hot matches
@@ -20,17 +26,29 @@ const FOOTBALL_IMAGES = [
   'https://images.unsplash.com/photo-1553778263-73a83bab9b0c?w=800',
 ];
 
+/**
+ * Odds line rendered into the article, in the site's default format
+ * (formatOddsSnapshot output). Written here rather than by the AI so the
+ * numbers are exactly the stored snapshot.
+ */
+function renderOddsLine(shown, teams) {
+  if (!shown?.homeWin) return '';
+  const label = ODDS_FORMAT_LABELS[shown.format] || shown.format;
+  let line = `**Tỷ lệ 1X2 (${label}):** ${teams.home.name} ${shown.homeWin} · Hòa ${shown.draw ?? '-'} · ${teams.away.name} ${shown.awayWin ?? '-'}`;
+  if (shown.handicap?.display) {
+    line += ` | Châu Á: ${teams.home.name} ${shown.handicap.display} (${shown.handicap.home ?? '-'} / ${shown.handicap.away ?? '-'})`;
+  }
+  if (shown.overUnder?.display) {
+    line += ` | Tài/Xỉu ${shown.overUnder.display} bàn (${shown.overUnder.over ?? '-'} / ${shown.overUnder.under ?? '-'})`;
+  }
+  return line;
+}
+
 class SoiKeoGenerator {
   constructor() {
     this.apiKey = process.env.API_FOOTBALL_KEY;
     this.anthropicKey = process.env.ANTHROPIC_API_KEY;
-    this.footballApi = axios.create({
-      baseURL: 'https://v3.football.api-sports.io',
-      headers: {
-        'x-rapidapi-key': this.apiKey,
-        'x-rapidapi-host': 'v3.football.api-sports.io'
-      }
-    });
+    this.footballApi = apiSports.client('news:soi-keo', { priority: 'low' });
   }
 
   /**
@@ -233,10 +251,12 @@ class SoiKeoGenerator {
       result.awayWin = away?.odd ? parseFloat(away.odd) : null;
     }
 
-    // Asian Handicap
+    // Asian Handicap — main (balanced) line, quarter lines kept as "-0.25"
     if (asianHandicap?.values && asianHandicap.values.length >= 2) {
-      const homeHcp = asianHandicap.values.find(v => v.value?.includes('Home'));
-      const awayHcp = asianHandicap.values.find(v => v.value?.includes('Away'));
+      const main = mainLine('asian_handicap', asianHandicap.values);
+      const line = main ? main.line : null;
+      const homeHcp = asianHandicap.values.find(v => v.value?.includes('Home') && (!line || v.value.endsWith(` ${line}`)));
+      const awayHcp = asianHandicap.values.find(v => v.value?.includes('Away') && (!line || v.value.endsWith(` ${line}`)));
 
       if (homeHcp) {
         // Extract line from value like "Home -0.5"
@@ -274,14 +294,7 @@ class SoiKeoGenerator {
    */
   async getH2H(homeTeamId, awayTeamId) {
     try {
-      const response = await this.footballApi.get('/fixtures/headtohead', {
-        params: {
-          h2h: `${homeTeamId}-${awayTeamId}`,
-          last: 10
-        }
-      });
-
-      const fixtures = response.data?.response || [];
+      const fixtures = await resultsArchive.headToHead(homeTeamId, awayTeamId, { last: 10, api: this.footballApi });
 
       if (fixtures.length === 0) {
         return 'Không có dữ liệu đối đầu.';
@@ -335,15 +348,7 @@ class SoiKeoGenerator {
    */
   async getTeamForm(teamId) {
     try {
-      const response = await this.footballApi.get('/fixtures', {
-        params: {
-          team: teamId,
-          last: 10,
-          status: 'FT'
-        }
-      });
-
-      const fixtures = response.data?.response || [];
+      const fixtures = await resultsArchive.teamResults(teamId, { last: 10, api: this.footballApi });
 
       if (fixtures.length === 0) {
         return 'Không có dữ liệu.';
@@ -389,22 +394,25 @@ class SoiKeoGenerator {
 
   /**
    * Build AI prompt for article generation (style: giovang.org)
+   * @param {string|null} patterns - teamPatterns.promptFacts() lines, quoted as facts
+   * @param {Object|null} odds - formatOddsSnapshot() in DEFAULT_ODDS_FORMAT; the
+   *   odds line itself is inserted by generateArticleForFixture()
    */
-  buildPrompt(matchData, h2hData, homeForm, awayForm) {
+  buildPrompt(matchData, h2hData, homeForm, awayForm, patterns = null, odds = null) {
     const { fixture, teams, league } = matchData;
 
     const matchTime = new Date(fixture.date).toLocaleString('vi-VN', {
       hour: '2-digit',
       minute: '2-digit',
       hour12: false,
-      timeZone: 'Asia/Ho_Chi_Minh'
+      timeZone: DEFAULT_TIMEZONE
     });
 
     const matchDateStr = new Date(fixture.date).toLocaleDateString('vi-VN', {
       day: '2-digit',
       month: '2-digit',
       year: 'numeric',
-      timeZone: 'Asia/Ho_Chi_Minh'
+      timeZone: DEFAULT_TIMEZONE
     });
 
     // Randomize writing style for each article to avoid template spam
@@ -470,7 +478,14 @@ ${h2hData}
 **PHONG ĐỘ:**
 - ${teams.home.name}: ${homeForm}
 - ${teams.away.name}: ${awayForm}
-
+${patterns ? `
+**XU HƯỚNG GHI BÀN (số liệu đã tính sẵn — trích đúng con số, KHÔNG tự suy ra tỷ lệ hay xu hướng khác):**
+${patterns}
+` : ''}${odds?.homeWin ? `
+**THỊ TRƯỜNG (tham khảo — bảng tỷ lệ được chèn tự động đầu phần prediction, KHÔNG chép lại con số):**
+${renderOddsLine(odds, teams).replace(/\*\*/g, '')}
+Có thể nhận xét thị trường đánh giá đội nào nhỉnh hơn, nhưng vẫn tuân thủ quy tắc 6.
+` : ''}
 **QUY TẮC VIẾT BÀI — BẮT BUỘC TUÂN THỦ:**
 
 1. NGẮN GỌN & SÚC TÍCH — tổng bài 1500-2000 từ (KHÔNG phải 2500-3000). Mỗi câu phải có thông tin mới. Cắt bỏ mọi câu lặp lại ý.
@@ -496,7 +511,7 @@ ${h2hData}
 2. teamAnalysis (400-500 từ) — so sánh 2 đội, KHÔNG tách riêng rồi nói giống nhau
 3. h2hHistory (200-250 từ) — chỉ highlight insight quan trọng, không liệt kê từng trận
 4. formAnalysis (200-300 từ) — tóm tắt xu hướng, không lặp lại số liệu đã nêu
-5. prediction (150-200 từ) — tỷ số dự đoán + 3 LÝ DO CỤ THỂ có dẫn chứng số liệu (phong độ, H2H); mỗi lý do 1-2 câu
+5. prediction (150-200 từ) — tỷ số dự đoán + 3 LÝ DO CỤ THỂ có dẫn chứng số liệu (phong độ, H2H${patterns ? ', xu hướng ghi bàn' : ''}); mỗi lý do 1-2 câu
 
 **TITLE GỢI Ý (chọn 1 hoặc tự sáng tạo):**
 "${titleSuggestion}"
@@ -602,17 +617,20 @@ KHÔNG bịa chấn thương cầu thủ. Trả về ĐÚNG JSON.`;
       // Get data in parallel where possible
       console.log(`   Fetching data...`);
 
-      const [h2hData, homeForm, awayForm] = await Promise.all([
+      const [h2hData, homeForm, awayForm, oddsData, patterns] = await Promise.all([
         this.getH2H(teams.home.id, teams.away.id),
         this.getTeamForm(teams.home.id),
-        this.getTeamForm(teams.away.id)
+        this.getTeamForm(teams.away.id),
+        this.getOddsForFixture(fixture.id, fixtureData),
+        teamPatterns.promptFacts(teams.home, teams.away).catch(() => null)
       ]);
 
       console.log(`   ✓ Data fetched`);
+      const shownOdds = oddsData?.homeWin ? formatOddsSnapshot(oddsData, DEFAULT_ODDS_FORMAT) : null;
 
       // Build prompt and generate content
       console.log(`   Generating AI content...`);
-      const prompt = this.buildPrompt(fixtureData, h2hData, homeForm, awayForm);
+      const prompt = this.buildPrompt(fixtureData, h2hData, homeForm, awayForm, patterns, shownOdds);
       const aiContent = await this.generateAIContent(prompt);
       console.log(`   ✓ AI content generated`);
 
@@ -665,8 +683,13 @@ KHÔNG bịa chấn thương cầu thủ. Trả về ĐÚNG JSON.`;
           teamAnalysis: aiContent.teamAnalysis,
           h2hHistory: aiContent.h2hHistory,
           formAnalysis: aiContent.formAnalysis,
-          prediction: aiContent.prediction,
+          // Odds in the site default format head the prediction section
+          prediction: shownOdds
+            ? `${renderOddsLine(shownOdds, teams)}\n\n${aiContent.prediction}`
+            : aiContent.prediction,
         },
+        // Decimal snapshot; readers see it converted (SSR default / ?oddsFormat=)
+        ...(oddsData ? { oddsData } : {}),
         thumbnail: FOOTBALL_IMAGES[Math.floor(Math.random() * FOOTBALL_IMAGES.length)],
         tags: aiContent.tags || [teams.home.name, teams.away.name, league.name],
         // Wait for admin review — /admin flips this once both checkboxes are set.
@@ -1,6 +1,7 @@
 const cron = require('node-cron');
 const soiKeoGenerator = require('./soi-keo-generator');
 const { invalidateSitemapCache } = require('../routes/sitemap');
+const { DEFAULT_TIMEZONE } = require('../utils/dateTime');
 
 // Halved from 50/12 in apr-2026 cost-cut pass — Anthropic spend was the
 // dominant line item. Per-day still well above realistic match supply.
@@ -101,7 +102,7 @@ function getSchedulerStatus() {
     config: {
       maxArticlesPerDay: MAX_ARTICLES_PER_DAY,
       schedules: ['Every 4 hours: 00, 04, 08, 12, 16, 20'],
-      timezone: 'Asia/Ho_Chi_Minh'
+      timezone: DEFAULT_TIMEZONE
     }
   };
 }
@@ -1,8 +1,8 @@
 const cron = require('node-cron');
-const axios = require('axios');
+const apiSports = require('./apiSportsGateway');
 const Team = require('../models/Team');
+const { DEFAULT_TIMEZONE } = require('../utils/dateTime');
 
-const API_KEY = process.env.API_FOOTBALL_KEY;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 
 // Top leagues to sync
@@ -14,11 +14,7 @@ const TARGET_LEAGUES = [
   { id: 61, name: 'Ligue 1', country: 'France', slug: 'ligue-1' },
 ];
 
-const footballApi = axios.create({
-  baseURL: 'https://v3.football.api-sports.io',
-  headers: { 'x-apisports-key': API_KEY },
-  timeout: 15000,
-});
+const footballApi = apiSports.client('job:team-sync');
 
 function slugify(name) {
   return name
@@ -330,7 +326,7 @@ function start() {
   cronJob = cron.schedule('0 4 * * *', () => {
     console.log('\n⏰ Scheduled team sync triggered');
     syncTeams();
-  }, { timezone: 'Asia/Ho_Chi_Minh' });
+  }, { timezone: DEFAULT_TIMEZONE });
 
   console.log('✅ Team sync scheduler started (daily at 4:00 AM)');
 
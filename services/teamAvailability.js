@@ -0,0 +1,355 @@
+// services/teamAvailability.js - Squad availability board per club
+//
+// Inputs, merged into one TeamAvailability document per club:
+//
+//   injuries    /injuries rows the 6-hourly injury cron already fetches
+//               (news-data-derived/injury-tracker.js hands them over)
+//   lineups     starting XIs of the league's latest finished fixtures
+//   squad       /players/squads, refreshed weekly for clubs the cron touches
+//
+// Each player's status is decided at read time:
+//
+//   suspended   pending ban in services/discipline.js, or an injury-list
+//               entry whose reason is a suspension
+//   injured     listed as "Missing Fixture"
+//   doubtful    listed as "Questionable"
+//   available   everyone else in the squad
+//
+// The return date is only an estimate: the first published fixture list
+// the player no longer appears on. API-Sports gives no return dates.
+
+const apiSports = require('./apiSportsGateway');
+const TeamAvailability = require('../models/TeamAvailability');
+const discipline = require('./discipline');
+
+// ============================================
+// CẤU HÌNH: Team availability
+// ============================================
+const LINEUP_WINDOW = 5;                 // recent lineups kept per club
+const LEAGUE_LAST_FIXTURES = 20;         // finished fixtures scanned per league run
+const IDS_PER_CALL = 20;                 // API-Sports limit for /fixtures?ids=
+const SQUAD_TTL = 7 * 24 * 60 * 60 * 1000;
+const INJURY_STALE_MS = 10 * 24 * 60 * 60 * 1000;  // not re-listed since → ignored
+
+const STATUS_ORDER = ['suspended', 'injured', 'doubtful', 'available'];
+const SUSPENSION_REASON = /suspen|red card|yellow card/i;
+
+function isFresh(injury, now = Date.now()) {
+  return !!injury?.lastListedAt && now - new Date(injury.lastListedAt) < INJURY_STALE_MS;
+}
+
+/**
+ * Status of one player entry (suspension from discipline passed separately)
+ */
+function classify(player, suspension, now = Date.now()) {
+  const injury = isFresh(player.injury, now) ? player.injury : null;
+  if (suspension || (injury && SUSPENSION_REASON.test(injury.reason || ''))) return 'suspended';
+  if (!injury) return 'available';
+  return injury.type === 'Questionable' ? 'doubtful' : 'injured';
+}
+
+/**
+ * Apply one club's injury rows to its player list.
+ * @param {Array} players - current player entries (mutated copies returned)
+ * @param {Array} rows - /injuries rows of this club
+ */
+function applyInjuries(players, rows, now = new Date()) {
+  const byId = new Map(players.map(p => [p.playerId, { ...p }]));
+
+  // Published fixture lists of this club, in date order
+  const fixtures = [...new Map(rows
+    .filter(r => r.fixture?.id)
+    .map(r => [r.fixture.id, { fixtureId: r.fixture.id, date: r.fixture.date ? new Date(r.fixture.date) : null }])
+  ).values()].sort((a, b) => (a.date || 0) - (b.date || 0));
+
+  const listed = new Map();  // playerId → rows in fixture order
+  for (const row of rows) {
+    if (!row.player?.id) continue;
+    if (!listed.has(row.player.id)) listed.set(row.player.id, []);
+    listed.get(row.player.id).push(row);
+  }
+
+  for (const [playerId, playerRows] of listed) {
+    playerRows.sort((a, b) => new Date(a.fixture?.date || 0) - new Date(b.fixture?.date || 0));
+    const first = playerRows[0];
+    const last = playerRows[playerRows.length - 1];
+    const entry = byId.get(playerId) || { playerId };
+    const previous = entry.injury;
+
+    entry.name = first.player.name || entry.name;
+    entry.photo = first.player.photo || entry.photo;
+    entry.injury = {
+      type: first.player.type || null,
+      reason: first.player.reason || null,
+      fixtureId: first.fixture?.id || null,
+      fixtureDate: first.fixture?.date ? new Date(first.fixture.date) : null,
+      firstListedAt: previous?.firstListedAt && isFresh(previous, now) ? previous.firstListedAt : now,
+      lastListedAt: now
+    };
+    const lastIndex = fixtures.findIndex(f => f.fixtureId === last.fixture?.id);
+    entry.expectedReturn = lastIndex !== -1 && lastIndex < fixtures.length - 1 ? fixtures[lastIndex + 1].date : null;
+    byId.set(playerId, entry);
+  }
+
+  // On an earlier list, not on this one: back in contention
+  for (const entry of byId.values()) {
+    if (entry.injury && !listed.has(entry.playerId)) {
+      entry.injury = null;
+      entry.expectedReturn = null;
+    }
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Apply one finished fixture's lineup to a club's document fields
+ */
+function applyLineup(doc, lineup, fixture) {
+  const byId = new Map(doc.players.map(p => [p.playerId, p]));
+  const date = new Date(fixture.fixture.date);
+  const starters = [];
+
+  for (const { player } of lineup.startXI || []) {
+    if (!player?.id) continue;
+    starters.push(player.id);
+    const entry = byId.get(player.id) || { playerId: player.id };
+    entry.name = entry.name || player.name;
+    entry.number = player.number ?? entry.number;
+    entry.position = entry.position || player.pos || null;
+    if (!entry.lastStart?.date || new Date(entry.lastStart.date) < date) {
+      entry.lastStart = { fixtureId: fixture.fixture.id, date };
+    }
+    byId.set(player.id, entry);
+  }
+  for (const { player } of lineup.substitutes || []) {
+    if (player?.id && !byId.has(player.id)) {
+      byId.set(player.id, { playerId: player.id, name: player.name, number: player.number, position: player.pos || null });
+    }
+  }
+
+  doc.players = [...byId.values()];
+  doc.lineupFixtures = [{ fixtureId: fixture.fixture.id, date, starters }, ...doc.lineupFixtures]
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, LINEUP_WINDOW);
+}
+
+class TeamAvailabilityService {
+  constructor() {
+    this.footballApi = apiSports.client('job:availability');
+  }
+
+  async load(teamId) {
+    const doc = await TeamAvailability.findOne({ teamId }).lean();
+    return doc || { teamId, players: [], lineupFixtures: [] };
+  }
+
+  async save(doc, fields) {
+    const update = { $set: fields };
+    try {
+      await TeamAvailability.updateOne({ teamId: doc.teamId }, update, { upsert: true });
+    } catch (error) {
+      // Another PM2 instance created the document first
+      if (error.code !== 11000) throw error;
+      await TeamAvailability.updateOne({ teamId: doc.teamId }, update);
+    }
+  }
+
+  /**
+   * One injury-cron run for a league: injury rows, then recent lineups,
+   * then squads of the clubs touched when theirs are stale.
+   * @param {Array} injuryRows - /injuries rows as fetched by the tracker
+   */
+  async update(leagueId, season, injuryRows = []) {
+    const touched = new Set();
+
+    const byTeam = new Map();
+    for (const row of injuryRows) {
+      if (!row.team?.id) continue;
+      if (!byTeam.has(row.team.id)) byTeam.set(row.team.id, []);
+      byTeam.get(row.team.id).push(row);
+    }
+    for (const [teamId, rows] of byTeam) {
+      const doc = await this.load(teamId);
+      const players = applyInjuries(doc.players, rows);
+      await this.save(doc, { teamName: rows[0].team.name || doc.teamName, players, injuriesUpdatedAt: new Date() });
+      touched.add(teamId);
+    }
+
+    for (const teamId of await this.syncLineups(leagueId, season)) touched.add(teamId);
+
+    let squads = 0;
+    for (const teamId of touched) {
+      if (await this.refreshSquad(teamId)) squads++;
+    }
+
+    console.log(`🚑 Availability: league ${leagueId} — ${byTeam.size} club(s) from injuries, ${touched.size} touched, ${squads} squad(s) refreshed`);
+    return { injuries: byTeam.size, touched: touched.size, squads };
+  }
+
+  /**
+   * Lineups of the league's latest finished fixtures not processed yet
+   * @returns {Promise<number[]>} - teamIds updated
+   */
+  async syncLineups(leagueId, season) {
+    const response = await this.footballApi.get('/fixtures', {
+      params: { league: leagueId, season, last: LEAGUE_LAST_FIXTURES }
+    });
+    const finished = (response.data?.response || []).filter(f => ['FT', 'AET', 'PEN'].includes(f.fixture?.status?.short));
+
+    const teamIds = [...new Set(finished.flatMap(f => [f.teams?.home?.id, f.teams?.away?.id]).filter(Boolean))];
+    const docs = new Map((await TeamAvailability.find({ teamId: { $in: teamIds } }).lean()).map(d => [d.teamId, d]));
+    const seen = fixtureId => teamId => (docs.get(teamId)?.lineupFixtures || []).some(l => l.fixtureId === fixtureId);
+    const missing = finished
+      .filter(f => ![f.teams.home.id, f.teams.away.id].every(seen(f.fixture.id)))
+      .map(f => f.fixture.id);
+
+    const updated = new Map();
+    for (let i = 0; i < missing.length; i += IDS_PER_CALL) {
+      const res = await this.footballApi.get('/fixtures', { params: { ids: missing.slice(i, i + IDS_PER_CALL).join('-') } });
+      for (const fixture of res.data?.response || []) {
+        for (const lineup of fixture.lineups || []) {
+          const teamId = lineup.team?.id;
+          if (!teamId || seen(fixture.fixture.id)(teamId)) continue;
+          const doc = updated.get(teamId) || docs.get(teamId) || { teamId, players: [], lineupFixtures: [] };
+          doc.teamName = doc.teamName || lineup.team.name;
+          applyLineup(doc, lineup, fixture);
+          updated.set(teamId, doc);
+        }
+      }
+    }
+
+    for (const doc of updated.values()) {
+      await this.save(doc, {
+        teamName: doc.teamName,
+        players: doc.players,
+        lineupFixtures: doc.lineupFixtures,
+        lineupsUpdatedAt: new Date()
+      });
+    }
+    return [...updated.keys()];
+  }
+
+  /**
+   * Squad list, at most once per SQUAD_TTL
+   * @returns {Promise<boolean>} - whether the squad was fetched
+   */
+  async refreshSquad(teamId) {
+    const doc = await this.load(teamId);
+    if (doc.squadUpdatedAt && Date.now() - new Date(doc.squadUpdatedAt) < SQUAD_TTL) return false;
+
+    const response = await this.footballApi.get('/players/squads', { params: { team: teamId } });
+    const squad = response.data?.response?.[0]?.players || [];
+    if (squad.length === 0) return false;
+
+    const byId = new Map(doc.players.map(p => [p.playerId, { ...p, inSquad: false }]));
+    for (const player of squad) {
+      const entry = byId.get(player.id) || { playerId: player.id };
+      Object.assign(entry, {
+        name: player.name || entry.name,
+        photo: player.photo || entry.photo,
+        position: player.position || entry.position,
+        number: player.number ?? entry.number,
+        inSquad: true
+      });
+      byId.set(player.id, entry);
+    }
+
+    await this.save(doc, { players: [...byId.values()], squadUpdatedAt: new Date() });
+    return true;
+  }
+
+  /**
+   * Availability board of one club
+   * @returns {Promise<Object|null>} - null when nothing is known yet
+   */
+  async getBoard(teamId) {
+    const [doc, competitions] = await Promise.all([
+      TeamAvailability.findOne({ teamId }).lean(),
+      discipline.forTeam(teamId).catch(() => [])
+    ]);
+
+    // playerId → earliest pending ban across competitions
+    const bans = new Map();
+    for (const competition of competitions) {
+      for (const player of competition.suspended) {
+        if (bans.has(player.playerId)) continue;
+        bans.set(player.playerId, {
+          leagueId: competition.leagueId,
+          leagueName: competition.leagueName,
+          playerName: player.playerName,
+          pendingGames: player.pendingGames,
+          reason: player.suspensions.find(s => s.pending > 0)?.reason || null
+        });
+      }
+    }
+    if (!doc && bans.size === 0) return null;
+
+    const squadKnown = !!doc?.squadUpdatedAt;
+    const lineups = doc?.lineupFixtures || [];
+    const now = Date.now();
+    const players = [];
+    const listedIds = new Set();
+
+    for (const p of doc?.players || []) {
+      const suspension = bans.get(p.playerId) || null;
+      const status = classify(p, suspension, now);
+      // Left the club: drop unless something still says otherwise
+      if (squadKnown && !p.inSquad && status === 'available') continue;
+      listedIds.add(p.playerId);
+
+      const injury = isFresh(p.injury, now) ? p.injury : null;
+      players.push({
+        playerId: p.playerId,
+        name: p.name,
+        photo: p.photo || null,
+        position: p.position || null,
+        number: p.number ?? null,
+        status,
+        reason: injury?.reason || null,
+        since: injury?.firstListedAt || null,
+        expectedReturn: injury ? p.expectedReturn || null : null,
+        suspension,
+        lastStart: p.lastStart?.fixtureId ? p.lastStart : null,
+        recentStarts: lineups.filter(l => l.starters.includes(p.playerId)).length
+      });
+    }
+    for (const [playerId, suspension] of bans) {
+      if (listedIds.has(playerId)) continue;
+      players.push({
+        playerId,
+        name: suspension.playerName,
+        photo: null,
+        position: null,
+        number: null,
+        status: 'suspended',
+        reason: null,
+        since: null,
+        expectedReturn: null,
+        suspension,
+        lastStart: null,
+        recentStarts: lineups.filter(l => l.starters.includes(playerId)).length
+      });
+    }
+
+    players.sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) ||
+      b.recentStarts - a.recentStarts || String(a.name).localeCompare(String(b.name)));
+
+    const counts = Object.fromEntries(STATUS_ORDER.map(s => [s, players.filter(p => p.status === s).length]));
+    return {
+      teamId,
+      teamName: doc?.teamName || null,
+      counts,
+      players,
+      recentLineups: lineups.length,
+      injuriesUpdatedAt: doc?.injuriesUpdatedAt || null,
+      lineupsUpdatedAt: doc?.lineupsUpdatedAt || null,
+      squadUpdatedAt: doc?.squadUpdatedAt || null
+    };
+  }
+}
+
+const teamAvailability = new TeamAvailabilityService();
+teamAvailability.applyInjuries = applyInjuries;
+teamAvailability.classify = classify;
+
+module.exports = teamAvailability;
@@ -0,0 +1,349 @@
+// services/teamOfTheWeek.js - Player match ratings & Team of the Week
+//
+// Ratings: every rated player of a finished fixture in an allowed league
+// becomes a PlayerMatchRating row (API-Sports rating + key stats). Rows come
+// from /api/matches/:id/lineups, which fetches /fixtures/players anyway,
+// from the weekly job below and from the season backfill that
+// services/playerLeaderboards.js runs daily.
+//
+// Team of the Week, per league round: the best XI among players with at
+// least MIN_MINUTES, in whichever of FORMATIONS gives the highest total
+// rating (1 GK + the formation's defenders, midfielders and forwards by
+// API-Sports position). Player of the round = best rating overall; ties go
+// to goals + assists, then minutes.
+//
+// Weekly job: rounds played in the last WINDOW_DAYS of every SSR league →
+// missing ratings via /fixtures?ids= (players included) → XI rebuilt. A
+// round with fixtures still to play is stored with complete=false and
+// rebuilt on the next run.
+
+const apiSports = require('./apiSportsGateway');
+const MatchCache = require('../models/MatchCache');
+const PlayerMatchRating = require('../models/PlayerMatchRating');
+const TeamOfTheWeek = require('../models/TeamOfTheWeek');
+const { isLeagueAllowed } = require('../config/allowedCompetitions');
+const { LEAGUES, currentSeasonForLeague, currentSeasonForLeagueId } = require('../utils/leagueSlugs');
+
+// ============================================
+// CẤU HÌNH: Team of the Week
+// ============================================
+const FORMATIONS = ['4-3-3', '4-4-2', '3-5-2', '3-4-3', '4-5-1', '5-3-2', '5-4-1'];
+const MIN_MINUTES = 60;
+const WINDOW_DAYS = 8;
+const IDS_PER_CALL = 20;               // API-Sports limit for /fixtures?ids=
+
+const FINISHED_CODES = ['FT', 'AET', 'PEN'];
+const OPEN_CODES = ['TBD', 'NS', '1H', 'HT', '2H', 'ET', 'BT', 'P', 'SUSP', 'INT', 'LIVE'];
+
+function roundNumber(round) {
+  const match = /(\d+)\s*$/.exec(round || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function num(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * /fixtures/players response → PlayerMatchRating rows (rated players only)
+ * @param {Object} meta - { fixtureId, leagueId, season, round, date }
+ */
+function ratingRows(meta, teamsPlayers) {
+  const rows = [];
+  for (const { team, players } of teamsPlayers || []) {
+    for (const { player, statistics } of players || []) {
+      const s = statistics?.[0] || {};
+      const rating = num(s.games?.rating);
+      if (!player?.id || rating == null) continue;
+      rows.push({
+        ...meta,
+        playerId: player.id,
+        playerName: player.name,
+        photo: player.photo || null,
+        teamId: team?.id,
+        teamName: team?.name,
+        position: s.games?.position || null,
+        minutes: s.games?.minutes || 0,
+        rating,
+        captain: !!s.games?.captain,
+        substitute: !!s.games?.substitute,
+        goals: s.goals?.total || 0,
+        assists: s.goals?.assists || 0,
+        conceded: s.goals?.conceded || 0,
+        saves: s.goals?.saves || 0,
+        shotsOnTarget: s.shots?.on || 0,
+        keyPasses: s.passes?.key || 0,
+        passAccuracy: num(s.passes?.accuracy),
+        tackles: s.tackles?.total || 0,
+        interceptions: s.tackles?.interceptions || 0,
+        duelsWon: s.duels?.won || 0,
+        dribblesSuccess: s.dribbles?.success || 0,
+        yellowCards: s.cards?.yellow || 0,
+        redCards: s.cards?.red || 0
+      });
+    }
+  }
+  return rows;
+}
+
+function byPerformance(a, b) {
+  return b.rating - a.rating ||
+    (b.goals + b.assists) - (a.goals + a.assists) ||
+    b.minutes - a.minutes;
+}
+
+function toPick(row) {
+  return {
+    line: row.position,
+    playerId: row.playerId,
+    playerName: row.playerName,
+    photo: row.photo,
+    teamId: row.teamId,
+    teamName: row.teamName,
+    fixtureId: row.fixtureId,
+    rating: row.rating,
+    minutes: row.minutes,
+    goals: row.goals,
+    assists: row.assists,
+    saves: row.saves,
+    conceded: row.conceded
+  };
+}
+
+/**
+ * Best formation-valid XI of a round's rating rows
+ * @returns {Object|null} - { formation, players, playerOfTheRound, averageRating }
+ */
+function pickTeam(rows) {
+  const best = new Map();
+  for (const row of rows) {
+    if (row.rating == null || row.minutes < MIN_MINUTES || !row.position) continue;
+    const current = best.get(row.playerId);
+    if (!current || byPerformance(row, current) < 0) best.set(row.playerId, row);
+  }
+  const eligible = [...best.values()].sort(byPerformance);
+  if (eligible.length === 0) return null;
+
+  const lines = { G: [], D: [], M: [], F: [] };
+  for (const row of eligible) lines[row.position]?.push(row);
+  if (lines.G.length === 0) return null;
+
+  let choice = null;
+  for (const formation of FORMATIONS) {
+    const [d, m, f] = formation.split('-').map(Number);
+    if (lines.D.length < d || lines.M.length < m || lines.F.length < f) continue;
+    const xi = [lines.G[0], ...lines.D.slice(0, d), ...lines.M.slice(0, m), ...lines.F.slice(0, f)];
+    const total = xi.reduce((sum, r) => sum + r.rating, 0);
+    if (!choice || total > choice.total + 1e-9) choice = { formation, xi, total };
+  }
+  if (!choice) return null;
+
+  return {
+    formation: choice.formation,
+    players: choice.xi.map(toPick),
+    playerOfTheRound: toPick(eligible[0]),
+    averageRating: Math.round(choice.total / choice.xi.length * 100) / 100
+  };
+}
+
+class TeamOfTheWeekService {
+  constructor() {
+    this.footballApi = apiSports.client('job:team-of-the-week');
+    // Season backfill is catch-up work: first to go when the budget runs low
+    this.backfillApi = apiSports.client('job:ratings-backfill', { priority: 'low' });
+  }
+
+  async recordRatings(meta, teamsPlayers) {
+    const rows = ratingRows(meta, teamsPlayers);
+    if (rows.length === 0) return 0;
+    try {
+      await PlayerMatchRating.bulkWrite(rows.map(row => ({
+        updateOne: { filter: { fixtureId: row.fixtureId, playerId: row.playerId }, update: { $set: row }, upsert: true }
+      })), { ordered: false });
+    } catch (error) {
+      // Another PM2 instance stored the same fixture first
+      const writeErrors = error.writeErrors || (error.code === 11000 ? [error] : []);
+      if (writeErrors.length === 0 || !writeErrors.every(e => e.code === 11000)) throw error;
+    }
+    return rows.length;
+  }
+
+  /**
+   * Keep the ratings /api/matches/:id/lineups just fetched, when MatchCache
+   * says the fixture is finished and in an allowed league
+   */
+  async recordFromCache(fixtureId, teamsPlayers) {
+    const cached = await MatchCache.findOne({ fixtureId })
+      .select('fixtureId leagueId seasonYear matchDate statusCode matchData.round')
+      .lean();
+    if (!cached || !FINISHED_CODES.includes(cached.statusCode) || !isLeagueAllowed(cached.leagueId)) return 0;
+    return this.recordRatings({
+      fixtureId,
+      leagueId: cached.leagueId,
+      season: cached.seasonYear,
+      round: cached.matchData?.round || null,
+      date: cached.matchDate
+    }, teamsPlayers);
+  }
+
+  /**
+   * (Re)build the XI of one round from stored ratings
+   */
+  async build(leagueId, season, round, { complete = false } = {}) {
+    const rows = await PlayerMatchRating.find({ leagueId, season, round }).lean();
+    const team = pickTeam(rows);
+    if (!team) return null;
+
+    const fields = {
+      ...team,
+      roundNumber: roundNumber(round),
+      fixtures: new Set(rows.map(r => r.fixtureId)).size,
+      lastMatchDate: rows.reduce((max, r) => (r.date && r.date > max ? r.date : max), null),
+      complete,
+      generatedAt: new Date()
+    };
+    try {
+      await TeamOfTheWeek.updateOne({ leagueId, season, round }, { $set: fields }, { upsert: true });
+    } catch (error) {
+      // Another PM2 instance created the round first
+      if (error.code !== 11000) throw error;
+      await TeamOfTheWeek.updateOne({ leagueId, season, round }, { $set: fields });
+    }
+    return { leagueId, season, round, ...fields };
+  }
+
+  async unrated(fixtureIds) {
+    const rated = new Set(await PlayerMatchRating.distinct('fixtureId', { fixtureId: { $in: fixtureIds } }));
+    return fixtureIds.filter(id => !rated.has(id));
+  }
+
+  /**
+   * Ratings of finished fixtures via /fixtures?ids= (players block included)
+   * @param {number} maxCalls - API calls allowed, Infinity = all ids
+   * @returns {Promise<number>} fixtures fetched
+   */
+  async recordFixtures(fixtureIds, { maxCalls = Infinity, api = this.footballApi } = {}) {
+    let fetched = 0;
+    for (let i = 0, calls = 0; i < fixtureIds.length && calls < maxCalls; i += IDS_PER_CALL, calls++) {
+      const res = await api.get('/fixtures', { params: { ids: fixtureIds.slice(i, i + IDS_PER_CALL).join('-') } });
+      for (const f of res.data?.response || []) {
+        await this.recordRatings({
+          fixtureId: f.fixture.id,
+          leagueId: f.league?.id,
+          season: f.league?.season,
+          round: f.league?.round || null,
+          date: new Date(f.fixture.date)
+        }, f.players);
+        fetched++;
+      }
+    }
+    return fetched;
+  }
+
+  /**
+   * Season-long ratings for the leaderboards (services/playerLeaderboards.js):
+   * finished fixtures without ratings, oldest first, at most `maxCalls` calls
+   */
+  async backfillSeason(leagueId, season, { maxCalls = 3 } = {}) {
+    const response = await this.backfillApi.get('/fixtures', { params: { league: leagueId, season } });
+    const finished = (response.data?.response || [])
+      .filter(f => FINISHED_CODES.includes(f.fixture?.status?.short))
+      .sort((a, b) => a.fixture.timestamp - b.fixture.timestamp)
+      .map(f => f.fixture.id);
+    const missing = await this.unrated(finished);
+    const fetched = await this.recordFixtures(missing, { maxCalls, api: this.backfillApi });
+    return { finished: finished.length, missing: missing.length, fetched };
+  }
+
+  /**
+   * Rounds of one league played in the last WINDOW_DAYS
+   */
+  async syncLeague(leagueId, season) {
+    const iso = d => d.toISOString().split('T')[0];
+    const to = new Date();
+    const from = new Date(to.getTime() - WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const recent = await this.footballApi.get('/fixtures', { params: { league: leagueId, season, from: iso(from), to: iso(to) } });
+    const rounds = [...new Set((recent.data?.response || [])
+      .filter(f => FINISHED_CODES.includes(f.fixture?.status?.short))
+      .map(f => f.league?.round)
+      .filter(Boolean))];
+
+    const built = [];
+    for (const round of rounds) {
+      const response = await this.footballApi.get('/fixtures', { params: { league: leagueId, season, round } });
+      const fixtures = response.data?.response || [];
+      const finished = fixtures.filter(f => FINISHED_CODES.includes(f.fixture?.status?.short)).map(f => f.fixture.id);
+      await this.recordFixtures(await this.unrated(finished));
+
+      const complete = !fixtures.some(f => OPEN_CODES.includes(f.fixture?.status?.short));
+      const team = await this.build(leagueId, season, round, { complete });
+      if (team) built.push(round);
+    }
+    return built;
+  }
+
+  /**
+   * Weekly job over the SSR leagues (utils/leagueSlugs.js)
+   */
+  async run() {
+    let rounds = 0;
+    for (const league of LEAGUES) {
+      try {
+        rounds += (await this.syncLeague(league.id, currentSeasonForLeague(league))).length;
+      } catch (error) {
+        if (error.code === 'API_BUDGET_EXCEEDED') throw error;
+        console.error(`   [TOTW] League ${league.id} failed:`, error.message);
+      }
+    }
+    console.log(`⭐ Team of the Week: ${rounds} round(s) built`);
+    return { rounds };
+  }
+
+  /**
+   * XI of a round (latest played when `round` is omitted). `round` is the
+   * API-Sports round name or just its number ("12").
+   * @returns {Promise<Object|null>}
+   */
+  async get(leagueId, { season = null, round = null } = {}) {
+    season = Number(season) || currentSeasonForLeagueId(leagueId);
+
+    let doc;
+    if (round && /^\d+$/.test(String(round))) {
+      doc = await TeamOfTheWeek.findOne({ leagueId, season, roundNumber: parseInt(round, 10) }).sort({ lastMatchDate: -1 }).lean();
+    } else if (round) {
+      doc = await TeamOfTheWeek.findOne({ leagueId, season, round }).lean();
+    } else {
+      doc = await TeamOfTheWeek.findOne({ leagueId, season }).sort({ lastMatchDate: -1 }).lean();
+    }
+
+    // Ratings stored but never built (e.g. only collected via match pages)
+    if (!doc && round) {
+      const rounds = await PlayerMatchRating.distinct('round', { leagueId, season });
+      const name = rounds.find(r => r === round || roundNumber(r) === parseInt(round, 10));
+      if (name) doc = await this.build(leagueId, season, name);
+    }
+    if (!doc) return null;
+
+    const rounds = await TeamOfTheWeek.find({ leagueId, season })
+      .sort({ lastMatchDate: 1 })
+      .select('round roundNumber complete -_id')
+      .lean();
+    const { _id, __v, createdAt, updatedAt, ...team } = doc;
+    return { ...team, rounds };
+  }
+
+  /**
+   * Most recent XI of a league, any season (weekly roundup input)
+   */
+  async latestForLeague(leagueId) {
+    return TeamOfTheWeek.findOne({ leagueId }).sort({ lastMatchDate: -1 }).lean();
+  }
+}
+
+const teamOfTheWeek = new TeamOfTheWeekService();
+teamOfTheWeek.ratingRows = ratingRows;
+teamOfTheWeek.pickTeam = pickTeam;
+
+module.exports = teamOfTheWeek;
@@ -0,0 +1,365 @@
+// services/teamPatterns.js - Goal timing, HT/FT and scoreline profiles per team
+//
+// Every finished fixture of the SSR leagues (utils/leagueSlugs.js) is
+// logged once as a GoalTimeline row (scores + goal minutes from the
+// /fixtures?ids= events). Profiles are computed on read from a team's rows:
+//
+//   - goals scored / conceded per 15-minute period
+//   - first goal: how often, and what it turned into
+//   - comebacks from losing positions, leads dropped
+//   - clean sheet, BTTS, over 2.5, failed-to-score rates
+//   - HT/FT combinations and the most common scorelines
+//
+// each overall and split home / away. Everything is on the 90-minute
+// score; extra-time goals are logged but not counted. Timing figures skip
+// fixtures whose events don't add up to the score (goalsComplete=false).
+//
+// The soi-keo and match-report generators quote promptFacts() verbatim
+// instead of letting the model infer trends.
+
+const apiSports = require('./apiSportsGateway');
+const GoalTimeline = require('../models/GoalTimeline');
+const { LEAGUES, currentSeasonForLeague, currentSeasonForLeagueId } = require('../utils/leagueSlugs');
+
+// ============================================
+// CẤU HÌNH: Team patterns
+// ============================================
+const PERIODS = [
+  { label: '0-15', to: 15 },
+  { label: '16-30', to: 30 },
+  { label: '31-45+', to: 45 },
+  { label: '46-60', to: 60 },
+  { label: '61-75', to: 75 },
+  { label: '76-90+', to: 90 }
+];
+const DEFAULT_LAST = 20;          // fixtures per profile without ?season
+const MAX_FIXTURES = 100;
+const TOP_SCORELINES = 5;
+const IDS_PER_CALL = 20;          // API-Sports limit for /fixtures?ids=
+const MAX_CALLS_PER_LEAGUE = 4;   // per sync; the backlog of a new season spreads over a few days
+const EVENTS_GRACE_MS = 48 * 60 * 60 * 1000;  // re-fetch fixtures without events for 2 days
+
+const FINISHED_CODES = ['FT', 'AET', 'PEN'];
+
+function rate(count, total) {
+  return total > 0 ? Math.round(count / total * 100) / 100 : null;
+}
+
+function resultOf(scored, conceded) {
+  if (scored > conceded) return 'W';
+  return scored === conceded ? 'D' : 'L';
+}
+
+function periodIndex(minute) {
+  const index = PERIODS.findIndex(p => minute <= p.to);
+  return index === -1 ? PERIODS.length - 1 : index;
+}
+
+/**
+ * /fixtures?ids= item → GoalTimeline row
+ */
+function timelineFromFixture(f) {
+  const homeId = f.teams?.home?.id;
+  const awayId = f.teams?.away?.id;
+  const fulltime = f.score?.fulltime?.home != null ? f.score.fulltime : f.goals;
+
+  const events = (f.events || []).filter(e =>
+    e.type === 'Goal' &&
+    e.detail !== 'Missed Penalty' &&
+    !/shootout/i.test(e.comments || '') &&
+    (e.time?.elapsed ?? 0) <= 120
+  );
+
+  const build = (flipOwnGoals) => events.map(e => {
+    const own = e.detail === 'Own Goal';
+    let teamId = e.team?.id;
+    if (own && flipOwnGoals) teamId = teamId === homeId ? awayId : homeId;
+    return {
+      minute: e.time?.elapsed ?? null,
+      extra: e.time?.extra || null,
+      teamId,
+      type: own ? 'own' : e.detail === 'Penalty' ? 'penalty' : 'normal'
+    };
+  });
+  const addsUp = (goals) => {
+    const regular = goals.filter(g => g.minute != null && g.minute <= 90);
+    return regular.filter(g => g.teamId === homeId).length === fulltime?.home &&
+      regular.filter(g => g.teamId === awayId).length === fulltime?.away;
+  };
+
+  // Own goals are listed under the scorer's club or the beneficiary
+  // depending on the feed; keep whichever reading matches the score
+  let goals = build(false);
+  let goalsComplete = addsUp(goals);
+  if (!goalsComplete && events.some(e => e.detail === 'Own Goal')) {
+    const flipped = build(true);
+    if (addsUp(flipped)) {
+      goals = flipped;
+      goalsComplete = true;
+    }
+  }
+
+  return {
+    fixtureId: f.fixture?.id,
+    leagueId: f.league?.id,
+    season: f.league?.season,
+    date: f.fixture?.date ? new Date(f.fixture.date) : null,
+    homeTeam: { id: homeId, name: f.teams?.home?.name },
+    awayTeam: { id: awayId, name: f.teams?.away?.name },
+    halftime: { home: f.score?.halftime?.home ?? null, away: f.score?.halftime?.away ?? null },
+    fulltime: { home: fulltime?.home ?? null, away: fulltime?.away ?? null },
+    goals,
+    goalsComplete
+  };
+}
+
+/**
+ * Profile of one team over timeline rows (already filtered to the team)
+ */
+function buildProfile(rows, teamId) {
+  const periods = PERIODS.map(p => ({ period: p.label, scored: 0, conceded: 0 }));
+  const htft = {};
+  const scorelines = {};
+  const p = {
+    matches: 0, wins: 0, draws: 0, losses: 0, goalsFor: 0, goalsAgainst: 0,
+    cleanSheets: 0, failedToScore: 0, btts: 0, over25: 0,
+    timedMatches: 0, scoredFirst: 0, wonScoringFirst: 0, concededFirst: 0, wonConcedingFirst: 0,
+    comebackWins: 0, comebackDraws: 0, droppedLeads: 0
+  };
+
+  for (const row of rows) {
+    if (row.fulltime?.home == null || row.fulltime?.away == null) continue;
+    const home = row.homeTeam?.id === teamId;
+    const scored = home ? row.fulltime.home : row.fulltime.away;
+    const conceded = home ? row.fulltime.away : row.fulltime.home;
+    const result = resultOf(scored, conceded);
+
+    p.matches++;
+    p[{ W: 'wins', D: 'draws', L: 'losses' }[result]]++;
+    p.goalsFor += scored;
+    p.goalsAgainst += conceded;
+    if (conceded === 0) p.cleanSheets++;
+    if (scored === 0) p.failedToScore++;
+    if (scored > 0 && conceded > 0) p.btts++;
+    if (scored + conceded > 2.5) p.over25++;
+
+    const scoreline = `${scored}-${conceded}`;
+    scorelines[scoreline] = (scorelines[scoreline] || 0) + 1;
+
+    if (row.halftime?.home != null && row.halftime?.away != null) {
+      const htScored = home ? row.halftime.home : row.halftime.away;
+      const htConceded = home ? row.halftime.away : row.halftime.home;
+      const key = `${resultOf(htScored, htConceded)}/${result}`;
+      htft[key] = (htft[key] || 0) + 1;
+    }
+
+    if (!row.goalsComplete) continue;
+    p.timedMatches++;
+    const regular = (row.goals || [])
+      .filter(g => g.minute != null && g.minute <= 90)
+      .sort((a, b) => a.minute - b.minute || (a.extra || 0) - (b.extra || 0));
+
+    let diff = 0;
+    let wasBehind = false;
+    let wasAhead = false;
+    for (const goal of regular) {
+      const ours = goal.teamId === teamId;
+      periods[periodIndex(goal.minute)][ours ? 'scored' : 'conceded']++;
+      diff += ours ? 1 : -1;
+      if (diff < 0) wasBehind = true;
+      if (diff > 0) wasAhead = true;
+    }
+    if (regular.length > 0) {
+      if (regular[0].teamId === teamId) {
+        p.scoredFirst++;
+        if (result === 'W') p.wonScoringFirst++;
+      } else {
+        p.concededFirst++;
+        if (result === 'W') p.wonConcedingFirst++;
+      }
+    }
+    if (wasBehind && result === 'W') p.comebackWins++;
+    if (wasBehind && result === 'D') p.comebackDraws++;
+    if (wasAhead && result !== 'W') p.droppedLeads++;
+  }
+
+  return {
+    matches: p.matches,
+    record: { wins: p.wins, draws: p.draws, losses: p.losses },
+    goals: {
+      for: p.goalsFor,
+      against: p.goalsAgainst,
+      avgFor: rate(p.goalsFor, p.matches),
+      avgAgainst: rate(p.goalsAgainst, p.matches)
+    },
+    periods,
+    firstGoal: {
+      timedMatches: p.timedMatches,
+      scoredFirst: p.scoredFirst,
+      wonScoringFirst: p.wonScoringFirst,
+      winRateScoringFirst: rate(p.wonScoringFirst, p.scoredFirst),
+      concededFirst: p.concededFirst,
+      wonConcedingFirst: p.wonConcedingFirst,
+      winRateConcedingFirst: rate(p.wonConcedingFirst, p.concededFirst)
+    },
+    comebacks: { wins: p.comebackWins, draws: p.comebackDraws, droppedLeads: p.droppedLeads },
+    rates: {
+      cleanSheet: rate(p.cleanSheets, p.matches),
+      failedToScore: rate(p.failedToScore, p.matches),
+      btts: rate(p.btts, p.matches),
+      over25: rate(p.over25, p.matches)
+    },
+    counts: { cleanSheets: p.cleanSheets, failedToScore: p.failedToScore, btts: p.btts, over25: p.over25 },
+    htft,
+    scorelines: Object.entries(scorelines)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, TOP_SCORELINES)
+      .map(([score, count]) => ({ score, count }))
+  };
+}
+
+/**
+ * One split as a Vietnamese fact line for the article prompts
+ */
+function describe(profile) {
+  if (!profile || profile.matches === 0) return null;
+  const n = profile.matches;
+  const c = profile.counts;
+  const parts = [
+    `${profile.record.wins}T-${profile.record.draws}H-${profile.record.losses}B, ghi ${profile.goals.for} / thủng lưới ${profile.goals.against}`,
+    `giữ sạch lưới ${c.cleanSheets}/${n}, cả hai đội ghi bàn ${c.btts}/${n}, trên 2.5 bàn ${c.over25}/${n}, không ghi bàn ${c.failedToScore}/${n}`
+  ];
+  const fg = profile.firstGoal;
+  if (fg.timedMatches > 0) {
+    parts.push(`mở tỷ số ${fg.scoredFirst} lần (thắng ${fg.wonScoringFirst}), bị dẫn trước ${fg.concededFirst} lần (thắng ${fg.wonConcedingFirst})`);
+    parts.push(`lội ngược dòng thắng ${profile.comebacks.wins}, hòa ${profile.comebacks.draws}; để mất điểm khi đang dẫn ${profile.comebacks.droppedLeads} lần`);
+    const busiest = (key) => profile.periods.reduce((best, p) => (p[key] > best[key] ? p : best));
+    const topScored = busiest('scored');
+    const topConceded = busiest('conceded');
+    if (topScored.scored > 0) parts.push(`ghi nhiều bàn nhất phút ${topScored.period} (${topScored.scored} bàn)`);
+    if (topConceded.conceded > 0) parts.push(`thủng lưới nhiều nhất phút ${topConceded.period} (${topConceded.conceded} bàn)`);
+  }
+  if (profile.scorelines.length) {
+    parts.push(`tỷ số thường gặp ${profile.scorelines.slice(0, 3).map(s => `${s.score} (${s.count})`).join(', ')}`);
+  }
+  return `${n} trận: ${parts.join('; ')}`;
+}
+
+class TeamPatternsService {
+  constructor() {
+    this.footballApi = apiSports.client('job:team-patterns', { priority: 'low' });
+  }
+
+  /**
+   * Log finished fixtures of one league not in GoalTimeline yet
+   */
+  async syncLeague(leagueId, season, { maxCalls = MAX_CALLS_PER_LEAGUE } = {}) {
+    const response = await this.footballApi.get('/fixtures', { params: { league: leagueId, season } });
+    const finished = (response.data?.response || [])
+      .filter(f => FINISHED_CODES.includes(f.fixture?.status?.short))
+      .sort((a, b) => a.fixture.timestamp - b.fixture.timestamp)
+      .map(f => f.fixture.id);
+
+    const logged = new Set(await GoalTimeline.distinct('fixtureId', { leagueId, season }));
+    const missing = finished.filter(id => !logged.has(id));
+
+    let added = 0;
+    for (let i = 0, calls = 0; i < missing.length && calls < maxCalls; i += IDS_PER_CALL, calls++) {
+      const res = await this.footballApi.get('/fixtures', { params: { ids: missing.slice(i, i + IDS_PER_CALL).join('-') } });
+      const ops = [];
+      for (const f of res.data?.response || []) {
+        const row = timelineFromFixture(f);
+        // Events sometimes land hours after full time; retry for a while
+        const recent = Date.now() - new Date(f.fixture?.date) < EVENTS_GRACE_MS;
+        if (!row.goalsComplete && recent) continue;
+        ops.push({ updateOne: { filter: { fixtureId: row.fixtureId }, update: { $set: row }, upsert: true } });
+      }
+      if (ops.length === 0) continue;
+      try {
+        await GoalTimeline.bulkWrite(ops, { ordered: false });
+      } catch (error) {
+        // Another PM2 instance logged the same fixture first
+        const writeErrors = error.writeErrors || (error.code === 11000 ? [error] : []);
+        if (writeErrors.length === 0 || !writeErrors.every(e => e.code === 11000)) throw error;
+      }
+      added += ops.length;
+    }
+    return { finished: finished.length, missing: missing.length, added };
+  }
+
+  /**
+   * Daily job over the SSR leagues
+   */
+  async sync() {
+    let added = 0;
+    for (const league of LEAGUES) {
+      try {
+        added += (await this.syncLeague(league.id, currentSeasonForLeague(league))).added;
+      } catch (error) {
+        if (error.code === 'API_BUDGET_EXCEEDED') throw error;
+        console.error(`   [Patterns] League ${league.id} failed:`, error.message);
+      }
+    }
+    console.log(`📈 Team patterns: ${added} fixture(s) logged`);
+    return { added };
+  }
+
+  /**
+   * Profile of one team, overall and home / away
+   * @param {Object} options - { leagueId, season, last, before } — without a
+   *   season, the last DEFAULT_LAST logged fixtures in any competition;
+   *   `before` keeps only fixtures played before that date
+   * @returns {Promise<Object|null>} null when nothing is logged for the team
+   */
+  async forTeam(teamId, { leagueId = null, season = null, last = null, before = null } = {}) {
+    const query = { $or: [{ 'homeTeam.id': teamId }, { 'awayTeam.id': teamId }] };
+    if (before) query.date = { $lt: new Date(before) };
+    if (leagueId) query.leagueId = leagueId;
+    if (season) query.season = season;
+    else if (leagueId) query.season = currentSeasonForLeagueId(leagueId);
+    const limit = Math.min(last || (query.season ? MAX_FIXTURES : DEFAULT_LAST), MAX_FIXTURES);
+
+    const rows = await GoalTimeline.find(query).sort({ date: -1 }).limit(limit).lean();
+    if (rows.length === 0) return null;
+
+    const latest = rows[0];
+    return {
+      teamId,
+      teamName: latest.homeTeam?.id === teamId ? latest.homeTeam.name : latest.awayTeam?.name,
+      scope: { leagueId, season: query.season || null, last: query.season ? null : limit },
+      from: rows[rows.length - 1].date,
+      to: latest.date,
+      overall: buildProfile(rows, teamId),
+      home: buildProfile(rows.filter(r => r.homeTeam?.id === teamId), teamId),
+      away: buildProfile(rows.filter(r => r.awayTeam?.id === teamId), teamId)
+    };
+  }
+
+  /**
+   * Fact lines of both teams for an article prompt: each team overall
+   * and at the venue of this fixture. Null when neither is logged.
+   * @param {Object} options - { leagueId, before } (see forTeam)
+   */
+  async promptFacts(homeTeam, awayTeam, { leagueId = null, before = null } = {}) {
+    const [home, away] = await Promise.all([
+      this.forTeam(homeTeam.id, { leagueId, before }).catch(() => null),
+      this.forTeam(awayTeam.id, { leagueId, before }).catch(() => null)
+    ]);
+    const lines = [];
+    for (const [team, profile, venue, venueLabel] of [[homeTeam, home, 'home', 'sân nhà'], [awayTeam, away, 'away', 'sân khách']]) {
+      if (!profile) continue;
+      const overall = describe(profile.overall);
+      const atVenue = describe(profile[venue]);
+      if (overall) lines.push(`- ${team.name} — ${overall}`);
+      if (atVenue) lines.push(`- ${team.name} (${venueLabel}) — ${atVenue}`);
+    }
+    return lines.length ? lines.join('\n') : null;
+  }
+}
+
+const teamPatterns = new TeamPatternsService();
+teamPatterns.timelineFromFixture = timelineFromFixture;
+teamPatterns.buildProfile = buildProfile;
+teamPatterns.describe = describe;
+
+module.exports = teamPatterns;
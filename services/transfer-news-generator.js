@@ -7,12 +7,11 @@
  * - Scope: recent transfers (last N days) of target clubs.
  */
 
-const axios = require('axios');
+const apiSports = require('./apiSportsGateway');
 const crypto = require('crypto');
 const Article = require('../models/Article');
 const { generateForArticle } = require('./article-image-generator');
 
-const API_SPORTS_URL = 'https://v3.football.api-sports.io';
 
 // Team IDs (API-Sports) — big clubs from target leagues. Keep the list focused.
 const TARGET_TEAMS = [
@@ -54,11 +53,7 @@ class TransferNewsGenerator {
   constructor() {
     this.apiKey = process.env.API_FOOTBALL_KEY;
     this.anthropicKey = process.env.ANTHROPIC_API_KEY;
-    this.footballApi = axios.create({
-      baseURL: API_SPORTS_URL,
-      headers: { 'x-apisports-key': this.apiKey },
-      timeout: 20000,
-    });
+    this.footballApi = apiSports.client('news:transfer', { priority: 'low' });
   }
 
   /**
@@ -0,0 +1,385 @@
+// services/worldCup2026.js - World Cup 2026 tournament engine
+//
+// 48 teams, 12 groups of four. Group winners, runners-up and the eight best
+// third-placed teams go into a round of 32 (data/worldCup2026Bracket.js).
+//
+//   groups   tables from the finished group fixtures, FIFA tiebreakers
+//            (config/allowedCompetitions.js → fifaWorldCup)
+//   thirds   the twelve third-placed teams ranked across groups
+//            (fifaWorldCupThirds); top eight qualify, and their groups pick
+//            the row of FIFA's allocation matrix
+//   bracket  slots resolved to teams, then to the real knockout fixtures
+//            once API-Sports publishes them; winners advance from results
+//
+// Group membership comes from /standings (API-Sports publishes the groups
+// after the draw); results and knockout fixtures from /fixtures. Card events
+// for the fair-play criterion come from /fixtures?ids= (list queries carry no
+// events), fetched once per finished group fixture. While a group is
+// unfinished everything downstream is flagged provisional, and so are the
+// thirds' round-of-32 opponents while they come from a derived allocation
+// rather than FIFA's matrix or the published fixtures.
+
+const apiSports = require('./apiSportsGateway');
+const { buildTable, rankRows, resultsFromFixtures } = require('../utils/standingsEngine');
+const { TIEBREAKER_PRESETS } = require('../config/allowedCompetitions');
+const { GROUPS, ROUNDS, MATCHES, THIRD_PLACE_MATRIX } = require('../data/worldCup2026Bracket');
+
+// ============================================
+// CẤU HÌNH: World Cup 2026
+// ============================================
+const LEAGUE_ID = 1;
+const SEASON = 2026;
+const CACHE_TTL = 5 * 60 * 1000;
+const THIRDS_QUALIFYING = 8;
+const GROUP_MATCHES = 6;
+const IDS_PER_CALL = 20;          // API-Sports limit for /fixtures?ids=
+
+const FINISHED_CODES = ['FT', 'AET', 'PEN', 'AWD', 'WO'];
+
+function groupLetter(name) {
+  const match = /group\s+([A-L])\b/i.exec(name || '');
+  return match ? match[1].toUpperCase() : null;
+}
+
+function teamOf(row) {
+  return { id: row.teamId, name: row.name, logo: row.logo };
+}
+
+// Round-of-32 slots that meet a third-placed team: { slot: '1A', eligible: 'CEFHI' }
+const THIRD_SLOTS = MATCHES
+  .filter(m => m.away.startsWith('3:'))
+  .map(m => ({ slot: m.home, eligible: m.away.slice(2) }));
+
+/**
+ * A matrix row is usable when every slot gets one of the combination's
+ * groups that it may meet, each group exactly once
+ */
+function isValidAllocation(key, allocation) {
+  if (!allocation) return false;
+  const groups = THIRD_SLOTS.map(s => allocation[s.slot]);
+  return THIRD_SLOTS.every((s, i) => groups[i] && s.eligible.includes(groups[i]) && key.includes(groups[i]))
+    && new Set(groups).size === THIRD_SLOTS.length;
+}
+
+/**
+ * Groups of the qualifying thirds → group winner they meet.
+ * FIFA's matrix when the combination is listed (and the row is valid),
+ * otherwise the first assignment (slots in match order, groups
+ * alphabetically) that respects each slot's eligible groups.
+ */
+function allocateThirds(qualifyingGroups) {
+  const key = [...qualifyingGroups].sort().join('');
+  const row = THIRD_PLACE_MATRIX[key];
+  if (row) {
+    if (isValidAllocation(key, row)) return { allocation: { ...row }, source: 'matrix' };
+    console.warn(`⚠️  [WC2026] Third-place matrix row ${key} is invalid — deriving the allocation`);
+  }
+
+  const slots = THIRD_SLOTS
+    .map(s => ({ slot: s.slot, eligible: s.eligible.split('').filter(g => key.includes(g)) }));
+
+  const allocation = {};
+  const used = new Set();
+  const assign = i => {
+    if (i === slots.length) return true;
+    for (const group of slots[i].eligible) {
+      if (used.has(group)) continue;
+      used.add(group);
+      allocation[slots[i].slot] = group;
+      if (assign(i + 1)) return true;
+      used.delete(group);
+    }
+    return false;
+  };
+
+  return assign(0) ? { allocation, source: 'derived' } : { allocation: {}, source: null };
+}
+
+function fixtureWinner(fixture) {
+  if (!fixture || !FINISHED_CODES.includes(fixture.fixture.status.short)) return null;
+  if (fixture.teams.home.winner) return 'home';
+  if (fixture.teams.away.winner) return 'away';
+  return null;
+}
+
+class WorldCup2026Service {
+  constructor() {
+    this.footballApi = apiSports.client('world-cup-2026');
+    this.cache = null;       // { at, data }
+    this.inFlight = null;
+    this.cardEvents = new Map();   // fixtureId → card events of a finished group fixture
+  }
+
+  async fetchTournament() {
+    const [standingsRes, fixturesRes] = await Promise.all([
+      this.footballApi.get('/standings', { params: { league: LEAGUE_ID, season: SEASON } }),
+      this.footballApi.get('/fixtures', { params: { league: LEAGUE_ID, season: SEASON } })
+    ]);
+    const fixtures = fixturesRes.data?.response || [];
+    await this.attachCardEvents(fixtures);
+    return {
+      standings: standingsRes.data?.response?.[0]?.league?.standings || [],
+      fixtures
+    };
+  }
+
+  /**
+   * Card events onto finished group fixtures (fair-play criterion). Finished
+   * fixtures are fetched once per process; a failed batch is retried on the
+   * next refresh and counts zero cards until then.
+   */
+  async attachCardEvents(fixtures) {
+    const finished = fixtures.filter(f =>
+      /group/i.test(f.league?.round || '') && FINISHED_CODES.includes(f.fixture?.status?.short));
+    const missing = finished.map(f => f.fixture.id).filter(id => !this.cardEvents.has(id));
+
+    for (let i = 0; i < missing.length; i += IDS_PER_CALL) {
+      const ids = missing.slice(i, i + IDS_PER_CALL);
+      try {
+        const res = await this.footballApi.get('/fixtures', { params: { ids: ids.join('-') } });
+        for (const f of res.data?.response || []) {
+          // No events yet right after the whistle — ask again next time
+          if (!Array.isArray(f.events) || f.events.length === 0) continue;
+          this.cardEvents.set(f.fixture.id, f.events.filter(e => e.type === 'Card'));
+        }
+      } catch (error) {
+        console.error(`   ⚠️ [WorldCup2026] Card events of ${ids.length} fixture(s) failed:`, error.message);
+      }
+    }
+
+    for (const f of finished) {
+      const events = this.cardEvents.get(f.fixture.id);
+      if (events) f.events = events;
+    }
+  }
+
+  /**
+   * Group tables from the group-stage results
+   */
+  computeGroups(standings, fixtures) {
+    const groupFixtures = fixtures.filter(f => /group/i.test(f.league?.round || ''));
+    const results = resultsFromFixtures(groupFixtures);
+
+    return standings
+      .map(rows => {
+        const group = groupLetter(rows[0]?.group);
+        if (!group) return null;
+
+        const teams = rows.map(row => ({ teamId: row.team.id, name: row.team.name, logo: row.team.logo }));
+        const ids = new Set(teams.map(t => t.teamId));
+        const groupResults = results.filter(r => ids.has(r.homeId) && ids.has(r.awayId));
+        const complete = groupResults.length >= GROUP_MATCHES;
+
+        const table = buildTable(groupResults, {
+          rules: TIEBREAKER_PRESETS.fifaWorldCup,
+          teams,
+          seed: `wc2026:${group}`
+        });
+
+        return {
+          group,
+          complete,
+          played: groupResults.length,
+          table: table.map(row => ({
+            rank: row.rank,
+            team: teamOf(row),
+            played: row.played,
+            win: row.win,
+            draw: row.draw,
+            lose: row.lose,
+            goalsFor: row.goalsFor,
+            goalsAgainst: row.goalsAgainst,
+            goalsDiff: row.goalsDiff,
+            points: row.points,
+            fairPlay: row.fairPlay,
+            tiebreaker: row.tiebreaker,
+            form: row.form,
+            // `status` settles once the group is complete (thirds after all groups)
+            status: !complete ? null : row.rank <= 2 ? 'qualified' : row.rank === 3 ? 'third' : 'eliminated'
+          }))
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => GROUPS.indexOf(a.group) - GROUPS.indexOf(b.group));
+  }
+
+  /**
+   * Rank the third-placed teams and pick the allocation row
+   */
+  computeThirds(groups) {
+    const rows = groups
+      .map(g => ({ group: g.group, row: g.table[2] }))
+      .filter(entry => entry.row)
+      .map(({ group, row }) => ({
+        group,
+        teamId: row.team.id,
+        team: row.team,
+        played: row.played,
+        points: row.points,
+        goalsFor: row.goalsFor,
+        goalsAgainst: row.goalsAgainst,
+        fairPlay: row.fairPlay
+      }));
+
+    const ranking = rankRows(rows, { rules: TIEBREAKER_PRESETS.fifaWorldCupThirds, seed: 'wc2026:thirds' })
+      .map(({ teamId, ...row }) => ({ ...row, qualifies: row.rank <= THIRDS_QUALIFYING }));
+
+    const qualifyingGroups = ranking.filter(r => r.qualifies).map(r => r.group).sort();
+    const { allocation, source } = qualifyingGroups.length === THIRDS_QUALIFYING
+      ? allocateThirds(qualifyingGroups)
+      : { allocation: {}, source: null };
+
+    return {
+      complete: groups.length === GROUPS.length && groups.every(g => g.complete),
+      ranking,
+      qualifyingGroups: qualifyingGroups.join(''),
+      allocation,
+      allocationSource: source,
+      // 'derived' may differ from FIFA's Annex C pairing
+      allocationProvisional: source !== 'matrix'
+    };
+  }
+
+  /**
+   * Resolve the bracket: group slots → teams, then the real fixtures
+   */
+  computeBracket(groups, thirds, fixtures) {
+    const byGroup = new Map(groups.map(g => [g.group, g]));
+    const knockout = fixtures.filter(f => !/group/i.test(f.league?.round || ''));
+    const resolved = new Map();   // match number → { winner, loser }
+
+    const groupSlot = code => {
+      if (/^[12][A-L]$/.test(code)) {
+        const group = byGroup.get(code[1]);
+        const row = group?.table[Number(code[0]) - 1];
+        return row ? { team: row.team, provisional: !group.complete } : null;
+      }
+      return null;
+    };
+
+    const thirdSlot = homeSlot => {
+      const group = thirds.allocation[homeSlot];
+      const entry = group && thirds.ranking.find(r => r.group === group);
+      return entry ? { team: entry.team, provisional: !thirds.complete || thirds.allocationProvisional } : null;
+    };
+
+    const feeder = code => {
+      const number = Number(code.slice(1));
+      const outcome = resolved.get(number);
+      if (!outcome) return null;
+      const side = code[0] === 'W' ? outcome.winner : outcome.loser;
+      return side ? { team: side, provisional: false } : null;
+    };
+
+    const slotTeam = (code, homeSlot) => {
+      if (code.startsWith('3:')) return thirdSlot(homeSlot);
+      if (code.startsWith('W') || code.startsWith('L')) return feeder(code);
+      return groupSlot(code);
+    };
+
+    const rounds = ROUNDS.map(round => {
+      const matches = MATCHES.filter(m => m.round === round.key).map(def => {
+        let home = slotTeam(def.home, def.home);
+        let away = slotTeam(def.away, def.home);
+
+        // The published fixture is authoritative for who actually plays
+        const roundFixtures = knockout.filter(f => f.league?.round === round.apiRound);
+        const known = [home, away].filter(s => s && !s.provisional).map(s => s.team.id);
+        const fixture = roundFixtures.find(f => known.some(id => f.teams.home.id === id || f.teams.away.id === id)) || null;
+
+        if (fixture) {
+          const flip = home && !home.provisional ? fixture.teams.away.id === home.team.id
+            : away && !away.provisional ? fixture.teams.home.id === away.team.id : false;
+          const fHome = flip ? fixture.teams.away : fixture.teams.home;
+          const fAway = flip ? fixture.teams.home : fixture.teams.away;
+          home = { team: { id: fHome.id, name: fHome.name, logo: fHome.logo }, provisional: false };
+          away = { team: { id: fAway.id, name: fAway.name, logo: fAway.logo }, provisional: false };
+        }
+
+        const winnerSide = fixtureWinner(fixture);
+        const winnerIsFixtureHome = winnerSide === 'home';
+        let winner = null;
+        let loser = null;
+        if (winnerSide) {
+          const winnerId = winnerIsFixtureHome ? fixture.teams.home.id : fixture.teams.away.id;
+          winner = home.team.id === winnerId ? home.team : away.team;
+          loser = winner === home.team ? away.team : home.team;
+          resolved.set(def.match, { winner, loser });
+        }
+
+        return {
+          match: def.match,
+          home: { slot: def.home, team: home?.team || null, provisional: home ? home.provisional : null },
+          away: { slot: def.away, team: away?.team || null, provisional: away ? away.provisional : null },
+          fixtureId: fixture?.fixture.id || null,
+          date: fixture?.fixture.date || null,
+          venue: fixture?.fixture.venue?.name || null,
+          statusCode: fixture?.fixture.status.short || null,
+          score: fixture && fixture.goals.home != null
+            ? (home.team.id === fixture.teams.home.id
+              ? { home: fixture.goals.home, away: fixture.goals.away }
+              : { home: fixture.goals.away, away: fixture.goals.home })
+            : null,
+          penalties: fixture && fixture.score?.penalty?.home != null
+            ? (home.team.id === fixture.teams.home.id
+              ? { home: fixture.score.penalty.home, away: fixture.score.penalty.away }
+              : { home: fixture.score.penalty.away, away: fixture.score.penalty.home })
+            : null,
+          winner
+        };
+      });
+
+      return { key: round.key, name: round.name, matches };
+    });
+
+    const final = resolved.get(104);
+    return { rounds, champion: final ? final.winner : null };
+  }
+
+  /**
+   * Everything at once, cached for CACHE_TTL.
+   * @returns {Promise<Object|null>} - null before the groups are published
+   */
+  async getTournament() {
+    if (this.cache && Date.now() - this.cache.at < CACHE_TTL) return this.cache.data;
+    if (this.inFlight) return this.inFlight;
+
+    this.inFlight = (async () => {
+      const { standings, fixtures } = await this.fetchTournament();
+      const groups = this.computeGroups(standings, fixtures);
+      if (groups.length === 0) return null;
+
+      const thirds = this.computeThirds(groups);
+      const bracket = this.computeBracket(groups, thirds, fixtures);
+
+      // Fixtures decide the real round-of-32 opponents of the thirds
+      const r32 = bracket.rounds[0].matches.filter(m => m.away.slot.startsWith('3:') && m.fixtureId);
+      if (r32.length > 0) {
+        for (const m of r32) {
+          const entry = thirds.ranking.find(r => r.team.id === m.away.team?.id);
+          if (entry) thirds.allocation[m.home.slot] = entry.group;
+        }
+        thirds.allocationSource = 'fixtures';
+        thirds.allocationProvisional = false;
+      }
+
+      const data = {
+        season: SEASON,
+        groups,
+        thirds,
+        bracket,
+        updatedAt: new Date().toISOString()
+      };
+      this.cache = { at: Date.now(), data };
+      return data;
+    })().finally(() => { this.inFlight = null; });
+
+    return this.inFlight;
+  }
+}
+
+const worldCup2026 = new WorldCup2026Service();
+worldCup2026.allocateThirds = allocateThirds;
+worldCup2026.isValidAllocation = isValidAllocation;
+
+module.exports = worldCup2026;
@@ -0,0 +1,144 @@
+// POST /api/ai-predict: model path, and the original LLM path for requests
+// without a fixture id or a fitted model. Anthropic and the model are stubbed.
+
+const { test, mock, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// Route logs would interleave with the test runner's stdout protocol
+mock.method(console, 'log', () => {});
+
+const matchPrediction = require('../services/matchPrediction');
+const aiRouter = require('../routes/ai');
+
+const LEGACY_PREDICTION = {
+  winProbability: { home: 50, draw: 25, away: 25 },
+  predictedScore: { home: 2, away: 1 },
+  keyAnalysis: ['a', 'b'],
+  teamComparison: {
+    attack: { home: 70, away: 60 },
+    defense: { home: 65, away: 55 },
+    form: { home: 80, away: 40 },
+    motivation: { home: 75, away: 70 }
+  },
+  summary: 'Đội nhà nhỉnh hơn.'
+};
+
+const MODEL_RESULT = {
+  fixtureId: 1208021,
+  league: { id: 39, name: 'Premier League', season: 2025 },
+  teams: { home: { id: 42, name: 'Arsenal' }, away: { id: 49, name: 'Chelsea' } },
+  prediction: {
+    probabilities: { home: 0.5, draw: 0.3, away: 0.2 },
+    mostLikelyScore: { home: 1, away: 0 },
+    expectedGoals: { home: 1.6, away: 0.9 },
+    overUnder: { '2.5': { over: 0.45, under: 0.55 } },
+    btts: { yes: 0.4, no: 0.6 },
+    ratings: { home: { attack: 1.2, defence: 0.8 }, away: { attack: 1, defence: 1 } },
+    model: { leagueId: 39, version: 3 }
+  }
+};
+
+let server;
+let baseUrl;
+let realFetch;
+
+function post(body) {
+  return realFetch(`${baseUrl}/ai-predict`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+before(async () => {
+  realFetch = global.fetch;
+  const app = express();
+  app.use(express.json());
+  app.locals.footballApi = {};
+  app.use('/api', aiRouter);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  process.env.ANTHROPIC_API_KEY = 'test-key';
+  // Anthropic answers with the old prediction JSON
+  global.fetch = async () => ({
+    ok: true,
+    json: async () => ({ content: [{ text: JSON.stringify(LEGACY_PREDICTION) }] })
+  });
+});
+
+afterEach(() => {
+  global.fetch = realFetch;
+  delete process.env.AI_PREDICT_SOURCE;
+  mock.restoreAll();
+  mock.method(console, 'log', () => {});
+});
+
+test('request without a fixture id keeps the original LLM contract', async () => {
+  const predictFixture = mock.method(matchPrediction, 'predictFixture', async () => MODEL_RESULT);
+
+  const res = await post({ matchData: { homeTeam: { name: 'A', form: 'WWDLW' }, awayTeam: { name: 'B' } } });
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(body.data, { ...LEGACY_PREDICTION, source: 'llm' });
+  assert.equal(predictFixture.mock.callCount(), 0);
+});
+
+test('league without a fitted model falls back to the LLM', async () => {
+  mock.method(matchPrediction, 'predictFixture', async () => ({ ...MODEL_RESULT, prediction: null }));
+
+  const res = await post({ matchData: { fixtureId: 1208021 } });
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.data.source, 'llm');
+  assert.deepEqual(body.data.teamComparison.motivation, { home: 75, away: 70 });
+});
+
+test('fitted model answers with the model numbers and a deprecated motivation', async () => {
+  delete process.env.ANTHROPIC_API_KEY;
+  mock.method(matchPrediction, 'predictFixture', async () => MODEL_RESULT);
+
+  const res = await post({ matchData: { fixtureId: 1208021 } });
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.data.source, 'model');
+  assert.deepEqual(body.data.winProbability, { home: 50, draw: 30, away: 20 });
+  assert.deepEqual(body.data.teamComparison.motivation, { home: 50, away: 50 });
+  assert.ok(body.data.deprecated['teamComparison.motivation']);
+});
+
+test('AI_PREDICT_SOURCE=llm skips the model', async () => {
+  process.env.AI_PREDICT_SOURCE = 'llm';
+  const predictFixture = mock.method(matchPrediction, 'predictFixture', async () => MODEL_RESULT);
+
+  const res = await post({ matchData: { fixtureId: 1208021 } });
+
+  assert.equal((await res.json()).data.source, 'llm');
+  assert.equal(predictFixture.mock.callCount(), 0);
+});
+
+test('a failing fixture lookup falls back to the LLM', async () => {
+  const consoleError = mock.method(console, 'error', () => {});
+  mock.method(matchPrediction, 'predictFixture', async () => {
+    const err = new Error('API-Sports budget threshold reached');
+    err.code = 'API_BUDGET_EXCEEDED';
+    err.status = 429;
+    throw err;
+  });
+
+  const res = await post({ matchData: { fixtureId: 1208021 } });
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(body.data, { ...LEGACY_PREDICTION, source: 'llm' });
+  assert.equal(consoleError.mock.callCount(), 1);
+});
@@ -0,0 +1,51 @@
+// API_FOOTBALL_MODE=replay through the gateway, against the starter set in
+// data/api-sports-fixtures.
+
+process.env.API_FOOTBALL_MODE = 'replay';
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Gateway start-up banner would interleave with the test runner's stdout protocol
+mock.method(console, 'log', () => {});
+
+const apiSports = require('../services/apiSportsGateway');
+const { normalizeParams } = require('../services/apiSportsFixtures');
+
+const footballApi = apiSports.client('test:replay');
+
+test('params are normalised regardless of order and type', () => {
+  assert.equal(normalizeParams({ season: 2025, league: 39, round: '' }), 'league=39&season=2025');
+  assert.equal(normalizeParams({ league: '39', season: '2025' }), 'league=39&season=2025');
+});
+
+test('an id lookup answers from its own recording', async () => {
+  const res = await footballApi.get('/fixtures', { params: { id: 1379001 } });
+  const fixture = res.data.response[0];
+
+  assert.equal(res.status, 200);
+  assert.equal(fixture.fixture.id, 1379001);
+  assert.equal(fixture.teams.home.name, 'Arsenal');
+});
+
+test('a list query without a recording falls back to the endpoint default', async () => {
+  const res = await footballApi.get('/fixtures', { params: { date: '2030-01-01', timezone: 'Asia/Ho_Chi_Minh' } });
+
+  assert.equal(res.status, 200);
+  assert.ok(res.data.response.length > 0);
+});
+
+test('an id lookup without a recording fails instead of using the default', async () => {
+  await assert.rejects(
+    footballApi.get('/fixtures', { params: { id: 999999 } }),
+    err => err.code === 'API_FIXTURE_MISS' && err.status === 599 && /fixtures\/id=999999\.json/.test(err.message)
+  );
+  await assert.rejects(
+    footballApi.get('/odds', { params: { fixture: 999999 } }),
+    err => err.code === 'API_FIXTURE_MISS'
+  );
+});
+
+test('replay mode needs no API key', () => {
+  assert.equal(apiSports.isConfigured(), true);
+});
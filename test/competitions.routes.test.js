@@ -0,0 +1,42 @@
+// GET /api/competitions/get-in-day query validation — rejected before any
+// API-Sports call.
+
+const { test, mock, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// Route logs would interleave with the test runner's stdout protocol
+mock.method(console, 'log', () => {});
+
+const competitionsRouter = require('../routes/competitions');
+
+let server;
+let baseUrl;
+const footballApi = { get: async () => { throw new Error('no API-Sports call expected'); } };
+
+before(async () => {
+  const app = express();
+  app.locals.footballApi = footballApi;
+  app.use('/api/competitions', competitionsRouter);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/competitions`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('an invalid tz with an instant is a 400, not a 500', async () => {
+  const res = await fetch(`${baseUrl}/get-in-day?tz=Bogus&dateTime=2026-10-19T17:00:00Z`);
+  const body = await res.json();
+
+  assert.equal(res.status, 400);
+  assert.equal(body.message, 'Invalid tz: Bogus');
+});
+
+test('an unparseable dateTime is a 400', async () => {
+  const res = await fetch(`${baseUrl}/get-in-day?tz=Europe/London&dateTime=not-a-date`);
+  const body = await res.json();
+
+  assert.equal(res.status, 400);
+  assert.equal(body.message, 'Invalid dateTime: not-a-date');
+});
@@ -0,0 +1,42 @@
+// services/liveFeed.js diff: fixtures leaving the live list get a final
+// update (status, score, late events) before they are removed.
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+mock.method(console, 'log', () => {});
+
+const liveFeed = require('../services/liveFeed');
+
+function rawFixture({ status, elapsed, home, away, events = [] }) {
+  return {
+    fixture: { id: 1379002, status: { short: status, elapsed } },
+    league: { id: 39, name: 'Premier League' },
+    teams: { home: { id: 40, name: 'Liverpool' }, away: { id: 50, name: 'Manchester City' } },
+    goals: { home, away },
+    events
+  };
+}
+
+const goal = (minute, teamId) => ({ time: { elapsed: minute }, team: { id: teamId }, type: 'Goal', detail: 'Normal Goal', player: { id: minute, name: `P${minute}` } });
+
+const LAST_LIVE = liveFeed.toFeedState(rawFixture({ status: '2H', elapsed: 89, home: 1, away: 1, events: [goal(30, 40), goal(60, 50)] }));
+const FINAL = liveFeed.toFeedState(rawFixture({ status: 'FT', elapsed: 90, home: 2, away: 1, events: [goal(30, 40), goal(60, 50), goal(90, 40)] }));
+
+test('a departed fixture is updated to its final state before it is removed', () => {
+  const changes = liveFeed.diffStates({ 1379002: LAST_LIVE }, {}, { 1379002: FINAL });
+
+  assert.deepEqual(changes.map(c => c.type), ['update', 'removed']);
+  const delta = changes[0].payload.changes;
+  assert.equal(delta.statusCode, 'FT');
+  assert.deepEqual(delta.score, { home: 2, away: 1 });
+  assert.deepEqual(delta.events.map(e => e.minute), [90]);
+  assert.equal(changes[1].payload.state.statusCode, 'FT');
+});
+
+test('without a final fetch the fixture is removed with its last live state', () => {
+  const changes = liveFeed.diffStates({ 1379002: LAST_LIVE }, {});
+
+  assert.deepEqual(changes.map(c => c.type), ['removed']);
+  assert.equal(changes[0].payload.state.statusCode, '2H');
+});
@@ -0,0 +1,61 @@
+// services/matchSlugs.js — index fallback (step 2) only keeps an alias for a
+// certain match. MatchSlug queries are stubbed; no Mongo needed.
+
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+mock.method(console, 'log', () => {});
+
+const MatchSlug = require('../models/MatchSlug');
+const matchSlugs = require('../services/matchSlugs');
+
+const KICKOFF = Date.UTC(2026, 9, 19, 19, 0);
+
+const row = (fixtureId, homeSlug, awaySlug, offsetMs = 0) => ({
+  fixtureId, homeSlug, awaySlug, kickoff: new Date(KICKOFF + offsetMs)
+});
+
+function stubIndex(rows) {
+  const lean = value => ({ select: () => ({ lean: async () => value }) });
+  mock.method(MatchSlug, 'findOne', () => lean(null));
+  mock.method(MatchSlug, 'find', () => lean(rows));
+  return mock.method(MatchSlug, 'bulkWrite', async () => ({}));
+}
+
+beforeEach(() => mock.restoreAll());
+
+test('a loose match shared by two fixtures resolves but writes no alias', async () => {
+  const bulkWrite = stubIndex([
+    row(101, 'real-madrid', 'getafe', 60 * 60 * 1000),
+    row(102, 'atletico-madrid', 'getafe', 3 * 60 * 60 * 1000)
+  ]);
+
+  const id = await matchSlugs.resolve('madrid-vs-getafe-19h00-ngay-19-10-2026');
+
+  assert.equal(id, 101);
+  assert.equal(bulkWrite.mock.callCount(), 0);
+});
+
+test('an exact team-name match is aliased even when looser ones exist', async () => {
+  const bulkWrite = stubIndex([
+    row(101, 'real-madrid', 'getafe', 60 * 60 * 1000),
+    row(102, 'atletico-madrid', 'getafe', 3 * 60 * 60 * 1000)
+  ]);
+
+  const id = await matchSlugs.resolve('getafe-vs-atletico-madrid-19h00-ngay-19-10-2026');
+
+  assert.equal(id, 102);
+  assert.equal(bulkWrite.mock.callCount(), 1);
+  const [[op]] = bulkWrite.mock.calls[0].arguments;
+  assert.equal(op.updateOne.filter.slug, 'getafe-vs-atletico-madrid-19h00-ngay-19-10-2026');
+  assert.equal(op.updateOne.update.$setOnInsert.fixtureId, 102);
+});
+
+test('a loose match that is unique in the window is aliased', async () => {
+  const bulkWrite = stubIndex([row(201, 'fc-porto', 'benfica')]);
+
+  const id = await matchSlugs.resolve('porto-vs-benfica-19h00-ngay-19-10-2026');
+
+  assert.equal(id, 201);
+  assert.equal(bulkWrite.mock.callCount(), 1);
+});
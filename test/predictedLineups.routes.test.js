@@ -0,0 +1,60 @@
+// GET /api/matches/predicted-lineups/accuracy and /api/matches/:id/predicted-lineups
+// against a stubbed services/predictedLineups.js — no MongoDB, no API-Sports.
+
+const { test, mock, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// Route logs would interleave with the test runner's stdout protocol
+mock.method(console, 'log', () => {});
+
+const predictedLineups = require('../services/predictedLineups');
+const matchesRouter = require('../routes/matches');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/api/matches', matchesRouter);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/matches`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('accuracy passes league and clamped days to the service', async () => {
+  const accuracy = mock.method(predictedLineups, 'accuracy', async () => [{ leagueId: 39, matches: 10, accuracy: 0.82 }]);
+
+  const res = await fetch(`${baseUrl}/predicted-lineups/accuracy?league=39&days=9999`);
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(body, { success: true, data: [{ leagueId: 39, matches: 10, accuracy: 0.82 }] });
+  assert.deepEqual(accuracy.mock.calls[0].arguments, [{ leagueId: 39, days: 365 }]);
+  accuracy.mock.restore();
+});
+
+test('predicted lineups of a numeric fixture id', async () => {
+  const prediction = { fixtureId: 1208021, status: 'predicted', home: { formation: '4-3-3' }, away: { formation: '4-2-3-1' } };
+  const forFixture = mock.method(predictedLineups, 'forFixture', async () => prediction);
+
+  const res = await fetch(`${baseUrl}/1208021/predicted-lineups`);
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(body, { success: true, data: prediction });
+  assert.deepEqual(forFixture.mock.calls[0].arguments, [1208021]);
+  forFixture.mock.restore();
+});
+
+test('predicted lineups of an unknown fixture is a 404', async () => {
+  const forFixture = mock.method(predictedLineups, 'forFixture', async () => null);
+
+  const res = await fetch(`${baseUrl}/999999/predicted-lineups`);
+
+  assert.equal(res.status, 404);
+  assert.equal((await res.json()).success, false);
+  forFixture.mock.restore();
+});
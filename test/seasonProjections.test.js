@@ -0,0 +1,59 @@
+// services/seasonProjections.js — the Monte Carlo run yields to the event
+// loop, and requests never simulate inline. Mongo and API-Sports are stubbed.
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Gateway start-up banner would interleave with the test runner's stdout protocol
+mock.method(console, 'log', () => {});
+
+const SeasonProjection = require('../models/SeasonProjection');
+const seasonProjections = require('../services/seasonProjections');
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.method(console, 'log', () => {});
+  seasonProjections.cache.clear();
+});
+
+const TABLE = [
+  { teamId: 1, points: 10, goalsFor: 8, goalsAgainst: 4 },
+  { teamId: 2, points: 10, goalsFor: 6, goalsAgainst: 4 }
+];
+// Team 1 always wins 1-0
+const HOME_WIN = [{ homeId: 1, awayId: 2, distribution: [{ h: 1, a: 0, c: 1 }] }];
+
+test('simulation lets other callbacks run between batches', async () => {
+  const order = [];
+  setImmediate(() => order.push('immediate'));
+
+  const result = await seasonProjections.simulateSeason(TABLE, HOME_WIN, { europe: [1], relegation: [2] }, 2000);
+  order.push('done');
+
+  // Without a yield the whole run would finish before the immediate fired
+  assert.deepEqual(order, ['immediate', 'done']);
+  assert.equal(result.get(1).title, 1);
+  assert.equal(result.get(1).expectedPoints, 13);
+  assert.equal(result.get(2).relegation, 1);
+});
+
+test('a league without a stored run is queued, not simulated on the request', async () => {
+  let finish;
+  const refresh = mock.method(seasonProjections, 'refreshLeague', () => new Promise(resolve => { finish = resolve; }));
+  mock.method(SeasonProjection, 'latestFor', async () => null);
+
+  const first = await seasonProjections.getProjection(39, { season: 2025 });
+  assert.equal(first, null);
+  assert.equal(seasonProjections.isPending(39, { season: 2025 }), true);
+
+  // A second request while running does not start another run
+  await seasonProjections.getProjection(39, { season: 2025 });
+  assert.equal(refresh.mock.callCount(), 1);
+
+  const doc = { leagueId: 39, season: 2025, teams: [] };
+  finish(doc);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(seasonProjections.isPending(39, { season: 2025 }), false);
+  assert.equal(await seasonProjections.getProjection(39, { season: 2025 }), doc);
+});
@@ -0,0 +1,83 @@
+// utils/standingsEngine.js against the worked tiebreaker cases in
+// data/standingsEngineFixtures.js, and against recorded API-Sports fixtures
+// replayed through the gateway (data/api-sports-fixtures).
+
+process.env.API_FOOTBALL_MODE = 'replay';
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Gateway start-up banner would interleave with the test runner's stdout protocol
+mock.method(console, 'log', () => {});
+
+const apiSports = require('../services/apiSportsGateway');
+const { buildTable, resultsFromFixtures } = require('../utils/standingsEngine');
+const { TIEBREAKER_PRESETS } = require('../config/allowedCompetitions');
+const { STANDINGS_ENGINE_CASES } = require('../data/standingsEngineFixtures');
+
+const footballApi = apiSports.client('test:standings');
+
+for (const c of STANDINGS_ENGINE_CASES) {
+  test(`tiebreaker: ${c.name}`, () => {
+    const table = buildTable(c.results, { rules: TIEBREAKER_PRESETS[c.preset], teams: c.teams, seed: c.seed });
+
+    if (c.expectedOrder) {
+      assert.deepEqual(table.map(row => row.teamId), c.expectedOrder);
+    }
+    if (c.expectedLots) {
+      const drawn = table.filter(row => row.lots).map(row => row.teamId).sort((a, b) => a - b);
+      assert.deepEqual(drawn, c.expectedLots);
+      // Same seed, same draw
+      const again = buildTable(c.results, { rules: TIEBREAKER_PRESETS[c.preset], teams: c.teams, seed: c.seed });
+      assert.deepEqual(again.map(row => row.teamId), table.map(row => row.teamId));
+    }
+  });
+}
+
+async function replayedFixtures() {
+  const res = await footballApi.get('/fixtures', { params: { league: 39, season: 2025 } });
+  return res.data.response;
+}
+
+test('replayed fixtures: only finished games count by default', async () => {
+  const fixtures = await replayedFixtures();
+  const table = buildTable(resultsFromFixtures(fixtures), { leagueId: 39 });
+
+  assert.deepEqual(table.map(row => [row.teamId, row.points, row.goalsDiff]), [
+    [42, 3, 1],    // Arsenal 2-1 Chelsea (FT)
+    [49, 0, -1]
+  ]);
+  assert.equal(table[0].name, 'Arsenal');
+  assert.equal(table[0].form, 'W');
+  assert.equal(table[0].rank, 1);
+});
+
+test('replayed fixtures: includeLive adds games in play, not fixtures yet to start', async () => {
+  const fixtures = await replayedFixtures();
+  const results = resultsFromFixtures(fixtures, { includeLive: true });
+  const table = buildTable(results, { leagueId: 39 });
+
+  assert.equal(results.find(r => r.fixtureId === 1379002).live, true);
+  // Liverpool 1-1 Man City (2H) — level on everything, order between them is the engine's call
+  assert.equal(table.length, 4);
+  assert.equal(table[0].teamId, 42);
+  assert.deepEqual(table.slice(1, 3).map(row => row.teamId).sort((a, b) => a - b), [40, 50]);
+  assert.deepEqual(table.slice(1, 3).map(row => row.points), [1, 1]);
+  assert.equal(table[3].teamId, 49);
+  assert.equal(table.some(row => row.teamId === 33 || row.teamId === 47), false);
+});
+
+test('replayed events feed fair-play points', async () => {
+  const fixtures = await replayedFixtures();
+  const events = await footballApi.get('/fixtures/events', { params: { fixture: 1379001 } });
+  const finished = fixtures.map(f => (f.fixture.id === 1379001 ? { ...f, events: events.data.response } : f));
+
+  const [result] = resultsFromFixtures(finished);
+  assert.deepEqual(result.cards, {
+    home: { yellow: 1, secondYellow: 0, red: 0 },
+    away: { yellow: 1, secondYellow: 0, red: 0 }
+  });
+
+  const table = buildTable([result], { leagueId: 39 });
+  assert.deepEqual(table.map(row => row.fairPlay), [1, 1]);
+});
@@ -0,0 +1,58 @@
+// SSR /top-ghi-ban/:slug served from the recorded top scorers
+// (data/api-sports-fixtures/players/topscorers).
+
+process.env.API_FOOTBALL_MODE = 'replay';
+
+const { test, mock, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// Gateway start-up banner would interleave with the test runner's stdout protocol
+mock.method(console, 'log', () => {});
+
+const apiSportsFixtures = require('../services/apiSportsFixtures');
+const topScorersSsr = require('../routes/topScorersSsr');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  // Mid-season 2025/26, so the page asks for the recorded league=39&season=2025
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T12:00:00Z') });
+  const app = express();
+  app.use('/', topScorersSsr);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  mock.timers.reset();
+  return new Promise(resolve => server.close(resolve));
+});
+
+test('league page renders the replayed scorers', async () => {
+  const replay = mock.method(apiSportsFixtures, 'replay');
+
+  const res = await fetch(`${baseUrl}/top-ghi-ban/premier-league`);
+  const html = await res.text();
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/html/);
+  assert.deepEqual(replay.mock.calls.map(c => [c.arguments[0], c.arguments[1]]), [
+    ['/players/topscorers', { league: 39, season: 2025 }]
+  ]);
+  assert.match(html, /2025\/2026/);
+  assert.match(html, /E\. Haaland/);
+  assert.match(html, /Manchester City/);
+  // Ranked by goals, as recorded
+  const order = ['E. Haaland', 'B. Saka', 'Mohamed Salah', 'C. Palmer', 'Richarlison'].map(name => html.indexOf(name));
+  assert.deepEqual([...order].sort((a, b) => a - b), order);
+  assert.ok(order.every(i => i > 0));
+});
+
+test('unknown league is a 404', async () => {
+  const res = await fetch(`${baseUrl}/top-ghi-ban/khong-co-giai`);
+
+  assert.equal(res.status, 404);
+});
@@ -0,0 +1,82 @@
+// utils/transformers.js on recorded API-Sports payloads, replayed through
+// the gateway from data/api-sports-fixtures.
+
+process.env.API_FOOTBALL_MODE = 'replay';
+
+const { test, mock, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Gateway banner and card logs would interleave with the test runner's stdout protocol
+mock.method(console, 'log', () => {});
+
+const apiSports = require('../services/apiSportsGateway');
+const { transformToMatchFormat, transformEvents, transformOdds, mapFixtureStatus } = require('../utils/transformers');
+
+const footballApi = apiSports.client('test:transformers');
+
+let fixture;
+let odds;
+
+before(async () => {
+  const fixtureRes = await footballApi.get('/fixtures', { params: { id: 1379001 } });
+  fixture = fixtureRes.data.response[0];
+  const oddsRes = await footballApi.get('/odds', { params: { fixture: 1379003 } });
+  odds = oddsRes.data.response;
+});
+
+test('finished fixture → match format', () => {
+  const match = transformToMatchFormat(structuredClone(fixture), [], fixture.statistics);
+
+  assert.equal(match.id, 1379001);
+  assert.equal(match.name, 'Arsenal - Chelsea');
+  assert.equal(match.status, 'finished');
+  assert.equal(match.statusCode, 'FT');
+  assert.equal(match.score, '2-1');
+  assert.equal(match.referee, 'Michael Oliver, England');
+  assert.deepEqual(match.venue, { id: 494, name: 'Emirates Stadium', city: 'London' });
+  assert.deepEqual(match.teamIds, ['team-42', 'team-49']);
+  assert.equal(match.teams.home.halftime, 1);
+  assert.equal(match.teams.away.fulltime, 1);
+  assert.equal(match.teams.home.winner, true);
+  assert.equal(match.teams.home.corners, 8);
+  assert.equal(match.detail.away.yellowCards, 1);
+  assert.equal(match.competition._id, 'league-39');
+  assert.deepEqual(match.bookmakers, []);
+  assert.ok(match.statistics.length > 0);
+});
+
+test('recorded events → frontend events', () => {
+  const events = transformEvents(fixture.events, 42, 49);
+
+  assert.equal(events.length, fixture.events.length);
+  assert.deepEqual(events.map(e => e.type), fixture.events.map(e => ({
+    Goal: 'goal', Card: 'yellow_card', subst: 'substitution'
+  })[e.type]));
+  for (const [i, event] of events.entries()) {
+    assert.equal(event.isHomeTeam, fixture.events[i].team.id === 42);
+    assert.equal(event.half, fixture.events[i].time.elapsed > 45 ? 'second' : 'first');
+  }
+});
+
+test('recorded odds → bookmakers with the allowed bet types', () => {
+  const bookmakers = transformOdds(odds);
+
+  assert.deepEqual(bookmakers.map(b => b.name), ['Bet365', '1xBet', 'Bwin']);
+  const bet365 = bookmakers[0];
+  assert.deepEqual(bet365.bets.map(b => b.type), [
+    'match_winner', 'asian_handicap', 'goals_over_under',
+    'goals_over_under_first_half', 'first_half_winner', 'corners_over_under'
+  ]);
+  assert.deepEqual(bet365.bets[0].values, [
+    { value: 'Home', odd: '2.40' },
+    { value: 'Draw', odd: '3.30' },
+    { value: 'Away', odd: '2.90' }
+  ]);
+  assert.deepEqual(bet365.bets[0].opening, bet365.bets[0].values);
+});
+
+test('recorded list statuses map to frontend statuses', async () => {
+  const res = await footballApi.get('/fixtures', { params: { league: 39, season: 2025 } });
+
+  assert.deepEqual(res.data.response.map(f => mapFixtureStatus(f.fixture.status.short)), ['finished', 'in_play', 'scheduled']);
+});
@@ -0,0 +1,63 @@
+// World Cup 2026 third-place allocation (services/worldCup2026.js) and the
+// FIFA matrix rows in data/worldCup2026Bracket.js.
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+mock.method(console, 'log', () => {});
+
+const { GROUPS, THIRD_PLACE_MATRIX } = require('../data/worldCup2026Bracket');
+const worldCup2026 = require('../services/worldCup2026');
+
+// Every choice of 8 qualifying groups out of 12, as sorted keys
+function combinations(groups, size, start = 0, picked = []) {
+  if (picked.length === size) return [picked.join('')];
+  const keys = [];
+  for (let i = start; i <= groups.length - (size - picked.length); i++) {
+    keys.push(...combinations(groups, size, i + 1, [...picked, groups[i]]));
+  }
+  return keys;
+}
+
+const ALL_KEYS = combinations(GROUPS, 8);
+
+test('every matrix row is a valid allocation of its combination', () => {
+  for (const [key, row] of Object.entries(THIRD_PLACE_MATRIX)) {
+    assert.ok(ALL_KEYS.includes(key), `${key} is not a sorted 8-group combination`);
+    assert.ok(worldCup2026.isValidAllocation(key, row), `row ${key} breaks a slot's eligible groups`);
+  }
+});
+
+test('the matrix covers all 495 combinations', { todo: 'copy the Annex C table into THIRD_PLACE_MATRIX' }, () => {
+  assert.equal(ALL_KEYS.length, 495);
+  assert.deepEqual(ALL_KEYS.filter(key => !THIRD_PLACE_MATRIX[key]), []);
+});
+
+test('combinations outside the matrix still get a valid, derived allocation', () => {
+  for (const key of ALL_KEYS.filter(k => !THIRD_PLACE_MATRIX[k])) {
+    const { allocation, source } = worldCup2026.allocateThirds(key.split(''));
+    assert.equal(source, 'derived');
+    assert.ok(worldCup2026.isValidAllocation(key, allocation), `derived ${key} is invalid`);
+  }
+});
+
+test('a listed row is used as-is; an invalid one is ignored', () => {
+  const key = 'ABCDEFGH';
+  const saved = THIRD_PLACE_MATRIX[key];
+  // Not FIFA's row: the derived one with 1A and 1I swapped, both still eligible
+  const row = { '1E': 'A', '1I': 'F', '1A': 'C', '1L': 'E', '1D': 'B', '1G': 'H', '1B': 'G', '1K': 'D' };
+  const warn = mock.method(console, 'warn', () => {});
+
+  try {
+    THIRD_PLACE_MATRIX[key] = row;
+    assert.deepEqual(worldCup2026.allocateThirds([...key].reverse()), { allocation: row, source: 'matrix' });
+
+    THIRD_PLACE_MATRIX[key] = { ...row, '1A': 'A', '1E': 'C' };   // A may not meet 1A
+    assert.equal(worldCup2026.allocateThirds(key.split('')).source, 'derived');
+    assert.equal(warn.mock.callCount(), 1);
+  } finally {
+    if (saved) THIRD_PLACE_MATRIX[key] = saved;
+    else delete THIRD_PLACE_MATRIX[key];
+    warn.mock.restore();
+  }
+});
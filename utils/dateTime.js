@@ -0,0 +1,199 @@
+/**
+ * Date and time zone helpers — the one place that knows about time zones.
+ *
+ * Vietnam time (Asia/Ho_Chi_Minh, UTC+7, no DST) is the canonical display
+ * zone: SSR pages, article copy and cron schedules use it. Public fixture
+ * endpoints take a `tz` query parameter (IANA name, e.g. "Europe/London")
+ * so readers abroad get "today's matches" bucketed by their own day; see
+ * timeZoneFromQuery().
+ *
+ * Everything here goes through Intl, so zones with DST are handled without
+ * hard-coded offsets.
+ */
+
+const DEFAULT_TIMEZONE = 'Asia/Ho_Chi_Minh';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();   // tz → Intl.DateTimeFormat (construction is slow)
+
+function formatterFor(tz) {
+  let formatter = formatters.get(tz);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      weekday: 'short'
+    });
+    formatters.set(tz, formatter);
+  }
+  return formatter;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * @returns {Boolean} true for a time zone Intl knows ("Asia/Ho_Chi_Minh", "UTC")
+ */
+function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    formatterFor(tz);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * `tz` query parameter → zone to use: DEFAULT_TIMEZONE when absent, null
+ * when the value is not a valid IANA zone (caller answers 400)
+ */
+function timeZoneFromQuery(query) {
+  const tz = typeof query?.tz === 'string' ? query.tz.trim() : '';
+  if (!tz) return DEFAULT_TIMEZONE;
+  return isValidTimeZone(tz) ? tz : null;
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Wall-clock fields of an instant in a zone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function zonedParts(date, tz = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of formatterFor(tz).formatToParts(new Date(date))) parts[type] = value;
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Offset of the zone from UTC at that instant, in minutes (+420 for Vietnam)
+ */
+function offsetMinutes(date, tz = DEFAULT_TIMEZONE) {
+  const ms = new Date(date).getTime();
+  const p = zonedParts(ms, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+/**
+ * Calendar day of an instant in a zone → "YYYY-MM-DD"
+ */
+function dayKey(date, tz = DEFAULT_TIMEZONE) {
+  const p = zonedParts(date, tz);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * `dateTime` / `date` query value → "YYYY-MM-DD" in the zone. A bare day is
+ * taken as is; an instant ("2026-10-19T17:00:00Z") falls on the zone's day.
+ * @returns {String|null} null when unparseable
+ */
+function dayKeyFromInput(value, tz = DEFAULT_TIMEZONE) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (ISO_DAY.test(text)) return text;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : dayKey(date, tz);
+}
+
+/**
+ * Instant at which a wall-clock time happens in a zone
+ */
+function zonedTimeToUtc(year, month, day, hour = 0, minute = 0, second = 0, tz = DEFAULT_TIMEZONE) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Two passes settle on the right side of a DST change
+  let ms = guess - offsetMinutes(guess, tz) * 60000;
+  ms = guess - offsetMinutes(ms, tz) * 60000;
+  return new Date(ms);
+}
+
+/**
+ * One calendar day of a zone as UTC instants, for MongoDB range queries
+ * @param {String} key - "YYYY-MM-DD"
+ * @returns {Object} { start, end } — end exclusive
+ */
+function dayRange(key, tz = DEFAULT_TIMEZONE) {
+  const [year, month, day] = key.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day) + DAY_MS);
+  return {
+    start: zonedTimeToUtc(year, month, day, 0, 0, 0, tz),
+    end: zonedTimeToUtc(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, 0, 0, tz)
+  };
+}
+
+/**
+ * "YYYY-MM-DD" + n days
+ */
+function addDays(key, days) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Instant → ISO 8601 with the zone's offset, the way API-Sports writes
+ * fixture dates: "2026-10-19T19:00:00+07:00"
+ */
+function toZonedIso(date, tz = DEFAULT_TIMEZONE) {
+  const p = zonedParts(date, tz);
+  const offset = offsetMinutes(date, tz);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Rewrite match.dateTime of grouped competitions (routes/matches.js shape)
+ * into the requested zone
+ */
+function zoneCompetitionTimes(competitions, tz) {
+  if (!Array.isArray(competitions) || !tz) return competitions;
+  for (const comp of competitions) {
+    for (const match of comp.matches || []) {
+      if (!match.dateTime) continue;
+      const date = new Date(match.dateTime);
+      if (!Number.isNaN(date.getTime())) match.dateTime = toZonedIso(date, tz);
+    }
+  }
+  return competitions;
+}
+
+/**
+ * Vietnam-time labels for SSR copy: { time: "19h00", day: "19/10/2026",
+ * dateLabel: "19h00 ngày 19/10/2026" }
+ */
+function vnLabels(date) {
+  const p = zonedParts(date, DEFAULT_TIMEZONE);
+  const time = `${pad(p.hour)}h${pad(p.minute)}`;
+  const day = `${pad(p.day)}/${pad(p.month)}/${p.year}`;
+  return { time, day, dateLabel: `${time} ngày ${day}` };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  timeZoneFromQuery,
+  zonedParts,
+  offsetMinutes,
+  dayKey,
+  dayKeyFromInput,
+  zonedTimeToUtc,
+  dayRange,
+  addDays,
+  toZonedIso,
+  zoneCompetitionTimes,
+  vnLabels
+};
@@ -1,22 +1,15 @@
-const axios = require('axios');
-require('dotenv').config();
+const apiSports = require('../services/apiSportsGateway');
 
 /**
  * Football API wrapper class
  * Provides methods to interact with API-Football API
  */
 class FootballApi {
-  constructor() {
-    this.baseURL = 'https://v3.football.api-sports.io';
-    this.apiKey = process.env.API_FOOTBALL_KEY;
-
-    this.client = axios.create({
-      baseURL: this.baseURL,
-      headers: {
-        'x-rapidapi-key': this.apiKey,
-        'x-rapidapi-host': 'v3.football.api-sports.io'
-      }
-    });
+  /**
+   * @param {string} caller - Quota ledger tag (see services/apiSportsGateway.js)
+   */
+  constructor(caller = 'footballApi') {
+    this.client = apiSports.client(caller);
   }
 
   /**
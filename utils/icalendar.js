@@ -0,0 +1,125 @@
+/**
+ * Minimal RFC 5545 writer for the fixture calendar feeds (routes/calendarFeeds.js).
+ *
+ * Times are written as Vietnam local time with TZID=Asia/Ho_Chi_Minh and a
+ * matching VTIMEZONE block (UTC+7 all year, no DST), so calendar apps show
+ * "19:00" to readers at home and convert correctly for readers abroad.
+ */
+
+const { DEFAULT_TIMEZONE, zonedParts } = require('./dateTime');
+
+const TZID = DEFAULT_TIMEZONE;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/** Date → 20261019T190000 in Vietnam local time */
+function formatLocal(date) {
+  const p = zonedParts(date, TZID);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+/** Date → 20261019T120000Z */
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/** TEXT value escaping (RFC 5545 §3.3.11) */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1) without splitting a
+ * multi-byte character — team names are full of Vietnamese diacritics
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = '';
+  let limit = 75;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74;   // continuation lines start with a space
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function vtimezone() {
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TZID}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:+0700',
+    'TZOFFSETTO:+0700',
+    'TZNAME:ICT',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+}
+
+/**
+ * @param {Object} event - { uid, start, end, summary, description, location,
+ *   url, status (CONFIRMED | TENTATIVE | CANCELLED), sequence, stamp }
+ */
+function vevent(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(event.stamp || new Date())}`,
+    `DTSTART;TZID=${TZID}:${formatLocal(event.start)}`,
+    `DTEND;TZID=${TZID}:${formatLocal(event.end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Whole VCALENDAR document
+ * @param {Object} calendar - { name, description, refreshHours, events }
+ * @returns {String} CRLF-terminated .ics body
+ */
+function buildCalendar({ name, description, refreshHours = 6, events = [] }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ScoreLine//Lich thi dau//VI',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TZID}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`,
+    `X-PUBLISHED-TTL:PT${refreshHours}H`
+  ];
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  lines.push(...vtimezone());
+  for (const event of events) lines.push(...vevent(event));
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  TZID,
+  buildCalendar,
+  escapeText,
+  foldLine,
+  formatLocal,
+  formatUtc
+};
@@ -53,8 +53,21 @@ const LEAGUES = [
   { id: 119, slug: 'danish-superliga',    name: 'Superliga',                      country: 'Đan Mạch',     viName: 'Danish Superliga',         seasonStart: 7 },
 ];
 
+// Domestic cups — knockout only, so they get a /giai-dau/:slug bracket page
+// but no standings / top-scorer pages.
+const CUPS = [
+  { id: 45,  slug: 'fa-cup',              name: 'FA Cup',                         country: 'Anh',          viName: 'FA Cup',                   seasonStart: 8 },
+  { id: 143, slug: 'copa-del-rey',        name: 'Copa del Rey',                   country: 'Tây Ban Nha',  viName: 'Cúp Nhà Vua',              seasonStart: 8 },
+  { id: 137, slug: 'coppa-italia',        name: 'Coppa Italia',                   country: 'Ý',            viName: 'Coppa Italia',             seasonStart: 8 },
+  { id: 81,  slug: 'dfb-pokal',           name: 'DFB Pokal',                      country: 'Đức',          viName: 'Cúp Quốc gia Đức',         seasonStart: 8 },
+  { id: 66,  slug: 'coupe-de-france',     name: 'Coupe de France',                country: 'Pháp',         viName: 'Cúp Quốc gia Pháp',        seasonStart: 8 },
+  { id: 342, slug: 'cup-quoc-gia',        name: 'Cúp Quốc Gia',                   country: 'Việt Nam',     viName: 'Cúp Quốc Gia',             seasonStart: 8 },
+];
+
 const BY_SLUG = new Map(LEAGUES.map(l => [l.slug, l]));
 const BY_ID = new Map(LEAGUES.map(l => [l.id, l]));
+const CUPS_BY_SLUG = new Map(CUPS.map(c => [c.slug, c]));
+const CUPS_BY_ID = new Map(CUPS.map(c => [c.id, c]));
 
 function getLeagueBySlug(slug) {
   return BY_SLUG.get(slug) || null;
@@ -64,6 +77,14 @@ function getLeagueById(id) {
   return BY_ID.get(Number(id)) || null;
 }
 
+function getCupBySlug(slug) {
+  return CUPS_BY_SLUG.get(slug) || null;
+}
+
+function getCupById(id) {
+  return CUPS_BY_ID.get(Number(id)) || null;
+}
+
 /**
  * Best-effort current season year — leagues running Aug→May use the year of
  * kickoff; off-season requests fall back to the previous year so caches don't
@@ -77,9 +98,24 @@ function currentSeasonForLeague(league) {
   return month >= league.seasonStart ? year : year - 1;
 }
 
+/**
+ * Current season by league id. Leagues outside LEAGUES are assumed to run
+ * Aug→May, the most common calendar among the allowed competitions.
+ */
+function currentSeasonForLeagueId(leagueId) {
+  const league = getLeagueById(leagueId) || getCupById(leagueId);
+  if (league) return currentSeasonForLeague(league);
+  const now = new Date();
+  return now.getUTCMonth() < 7 ? now.getUTCFullYear() - 1 : now.getUTCFullYear();
+}
+
 module.exports = {
   LEAGUES,
+  CUPS,
   getLeagueBySlug,
   getLeagueById,
+  getCupBySlug,
+  getCupById,
   currentSeasonForLeague,
+  currentSeasonForLeagueId,
 };
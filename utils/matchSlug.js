@@ -1,7 +1,8 @@
 /**
  * Match URL slug — server-side mirror of football-frontend/src/utils/match-slug.ts.
  *
- * Format: <home>-vs-<away>-HHhMM-ngay-DD-MM-YYYY (UTC).
+ * Format: <home>-vs-<away>-HHhMM-ngay-DD-MM-YYYY (UTC); the legacy
+ * <home>-vs-<away>-<ms> form is still built and parsed for old links.
  * Both sides must use UTC time components so the same fixture renders
  * the same slug everywhere (sitemap → SSR → SPA → API).
  */
@@ -38,4 +39,44 @@ function buildMatchSlug(homeName, awayName, matchDate) {
   return `${homeSlug}-vs-${awaySlug}-${hh}h${mm}-ngay-${dd}-${mo}-${yy}`;
 }
 
-module.exports = { buildMatchSlug };
+/**
+ * Legacy form still linked from older pages and the SPA:
+ * <home>-vs-<away>-<13-digit UTC ms>
+ */
+function buildTimestampSlug(homeName, awayName, matchDate) {
+  if (!homeName || !awayName || !matchDate) return null;
+  const ms = new Date(matchDate).getTime();
+  if (Number.isNaN(ms)) return null;
+  const homeSlug = normaliseTeamName(homeName);
+  const awaySlug = normaliseTeamName(awayName);
+  if (!homeSlug || !awaySlug) return null;
+  return `${homeSlug}-vs-${awaySlug}-${ms}`;
+}
+
+/**
+ * Slug → { kind, home, away, kickoffMs } or null.
+ *   readable   <home>-vs-<away>-HHhMM-ngay-DD-MM-YYYY
+ *   timestamp  <home>-vs-<away>-<ms>
+ *   legacy     anything else ending in a 13-digit ms (home/away null,
+ *              `base` is the slug without the timestamp)
+ */
+function parseMatchSlug(slug) {
+  if (typeof slug !== 'string') return null;
+  const readable = slug.match(/^(.+?)-vs-(.+?)-(\d{2})h(\d{2})-ngay-(\d{2})-(\d{2})-(\d{4})$/);
+  if (readable) {
+    const [, home, away, hh, mi, dd, mo, yy] = readable;
+    const kickoffMs = Date.UTC(+yy, +mo - 1, +dd, +hh, +mi);
+    return Number.isNaN(kickoffMs) ? null : { kind: 'readable', home, away, kickoffMs };
+  }
+  const timestamp = slug.match(/^(.+?)-vs-(.+?)-(\d{13})$/);
+  if (timestamp) {
+    return { kind: 'timestamp', home: timestamp[1], away: timestamp[2], kickoffMs: parseInt(timestamp[3], 10) };
+  }
+  const legacy = slug.match(/^(.+)-(\d{13})$/);
+  if (legacy) {
+    return { kind: 'legacy', home: null, away: null, base: legacy[1], kickoffMs: parseInt(legacy[2], 10) };
+  }
+  return null;
+}
+
+module.exports = { buildMatchSlug, buildTimestampSlug, parseMatchSlug, normaliseTeamName };
@@ -0,0 +1,302 @@
+// utils/oddsFormat.js - Odds format conversion (decimal, HK, Malay, Indo, American)
+//
+// Storage and upstream data stay decimal everywhere; conversion happens on
+// the way out — `?oddsFormat=malay` on API routes, DEFAULT_ODDS_FORMAT for
+// the SSR pages and generated articles.
+//
+//   decimal   2.10    1.80
+//   hk        1.10    0.80     decimal - 1
+//   malay    -0.91    0.80     hk if hk <= 1, else -1 / hk
+//   indo      1.10   -1.25     hk if hk >= 1, else -1 / hk
+//   american  +110   -125      (decimal - 1) * 100, or -100 / (decimal - 1)
+
+const ODDS_FORMATS = ['decimal', 'hk', 'malay', 'indo', 'american'];
+
+const FORMAT_ALIASES = {
+  eu: 'decimal',
+  european: 'decimal',
+  hongkong: 'hk',
+  'hong-kong': 'hk',
+  my: 'malay',
+  indonesian: 'indo',
+  us: 'american'
+};
+
+// Labels for SSR pages
+const ODDS_FORMAT_LABELS = {
+  decimal: 'Châu Âu (Decimal)',
+  hk: 'Hồng Kông',
+  malay: 'Malaysia',
+  indo: 'Indonesia',
+  american: 'Mỹ (American)'
+};
+
+// ============================================
+// CẤU HÌNH: Site default (SSR /nhan-dinh, soi-keo generator)
+// ============================================
+const DEFAULT_ODDS_FORMAT = normalizeOddsFormat(process.env.DEFAULT_ODDS_FORMAT) || 'malay';
+
+// Bet types whose values carry an Asian (quarter-ball capable) handicap line
+const HANDICAP_BET_TYPES = ['asian_handicap', 'asian_handicap_first_half'];
+
+/**
+ * Normalize a user-supplied format name. Returns null for unknown formats.
+ */
+function normalizeOddsFormat(format) {
+  if (!format) return null;
+  const key = String(format).trim().toLowerCase();
+  if (ODDS_FORMATS.includes(key)) return key;
+  return FORMAT_ALIASES[key] || null;
+}
+
+/**
+ * Convert one decimal price.
+ * @param {string|number} decimalOdd - "2.10" or 2.1
+ * @param {string} format - one of ODDS_FORMATS
+ * @returns {string|number|null} same type family as input (string in, string out);
+ *   unparseable or <= 1.0 prices are returned unchanged
+ */
+function convertOdd(decimalOdd, format) {
+  if (decimalOdd === null || decimalOdd === undefined || decimalOdd === '') return decimalOdd;
+  const decimal = parseFloat(decimalOdd);
+  if (!(decimal > 1) || !format || format === 'decimal') return decimalOdd;
+
+  const hk = decimal - 1;
+  let converted;
+  switch (format) {
+    case 'hk':
+      converted = hk.toFixed(2);
+      break;
+    case 'malay':
+      converted = (hk <= 1 ? hk : -1 / hk).toFixed(2);
+      break;
+    case 'indo':
+      converted = (hk >= 1 ? hk : -1 / hk).toFixed(2);
+      break;
+    case 'american':
+      converted = hk >= 1 ? `+${Math.round(hk * 100)}` : `${Math.round(-100 / hk)}`;
+      break;
+    default:
+      return decimalOdd;
+  }
+
+  if (typeof decimalOdd === 'number') return format === 'american' ? parseInt(converted, 10) : parseFloat(converted);
+  return converted;
+}
+
+function trimNumber(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+/**
+ * Split an Asian handicap line into its stakes.
+ *   "-0.25" → { sign: '-', parts: ['0', '0.5'], display: '0/0.5', signed: '-0/0.5', quarter: true }
+ *   "+1.75" → { sign: '+', parts: ['1.5', '2'], display: '1.5/2', signed: '+1.5/2', quarter: true }
+ *   "-0.5"  → { sign: '-', parts: ['0.5'],      display: '0.5',   signed: '-0.5',   quarter: false }
+ * Quarter lines are half the stake on each neighbouring half-line.
+ */
+function splitHandicap(line) {
+  const value = parseFloat(line);
+  if (isNaN(value)) return null;
+
+  const sign = value < 0 ? '-' : value > 0 ? '+' : '';
+  const abs = Math.abs(value);
+  const quarter = Math.abs((abs * 4) % 2 - 1) < 1e-9; // .25 or .75
+
+  const parts = quarter
+    ? [trimNumber(abs - 0.25), trimNumber(abs + 0.25)]
+    : [trimNumber(abs)];
+  const display = parts.join('/');
+
+  return { sign, parts, display, signed: `${sign}${display}`, quarter };
+}
+
+/**
+ * Handicap display for a bet value like "Home -0.75" → "-0.5/1".
+ */
+function handicapDisplay(value) {
+  const match = String(value).match(/([+-]?\d+(?:\.\d+)?)\s*$/);
+  if (!match) return null;
+  return splitHandicap(match[1])?.signed || null;
+}
+
+/**
+ * Convert a transformOdds-style bookmakers array. Returns a copy; each value
+ * keeps its decimal price in `decimal`, and Asian handicap values gain a
+ * split-stake `handicap` display ("0/0.5").
+ */
+function formatBookmakers(bookmakers, format) {
+  if (!Array.isArray(bookmakers) || !format) return bookmakers;
+
+  return bookmakers.map(bookmaker => ({
+    ...bookmaker,
+    bets: (bookmaker.bets || []).map(bet => {
+      const isHandicap = HANDICAP_BET_TYPES.includes(bet.type);
+      const convert = values => (values || []).map(v => ({
+        ...v,
+        odd: convertOdd(v.odd, format),
+        decimal: v.odd,
+        ...(isHandicap ? { handicap: handicapDisplay(v.value) } : {})
+      }));
+
+      return {
+        ...bet,
+        values: convert(bet.values),
+        ...(bet.opening ? { opening: convert(bet.opening) } : {})
+      };
+    })
+  }));
+}
+
+/**
+ * Convert every match.bookmakers (and match.consensus prices) in a
+ * competitions list as returned by /all, /live, /hot.
+ */
+function formatCompetitions(competitions, format) {
+  if (!Array.isArray(competitions) || !format) return competitions;
+
+  for (const comp of competitions) {
+    for (const match of comp.matches || []) {
+      match.bookmakers = formatBookmakers(match.bookmakers, format);
+      if (match.consensus) match.consensus = formatConsensusSummary(match.consensus, format);
+    }
+  }
+  return competitions;
+}
+
+function formatPriceMap(prices, format) {
+  const out = {};
+  for (const [outcome, odd] of Object.entries(prices || {})) out[outcome] = convertOdd(odd, format);
+  return out;
+}
+
+function formatBestPrice(bestPrice, format) {
+  const out = {};
+  for (const [outcome, best] of Object.entries(bestPrice || {})) {
+    out[outcome] = { ...best, odd: convertOdd(best.odd, format), decimal: best.odd };
+  }
+  return out;
+}
+
+/**
+ * Convert a utils/oddsMarkets#summarizeConsensus result.
+ */
+function formatConsensusSummary(summary, format) {
+  if (!summary || !format) return summary;
+  const out = {};
+  for (const [market, entry] of Object.entries(summary)) {
+    out[market] = {
+      ...entry,
+      lineDisplay: HANDICAP_BET_TYPES.includes(market) ? splitHandicap(entry.line)?.signed || null : undefined,
+      consensus: entry.consensus && { ...entry.consensus, fairOdds: formatPriceMap(entry.consensus.fairOdds, format) },
+      bestPrice: formatBestPrice(entry.bestPrice, format)
+    };
+  }
+  return out;
+}
+
+/**
+ * Convert a utils/oddsMarkets#buildConsensus result.
+ */
+function formatConsensus(markets, format) {
+  if (!markets || !format) return markets;
+  const out = {};
+  for (const [market, analysis] of Object.entries(markets)) {
+    const isHandicap = HANDICAP_BET_TYPES.includes(market);
+    out[market] = {
+      ...analysis,
+      lines: analysis.lines.map(line => ({
+        ...line,
+        ...(isHandicap ? { lineDisplay: splitHandicap(line.line)?.signed || null } : {}),
+        consensus: line.consensus && { ...line.consensus, fairOdds: formatPriceMap(line.consensus.fairOdds, format) },
+        bestPrice: formatBestPrice(line.bestPrice, format),
+        bookmakers: line.bookmakers.map(b => ({ ...b, odds: formatPriceMap(b.odds, format) }))
+      }))
+    };
+  }
+  return out;
+}
+
+/**
+ * Convert services/oddsHistory#getHistory series (opening/latest/closing
+ * reference entries of `points`, so each point is converted once).
+ */
+function formatOddsHistory(series, format) {
+  if (!Array.isArray(series) || !format) return series;
+
+  return series.map(s => {
+    const isHandicap = HANDICAP_BET_TYPES.includes(s.market);
+    const convertPoint = point => point && {
+      ...point,
+      values: (point.values || []).map(v => ({
+        ...v,
+        odd: convertOdd(v.odd, format),
+        decimal: v.odd,
+        ...(isHandicap ? { handicap: handicapDisplay(v.value) } : {})
+      })),
+      mainLine: point.mainLine && {
+        ...point.mainLine,
+        ...(isHandicap ? { display: splitHandicap(point.mainLine.line)?.signed || null } : {}),
+        odds: point.mainLine.odds.map(odd => convertOdd(odd, format))
+      }
+    };
+
+    const points = s.points.map(convertPoint);
+    const pick = ref => (ref ? points[s.points.indexOf(ref)] || convertPoint(ref) : ref);
+    return { ...s, opening: pick(s.opening), latest: pick(s.latest), closing: pick(s.closing), points };
+  });
+}
+
+/**
+ * Convert a SoiKeoArticle.oddsData snapshot (numbers, decimal).
+ */
+function formatOddsSnapshot(oddsData, format) {
+  if (!oddsData || !format) return oddsData;
+  const plain = typeof oddsData.toObject === 'function' ? oddsData.toObject() : oddsData;
+
+  return {
+    ...plain,
+    format,
+    homeWin: convertOdd(plain.homeWin, format),
+    draw: convertOdd(plain.draw, format),
+    awayWin: convertOdd(plain.awayWin, format),
+    handicap: plain.handicap && {
+      ...plain.handicap,
+      display: splitHandicap(plain.handicap.line)?.signed || null,
+      home: convertOdd(plain.handicap.home, format),
+      away: convertOdd(plain.handicap.away, format)
+    },
+    overUnder: plain.overUnder && {
+      ...plain.overUnder,
+      display: plain.overUnder.line != null ? splitHandicap(plain.overUnder.line)?.display || null : null,
+      over: convertOdd(plain.overUnder.over, format),
+      under: convertOdd(plain.overUnder.under, format)
+    }
+  };
+}
+
+/**
+ * Resolve ?oddsFormat= for API routes. Missing / unknown → null, and the
+ * response is left untouched for existing clients. `decimal` keeps prices
+ * as-is but still adds the handicap split-stake display.
+ */
+function oddsFormatFromQuery(query = {}) {
+  return normalizeOddsFormat(query.oddsFormat);
+}
+
+module.exports = {
+  ODDS_FORMATS,
+  ODDS_FORMAT_LABELS,
+  DEFAULT_ODDS_FORMAT,
+  normalizeOddsFormat,
+  oddsFormatFromQuery,
+  convertOdd,
+  splitHandicap,
+  handicapDisplay,
+  formatBookmakers,
+  formatCompetitions,
+  formatConsensus,
+  formatConsensusSummary,
+  formatOddsHistory,
+  formatOddsSnapshot
+};
@@ -0,0 +1,215 @@
+// utils/oddsMarkets.js - Market analysis on top of transformOdds output
+//
+// For each market (1X2, Asian handicap, over/under) and line:
+//   - per bookmaker: overround and margin-free implied probabilities
+//   - consensus probability across the bookmakers in data/bookmakers.js
+//   - best available price per outcome and who offers it
+//
+// Input is the bookmakers array produced by transformOdds:
+//   [{ id, name, bets: [{ type: 'asian_handicap', values: [{ value: 'Home -0.25', odd: '2.02' }] }] }]
+
+const { BOOKMAKERS_DATA } = require('../data/bookmakers');
+
+const CONSENSUS_BOOKMAKER_IDS = new Set(BOOKMAKERS_DATA.map(b => b.id));
+
+// ============================================
+// CẤU HÌNH: Markets analysed + expected outcomes
+// ============================================
+const MARKETS = {
+  match_winner: ['Home', 'Draw', 'Away'],
+  asian_handicap: ['Home', 'Away'],
+  goals_over_under: ['Over', 'Under']
+};
+
+const round = (n, digits = 4) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Split a bet value into outcome + line.
+ * "Home -0.25" → { outcome: 'Home', line: '-0.25' }, "Draw" → { outcome: 'Draw', line: null }
+ */
+function splitLine(value) {
+  const match = String(value).trim().match(/^(\S+)\s+([+-]?\d+(?:\.\d+)?)$/);
+  if (match) return { outcome: match[1], line: match[2] };
+  return { outcome: String(value).trim(), line: null };
+}
+
+/**
+ * Overround and margin-free probabilities for one bookmaker's line.
+ * @param {Object} odds - { Home: 2.02, Away: 1.86 }
+ */
+function impliedProbabilities(odds) {
+  const outcomes = Object.keys(odds);
+  const raw = outcomes.map(o => 1 / odds[o]);
+  const overround = raw.reduce((sum, p) => sum + p, 0);
+
+  const probabilities = {};
+  outcomes.forEach((o, i) => {
+    probabilities[o] = round(raw[i] / overround);
+  });
+
+  return {
+    overround: round(overround),
+    margin: round((overround - 1) * 100, 2), // percent
+    probabilities
+  };
+}
+
+/**
+ * Collect complete quotes per line for one market.
+ * @returns {Map<string, Array<{ bookmaker, odds }>>} line ('' for 1X2) -> quotes
+ */
+function collectQuotes(bookmakers, market) {
+  const outcomes = MARKETS[market];
+  const lines = new Map();
+
+  for (const bookmaker of bookmakers || []) {
+    const bet = (bookmaker.bets || []).find(b => b.type === market);
+    if (!bet) continue;
+
+    const byLine = new Map();
+    for (const v of bet.values || []) {
+      const odd = parseFloat(v.odd);
+      if (!(odd > 1)) continue;
+      const { outcome, line } = splitLine(v.value);
+      if (!outcomes.includes(outcome)) continue;
+
+      const key = line || '';
+      if (!byLine.has(key)) byLine.set(key, {});
+      byLine.get(key)[outcome] = odd;
+    }
+
+    for (const [line, odds] of byLine) {
+      if (!outcomes.every(o => odds[o])) continue; // incomplete line — no overround
+      if (!lines.has(line)) lines.set(line, []);
+      lines.get(line).push({ bookmaker: { id: bookmaker.id, name: bookmaker.name }, odds });
+    }
+  }
+
+  return lines;
+}
+
+function analyzeLine(market, line, quotes) {
+  const outcomes = MARKETS[market];
+
+  const bookmakers = quotes.map(q => ({
+    ...q.bookmaker,
+    odds: q.odds,
+    ...impliedProbabilities(q.odds)
+  }));
+
+  // Consensus: mean margin-free probability over the tracked bookmakers
+  const panel = bookmakers.filter(b => CONSENSUS_BOOKMAKER_IDS.has(b.id));
+  let consensus = null;
+  if (panel.length > 0) {
+    const sums = {};
+    outcomes.forEach(o => {
+      sums[o] = panel.reduce((sum, b) => sum + b.probabilities[o], 0) / panel.length;
+    });
+    const total = outcomes.reduce((sum, o) => sum + sums[o], 0);
+
+    const probabilities = {};
+    const fairOdds = {};
+    outcomes.forEach(o => {
+      probabilities[o] = round(sums[o] / total);
+      fairOdds[o] = round(total / sums[o], 3);
+    });
+    consensus = { bookmakerCount: panel.length, probabilities, fairOdds };
+  }
+
+  const bestPrice = {};
+  outcomes.forEach(o => {
+    const best = bookmakers.reduce((top, b) => (!top || b.odds[o] > top.odds[o] ? b : top), null);
+    bestPrice[o] = { odd: best.odds[o], bookmaker: { id: best.id, name: best.name } };
+  });
+
+  // Overround of a book built from the best prices (< 1 means an arb exists)
+  const bestOverround = round(outcomes.reduce((sum, o) => sum + 1 / bestPrice[o].odd, 0));
+
+  return {
+    line: line || null,
+    consensus,
+    bestPrice,
+    bestOverround,
+    averageMargin: round(bookmakers.reduce((sum, b) => sum + b.margin, 0) / bookmakers.length, 2),
+    bookmakers
+  };
+}
+
+/**
+ * Full analysis of one market: every line with at least one complete quote.
+ * The main line is the one most bookmakers quote; ties go to the line whose
+ * consensus is closest to 50/50.
+ */
+function analyzeMarket(bookmakers, market) {
+  if (!MARKETS[market]) return null;
+
+  const quotes = collectQuotes(bookmakers, market);
+  if (quotes.size === 0) return null;
+
+  const lines = Array.from(quotes.entries())
+    .map(([line, q]) => analyzeLine(market, line, q))
+    .sort((a, b) => parseFloat(a.line || 0) - parseFloat(b.line || 0));
+
+  const balance = l => {
+    const p = l.consensus ? Object.values(l.consensus.probabilities)[0] : 0;
+    return Math.abs(p - 0.5);
+  };
+  const main = lines.reduce((top, l) => {
+    if (!top) return l;
+    if (l.bookmakers.length !== top.bookmakers.length) {
+      return l.bookmakers.length > top.bookmakers.length ? l : top;
+    }
+    return balance(l) < balance(top) ? l : top;
+  }, null);
+
+  return {
+    market,
+    outcomes: MARKETS[market],
+    mainLine: main.line,
+    lines
+  };
+}
+
+/**
+ * Analyse all supported markets for a fixture.
+ * @param {Array} bookmakers - transformOdds output
+ * @returns {Object} market -> analyzeMarket result (markets without quotes omitted)
+ */
+function buildConsensus(bookmakers) {
+  const result = {};
+  for (const market of Object.keys(MARKETS)) {
+    const analysis = analyzeMarket(bookmakers, market);
+    if (analysis) result[market] = analysis;
+  }
+  return result;
+}
+
+/**
+ * Compact form for list endpoints (/hot): main line only, no per-bookmaker rows.
+ * @returns {Object|null}
+ */
+function summarizeConsensus(bookmakers) {
+  if (!bookmakers || bookmakers.length === 0) return null;
+
+  const full = buildConsensus(bookmakers);
+  const summary = {};
+  for (const [market, analysis] of Object.entries(full)) {
+    const main = analysis.lines.find(l => l.line === analysis.mainLine);
+    summary[market] = {
+      line: main.line,
+      consensus: main.consensus,
+      bestPrice: main.bestPrice,
+      averageMargin: main.averageMargin
+    };
+  }
+  return Object.keys(summary).length > 0 ? summary : null;
+}
+
+module.exports = {
+  MARKETS,
+  splitLine,
+  impliedProbabilities,
+  analyzeMarket,
+  buildConsensus,
+  summarizeConsensus
+};
@@ -0,0 +1,77 @@
+/**
+ * Referee name normalization.
+ *
+ * API-Sports is inconsistent about `fixture.referee`: the same official
+ * shows up as "Michael Oliver, England", "Michael Oliver" or "M. Oliver"
+ * depending on league and season. All of them reduce to one key — first
+ * initial + surname, diacritics stripped ("m-oliver") — which is what
+ * referee stats are grouped by. The country after the comma is kept apart.
+ *
+ * Known limitation: two officials sharing an initial and a surname merge,
+ * and double-barrelled surnames only match when written the same way.
+ */
+
+function stripDiacritics(str) {
+  return String(str)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+}
+
+function slugify(str) {
+  return stripDiacritics(str)
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * @param {string} raw - fixture.referee as API-Sports sends it
+ * @returns {Object|null} - { name, country, key, slug, abbreviated }
+ */
+function parseRefereeName(raw) {
+  if (!raw) return null;
+  let text = String(raw).replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+
+  let country = null;
+  const comma = text.indexOf(',');
+  if (comma !== -1) {
+    country = text.slice(comma + 1).trim() || null;
+    text = text.slice(0, comma).trim();
+  }
+
+  const tokens = text.split(/[\s.]+/).filter(Boolean);
+  if (tokens.length === 0) return null;
+
+  const surname = slugify(tokens[tokens.length - 1]);
+  if (!surname) return null;
+  const initial = tokens.length > 1 ? slugify(tokens[0]).charAt(0) : '';
+
+  return {
+    name: text,
+    country,
+    key: initial ? `${initial}-${surname}` : surname,
+    slug: slugify(text),
+    // "M. Oliver" — only used to prefer a fuller variant for display
+    abbreviated: tokens.length > 1 && /^\p{L}\.?$/u.test(text.split(' ')[0])
+  };
+}
+
+/**
+ * Best display name among the variants seen for one key
+ */
+function preferredName(names) {
+  return [...names]
+    .map(name => ({ name, parsed: parseRefereeName(name) }))
+    .filter(n => n.parsed)
+    .sort((a, b) => (a.parsed.abbreviated - b.parsed.abbreviated) || (b.name.length - a.name.length))[0]?.name || null;
+}
+
+module.exports = {
+  parseRefereeName,
+  preferredName,
+  slugify
+};
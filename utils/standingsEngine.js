@@ -0,0 +1,289 @@
+// utils/standingsEngine.js - Build a league table from results
+//
+// For tables we compute ourselves (live "as it stands", past seasons,
+// World Cup groups) instead of trusting the order /standings returns.
+// Teams are ordered by points, then by the competition's tiebreakers
+// (config/allowedCompetitions.js → getTiebreakers):
+//
+//   goalDifference, goalsFor, awayGoalsFor, wins, awayWins   overall
+//   h2hPoints, h2hGoalDifference, h2hGoalsFor, h2hAwayGoalsFor
+//                                  mini-table of the teams still level
+//   fairPlay                       fewer disciplinary points
+//   lots                           drawing of lots (seeded, so stable)
+//
+// A run of consecutive h2h criteria shares one mini-table: the teams that
+// were level when the run started. With `reapplyHeadToHead`, any subset
+// left level at the end of the run gets a fresh mini-table of its own
+// (UEFA / FIFA). Worked cases live in data/standingsEngineFixtures.js.
+
+const { getTiebreakers } = require('../config/allowedCompetitions');
+
+// Disciplinary points per card (FIFA fair-play scale, as positive numbers)
+const FAIR_PLAY_POINTS = { yellow: 1, secondYellow: 3, red: 4 };
+
+// Criteria where the lower value ranks higher
+const ASCENDING = new Set(['fairPlay']);
+
+const FINISHED_CODES = ['FT', 'AET', 'PEN', 'AWD', 'WO'];
+const LIVE_CODES = ['1H', 'HT', '2H', 'ET', 'BT', 'P', 'SUSP', 'INT', 'LIVE'];
+
+function isHeadToHead(criterion) {
+  return typeof criterion === 'string' && criterion.startsWith('h2h');
+}
+
+function emptyRecord() {
+  return { played: 0, win: 0, draw: 0, lose: 0, goalsFor: 0, goalsAgainst: 0, awayGoalsFor: 0, awayWins: 0, points: 0 };
+}
+
+function addResult(record, goalsFor, goalsAgainst, away) {
+  record.played++;
+  record.goalsFor += goalsFor;
+  record.goalsAgainst += goalsAgainst;
+  if (away) record.awayGoalsFor += goalsFor;
+  if (goalsFor > goalsAgainst) {
+    record.win++;
+    record.points += 3;
+    if (away) record.awayWins++;
+  } else if (goalsFor === goalsAgainst) {
+    record.draw++;
+    record.points += 1;
+  } else {
+    record.lose++;
+  }
+}
+
+function cardPoints(cards) {
+  if (!cards) return 0;
+  return (cards.yellow || 0) * FAIR_PLAY_POINTS.yellow +
+    (cards.secondYellow || 0) * FAIR_PLAY_POINTS.secondYellow +
+    (cards.red || 0) * FAIR_PLAY_POINTS.red;
+}
+
+/**
+ * Stable pseudo-random number in [0, 1) for (seed, teamId) — FNV-1a
+ */
+function lotValue(seed, teamId) {
+  let hash = 2166136261;
+  for (const ch of `${seed}:${teamId}`) {
+    hash ^= ch.charCodeAt(0);
+    hash = Math.imul(hash, 16777619) >>> 0;
+  }
+  return hash / 4294967296;
+}
+
+/**
+ * Mini-table of the matches played between `teamIds`
+ */
+function headToHead(results, teamIds) {
+  const members = new Set(teamIds);
+  const records = new Map(teamIds.map(id => [id, emptyRecord()]));
+  for (const r of results) {
+    if (!members.has(r.homeId) || !members.has(r.awayId)) continue;
+    addResult(records.get(r.homeId), r.homeGoals, r.awayGoals, false);
+    addResult(records.get(r.awayId), r.awayGoals, r.homeGoals, true);
+  }
+  return records;
+}
+
+function criterionValue(criterion, row, h2h, seed) {
+  switch (criterion) {
+    case 'goalDifference': return row.goalsFor - row.goalsAgainst;
+    case 'goalsFor': return row.goalsFor;
+    case 'awayGoalsFor': return row.awayGoalsFor;
+    case 'wins': return row.win;
+    case 'awayWins': return row.awayWins;
+    case 'fairPlay': return row.fairPlay;
+    case 'lots': return lotValue(seed, row.teamId);
+    case 'h2hPoints': return h2h.get(row.teamId).points;
+    case 'h2hGoalDifference': {
+      const rec = h2h.get(row.teamId);
+      return rec.goalsFor - rec.goalsAgainst;
+    }
+    case 'h2hGoalsFor': return h2h.get(row.teamId).goalsFor;
+    case 'h2hAwayGoalsFor': return h2h.get(row.teamId).awayGoalsFor;
+    default:
+      throw new Error(`Unknown tiebreaker: ${criterion}`);
+  }
+}
+
+/**
+ * Order a group of teams level on points.
+ *
+ * @param {Array} group - table rows
+ * @param {number} index - next criterion to apply
+ * @param {Array|null} h2hGroup - rows the current h2h run is computed on
+ */
+function breakTie(group, index, h2hGroup, ctx) {
+  const { criteria, reapplyHeadToHead, results, seed } = ctx;
+  if (group.length < 2 || index >= criteria.length) return group;
+
+  const criterion = criteria[index];
+  const h2hTeams = isHeadToHead(criterion) ? (h2hGroup || group) : null;
+  const h2h = h2hTeams ? headToHead(results, h2hTeams.map(row => row.teamId)) : null;
+  const direction = ASCENDING.has(criterion) ? -1 : 1;
+
+  const buckets = new Map();
+  for (const row of group) {
+    const value = criterionValue(criterion, row, h2h, seed);
+    if (!buckets.has(value)) buckets.set(value, []);
+    buckets.get(value).push(row);
+  }
+  const ordered = Array.from(buckets.entries()).sort((a, b) => direction * (b[0] - a[0]));
+  if (ordered.length > 1) {
+    for (const [, rows] of ordered) {
+      if (rows.length === 1) rows[0].tiebreaker = criterion;
+      if (criterion === 'lots') rows.forEach(row => { row.lots = true; });
+    }
+  }
+
+  const next = criteria[index + 1];
+  return ordered.flatMap(([, rows]) => {
+    if (rows.length < 2) return rows;
+    if (h2hTeams && !isHeadToHead(next)) {
+      // End of an h2h run: subsets it split off get their own mini-table
+      if (reapplyHeadToHead && rows.length < h2hTeams.length) {
+        const start = criteria.findIndex(isHeadToHead);
+        return breakTie(rows, start, null, ctx);
+      }
+      return breakTie(rows, index + 1, null, ctx);
+    }
+    return breakTie(rows, index + 1, h2hTeams, ctx);
+  });
+}
+
+/**
+ * Build a table from results.
+ *
+ * @param {Array} results - [{ homeId, awayId, homeGoals, awayGoals,
+ *   homeName?, awayName?, cards?: { home: {yellow, secondYellow, red}, away } }]
+ * @param {Object} options
+ * @param {number} [options.leagueId] - picks the competition's tiebreakers
+ * @param {Object} [options.rules] - { criteria, reapplyHeadToHead }, overrides leagueId
+ * @param {Array} [options.teams] - [{ teamId, name, logo }] to include teams without results
+ * @param {Object} [options.fairPlay] - teamId → disciplinary points, added to card points
+ * @param {Object} [options.adjustments] - teamId → points added (negative for deductions)
+ * @param {string|number} [options.seed] - drawing-of-lots seed (e.g. league:season)
+ * @returns {Array} - rows with rank, record, goalsDiff, form and, for teams
+ *   separated on a tiebreaker, `tiebreaker` (and `lots: true` when drawn)
+ */
+function buildTable(results, options = {}) {
+  const rules = options.rules || getTiebreakers(options.leagueId);
+  const rows = new Map();
+
+  const ensure = (teamId, name, logo) => {
+    if (!rows.has(teamId)) {
+      rows.set(teamId, { teamId, name: name || null, logo: logo || null, ...emptyRecord(), fairPlay: 0, form: [] });
+    }
+    const row = rows.get(teamId);
+    if (!row.name && name) row.name = name;
+    return row;
+  };
+
+  for (const team of options.teams || []) ensure(team.teamId, team.name, team.logo);
+
+  const played = results
+    .filter(r => r.homeGoals != null && r.awayGoals != null)
+    .sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+
+  for (const r of played) {
+    const home = ensure(r.homeId, r.homeName, r.homeLogo);
+    const away = ensure(r.awayId, r.awayName, r.awayLogo);
+    addResult(home, r.homeGoals, r.awayGoals, false);
+    addResult(away, r.awayGoals, r.homeGoals, true);
+    home.fairPlay += cardPoints(r.cards?.home);
+    away.fairPlay += cardPoints(r.cards?.away);
+    home.form.push(r.homeGoals > r.awayGoals ? 'W' : r.homeGoals === r.awayGoals ? 'D' : 'L');
+    away.form.push(r.awayGoals > r.homeGoals ? 'W' : r.awayGoals === r.homeGoals ? 'D' : 'L');
+  }
+
+  for (const [teamId, points] of Object.entries(options.fairPlay || {})) {
+    if (rows.has(Number(teamId))) rows.get(Number(teamId)).fairPlay += points;
+  }
+  for (const [teamId, points] of Object.entries(options.adjustments || {})) {
+    if (rows.has(Number(teamId))) rows.get(Number(teamId)).points += points;
+  }
+
+  for (const row of rows.values()) row.form = row.form.slice(-5).join('');
+
+  return rankRows(Array.from(rows.values()), { rules, results: played, seed: options.seed ?? options.leagueId ?? '' });
+}
+
+/**
+ * Rank rows that are already aggregated (e.g. third-placed teams across
+ * groups). Rows need points, goalsFor, goalsAgainst and whatever the
+ * criteria read; h2h criteria only work when `results` are given.
+ *
+ * @param {Array} rows
+ * @param {Object} options - { rules, results?, seed? }
+ * @returns {Array} - copies with rank, goalsDiff and tiebreaker
+ */
+function rankRows(rows, { rules, results = [], seed = '' }) {
+  const byPoints = new Map();
+  for (const row of rows) {
+    row.goalsDiff = row.goalsFor - row.goalsAgainst;
+    row.tiebreaker = null;
+    if (!byPoints.has(row.points)) byPoints.set(row.points, []);
+    byPoints.get(row.points).push(row);
+  }
+
+  const ctx = {
+    criteria: rules.criteria,
+    reapplyHeadToHead: !!rules.reapplyHeadToHead,
+    results,
+    seed
+  };
+
+  return Array.from(byPoints.entries())
+    .sort((a, b) => b[0] - a[0])
+    .flatMap(([, group]) => breakTie(group, 0, null, ctx))
+    .map((row, i) => ({ rank: i + 1, ...row }));
+}
+
+/**
+ * Card counts per side from API-Sports fixture events (when fetched)
+ */
+function cardsFromEvents(fixture) {
+  if (!Array.isArray(fixture.events)) return undefined;
+  const side = teamId => {
+    const cards = fixture.events.filter(e => e.type === 'Card' && e.team?.id === teamId);
+    return {
+      yellow: cards.filter(e => e.detail === 'Yellow Card').length,
+      secondYellow: cards.filter(e => e.detail === 'Second Yellow card').length,
+      red: cards.filter(e => e.detail === 'Red Card').length
+    };
+  };
+  return { home: side(fixture.teams.home.id), away: side(fixture.teams.away.id) };
+}
+
+/**
+ * API-Sports fixtures → buildTable() results. Finished fixtures only,
+ * unless `includeLive` (current score of games in play).
+ */
+function resultsFromFixtures(fixtures, { includeLive = false } = {}) {
+  const codes = includeLive ? [...FINISHED_CODES, ...LIVE_CODES] : FINISHED_CODES;
+  return fixtures
+    .filter(f => codes.includes(f.fixture?.status?.short) && f.goals?.home != null && f.goals?.away != null)
+    .map(f => ({
+      fixtureId: f.fixture.id,
+      date: f.fixture.date,
+      homeId: f.teams.home.id,
+      awayId: f.teams.away.id,
+      homeName: f.teams.home.name,
+      awayName: f.teams.away.name,
+      homeLogo: f.teams.home.logo,
+      awayLogo: f.teams.away.logo,
+      // Regulation + extra time; shoot-outs do not count in a table
+      homeGoals: f.goals.home,
+      awayGoals: f.goals.away,
+      cards: cardsFromEvents(f),
+      live: LIVE_CODES.includes(f.fixture.status.short)
+    }));
+}
+
+module.exports = {
+  FAIR_PLAY_POINTS,
+  buildTable,
+  rankRows,
+  resultsFromFixtures,
+  headToHead
+};
@@ -1,7 +1,12 @@
-const axios = require('axios');
 const CachedMatch = require('../models/CachedMatch');
 const { getAllowedLeagueIdsString, getHotLeagueIds } = require('../config/allowedCompetitions');
 const oddsCache = require('../services/oddsCache');
+const apiSports = require('../services/apiSportsGateway');
+const liveFeed = require('../services/liveFeed');
+const resultsArchive = require('../services/resultsArchive');
+const matchSlugs = require('../services/matchSlugs');
+const fixtureChanges = require('../services/fixtureChanges');
+const { DEFAULT_TIMEZONE, dayKey, addDays } = require('../utils/dateTime');
 
 /**
  * Background worker to fetch and cache match data
@@ -24,17 +29,11 @@ class MatchCacheWorker {
   }
 
   /**
-   * Initialize the worker with API credentials
+   * Initialize the worker's API-Sports client (via the quota gateway).
+   * Each refresh pass tags its calls as "worker:<pass>" in the ledger.
    */
-  init(apiKey, apiHost) {
-    this.footballApi = axios.create({
-      baseURL: 'https://v3.football.api-sports.io',
-      headers: {
-        'x-apisports-key': apiKey,
-        'x-apisports-host': apiHost || 'v3.football.api-sports.io'
-      },
-      timeout: 30000
-    });
+  init() {
+    this.footballApi = apiSports.client('worker');
 
     console.log('✅ MatchCacheWorker initialized');
   }
@@ -130,12 +129,25 @@ class MatchCacheWorker {
         params: {
           live: 'all',
           league: allowedLeagues  // FILTER: Only fetch from allowed leagues
-        }
+        },
+        caller: 'worker:live',
+        priority: 'critical'
       });
 
       const fixtures = response.data.response || [];
       console.log(`   📥 Fetched ${fixtures.length} live fixtures`);
 
+      // Fixtures that just left the live feed → permanent results archive
+      const departed = await resultsArchive.onLivePull(fixtures).catch(error => {
+        console.error(`   ❌ Failed to archive finished matches:`, error.message);
+        return { fixtures: [] };
+      });
+
+      // Per-fixture deltas for the SSE stream (/api/matches/live/stream);
+      // departed fixtures carry their final status and score
+      await liveFeed.publish(fixtures, departed.fixtures);
+      await this.trackFixtures(fixtures);
+
       if (fixtures.length > 0) {
         // Group by league
         const competitions = this.groupFixturesByLeague(fixtures);
@@ -177,16 +189,9 @@ class MatchCacheWorker {
       const currentYear = today.getFullYear();
       const currentSeason = today.getMonth() >= 7 ? currentYear : currentYear - 1;
 
-      // ✅ Calculate 4-day window
-      const fromDate = new Date();
-      fromDate.setHours(0, 0, 0, 0);
-
-      const toDate = new Date();
-      toDate.setDate(toDate.getDate() + 4);
-      toDate.setHours(23, 59, 59, 999);
-
-      const fromStr = fromDate.toISOString().split('T')[0];
-      const toStr = toDate.toISOString().split('T')[0];
+      // ✅ Calculate 4-day window (Vietnam days, like /api/matches/hot)
+      const fromStr = dayKey(today);
+      const toStr = addDays(fromStr, 4);
 
       console.log(`   📅 Date range: ${fromStr} to ${toStr}`);
 
@@ -202,8 +207,9 @@ class MatchCacheWorker {
               season: currentSeason,
               from: fromStr,
               to: toStr,
-              timezone: 'UTC'
-            }
+              timezone: DEFAULT_TIMEZONE
+            },
+            caller: 'worker:hot'
           });
 
           const fixtures = response.data.response || [];
@@ -223,6 +229,7 @@ class MatchCacheWorker {
         });
 
         const uniqueFixtures = Array.from(fixtureMap.values());
+        await this.trackFixtures(uniqueFixtures);
         const competitions = this.groupFixturesByLeague(uniqueFixtures);
 
         await CachedMatch.setCache('hot', cacheKey, {
@@ -265,12 +272,8 @@ class MatchCacheWorker {
       console.log(`🔥📅 Fetching SCHEDULED matches from TOP 5 leagues for next 4 days...`);
 
       // ✅ Calculate date range: today to 4 days ahead (matching refreshHotMatches)
-      const today = new Date();
-      const fourDaysAhead = new Date(today);
-      fourDaysAhead.setDate(today.getDate() + 4);
-
-      const dateFrom = today.toISOString().split('T')[0];
-      const dateTo = fourDaysAhead.toISOString().split('T')[0];
+      const dateFrom = dayKey(new Date());
+      const dateTo = addDays(dateFrom, 4);
 
       let totalFixturesFetched = 0;
       let totalFixturesSaved = 0;
@@ -286,27 +289,30 @@ class MatchCacheWorker {
               from: dateFrom,
               to: dateTo,
               status: 'NS',  // Not Started (scheduled matches only)
-              timezone: 'Asia/Bangkok'
-            }
+              timezone: DEFAULT_TIMEZONE
+            },
+            caller: 'worker:hot-odds'
           });
 
           const fixtures = response.data.response || [];
           console.log(`      ✓ Found ${fixtures.length} scheduled matches for league ${leagueId}`);
           totalFixturesFetched += fixtures.length;
+          await this.trackFixtures(fixtures);
 
           // Fetch odds for each fixture and save to Odds collection
           for (const fixture of fixtures) {
             try {
               // Fetch odds for this fixture
               const oddsResponse = await this.footballApi.get('/odds', {
-                params: { fixture: fixture.fixture.id }
+                params: { fixture: fixture.fixture.id },
+                caller: 'worker:hot-odds'
               });
 
               const oddsData = oddsResponse.data?.response || [];
 
               if (oddsData && oddsData.length > 0) {
                 // Save to Odds collection using oddsCache service
-                await oddsCache.saveOdds(fixture, oddsData);
+                await oddsCache.saveOdds(fixture, oddsData, 'worker:hot-odds');
                 totalFixturesSaved++;
               } else {
                 console.log(`      ⚠️  No odds available for fixture ${fixture.fixture.id}`);
@@ -339,7 +345,7 @@ class MatchCacheWorker {
    */
   async refreshLiveScheduledMatches() {
     const startTime = Date.now();
-    const today = new Date().toISOString().split('T')[0];
+    const today = dayKey(new Date());   // Vietnam day, the zone the fixtures are requested in
     const cacheKey = `live-scheduled_${today}`;
 
     try {
@@ -350,9 +356,11 @@ class MatchCacheWorker {
       const liveResponse = await this.footballApi.get('/fixtures', {
         params: {
           live: 'all',
-          timezone: 'Asia/Bangkok',  // Use consistent timezone with main endpoint
+          timezone: DEFAULT_TIMEZONE,  // Use consistent timezone with main endpoint
           league: allowedLeagues  // FILTER: Only allowed leagues
-        }
+        },
+        caller: 'worker:live-scheduled',
+        priority: 'critical'
       });
 
       // Fetch SCHEDULED matches for today (filtered by allowed leagues)
@@ -360,9 +368,11 @@ class MatchCacheWorker {
         params: {
           date: today,
           status: 'NS', // Not Started
-          timezone: 'Asia/Bangkok',  // Use consistent timezone with main endpoint
+          timezone: DEFAULT_TIMEZONE,  // Use consistent timezone with main endpoint
           league: allowedLeagues  // FILTER: Only allowed leagues
-        }
+        },
+        caller: 'worker:live-scheduled',
+        priority: 'critical'
       });
 
       const liveFixtures = liveResponse.data.response || [];
@@ -377,6 +387,7 @@ class MatchCacheWorker {
       });
 
       const allFixtures = Array.from(fixtureMap.values());
+      await this.trackFixtures(allFixtures);
       const competitions = this.groupFixturesByLeague(allFixtures);
 
       await CachedMatch.setCache('live-scheduled', cacheKey, {
@@ -394,6 +405,24 @@ class MatchCacheWorker {
     }
   }
 
+  /**
+   * Record reschedules / postponements (services/fixtureChanges.js), then
+   * map the fixtures' match slugs to their IDs (services/matchSlugs.js),
+   * so /api/matches/:slug/* resolves without searching API-Sports
+   */
+  async trackFixtures(fixtures) {
+    try {
+      await fixtureChanges.inspect(fixtures, { source: 'worker' });
+    } catch (error) {
+      console.error(`   ❌ Failed to check fixture changes:`, error.message);
+    }
+    try {
+      await matchSlugs.record(fixtures);
+    } catch (error) {
+      console.error(`   ❌ Failed to index match slugs:`, error.message);
+    }
+  }
+
   /**
    * Group fixtures by league (simplified version)
    */